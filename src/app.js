@@ -16,6 +16,7 @@ const socialMediaLinkRoutes = require('./routes/socialMediaLink.routes');
 const paymentRoutes = require('./routes/payment.routes');
 const subscriptionRoutes = require('./routes/subscription.routes');
 const webhookRoutes = require('./routes/webhook.routes');
+const cronRoutes = require('./routes/cron.routes');
 const exploreRoutes = require('./routes/explore.routes');
 const favoritesRoutes = require('./routes/favorites.routes');
 const foldersRoutes = require('./routes/folders.routes');
@@ -24,6 +25,12 @@ const settingsRoutes = require('./routes/settings.routes');
 const builderPageRoutes = require('./routes/builderPage.routes');
 const widgetRoutes = require('./routes/widget.routes');
 const formSubmissionRoutes = require('./routes/formSubmission.routes');
+const adminRoutes = require('./routes/admin.routes');
+const apiKeyRoutes = require('./routes/apiKey.routes');
+const teamRoutes = require('./routes/team.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const emailPreferencesRoutes = require('./routes/emailPreferences.routes');
+const { getJwks } = require('./controllers/auth.controller');
 const swaggerSpec = require('./docs/swagger');
 const errorHandler = require('./middleware/error-handler.mw.js');
 
@@ -35,6 +42,9 @@ const app = express();
 // Webhook routes (must be before express.json() middleware for raw body parsing)
 app.use('/api/webhooks', webhookRoutes);
 
+// Scheduler calls come from shared addresses, so they skip the rate limit below
+app.use('/api/cron', cronRoutes);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -75,6 +85,9 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Public keys for verifying access tokens (JWKS)
+app.get('/.well-known/jwks.json', getJwks);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/profile/personal', personalProfileRoutes);
@@ -90,6 +103,11 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/builder/pages', builderPageRoutes);
 app.use('/api/builder/widgets', widgetRoutes);
 app.use('/api/form-submissions', formSubmissionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/email-preferences', emailPreferencesRoutes);
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.get('/', (req, res) => {
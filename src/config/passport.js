@@ -2,6 +2,11 @@ const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
 const LocalStrategy = require("passport-local").Strategy;
 const User = require("../models/user.model");
+const Token = require("../models/token.model");
+const UserSettings = require("../models/userSettings.model");
+const ImpersonationSession = require("../models/impersonationSession.model");
+const { TOKEN_USE, SUPPORTED_ALGORITHMS, getTokenUse, passportKeyProvider } = require("../utils/jwtKeys");
+const { recordAuditEvent } = require("../utils/audit");
 const JwtStrategy = require("passport-jwt").Strategy;
 const ExtractJwt = require("passport-jwt").ExtractJwt;
 const bcrypt = require("bcryptjs");
@@ -20,20 +25,35 @@ passport.use(
 
         // If user doesn't exist
         if (!user) {
-          return done(null, false, { message: "Incorrect email or password" });
+          return done(null, false, {
+            message: "Incorrect email or password",
+            reason: "unknown_user",
+          });
         }
 
         // Check if user is verified
         if (!user.isVerified) {
           return done(null, false, {
             message: "Please verify your email first",
+            reason: "unverified",
           });
         }
 
         // Check if password is correct
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
-          return done(null, false, { message: "Incorrect email or password" });
+          return done(null, false, {
+            message: "Incorrect email or password",
+            reason: "invalid_password",
+          });
+        }
+
+        // After a forced reset the old password may be in someone else's hands
+        if (user.passwordResetRequired) {
+          return done(null, false, {
+            message: "A password reset is required. Use the reset link we emailed you.",
+            reason: "password_reset_required",
+          });
         }
 
         // Return user if authentication is successful
@@ -48,12 +68,20 @@ passport.use(
 // JWT Strategy
 const jwtOptions = {
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
-  secretOrKey: process.env.JWT_SECRET,
+  // The key is picked from the token's kid so rotated keys keep verifying until they expire
+  secretOrKeyProvider: passportKeyProvider,
+  jsonWebTokenOptions: { algorithms: SUPPORTED_ALGORITHMS },
 };
 
 passport.use(
   new JwtStrategy(jwtOptions, async (jwtPayload, done) => {
     try {
+      // Pending 2FA challenges are not access tokens
+      const tokenUse = getTokenUse(jwtPayload);
+      if (tokenUse !== TOKEN_USE.ACCESS && tokenUse !== TOKEN_USE.PASSWORD_CHANGE) {
+        return done(null, false);
+      }
+
       // Find the user by ID
       const user = await User.findById(jwtPayload.id);
 
@@ -61,7 +89,80 @@ passport.use(
         return done(null, false);
       }
 
-      return done(null, user);
+      const authState = await UserSettings.getAuthState(user._id);
+
+      // Suspended accounts lose access immediately, whatever token they hold
+      if (authState.suspension) {
+        return done(null, false, {
+          code: "ACCOUNT_SUSPENDED",
+          message: "Your account has been suspended",
+        });
+      }
+
+      // Accounts awaiting deletion have to log in again, which cancels the deletion
+      if (authState.pendingDeletion) {
+        return done(null, false, {
+          code: "ACCOUNT_PENDING_DELETION",
+          message: "This account is scheduled for deletion. Log in to cancel the deletion.",
+        });
+      }
+
+      // Restricted tokens only live until the password has been changed
+      if (tokenUse === TOKEN_USE.PASSWORD_CHANGE) {
+        if (!authState.passwordChangeRequired) {
+          return done(null, false);
+        }
+        return done(null, user, { restricted: true });
+      }
+
+      // Impersonation tokens live only as long as their session and the admin's privileges
+      if (jwtPayload.act) {
+        const impersonation = await ImpersonationSession.findActive(jwtPayload.imp);
+        if (
+          !impersonation ||
+          !impersonation.userId.equals(user._id) ||
+          String(impersonation.adminId) !== jwtPayload.act.sub
+        ) {
+          return done(null, false);
+        }
+
+        const admin = await User.findById(impersonation.adminId).select("email firstName lastName role");
+        if (!admin || admin.role !== "admin" || (await UserSettings.getSuspension(admin._id))) {
+          return done(null, false);
+        }
+
+        return done(null, user, {
+          impersonation: {
+            id: impersonation._id,
+            admin,
+            session: impersonation,
+          },
+        });
+      }
+
+      // Tokens tied to a device session die with that session, or when it sits idle too long
+      if (jwtPayload.sid) {
+        const sessionState = await Token.touchSession(user._id, jwtPayload.sid, {
+          idleTimeoutMs: authState.sessionTimeout * 60 * 1000,
+        });
+
+        if (sessionState === "idle") {
+          return done(null, false, {
+            code: "SESSION_IDLE_TIMEOUT",
+            message: "Your session expired due to inactivity. Please log in again.",
+          });
+        }
+
+        if (sessionState !== "active") {
+          return done(null, false);
+        }
+      }
+
+      return done(null, user, {
+        sessionId: jwtPayload.sid,
+        authTime: jwtPayload.auth_time,
+        restricted: authState.passwordChangeRequired,
+      });
     } catch (error) {
       return done(error, false);
     }
@@ -81,8 +182,10 @@ passport.use(
     async (accessToken, refreshToken, profile, done) => {
       try {
         console.log("Google Profile:", profile);
-        // Check if user already exists
-        let user = await User.findOne({ googleId: profile.id });
+        // Check if user already exists (linked accounts keep the Google ID even after an email change)
+        let user = await User.findOne({
+          $or: [{ googleId: profile.id }, { "oauthProfiles.google.id": profile.id }],
+        });
 
         if (user) {
           return done(null, user);
@@ -113,6 +216,12 @@ passport.use(
           }
 
           await user.save();
+
+          await recordAuditEvent(null, "google_linked", {
+            actor: user,
+            metadata: { googleEmail: profile.emails[0].value },
+          });
+
           return done(null, user);
         }
 
@@ -146,6 +255,12 @@ passport.use(
         });
 
         await newUser.save();
+
+        await recordAuditEvent(null, "register", {
+          actor: newUser,
+          metadata: { provider: "google" },
+        });
+
         return done(null, newUser);
       } catch (error) {
         return done(error, false);
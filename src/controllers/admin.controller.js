@@ -0,0 +1,971 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const Token = require('../models/token.model');
+const Subscription = require('../models/subscription.model');
+const PersonalProfile = require('../models/personalProfile.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const TeamMember = require('../models/teamMember.model');
+const ApiKey = require('../models/apiKey.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+const AuditEvent = require('../models/auditEvent.model');
+const ImpersonationSession = require('../models/impersonationSession.model');
+const EmailMessage = require('../models/emailMessage.model');
+const EmailSuppression = require('../models/emailSuppression.model');
+const { clearAccountLockout, clearIpLockout } = require('../utils/loginThrottle');
+const { enforcePasswordReset } = require('../utils/passwordReset');
+const { recordAuditEvent, buildAuditFilter } = require('../utils/audit');
+const { generateImpersonationToken } = require('../utils/generateTokens');
+const { getImpersonationMinutes, formatImpersonation } = require('../utils/impersonation');
+const { runDataRetention } = require('../utils/dataRetention');
+const { EMAIL_TEMPLATES, renderEmailTemplate, listEmailTemplates } = require('../utils/emailTemplates');
+const { sendTemplatedEmail, retryEmailMessage } = require('../utils/email');
+const { EMAIL_SOFT_BOUNCE_LIMIT } = require('../utils/emailSuppression');
+const {
+  validateEmailTemplatePreview,
+  validateEmailTestSend,
+  validateEmailOutboxQuery,
+  validateEmailSuppressionQuery,
+  validateEmailSuppressionCreate
+} = require('../utils/validation');
+
+// Fields that are safe to show in admin user listings
+const ADMIN_USER_FIELDS = 'email firstName lastName profilePicture role isVerified isTwoFactorEnabled twoFactorMethod googleId appleId lockUntil failedLoginAttempts createdAt updatedAt';
+
+// Get locked accounts and blocked IPs
+exports.getLockouts = async (req, res, next) => {
+  try {
+    const lockedUsers = await User.find({ lockUntil: { $gt: new Date() } })
+      .select('email firstName lastName lockUntil failedLoginAttempts lastFailedLoginAt')
+      .sort({ lockUntil: -1 });
+
+    const blockedIps = await LoginThrottle.getBlocked();
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockouts retrieved successfully',
+      data: {
+        users: lockedUsers,
+        ipAddresses: blockedIps
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Clear the lockout on a user account
+exports.clearUserLockout = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearAccountLockout(user);
+
+    await recordAuditEvent(req, 'admin_lockout_cleared', { targetUserId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'User lockout cleared successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Clear throttling recorded for an IP address
+exports.clearIpLockout = async (req, res, next) => {
+  try {
+    const { ipAddress } = req.params;
+
+    const result = await clearIpLockout(ipAddress);
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No lockout found for this IP address'
+      });
+    }
+
+    await recordAuditEvent(req, 'admin_ip_lockout_cleared', {
+      targetUserId: null,
+      metadata: { ipAddress }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'IP lockout cleared successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Search and filter user accounts
+exports.getUsers = async (req, res, next) => {
+  try {
+    const { search, role, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (status === 'suspended') {
+      const suspended = await UserSettings.find({ 'accountStatus.suspendedAt': { $ne: null } }).distinct('userId');
+      query._id = { $in: suspended };
+    } else if (status === 'locked') {
+      query.lockUntil = { $gt: new Date() };
+    } else if (status === 'unverified') {
+      query.isVerified = false;
+    }
+
+    const [users, totalCount] = await Promise.all([
+      User.find(query)
+        .select(ADMIN_USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    // Attach suspension state in one query rather than per user
+    const settings = await UserSettings.find({ userId: { $in: users.map(user => user._id) } })
+      .select('userId accountStatus')
+      .lean();
+    const statusByUser = new Map(settings.map(setting => [setting.userId.toString(), setting.accountStatus || {}]));
+
+    const data = users.map(user => {
+      const accountStatus = statusByUser.get(user._id.toString()) || {};
+      return {
+        ...user,
+        isSuspended: !!accountStatus.suspendedAt,
+        isLocked: !!(user.lockUntil && user.lockUntil > Date.now())
+      };
+    });
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: {
+        users: data,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a full overview of a single user account
+exports.getUserDetails = async (req, res, next) => {
+  try {
+    const user = await findUserByParam(req, res);
+    if (!user) return;
+
+    const [settings, subscription, personalProfile, businessProfile, sessions, apiKeyCount, memberships] = await Promise.all([
+      UserSettings.findOne({ userId: user._id }).select('accountStatus security'),
+      Subscription.findOne({ userId: user._id, status: { $in: ['active', 'trialing', 'past_due'] } })
+        .populate('planId', 'name price')
+        .sort({ createdAt: -1 }),
+      PersonalProfile.findOne({ userId: user._id }).select('-__v'),
+      BusinessProfile.findOne({ userId: user._id }).select('-__v'),
+      Token.getActiveSessions(user._id),
+      ApiKey.countDocuments({ userId: user._id, revokedAt: null }),
+      TeamMember.getMemberships(user._id).populate('businessId', 'businessName')
+    ]);
+
+    const userData = await User.findById(user._id).select(`${ADMIN_USER_FIELDS} loginHistory lastFailedLoginAt`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User retrieved successfully',
+      data: {
+        user: userData,
+        accountStatus: settings ? settings.accountStatus : null,
+        security: settings ? settings.security : null,
+        subscription,
+        personalProfile,
+        businessProfile,
+        activeSessions: sessions.length,
+        apiKeys: apiKeyCount,
+        teamMemberships: memberships.map(membership => ({
+          businessId: membership.businessId,
+          role: membership.role,
+          joinedAt: membership.respondedAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Suspend a user account and sign it out everywhere
+exports.suspendUser = async (req, res, next) => {
+  try {
+    const user = await findUserByParam(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+
+    const settings = await UserSettings.findOneAndUpdate(
+      { userId: user._id },
+      {
+        $set: {
+          'accountStatus.isActive': false,
+          'accountStatus.suspendedAt': new Date(),
+          'accountStatus.suspensionReason': reason || 'Suspended by administrator',
+          'accountStatus.suspendedBy': req.user._id
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    // Existing refresh tokens must not outlive the suspension
+    await Token.revokeSessions(user._id);
+
+    await recordAuditEvent(req, 'admin_user_suspended', {
+      targetUserId: user._id,
+      after: { suspensionReason: settings.accountStatus.suspensionReason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      data: {
+        accountStatus: settings.accountStatus
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lift a suspension
+exports.unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await findUserByParam(req, res);
+    if (!user) return;
+
+    const settings = await UserSettings.findOneAndUpdate(
+      { userId: user._id, 'accountStatus.suspendedAt': { $ne: null } },
+      {
+        $set: { 'accountStatus.isActive': true },
+        $unset: {
+          'accountStatus.suspendedAt': '',
+          'accountStatus.suspensionReason': '',
+          'accountStatus.suspendedBy': ''
+        }
+      },
+      { new: true }
+    );
+
+    if (!settings) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    await recordAuditEvent(req, 'admin_user_unsuspended', { targetUserId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'User unsuspended successfully',
+      data: {
+        accountStatus: settings.accountStatus
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Force a password reset on the next sign-in
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await findUserByParam(req, res);
+    if (!user) return;
+
+    await enforcePasswordReset(user);
+
+    await recordAuditEvent(req, 'admin_password_reset_forced', { targetUserId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset forced and email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Turn off two-factor authentication for a user who lost access
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await findUserByParam(req, res);
+    if (!user) return;
+
+    if (!user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    user.isTwoFactorEnabled = false;
+    user.twoFactorMethod = 'authenticator';
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorCode = undefined;
+    user.twoFactorCodeValidation = undefined;
+    user.twoFactorCodeAttempts = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    await recordAuditEvent(req, 'admin_two_factor_disabled', {
+      targetUserId: user._id,
+      before: { isTwoFactorEnabled: true },
+      after: { isTwoFactorEnabled: false }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start a time-limited session acting as a user, for support
+exports.startImpersonation = async (req, res, next) => {
+  try {
+    const user = await findUserByParam(req, res);
+    if (!user) return;
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to impersonate a user'
+      });
+    }
+
+    if (user._id.equals(req.user._id) || user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admins cannot be impersonated'
+      });
+    }
+
+    if (await UserSettings.getSuspension(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Suspended users cannot be impersonated'
+      });
+    }
+
+    const minutes = getImpersonationMinutes(req.body.durationMinutes);
+    const impersonation = await ImpersonationSession.create({
+      adminId: req.user._id,
+      userId: user._id,
+      reason,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    const token = generateImpersonationToken(user, impersonation);
+
+    await recordAuditEvent(req, 'impersonation_started', {
+      targetUserId: user._id,
+      resourceType: 'impersonation',
+      resourceId: impersonation._id,
+      metadata: { reason, expiresAt: impersonation.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation started',
+      data: {
+        token,
+        impersonation: formatImpersonation(impersonation, req.user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List impersonation sessions, most recent first
+exports.getImpersonations = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    ['adminId', 'userId'].forEach((field) => {
+      if (req.query[field] && mongoose.Types.ObjectId.isValid(req.query[field])) {
+        filter[field] = req.query[field];
+      }
+    });
+    if (req.query.active === 'true') {
+      filter.endedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const [sessions, totalCount] = await Promise.all([
+      ImpersonationSession.find(filter)
+        .populate('adminId', 'email firstName lastName')
+        .populate('userId', 'email firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ImpersonationSession.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation sessions retrieved successfully',
+      data: {
+        sessions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// End an impersonation session early
+exports.endImpersonation = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid impersonation session ID'
+      });
+    }
+
+    const impersonation = await ImpersonationSession.end(sessionId, req.user._id);
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active impersonation session not found'
+      });
+    }
+
+    await recordAuditEvent(req, 'impersonation_ended', {
+      targetUserId: impersonation.userId,
+      resourceType: 'impersonation',
+      resourceId: impersonation._id,
+      metadata: { endedBy: 'admin' }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Query the audit log across all users
+exports.getAuditEvents = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = buildAuditFilter(req.query, { allowUserFilters: true });
+
+    const { events, totalCount } = await AuditEvent.search(filter, { page, limit });
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Audit events retrieved successfully',
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Report what the next data retention run would roll up, delete and anonymise
+exports.getDataRetentionReport = async (req, res, next) => {
+  try {
+    const report = await runDataRetention({ dryRun: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Data retention report generated successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the transactional email templates and the locales that translate them
+exports.getEmailTemplates = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: 'Email templates retrieved successfully',
+      data: {
+        templates: listEmailTemplates()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Render a template with its sample data
+exports.previewEmailTemplate = async (req, res, next) => {
+  try {
+    const template = EMAIL_TEMPLATES[req.params.name];
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    const { error, value } = validateEmailTemplatePreview(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const rendered = renderEmailTemplate(req.params.name, {
+      locale: value.locale,
+      data: template.sample,
+      // Show the footer unsubscribe link the way recipients see it
+      layoutData: template.category !== 'security' ? { unsubscribeUrl: 'https://example.com/email-preferences' } : {}
+    });
+
+    if (value.format === 'html') {
+      return res.status(200).type('html').send(rendered.html);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email template rendered successfully',
+      data: {
+        template: req.params.name,
+        ...rendered
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a template with sample data, to the admin unless another address is given
+exports.sendTestEmail = async (req, res, next) => {
+  try {
+    const template = EMAIL_TEMPLATES[req.params.name];
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    const { error, value } = validateEmailTestSend(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const message = await sendTemplatedEmail(req.params.name, {
+      to: value.to || req.user.email,
+      locale: value.locale,
+      data: { ...template.sample, ...value.data }
+    });
+
+    await recordAuditEvent(req, 'admin_email_test_sent', {
+      resourceType: 'EmailMessage',
+      resourceId: message._id,
+      metadata: { template: req.params.name, to: message.to, locale: message.locale }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: describeDeliveryStatus(message, 'Test email sent successfully', 'Test email queued for retry'),
+      data: {
+        message: formatEmailMessage(message)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List outbox messages, newest first
+exports.getEmailOutbox = async (req, res, next) => {
+  try {
+    const { error, value } = validateEmailOutboxQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { status, template, to, page, limit } = value;
+    const filter = {};
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+    if (to) filter.to = to.toLowerCase();
+
+    const [messages, totalCount, counts] = await Promise.all([
+      EmailMessage.find(filter)
+        .select('-html -text')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailMessage.countDocuments(filter),
+      EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email outbox retrieved successfully',
+      data: {
+        messages: messages.map(formatEmailMessage),
+        statusCounts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Give a failed outbox message one more delivery attempt
+exports.retryEmail = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const message = await EmailMessage.findById(messageId);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email message not found'
+      });
+    }
+
+    if (message.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only failed messages can be retried'
+      });
+    }
+
+    // Security email is not stored with its body; the user requests a new one instead
+    if (!message.html && !message.text) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email was not stored with its body and cannot be retried'
+      });
+    }
+
+    await retryEmailMessage(message);
+
+    await recordAuditEvent(req, 'admin_email_retried', {
+      targetUserId: message.userId,
+      resourceType: 'EmailMessage',
+      resourceId: message._id,
+      metadata: { template: message.template, status: message.status }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: describeDeliveryStatus(message, 'Email sent successfully', 'Email delivery failed again'),
+      data: {
+        message: formatEmailMessage(message)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the email suppression list, newest first
+exports.getEmailSuppressions = async (req, res, next) => {
+  try {
+    const { error, value } = validateEmailSuppressionQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { email, reason, page, limit } = value;
+    const filter = {};
+    if (email) filter.email = email.toLowerCase();
+    if (reason) filter.reason = reason;
+
+    const [suppressions, totalCount] = await Promise.all([
+      EmailSuppression.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailSuppression.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email suppressions retrieved successfully',
+      data: {
+        suppressions: suppressions.map(formatEmailSuppression),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop email to an address, or to one category of it
+exports.addEmailSuppression = async (req, res, next) => {
+  try {
+    const { error, value } = validateEmailSuppressionCreate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const suppression = await EmailSuppression.findOneAndUpdate(
+      { email: value.email.toLowerCase(), reason: 'manual', category: value.category || null },
+      { $set: { source: 'admin', note: value.note, createdBy: req.user._id, lastEventAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    await recordAuditEvent(req, 'admin_email_suppression_added', {
+      resourceType: 'EmailSuppression',
+      resourceId: suppression._id,
+      metadata: { email: suppression.email, category: suppression.category }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Email suppression added successfully',
+      data: {
+        suppression: formatEmailSuppression(suppression)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a suppression, e.g. after a bounced mailbox has been fixed
+exports.removeEmailSuppression = async (req, res, next) => {
+  try {
+    const { suppressionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(suppressionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid suppression ID'
+      });
+    }
+
+    const suppression = await EmailSuppression.findByIdAndDelete(suppressionId);
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email suppression not found'
+      });
+    }
+
+    await recordAuditEvent(req, 'admin_email_suppression_removed', {
+      resourceType: 'EmailSuppression',
+      resourceId: suppression._id,
+      metadata: { email: suppression.email, reason: suppression.reason, category: suppression.category }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email suppression removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to describe the outcome of a delivery attempt
+function describeDeliveryStatus(message, sentText, retryText) {
+  if (message.status === 'sent') return sentText;
+  if (message.status === 'suppressed') return `Email not sent: the address is on the suppression list (${message.lastError})`;
+  return retryText;
+}
+
+// Helper function to shape a suppression list entry for responses
+function formatEmailSuppression(suppression) {
+  return {
+    id: suppression._id,
+    email: suppression.email,
+    reason: suppression.reason,
+    category: suppression.category,
+    count: suppression.count,
+    // Soft bounces only stop email once they reach the limit
+    active: suppression.reason !== 'soft_bounce' || suppression.count >= EMAIL_SOFT_BOUNCE_LIMIT,
+    source: suppression.source,
+    provider: suppression.provider,
+    diagnostic: suppression.diagnostic,
+    note: suppression.note,
+    lastEventAt: suppression.lastEventAt,
+    expiresAt: suppression.expiresAt,
+    createdAt: suppression.createdAt
+  };
+}
+
+// Helper function to shape an outbox message for responses; bodies are left out
+function formatEmailMessage(message) {
+  return {
+    id: message._id,
+    userId: message.userId,
+    to: message.to,
+    template: message.template,
+    locale: message.locale,
+    category: message.category,
+    subject: message.subject,
+    status: message.status,
+    attempts: message.attempts,
+    nextAttemptAt: message.status === 'queued' ? message.nextAttemptAt : undefined,
+    lastAttemptAt: message.lastAttemptAt,
+    lastError: message.lastError,
+    sentAt: message.sentAt,
+    bounceType: message.bounceType,
+    bouncedAt: message.bouncedAt,
+    complainedAt: message.complainedAt,
+    createdAt: message.createdAt
+  };
+}
+
+// Helper function to load the user named in the route, responding on failure
+async function findUserByParam(req, res) {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+}
+
+// Helper function to escape user input for use in a regular expression
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -24,6 +24,7 @@ const {
   aggregateByTimeframe,
   calculatePeakHours
 } = require('../utils/analyticsUtils');
+const { resolveTrackingLevel, anonymizeViewLog } = require('../utils/trackingConsent');
 
 /**
  * @desc    Track a view or interaction
@@ -51,6 +52,27 @@ exports.trackView = async (req, res, next) => {
       metadata
     } = value;
 
+    // Consent decides whether the visit is recorded and with which identifiers
+    const trackingLevel = await resolveTrackingLevel(req, viewerId);
+
+    // Update target metrics if it's a business profile; the count is kept even without consent
+    if (targetType === 'business' && interactionType === 'view') {
+      await BusinessProfile.findByIdAndUpdate(targetId, {
+        $inc: { 'metrics.viewCount': 1 }
+      });
+    }
+
+    if (trackingLevel === 'none') {
+      return res.status(200).json({
+        success: true,
+        message: 'View not tracked (no tracking consent)',
+        data: {
+          tracked: false,
+          trackingLevel
+        }
+      });
+    }
+
     // Get or generate session ID
     const sessionId = value.sessionId || generateSessionId(req);
 
@@ -84,7 +106,7 @@ exports.trackView = async (req, res, next) => {
     });
 
     // Create view log entry
-    const viewLog = new ViewLog({
+    const viewLogData = {
       targetId,
       targetType,
       viewerId: viewerId || null,
@@ -103,24 +125,20 @@ exports.trackView = async (req, res, next) => {
         engagementScore
       },
       metadata
-    });
+    };
+    const viewLog = new ViewLog(trackingLevel === 'full' ? viewLogData : anonymizeViewLog(viewLogData));
 
     await viewLog.save();
 
-    // Update target metrics if it's a business profile
-    if (targetType === 'business' && interactionType === 'view') {
-      await BusinessProfile.findByIdAndUpdate(targetId, {
-        $inc: { 'metrics.viewCount': 1 }
-      });
-    }
-
     res.status(201).json({
       success: true,
       message: 'View tracked successfully',
       data: {
         logId: viewLog._id,
         sessionId,
-        engagementScore
+        engagementScore,
+        tracked: true,
+        trackingLevel
       }
     });
   } catch (error) {
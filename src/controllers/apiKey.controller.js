@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/apiKey.model');
+const { validateApiKeyCreate, validateApiKeyUpdate } = require('../utils/validation');
+const { API_KEY_SCOPES, MAX_API_KEYS_PER_USER, generateApiKey } = require('../utils/apiKey');
+
+// Get the current user's API keys
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.getActiveKeys(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: {
+        apiKeys: apiKeys.map(formatApiKey),
+        availableScopes: API_KEY_SCOPES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create an API key; the plain key is only returned here
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { error, value } = validateApiKeyCreate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const activeCount = await ApiKey.countDocuments({ userId: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_KEYS_PER_USER} API keys. Revoke an unused key first.`
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name: value.name,
+      prefix,
+      keyHash,
+      scopes: value.scopes,
+      expiresAt: value.expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Copy it now, it will not be shown again.',
+      data: {
+        apiKey: formatApiKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rename an API key or change its scopes
+exports.updateApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+
+    const { error, value } = validateApiKeyUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, userId: req.user._id, revokedAt: null },
+      { $set: value },
+      { new: true, runValidators: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key updated successfully',
+      data: {
+        apiKey: formatApiKey(apiKey)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke an API key
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to shape an API key for responses
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    isExpired: !!(apiKey.expiresAt && apiKey.expiresAt <= Date.now()),
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    usageCount: apiKey.usageCount,
+    createdAt: apiKey.createdAt
+  };
+}
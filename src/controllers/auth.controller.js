@@ -1,6 +1,9 @@
 const User = require("../models/user.model");
 const Token = require("../models/token.model");
-const jwt = require("jsonwebtoken");
+const UserSettings = require("../models/userSettings.model");
+const SecurityEvent = require("../models/securityEvent.model");
+const ImpersonationSession = require("../models/impersonationSession.model");
+const AuditEvent = require("../models/auditEvent.model");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 const speakeasy = require("speakeasy");
@@ -8,10 +11,52 @@ const passport = require("passport");
 const {
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendOtpToResetPassword
+  sendOtpToResetPassword,
+  sendAccountUnlockEmail,
+  sendRefreshTokenReuseAlert,
+  sendTwoFactorCodeEmail,
+  sendMagicLinkEmail,
+  sendPasswordChangeNotification,
+  getEmailDeliveryError
 } = require("../utils/email");
-const { validateRegistration, validateLogin } = require("../utils/validation");
-const { generateTokens } = require("../utils/generateTokens");
+const { sendTwoFactorCodeSms, isSmsAvailable } = require("../utils/sms");
+const {
+  validateRegistration,
+  validateLogin,
+  validateTwoFactorSetup,
+  validateMagicLinkRequest,
+  validateAppleSignIn,
+  validateForgotPasswordCodeRequest,
+  validateForgotPasswordCodeVerification
+} = require("../utils/validation");
+const {
+  generateTokens,
+  generateAccessToken,
+  generatePasswordChangeToken,
+  generateTwoFactorToken
+} = require("../utils/generateTokens");
+const { TOKEN_USE, verifyToken, verifyRefreshToken, getJwks } = require("../utils/jwtKeys");
+const { formatSession, getStepUpExpiry } = require("../utils/session");
+const { generateRecoveryCodes, verifyTotpCode } = require("../utils/twoFactor");
+const { generateOtpCode, isOtpExpired, maskDestination } = require("../utils/otp");
+const { verifyAppleIdentityToken } = require("../utils/appleAuth");
+const { recordAuditEvent, buildAuditFilter } = require("../utils/audit");
+const { detectUnfamiliarLogin, rememberLogin, sendUnfamiliarLoginAlert } = require("../utils/loginAlerts");
+const { enforcePasswordReset } = require("../utils/passwordReset");
+const { formatImpersonation } = require("../utils/impersonation");
+const { cancelAccountDeletion } = require("../utils/accountDeletion");
+const { notifyUser } = require("../utils/notifications");
+const {
+  validatePassword,
+  isPasswordExpired,
+  formatPasswordPolicyError,
+  getPasswordPolicy
+} = require("../utils/passwordPolicy");
+const {
+  checkLoginAllowed,
+  registerFailedLogin,
+  clearAccountLockout
+} = require("../utils/loginThrottle");
 
 // Register a new user
 exports.register = async (req, res, next) => {
@@ -36,6 +81,11 @@ exports.register = async (req, res, next) => {
       });
     }
 
+    const policy = await validatePassword(password, { profile: { email, firstName, lastName } });
+    if (!policy.valid) {
+      return res.status(400).json(formatPasswordPolicyError(policy));
+    }
+
     // Create verification token
     const verificationToken = crypto.randomBytes(32).toString("hex");
     const verificationTokenExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
@@ -50,11 +100,25 @@ exports.register = async (req, res, next) => {
       verificationTokenExpires,
     });
 
+    // Send verification email first; an account that can never be verified would only
+    // block the address from registering again
+    const deliveryError = getEmailDeliveryError(
+      await sendVerificationEmail(newUser.email, verificationToken)
+    );
+    if (deliveryError) {
+      return res.status(deliveryError.status).json({
+        success: false,
+        message: deliveryError.message,
+      });
+    }
+
     // Save user to database
     await newUser.save();
 
-    // Send verification email
-    await sendVerificationEmail(newUser.email, verificationToken);
+    await recordAuditEvent(req, "register", {
+      actor: newUser,
+      after: { email: newUser.email, firstName, lastName },
+    });
 
     res.status(201).json({
       success: true,
@@ -99,6 +163,48 @@ exports.verifyEmail = async (req, res, next) => {
   }
 };
 
+// Unlock account from the link sent on lockout
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const tokenDoc = await Token.findOne({
+      token,
+      type: "accountUnlock",
+      isUsed: false,
+      expiresAt: { $gt: Date.now() },
+    });
+
+    if (!tokenDoc) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired unlock token",
+      });
+    }
+
+    const user = await User.findById(tokenDoc.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await clearAccountLockout(user);
+
+    // Mark token as used
+    tokenDoc.isUsed = true;
+    await tokenDoc.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Account unlocked successfully. You can now log in.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Login user
 exports.login = async (req, res, next) => {
   try {
@@ -111,6 +217,16 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    const ipAddress = req.ip;
+    const userAgent = req.headers["user-agent"];
+
+    // Refuse early while the account or IP is locked out or backing off
+    const existingUser = await User.findOne({ email: req.body.email });
+    const block = await checkLoginAllowed({ user: existingUser, ipAddress });
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
     // Authenticate using passport local strategy
     passport.authenticate(
       "local",
@@ -121,13 +237,8 @@ exports.login = async (req, res, next) => {
             return next(err);
           }
 
-          // Record login attempt
-          const ipAddress = req.ip;
-          const userAgent = req.headers["user-agent"];
-
           if (!user) {
             // If user exists, record failed login attempt
-            const existingUser = await User.findOne({ email: req.body.email });
             if (existingUser) {
               await existingUser.recordLoginAttempt(
                 ipAddress,
@@ -136,59 +247,87 @@ exports.login = async (req, res, next) => {
               );
             }
 
+            // The password was right but can no longer be used on its own
+            if (info && info.reason === "password_reset_required") {
+              return res.status(403).json({
+                success: false,
+                code: "PASSWORD_RESET_REQUIRED",
+                message: info.message,
+              });
+            }
+
+            // Wrong guesses count towards the lockout, unverified accounts do not
+            if (info && info.reason !== "unverified") {
+              const lockout = await registerFailedLogin({
+                user: info.reason === "invalid_password" ? existingUser : null,
+                ipAddress,
+              });
+
+              if (lockout.locked) {
+                await issueUnlockToken(existingUser, lockout.lockUntil);
+
+                return sendLoginBlocked(res, {
+                  status: 423,
+                  code: "ACCOUNT_LOCKED",
+                  message:
+                    "Account temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.",
+                  retryAfter: lockout.retryAfter,
+                });
+              }
+            }
+
             return res.status(401).json({
               success: false,
-              message: info.message || "Authentication failed",
+              message: (info && info.message) || "Authentication failed",
             });
           }
 
+          // Correct password resets the consecutive failure counter
+          if (user.failedLoginAttempts || user.lockUntil) {
+            await clearAccountLockout(user);
+          }
+
+          // Suspension is only revealed once the password has been proven
+          const suspension = await UserSettings.getSuspension(user._id);
+          if (suspension) {
+            return sendAccountSuspended(res, suspension);
+          }
+
           // Check if 2FA is enabled
           if (user.isTwoFactorEnabled) {
             // Generate temporary token for 2FA
-            const tempToken = jwt.sign(
-              { id: user._id, require2FA: true },
-              process.env.JWT_SECRET,
-              { expiresIn: "5m" }
-            );
+            const { tempToken, codeSentTo } = await startTwoFactorChallenge(user);
 
-            // Record login attempt (partial success)
-            await user.recordLoginAttempt(ipAddress, userAgent, true);
+            // Not a sign-in until the second factor is verified in verify2FA
+            await recordPendingLogin(req, user);
 
             return res.status(200).json({
               success: true,
               message: "2FA required",
               tempToken,
               require2FA: true,
+              twoFactorMethod: user.twoFactorMethod,
+              codeSentTo,
               isUserFillsInitialData: user.isUserFillsInitialData,
               planSubscribedTo: user.planSubscribedTo,
             });
           }
 
-          // Generate JWT token
-          const token = jwt.sign(
-            { id: user._id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
-          );
-
-          // Generate refresh token
-          const refreshToken = jwt.sign(
-            { id: user._id },
-            process.env.JWT_REFRESH_SECRET,
-            { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN }
-          );
-
-          // Save refresh token to database
-          const newToken = new Token({
-            userId: user._id,
-            token: refreshToken,
-            type: "refresh",
-            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-          });
-          await newToken.save();
+          // Logging back in during the grace period cancels a pending deletion
+          await cancelAccountDeletion(req, user);
+
+          // A pending password change gets a restricted token instead of a session
+          const passwordChangeToken = await getPasswordChangeToken(user);
+          if (passwordChangeToken) {
+            await recordSuccessfulLogin(req, user);
+            return sendPasswordChangeRequired(res, passwordChangeToken);
+          }
+
+          // Generate tokens for a new device session
+          const { token, refreshToken } = await generateTokens(user, { req });
 
           // Record successful login attempt
-          await user.recordLoginAttempt(ipAddress, userAgent, true);
+          await recordSuccessfulLogin(req, user);
 
           res.status(200).json({
             success: true,
@@ -215,22 +354,179 @@ exports.login = async (req, res, next) => {
   }
 };
 
+// Request a passwordless sign-in link
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const { error } = validateMagicLinkRequest(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, to avoid email enumeration
+    const response = {
+      success: true,
+      message: "If an account exists for this email, a sign-in link has been sent.",
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isVerified || user.isLocked()) {
+      return res.status(200).json(response);
+    }
+
+    const magicToken = crypto.randomBytes(32).toString("hex");
+
+    await Token.create({
+      userId: user._id,
+      token: magicToken,
+      type: "magicLink",
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000), // 15 minutes
+    });
+
+    const sent = await sendMagicLinkEmail(user.email, magicToken);
+    const deliveryError = getEmailDeliveryError(sent);
+    if (deliveryError) {
+      await Token.deleteOne({ token: magicToken, type: "magicLink" });
+
+      // A suppressed address gets the same answer as an unknown one, to avoid email enumeration
+      if (sent.status === "suppressed") {
+        return res.status(200).json(response);
+      }
+      return res.status(deliveryError.status).json({
+        success: false,
+        message: deliveryError.message,
+      });
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Redeem a passwordless sign-in link
+exports.redeemMagicLink = async (req, res, next) => {
+  try {
+    const { token: magicToken } = req.body;
+
+    if (!magicToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Sign-in token is required",
+      });
+    }
+
+    // Single use: only one request can flip isUsed
+    const tokenDoc = await Token.findOneAndUpdate(
+      {
+        token: magicToken,
+        type: "magicLink",
+        isUsed: false,
+        expiresAt: { $gt: Date.now() },
+      },
+      { $set: { isUsed: true } },
+      { new: true }
+    );
+
+    if (!tokenDoc) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      });
+    }
+
+    const user = await User.findById(tokenDoc.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const ipAddress = req.ip;
+
+    // A lockout applies to every way of signing in
+    const block = await checkLoginAllowed({ user, ipAddress });
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    const suspension = await UserSettings.getSuspension(user._id);
+    if (suspension) {
+      return sendAccountSuspended(res, suspension);
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.isTwoFactorEnabled) {
+      const { tempToken, codeSentTo } = await startTwoFactorChallenge(user);
+
+      await recordPendingLogin(req, user);
+
+      return res.status(200).json({
+        success: true,
+        message: "2FA required",
+        tempToken,
+        require2FA: true,
+        twoFactorMethod: user.twoFactorMethod,
+        codeSentTo,
+        isUserFillsInitialData: user.isUserFillsInitialData,
+        planSubscribedTo: user.planSubscribedTo,
+      });
+    }
+
+    await cancelAccountDeletion(req, user);
+
+    const passwordChangeToken = await getPasswordChangeToken(user);
+    if (passwordChangeToken) {
+      await recordSuccessfulLogin(req, user);
+      return sendPasswordChangeRequired(res, passwordChangeToken);
+    }
+
+    // Generate tokens for a new device session
+    const { token, refreshToken } = await generateTokens(user, { req });
+
+    await recordSuccessfulLogin(req, user);
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        isUserFillsInitialData: user.isUserFillsInitialData,
+        planSubscribedTo: user.planSubscribedTo,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Verify 2FA
 exports.verify2FA = async (req, res, next) => {
   try {
-    const { tempToken, code } = req.body;
+    const { tempToken, code, recoveryCode } = req.body;
 
-    if (!tempToken || !code) {
+    if (!tempToken || (!code && !recoveryCode)) {
       return res.status(400).json({
         success: false,
-        message: "Temporary token and verification code are required",
+        message: "Temporary token and verification code or recovery code are required",
       });
     }
 
     // Verify temp token
     let decoded;
     try {
-      decoded = jwt.verify(tempToken, process.env.JWT_SECRET);
+      decoded = verifyToken(tempToken, TOKEN_USE.TWO_FACTOR);
     } catch (error) {
       return res.status(401).json({
         success: false,
@@ -238,14 +534,6 @@ exports.verify2FA = async (req, res, next) => {
       });
     }
 
-    // Check if token requires 2FA
-    if (!decoded.require2FA) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid token type",
-      });
-    }
-
     // Find user
     const user = await User.findById(decoded.id);
     if (!user) {
@@ -255,13 +543,16 @@ exports.verify2FA = async (req, res, next) => {
       });
     }
 
-    // Verify 2FA code
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: "base32",
-      token: code,
+    // Verify 2FA code or one-time recovery code
+    const { verified, usedRecoveryCode, block } = await verifySecondFactor(req, user, {
+      code,
+      recoveryCode,
     });
 
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
     if (!verified) {
       return res.status(401).json({
         success: false,
@@ -269,28 +560,17 @@ exports.verify2FA = async (req, res, next) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    await recordSuccessfulLogin(req, user);
 
-    // Generate refresh token
-    const refreshToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN }
-    );
+    await cancelAccountDeletion(req, user);
 
-    // Save refresh token to database
-    const newToken = new Token({
-      userId: user._id,
-      token: refreshToken,
-      type: "refresh",
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    });
-    await newToken.save();
+    const passwordChangeToken = await getPasswordChangeToken(user);
+    if (passwordChangeToken) {
+      return sendPasswordChangeRequired(res, passwordChangeToken);
+    }
+
+    // Generate tokens for a new device session
+    const { token, refreshToken } = await generateTokens(user, { req });
 
     res.status(200).json({
       success: true,
@@ -304,6 +584,9 @@ exports.verify2FA = async (req, res, next) => {
         lastName: user.lastName,
         role: user.role,
       },
+      ...(usedRecoveryCode && {
+        remainingRecoveryCodes: user.getRemainingRecoveryCodes(),
+      }),
     });
   } catch (error) {
     next(error);
@@ -316,18 +599,64 @@ exports.setup2FA = async (req, res, next) => {
     // Get user from JWT token
     const user = req.user;
 
+    // Replacing an active secret must go through re-enrollment
+    if (user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is already enabled. Use authenticator re-enrollment to replace it.",
+      });
+    }
+
+    const { error, value } = validateTwoFactorSetup(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { method, phoneNumber } = value;
+
+    if (method === "sms" && !isSmsAvailable()) {
+      return res.status(400).json({
+        success: false,
+        message: "SMS verification is not available. Choose the authenticator or email method.",
+      });
+    }
+
+    // Email and SMS: send a code to the channel being enrolled
+    if (method !== "authenticator") {
+      user.twoFactorMethod = method;
+      if (method === "sms") {
+        user.phoneNumber = phoneNumber;
+        user.isPhoneVerified = false;
+      }
+      await user.save();
+
+      const codeSentTo = await deliverTwoFactorCode(user);
+
+      return res.status(200).json({
+        success: true,
+        message: "2FA setup initiated. Enter the code we sent to enable it.",
+        method,
+        codeSentTo,
+      });
+    }
+
     // Generate new secret
     const secret = speakeasy.generateSecret({
       name: `ExpressAuthAPI:${user.email}`,
     });
 
     // Save secret to user
+    user.twoFactorMethod = "authenticator";
     user.twoFactorSecret = secret.base32;
     await user.save();
 
     res.status(200).json({
       success: true,
       message: "2FA setup initiated",
+      method,
       secret: secret.base32,
       otpauth_url: secret.otpauth_url,
     });
@@ -342,19 +671,26 @@ exports.enable2FA = async (req, res, next) => {
     const { code } = req.body;
     const user = req.user;
 
-    if (!user.twoFactorSecret) {
+    if (user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is already enabled",
+      });
+    }
+
+    if (user.twoFactorMethod === "authenticator" && !user.twoFactorSecret) {
       return res.status(400).json({
         success: false,
         message: "2FA setup not initiated",
       });
     }
 
-    // Verify code
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: "base32",
-      token: code,
-    });
+    // Verify code against the method chosen at setup
+    const { verified, block } = await verifySecondFactor(req, user, { code });
+
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
 
     if (!verified) {
       return res.status(401).json({
@@ -363,13 +699,24 @@ exports.enable2FA = async (req, res, next) => {
       });
     }
 
-    // Enable 2FA
+    // Enable 2FA and issue backup recovery codes
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    if (user.twoFactorMethod === "sms") {
+      user.isPhoneVerified = true;
+    }
     user.isTwoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = hashedCodes;
     await user.save();
 
+    await recordAuditEvent(req, "two_factor_enabled", {
+      before: { isTwoFactorEnabled: false },
+      after: { isTwoFactorEnabled: true, twoFactorMethod: user.twoFactorMethod },
+    });
+
     res.status(200).json({
       success: true,
-      message: "2FA enabled successfully",
+      message: "2FA enabled successfully. Store these recovery codes somewhere safe; they will not be shown again.",
+      recoveryCodes: codes,
     });
   } catch (error) {
     next(error);
@@ -379,7 +726,7 @@ exports.enable2FA = async (req, res, next) => {
 // Disable 2FA
 exports.disable2FA = async (req, res, next) => {
   try {
-    const { code } = req.body;
+    const { code, recoveryCode } = req.body;
     const user = req.user;
 
     if (!user.isTwoFactorEnabled) {
@@ -389,12 +736,12 @@ exports.disable2FA = async (req, res, next) => {
       });
     }
 
-    // Verify code
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: "base32",
-      token: code,
-    });
+    // Verify code or one-time recovery code
+    const { verified, block } = await verifySecondFactor(req, user, { code, recoveryCode });
+
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
 
     if (!verified) {
       return res.status(401).json({
@@ -404,10 +751,19 @@ exports.disable2FA = async (req, res, next) => {
     }
 
     // Disable 2FA
+    const previousMethod = user.twoFactorMethod;
     user.isTwoFactorEnabled = false;
+    user.twoFactorMethod = "authenticator";
     user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
     await user.save();
 
+    await recordAuditEvent(req, "two_factor_disabled", {
+      before: { isTwoFactorEnabled: true, twoFactorMethod: previousMethod },
+      after: { isTwoFactorEnabled: false, twoFactorMethod: user.twoFactorMethod },
+      metadata: { usedRecoveryCode: !!recoveryCode },
+    });
+
     res.status(200).json({
       success: true,
       message: "2FA disabled successfully",
@@ -417,20 +773,29 @@ exports.disable2FA = async (req, res, next) => {
   }
 };
 
-// Forgot password
-exports.forgotPassword = async (req, res, next) => {
+// Resend the email/SMS code during a 2FA login
+exports.sendLoginTwoFactorCode = async (req, res, next) => {
   try {
-    const { email } = req.body;
+    const { tempToken } = req.body;
 
-    if (!email) {
+    if (!tempToken) {
       return res.status(400).json({
         success: false,
-        message: "Email is required",
+        message: "Temporary token is required",
       });
     }
 
-    // Find user by email
-    const user = await User.findOne({ email });
+    let decoded;
+    try {
+      decoded = verifyToken(tempToken, TOKEN_USE.TWO_FACTOR);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired token",
+      });
+    }
+
+    const user = await User.findById(decoded.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -438,46 +803,280 @@ exports.forgotPassword = async (req, res, next) => {
       });
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString("hex");
-    const resetTokenExpires = Date.now() + 1 * 60 * 60 * 1000; // 1 hour
-
-    // Save token to database
-    const token = new Token({
-      userId: user._id,
-      token: resetToken,
-      type: "passwordReset",
-      expiresAt: new Date(resetTokenExpires),
-    });
-    await token.save();
-
-    // Update user
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = resetTokenExpires;
-    await user.save();
+    if (user.twoFactorMethod === "authenticator") {
+      return res.status(400).json({
+        success: false,
+        message: "Use the code from your authenticator app",
+      });
+    }
 
-    // Send password reset email
-    await sendPasswordResetEmail(user.email, resetToken);
+    const codeSentTo = await deliverTwoFactorCode(user);
 
     res.status(200).json({
       success: true,
-      message: "Password reset email sent",
+      message: "Verification code sent",
+      twoFactorMethod: user.twoFactorMethod,
+      codeSentTo,
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Reset password
-exports.resetPassword = async (req, res, next) => {
+// Send an email/SMS code to confirm a 2FA-protected action
+exports.sendTwoFactorCode = async (req, res, next) => {
   try {
-    const { token } = req.params;
-    const { password } = req.body;
+    const user = req.user;
 
-    if (!password) {
+    if (!user.isTwoFactorEnabled) {
       return res.status(400).json({
         success: false,
-        message: "Password is required",
+        message: "2FA is not enabled",
+      });
+    }
+
+    if (user.twoFactorMethod === "authenticator") {
+      return res.status(400).json({
+        success: false,
+        message: "Use the code from your authenticator app",
+      });
+    }
+
+    const codeSentTo = await deliverTwoFactorCode(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Verification code sent",
+      twoFactorMethod: user.twoFactorMethod,
+      codeSentTo,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get remaining 2FA recovery codes
+exports.getRecoveryCodesStatus = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (!user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is not enabled",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      remainingRecoveryCodes: user.getRemainingRecoveryCodes(),
+      totalRecoveryCodes: user.twoFactorRecoveryCodes.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Regenerate 2FA recovery codes (invalidates the previous set)
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is not enabled",
+      });
+    }
+
+    const { verified, block } = await verifySecondFactor(req, user, { code });
+
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashedCodes;
+    await user.save();
+
+    await recordAuditEvent(req, "recovery_codes_regenerated");
+
+    res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated. Previous codes no longer work.",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start authenticator re-enrollment (confirm the old secret or a recovery code first)
+exports.start2FAReenrollment = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const user = req.user;
+
+    if (!user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is not enabled",
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification code or recovery code is required",
+      });
+    }
+
+    const { verified, block } = await verifySecondFactor(req, user, { code, recoveryCode });
+
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    // Keep the new secret pending until the new authenticator proves it works
+    const secret = speakeasy.generateSecret({
+      name: `ExpressAuthAPI:${user.email}`,
+    });
+
+    user.twoFactorPendingSecret = secret.base32;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Re-enrollment started. Confirm with a code from your new authenticator.",
+      secret: secret.base32,
+      otpauth_url: secret.otpauth_url,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Confirm authenticator re-enrollment and replace the 2FA secret
+exports.confirm2FAReenrollment = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA re-enrollment not initiated",
+      });
+    }
+
+    if (!verifyTotpCode(user.twoFactorPendingSecret, code)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    // Swap secrets and issue a fresh set of recovery codes
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    const previousMethod = user.twoFactorMethod;
+    user.twoFactorMethod = "authenticator";
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashedCodes;
+    await user.save();
+
+    await recordAuditEvent(req, "two_factor_reenrolled", {
+      before: { twoFactorMethod: previousMethod },
+      after: { twoFactorMethod: user.twoFactorMethod },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Authenticator re-enrolled successfully. Previous recovery codes no longer work.",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Forgot password
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    // Find user by email
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Generate reset token
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    const resetTokenExpires = Date.now() + 1 * 60 * 60 * 1000; // 1 hour
+
+    // Save token to database
+    const token = new Token({
+      userId: user._id,
+      token: resetToken,
+      type: "passwordReset",
+      expiresAt: new Date(resetTokenExpires),
+    });
+    await token.save();
+
+    // Update user
+    user.resetPasswordToken = resetToken;
+    user.resetPasswordExpires = resetTokenExpires;
+    await user.save();
+
+    // Send password reset email
+    await sendPasswordResetEmail(user.email, resetToken);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset email sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reset password
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is required",
       });
     }
 
@@ -485,7 +1084,7 @@ exports.resetPassword = async (req, res, next) => {
     const user = await User.findOne({
       resetPasswordToken: token,
       resetPasswordExpires: { $gt: Date.now() },
-    });
+    }).select("+passwordHistory");
 
     if (!user) {
       return res.status(400).json({
@@ -510,16 +1109,31 @@ exports.resetPassword = async (req, res, next) => {
       });
     }
 
-    // Update user password
+    const policy = await validatePassword(password, { user });
+    if (!policy.valid) {
+      return res.status(400).json(formatPasswordPolicyError(policy));
+    }
+
+    // Update user password; this is the only way out of a forced reset
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    user.passwordResetRequired = false;
     await user.save();
 
     // Mark token as used
     tokenDoc.isUsed = true;
     await tokenDoc.save();
 
+    // A reset satisfies any admin-forced password change
+    await UserSettings.updateOne(
+      { userId: user._id },
+      { $set: { "security.lastPasswordChange": new Date(), "security.passwordChangeRequired": false } }
+    );
+
+    await recordAuditEvent(req, "password_reset", { actor: user });
+    await notifyPasswordReset(user);
+
     res.status(200).json({
       success: true,
       message: "Password reset successful",
@@ -544,7 +1158,7 @@ exports.refreshToken = async (req, res, next) => {
     // Verify refresh token
     let decoded;
     try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+      decoded = verifyRefreshToken(refreshToken);
     } catch (error) {
       return res.status(401).json({
         success: false,
@@ -552,22 +1166,6 @@ exports.refreshToken = async (req, res, next) => {
       });
     }
 
-    // Find token in database
-    const tokenDoc = await Token.findOne({
-      userId: decoded.id,
-      token: refreshToken,
-      type: "refresh",
-      isUsed: false,
-      expiresAt: { $gt: Date.now() },
-    });
-
-    if (!tokenDoc) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid or expired refresh token",
-      });
-    }
-
     // Find user
     const user = await User.findById(decoded.id);
     if (!user) {
@@ -577,32 +1175,69 @@ exports.refreshToken = async (req, res, next) => {
       });
     }
 
-    // Generate new JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const authState = await UserSettings.getAuthState(user._id);
+    if (authState.suspension) {
+      return sendAccountSuspended(res, authState.suspension);
+    }
 
-    // Generate new refresh token
-    const newRefreshToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN }
+    // Mark old token as rotated; only one caller can win this update
+    const tokenDoc = await Token.findOneAndUpdate(
+      {
+        userId: decoded.id,
+        token: refreshToken,
+        type: "refresh",
+        isUsed: false,
+        expiresAt: { $gt: Date.now() },
+      },
+      { $set: { isUsed: true, rotatedAt: new Date() } },
+      { new: true }
     );
 
-    // Mark old token as used
-    tokenDoc.isUsed = true;
-    await tokenDoc.save();
+    if (tokenDoc && tokenDoc.sessionId && tokenDoc.isIdle(authState.sessionTimeout * 60 * 1000)) {
+      // Idle sessions cannot be refreshed back to life; this is not a rotation
+      tokenDoc.rotatedAt = undefined;
+      tokenDoc.revokedAt = new Date();
+      tokenDoc.revokedReason = "idle_timeout";
+      await tokenDoc.save();
 
-    // Save new refresh token to database
-    const newToken = new Token({
-      userId: user._id,
-      token: newRefreshToken,
-      type: "refresh",
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+      return res.status(401).json({
+        success: false,
+        code: "SESSION_IDLE_TIMEOUT",
+        message: "Your session expired due to inactivity. Please log in again.",
+      });
+    }
+
+    if (!tokenDoc) {
+      // A token that was already rotated is being replayed: kill its family
+      const replayedToken = await Token.findOne({
+        userId: decoded.id,
+        token: refreshToken,
+        type: "refresh",
+        rotatedAt: { $exists: true },
+      });
+
+      if (replayedToken) {
+        await handleRefreshTokenReuse(req, user, replayedToken);
+
+        return res.status(401).json({
+          success: false,
+          code: "REFRESH_TOKEN_REUSED",
+          message:
+            "This refresh token has already been used. All sessions derived from it were signed out for your security.",
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    // Generate new tokens within the same device session
+    const { token, refreshToken: newRefreshToken } = await generateTokens(user, {
+      req,
+      session: tokenDoc,
     });
-    await newToken.save();
 
     res.status(200).json({
       success: true,
@@ -673,16 +1308,27 @@ exports.googleCallback = (req, res, next) => {
           return res.redirect(errorRedirect);
         }
 
+        const suspension = await UserSettings.getSuspension(user._id);
+        if (suspension) {
+          return res.redirect(`${redirectUrl}?success=false&error=${encodeURIComponent('Account suspended')}`);
+        }
+
+        await cancelAccountDeletion(req, user);
+
+        const passwordChangeToken = await getPasswordChangeToken(user);
+        if (passwordChangeToken) {
+          await recordSuccessfulLogin(req, user);
+          return res.redirect(`${redirectUrl}?success=false&code=PASSWORD_CHANGE_REQUIRED&passwordChangeToken=${passwordChangeToken}`);
+        }
+
         try {
           // Generate tokens
           console.log('🔍 Generating tokens for user:', user.email);
-          const { token, refreshToken } = await generateTokens(user);
+          const { token, refreshToken } = await generateTokens(user, { req });
           console.log('🔍 Tokens generated successfully');
 
           // Record login attempt
-          const ipAddress = req.ip || req.connection.remoteAddress;
-          const userAgent = req.headers["user-agent"];
-          await user.recordLoginAttempt(ipAddress, userAgent, true, "google");
+          await recordSuccessfulLogin(req, user);
 
           // SUCCESS: Redirect back to app
           const userData = {
@@ -755,7 +1401,7 @@ exports.unlinkGoogleAccount = async (req, res, next) => {
     }
 
     // Check if user has password or other OAuth methods
-    if (!user.password && !user.facebookId) {
+    if (!user.password && !user.facebookId && !user.appleId) {
       return res.status(400).json({
         success: false,
         message:
@@ -764,11 +1410,14 @@ exports.unlinkGoogleAccount = async (req, res, next) => {
     }
 
     // Remove Google data
+    const googleEmail = user.oauthProfiles.google ? user.oauthProfiles.google.email : undefined;
     user.googleId = undefined;
     user.oauthProfiles.google = undefined;
 
     await user.save();
 
+    await recordAuditEvent(req, "google_unlinked", { metadata: { googleEmail } });
+
     res.status(200).json({
       success: true,
       message: "Google account unlinked successfully",
@@ -785,8 +1434,10 @@ exports.googleMobileLogin = async (req, res) => {
 
     console.log('📱 Google mobile login attempt for:', email);
 
-    // Find or create user
-    let user = await User.findOne({ email });
+    // Find or create user (also matches accounts whose linked Google email differs after an email change)
+    let user = await User.findOne({
+      $or: [{ email }, { "oauthProfiles.google.email": email }],
+    });
     
     if (!user) {
       console.log('👤 Creating new user for:', email);
@@ -799,15 +1450,31 @@ exports.googleMobileLogin = async (req, res) => {
         isVerified: true,
       });
       await user.save();
+
+      await recordAuditEvent(req, 'register', {
+        actor: user,
+        metadata: { provider: 'google' },
+      });
+    }
+
+    const suspension = await UserSettings.getSuspension(user._id);
+    if (suspension) {
+      return sendAccountSuspended(res, suspension);
+    }
+
+    await cancelAccountDeletion(req, user);
+
+    const passwordChangeToken = await getPasswordChangeToken(user);
+    if (passwordChangeToken) {
+      await recordSuccessfulLogin(req, user);
+      return sendPasswordChangeRequired(res, passwordChangeToken);
     }
 
     // Generate your JWT tokens
-    const { token, refreshToken } = await generateTokens(user);
+    const { token, refreshToken } = await generateTokens(user, { req });
 
     // Record login attempt
-    const ipAddress = req.ip;
-    const userAgent = req.headers['user-agent'];
-    await user.recordLoginAttempt(ipAddress, userAgent, true, 'google');
+    await recordSuccessfulLogin(req, user);
 
     console.log('✅ Google mobile login successful for:', email);
 
@@ -837,14 +1504,250 @@ exports.googleMobileLogin = async (req, res) => {
   }
 };
 
-// Get OAuth accounts linked to user
-exports.getLinkedAccounts = async (req, res, next) => {
+// Sign in with Apple (native apps post the identity token)
+exports.appleMobileLogin = async (req, res, next) => {
   try {
-    const user = req.user;
+    const { error } = validateAppleSignIn(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { identityToken, nonce, firstName, lastName } = req.body;
+
+    let apple;
+    try {
+      apple = await verifyAppleIdentityToken(identityToken, { nonce });
+    } catch (verifyError) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid Apple identity token",
+      });
+    }
+
+    let user = await User.findOne({ appleId: apple.id });
+
+    // Fall back to the email only when Apple vouches for it
+    if (!user && apple.email && apple.emailVerified) {
+      user = await User.findOne({
+        $or: [{ email: apple.email }, { "oauthProfiles.apple.email": apple.email }],
+      });
+
+      if (user && user.appleId && user.appleId !== apple.id) {
+        return res.status(409).json({
+          success: false,
+          message: "This email is already linked to a different Apple account",
+        });
+      }
+    }
+
+    if (!user) {
+      // Apple only shares the email on the first authorization
+      if (!apple.email) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Apple did not share an email address. Remove this app from your Apple ID settings and try again.",
+        });
+      }
+
+      user = new User({
+        email: apple.email,
+        firstName: firstName || "",
+        lastName: lastName || "",
+        isVerified: true,
+      });
+    }
+
+    const ipAddress = req.ip;
+
+    // A lockout applies to every way of signing in
+    const block = await checkLoginAllowed({ user, ipAddress });
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    const suspension = await UserSettings.getSuspension(user._id);
+    if (suspension) {
+      return sendAccountSuspended(res, suspension);
+    }
+
+    // Keep the Apple profile current, including relay address changes
+    const isNewUser = user.isNew;
+    const isNewLink = !isNewUser && !user.appleId;
+    user.appleId = apple.id;
+    user.oauthProfiles.apple = buildAppleProfile(apple, {
+      firstName: firstName || user.firstName,
+      lastName: lastName || user.lastName,
+    });
+    await user.save();
+
+    if (isNewUser || isNewLink) {
+      await recordAuditEvent(req, isNewUser ? "register" : "apple_linked", {
+        actor: user,
+        metadata: { provider: "apple", appleEmail: apple.email },
+      });
+    }
+
+    if (user.isTwoFactorEnabled) {
+      const { tempToken, codeSentTo } = await startTwoFactorChallenge(user);
+
+      await recordPendingLogin(req, user);
+
+      return res.status(200).json({
+        success: true,
+        message: "2FA required",
+        tempToken,
+        require2FA: true,
+        twoFactorMethod: user.twoFactorMethod,
+        codeSentTo,
+        isUserFillsInitialData: user.isUserFillsInitialData,
+        planSubscribedTo: user.planSubscribedTo,
+      });
+    }
+
+    await cancelAccountDeletion(req, user);
+
+    const passwordChangeToken = await getPasswordChangeToken(user);
+    if (passwordChangeToken) {
+      await recordSuccessfulLogin(req, user);
+      return sendPasswordChangeRequired(res, passwordChangeToken);
+    }
+
+    const { token, refreshToken } = await generateTokens(user, { req });
+
+    await recordSuccessfulLogin(req, user);
+
+    res.status(200).json({
+      success: true,
+      message: "Apple login successful",
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        profilePicture: user.profilePicture,
+        role: user.role,
+        isVerified: user.isVerified,
+        isPrivateEmail: apple.isPrivateEmail,
+        isUserFillsInitialData: user.isUserFillsInitialData,
+        planSubscribedTo: user.planSubscribedTo,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Link Apple account to existing user
+exports.linkAppleAccount = async (req, res, next) => {
+  try {
+    const { error } = validateAppleSignIn(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const user = req.user;
+
+    if (user.appleId) {
+      return res.status(400).json({
+        success: false,
+        message: "Apple account is already linked",
+      });
+    }
+
+    let apple;
+    try {
+      apple = await verifyAppleIdentityToken(req.body.identityToken, {
+        nonce: req.body.nonce,
+      });
+    } catch (verifyError) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid Apple identity token",
+      });
+    }
+
+    const existing = await User.findOne({ appleId: apple.id, _id: { $ne: user._id } });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "This Apple account is already linked to another user",
+      });
+    }
+
+    user.appleId = apple.id;
+    user.oauthProfiles.apple = buildAppleProfile(apple, user);
+    await user.save();
+
+    await recordAuditEvent(req, "apple_linked", {
+      metadata: { appleEmail: apple.email, isPrivateEmail: apple.isPrivateEmail },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Apple account linked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unlink Apple account
+exports.unlinkAppleAccount = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (!user.appleId) {
+      return res.status(400).json({
+        success: false,
+        message: "Apple account is not linked",
+      });
+    }
+
+    // Check if user has password or other OAuth methods
+    if (!user.password && !user.googleId && !user.facebookId) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Cannot unlink Apple account. Please set a password first or link another account.",
+      });
+    }
+
+    // Remove Apple data
+    const appleEmail = user.oauthProfiles.apple ? user.oauthProfiles.apple.email : undefined;
+    user.appleId = undefined;
+    user.oauthProfiles.apple = undefined;
+
+    await user.save();
+
+    await recordAuditEvent(req, "apple_unlinked", { metadata: { appleEmail } });
+
+    res.status(200).json({
+      success: true,
+      message: "Apple account unlinked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get OAuth accounts linked to user
+exports.getLinkedAccounts = async (req, res, next) => {
+  try {
+    const user = req.user;
 
     const linkedAccounts = {
       google: !!user.googleId,
       facebook: !!user.facebookId,
+      apple: !!user.appleId,
       hasPassword: !!user.password,
     };
 
@@ -871,6 +1774,127 @@ exports.getLoginHistory = async (req, res, next) => {
   }
 };
 
+// "This wasn't me" link from a new sign-in alert
+exports.denyLoginAlert = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const tokenDoc = await Token.findOneAndUpdate(
+      {
+        token,
+        type: "loginAlert",
+        isUsed: false,
+        expiresAt: { $gt: Date.now() },
+      },
+      { $set: { isUsed: true } },
+      { new: true }
+    );
+
+    if (!tokenDoc) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired link",
+      });
+    }
+
+    const user = await User.findById(tokenDoc.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await enforcePasswordReset(user);
+
+    // Other alert links are redundant now
+    await Token.updateMany(
+      { userId: user._id, type: "loginAlert", isUsed: false },
+      { $set: { isUsed: true } }
+    );
+
+    await SecurityEvent.record(user._id, "login_alert_denied", {
+      req,
+      severity: "high",
+      metadata: tokenDoc.metadata,
+    });
+
+    await recordAuditEvent(req, "login_alert_denied", {
+      actor: user,
+      metadata: tokenDoc.metadata,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "All sessions have been signed out. Check your email to choose a new password.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Publish the public signing keys so other services can verify access tokens
+exports.getJwks = (req, res, next) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.status(200).json(getJwks());
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Describe the password requirements so apps can show them before submission
+exports.getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    policy: getPasswordPolicy(),
+  });
+};
+
+// Get audit events affecting the current user
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = {
+      ...buildAuditFilter(req.query),
+      targetUserId: req.user._id,
+    };
+
+    const { events, totalCount } = await AuditEvent.search(filter, { page, limit });
+
+    // Actions taken by staff show who acted, but not their network details
+    const ownEvents = events.map((event) => {
+      const actorId = event.actorId && event.actorId._id ? event.actorId._id : event.actorId;
+      if (actorId && actorId.equals(req.user._id)) {
+        return event;
+      }
+      const { ipAddress, userAgent, ...rest } = event;
+      return {
+        ...rest,
+        actorId: event.actorId ? { firstName: event.actorId.firstName, lastName: event.actorId.lastName, role: event.actorId.role } : null,
+      };
+    });
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.status(200).json({
+      success: true,
+      events: ownEvents,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get current user
 exports.getCurrentUser = async (req, res, next) => {
   try {
@@ -886,7 +1910,207 @@ exports.getCurrentUser = async (req, res, next) => {
         role: user.role,
         isVerified: user.isVerified,
         isTwoFactorEnabled: user.isTwoFactorEnabled,
+        twoFactorMethod: user.twoFactorMethod,
       },
+      impersonation: req.impersonation
+        ? formatImpersonation(req.impersonation.session, req.impersonation.admin)
+        : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// End the impersonation session the current token belongs to
+exports.endImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: "You are not impersonating a user",
+      });
+    }
+
+    const impersonation = await ImpersonationSession.end(req.impersonation.id, req.impersonation.admin._id);
+
+    if (impersonation) {
+      await recordAuditEvent(req, "impersonation_ended", {
+        resourceType: "impersonation",
+        resourceId: impersonation._id,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Impersonation ended",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Re-confirm the password or a 2FA code to unlock sensitive operations for a few minutes
+exports.stepUp = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = req.user;
+    const sessionId = req.authInfo && req.authInfo.sessionId;
+    const ipAddress = req.ip;
+
+    if (!password && !code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Password, verification code or recovery code is required",
+      });
+    }
+
+    // Step-up is recorded on the device session, so tokens without one must log in again
+    if (!sessionId) {
+      return res.status(401).json({
+        success: false,
+        message: "Please log in again to continue",
+      });
+    }
+
+    let verified = false;
+    let method;
+
+    if (password) {
+      if (!user.password) {
+        return res.status(400).json({
+          success: false,
+          message: "Your account has no password. Confirm with a 2FA code instead.",
+        });
+      }
+
+      // Password guesses here count towards the same lockout as the login form
+      const block = await checkLoginAllowed({ user, ipAddress });
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
+
+      method = "password";
+      verified = await user.comparePassword(password);
+
+      if (!verified) {
+        const lockout = await registerFailedLogin({ user, ipAddress });
+        if (lockout.locked) {
+          await issueUnlockToken(user, lockout.lockUntil);
+
+          return sendLoginBlocked(res, {
+            status: 423,
+            code: "ACCOUNT_LOCKED",
+            message:
+              "Account temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.",
+            retryAfter: lockout.retryAfter,
+          });
+        }
+      } else if (user.failedLoginAttempts || user.lockUntil) {
+        await clearAccountLockout(user);
+      }
+    } else {
+      if (!user.isTwoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "2FA is not enabled",
+        });
+      }
+
+      method = "two_factor";
+      let block;
+      ({ verified, block } = await verifySecondFactor(req, user, { code, recoveryCode }));
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
+    }
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        message: method === "password" ? "Incorrect password" : "Invalid verification code",
+      });
+    }
+
+    const authenticatedAt = new Date();
+    const sessionActive = await Token.recordStepUp(user._id, sessionId, authenticatedAt);
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Please log in again to continue",
+      });
+    }
+
+    // A fresh access token carries the new auth_time; the old one stays valid but not recent
+    const token = generateAccessToken(user, { sessionId, authenticatedAt });
+    const authTime = Math.floor(authenticatedAt.getTime() / 1000);
+
+    res.status(200).json({
+      success: true,
+      message: "Identity confirmed",
+      token,
+      method,
+      stepUpExpiresAt: getStepUpExpiry(authTime),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get active device sessions
+exports.getSessions = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const currentSessionId = req.authInfo && req.authInfo.sessionId;
+
+    const sessions = await Token.getActiveSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => formatSession(session, currentSessionId)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a single device session
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const { sessionId } = req.params;
+
+    const result = await Token.revokeSessions(user._id, { sessionId });
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out of all other devices
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const currentSessionId = req.authInfo && req.authInfo.sessionId;
+
+    const result = await Token.revokeSessions(user._id, {
+      exceptSessionId: currentSessionId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Signed out of all other devices",
+      revokedCount: result.modifiedCount,
     });
   } catch (error) {
     next(error);
@@ -908,7 +2132,7 @@ exports.logout = async (req, res, next) => {
     // Find and invalidate refresh token
     await Token.findOneAndUpdate(
       { token: refreshToken, type: "refresh" },
-      { isUsed: true }
+      { isUsed: true, revokedAt: new Date(), revokedReason: "logout" }
     );
 
     res.status(200).json({
@@ -946,10 +2170,17 @@ exports.testEmail = async (req, res, next) => {
 
 // --- Forgot password for mobile
 /// Forgot Password
-exports.sendForgotPasswordCode = async (req, res) => {
-
-  const { email } = req.body;
+exports.sendForgotPasswordCode = async (req, res, next) => {
   try {
+    const { error, value } = validateForgotPasswordCodeRequest(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { email } = value;
 
     const existingUser = await User.findOne({ email });
     if (!existingUser) {
@@ -959,10 +2190,10 @@ exports.sendForgotPasswordCode = async (req, res) => {
       });
     }
 
-    const codeValue = Math.floor(Math.random() * 1000000).toString();
-    var info = await sendOtpToResetPassword(email, codeValue);
+    const codeValue = generateOtpCode();
+    const message = await sendOtpToResetPassword(existingUser.email, codeValue);
 
-    if (info.accepted[0] === existingUser.email) {
+    if (!getEmailDeliveryError(message)) {
 
       existingUser.forgotPasswordCode = codeValue;
       existingUser.forgotPasswordCodeValidation = Date.now();
@@ -972,17 +2203,24 @@ exports.sendForgotPasswordCode = async (req, res) => {
     return res.status(400).json({ success: false, message: "Code sent failed!" });
 
   } catch (e) {
-    console.log(e);
+    next(e);
   }
 }
 
-exports.verifyForgotPasswordCode = async (req, res) => {
-  const { email, provideCode, newPassword } = req.body;
+exports.verifyForgotPasswordCode = async (req, res, next) => {
   try {
+    const { error, value } = validateForgotPasswordCodeVerification(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
 
-    const codeValue = provideCode.toString();
+    const { email, provideCode, newPassword } = value;
+    const codeValue = String(provideCode);
 
-    const existingUser = await User.findOne({ email }).select("+forgotPasswordCode + forgotPasswordCodeValidation");
+    const existingUser = await User.findOne({ email }).select("+forgotPasswordCode +forgotPasswordCodeValidation +passwordHistory");
 
     if (!existingUser) {
       return res.status(400).json({ success: false, message: "User does not exists!" });
@@ -992,28 +2230,296 @@ exports.verifyForgotPasswordCode = async (req, res) => {
       return res.status(400).json({ success: false, message: "Something is wrong with the code!" });
     }
 
-    if (Date.now() - existingUser.forgotPasswordCodeValidation > 5 * 60 * 1000) {
+    if (isOtpExpired(existingUser.forgotPasswordCodeValidation)) {
       return res.status(400).json({ success: false, message: "code has been expired!" });
     }
 
+    // A forced reset is only completed through the emailed reset link
+    if (existingUser.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        code: "PASSWORD_RESET_REQUIRED",
+        message: "A password reset is required. Use the reset link we emailed you.",
+      });
+    }
+
     if (codeValue === existingUser.forgotPasswordCode) {
+      // The code stays valid so the user can retry with a stronger password
+      const policy = await validatePassword(newPassword, { user: existingUser });
+      if (!policy.valid) {
+        return res.status(400).json(formatPasswordPolicyError(policy));
+      }
+
       // const hashedPassword = await doHash(newPassword, 12);
       existingUser.password = newPassword;
 
       existingUser.forgotPasswordCode = undefined;
       existingUser.forgotPasswordCodeValidation = undefined;
       await existingUser.save();
+
+      await UserSettings.updateOne(
+        { userId: existingUser._id },
+        { $set: { "security.lastPasswordChange": new Date(), "security.passwordChangeRequired": false } }
+      );
+
+      await recordAuditEvent(req, "password_reset", { actor: existingUser, metadata: { method: "otp" } });
+      await notifyPasswordReset(existingUser);
+
       return res.status(200).json({ success: true, message: "Password Updated" });
     }
 
     return res.status(400).json({ success: false, message: "unexpected occured!" });
 
-  } catch (e) { console.log(e); }
+  } catch (e) {
+    next(e);
+  }
 }
 
+// Helper function to check a second factor. Wrong codes count towards the account lockout like
+// wrong passwords, and a pending email/SMS code is dropped after too many wrong guesses.
+// Returns block details instead of checking anything while the account or IP is locked out.
+async function verifySecondFactor(req, user, { code, recoveryCode }) {
+  const ipAddress = req.ip;
 
+  const block = await checkLoginAllowed({ user, ipAddress });
+  if (block) {
+    return { verified: false, usedRecoveryCode: false, block };
+  }
+
+  const result = await checkSecondFactor(user, { code, recoveryCode });
+  if (result.verified) {
+    return result;
+  }
 
+  if (code && (user.twoFactorMethod === "email" || user.twoFactorMethod === "sms")) {
+    await User.registerTwoFactorCodeFailure(user._id);
+  }
 
+  const lockout = await registerFailedLogin({ user, ipAddress });
+  if (lockout.locked) {
+    await issueUnlockToken(user, lockout.lockUntil);
+
+    return {
+      ...result,
+      block: {
+        status: 423,
+        code: "ACCOUNT_LOCKED",
+        message:
+          "Account temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.",
+        retryAfter: lockout.retryAfter,
+      },
+    };
+  }
+
+  return result;
+}
+
+// Helper function to check a 2FA code for the user's method, or consume a recovery code instead
+async function checkSecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    if (user.twoFactorMethod === "email" || user.twoFactorMethod === "sms") {
+      const consumed = await User.consumeTwoFactorCode(user._id, code);
+      return { verified: !!consumed, usedRecoveryCode: false };
+    }
+
+    return {
+      verified: verifyTotpCode(user.twoFactorSecret, code),
+      usedRecoveryCode: false,
+    };
+  }
+
+  if (recoveryCode && (await user.useRecoveryCode(recoveryCode))) {
+    return { verified: true, usedRecoveryCode: true };
+  }
+
+  return { verified: false, usedRecoveryCode: false };
+}
+
+// Helper function to start the second step of a login; sends the code for email/SMS methods
+async function startTwoFactorChallenge(user) {
+  const tempToken = generateTwoFactorToken(user);
+
+  let codeSentTo;
+  if (user.twoFactorMethod !== "authenticator") {
+    codeSentTo = await deliverTwoFactorCode(user);
+  }
+
+  return { tempToken, codeSentTo };
+}
 
+// Helper function to issue an email/SMS 2FA code; returns the masked destination
+async function deliverTwoFactorCode(user) {
+  const code = generateOtpCode();
 
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorCode: code, twoFactorCodeValidation: Date.now(), twoFactorCodeAttempts: 0 } }
+  );
 
+  if (user.twoFactorMethod === "sms") {
+    await sendTwoFactorCodeSms(user.phoneNumber, code);
+    return maskDestination(user.phoneNumber);
+  }
+
+  await sendTwoFactorCodeEmail(user.email, code);
+  return maskDestination(user.email);
+}
+
+// Helper function to respond to a sign-in attempt on a suspended account
+function sendAccountSuspended(res, accountStatus) {
+  return res.status(403).json({
+    success: false,
+    code: "ACCOUNT_SUSPENDED",
+    message: "Your account has been suspended. Please contact support.",
+    reason: accountStatus.suspensionReason,
+  });
+}
+
+// Helper function to respond to a throttled or locked login attempt
+function sendLoginBlocked(res, block) {
+  res.set("Retry-After", String(block.retryAfter));
+  return res.status(block.status).json({
+    success: false,
+    code: block.code,
+    message: block.message,
+    retryAfter: block.retryAfter,
+  });
+}
+
+// Helper function to issue a restricted token when the user must change their password first
+async function getPasswordChangeToken(user) {
+  // Passwords past the maximum age must be changed before the next session
+  if (isPasswordExpired(user)) {
+    await UserSettings.findOneAndUpdate(
+      { userId: user._id },
+      { $set: { "security.passwordChangeRequired": true } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  const settings = await UserSettings.findOne({ userId: user._id }).select("security.passwordChangeRequired");
+  if (!settings || !settings.security || !settings.security.passwordChangeRequired) {
+    return null;
+  }
+
+  return generatePasswordChangeToken(user);
+}
+
+// Helper function to send the restricted token in place of a session
+function sendPasswordChangeRequired(res, passwordChangeToken) {
+  return res.status(200).json({
+    success: true,
+    code: "PASSWORD_CHANGE_REQUIRED",
+    message: "You must change your password before continuing. This token can only be used to change it.",
+    passwordChangeRequired: true,
+    token: passwordChangeToken,
+  });
+}
+
+// Helper function to record a successful sign-in and alert the user if it looks unfamiliar
+async function recordSuccessfulLogin(req, user) {
+  const ipAddress = req.ip || (req.connection && req.connection.remoteAddress);
+  const userAgent = req.headers["user-agent"];
+
+  // Compare before this sign-in becomes part of the history
+  const unfamiliar = detectUnfamiliarLogin(user, { ipAddress, userAgent });
+  rememberLogin(user, { ipAddress, userAgent });
+
+  await user.recordLoginAttempt(ipAddress, userAgent, true);
+
+  if (unfamiliar) {
+    // An alert that fails to send must not fail the sign-in
+    try {
+      await sendUnfamiliarLoginAlert(req, user, unfamiliar);
+    } catch (error) {
+      console.error("New sign-in alert error:", error);
+    }
+  }
+}
+
+// Helper function to record a sign-in that still needs its second factor. It goes into the
+// history as unsuccessful and leaves knownSignIns alone, so a password alone cannot make a
+// device or country look familiar.
+async function recordPendingLogin(req, user) {
+  const ipAddress = req.ip || (req.connection && req.connection.remoteAddress);
+  await user.recordLoginAttempt(ipAddress, req.headers["user-agent"], false);
+}
+
+// Helper function to tell the user their password was reset, by email and notification
+async function notifyPasswordReset(user) {
+  await sendPasswordChangeNotification(user.email, user.firstName);
+  await notifyUser(user._id, "password_changed", {
+    title: "Your password was changed",
+    body: "If you did not make this change, reset your password right away.",
+    link: "/settings/security",
+  });
+}
+
+// Helper function to revoke a refresh token family after a replay and alert the user
+async function handleRefreshTokenReuse(req, user, replayedToken) {
+  const result = await Token.revokeDescendants(replayedToken, "reuse_detected");
+
+  await SecurityEvent.record(user._id, "refresh_token_reuse", {
+    req,
+    severity: "high",
+    metadata: {
+      sessionId: replayedToken.sessionId,
+      replayedTokenId: replayedToken._id,
+      revokedCount: result.modifiedCount,
+    },
+  });
+
+  const settings = await UserSettings.findOne({ userId: user._id });
+  const notify = !settings || settings.security.unusualActivityNotifications !== false;
+
+  if (notify) {
+    try {
+      await sendRefreshTokenReuseAlert(user.email, user.firstName, {
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"],
+        sessionName: replayedToken.sessionName,
+      });
+    } catch (error) {
+      console.error("Refresh token reuse alert email error:", error);
+    }
+
+    await notifyUser(user._id, "refresh_token_reuse", {
+      title: "Sessions signed out after a suspicious refresh",
+      body: "An old sign-in token was used again, so the sessions that came from it were signed out.",
+      link: "/settings/security",
+      data: { sessionId: replayedToken.sessionId },
+    });
+  }
+}
+
+// Helper function to create an unlock token and email it to the user
+async function issueUnlockToken(user, lockUntil) {
+  const unlockToken = crypto.randomBytes(32).toString("hex");
+
+  await Token.create({
+    userId: user._id,
+    token: unlockToken,
+    type: "accountUnlock",
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+  });
+
+  // A failed email must not turn the lockout response into a server error
+  try {
+    await sendAccountUnlockEmail(user.email, unlockToken, lockUntil);
+  } catch (error) {
+    console.error("Account unlock email error:", error);
+  }
+}
+
+// Helper function to build the stored Apple profile
+function buildAppleProfile(apple, { firstName, lastName } = {}) {
+  const name = [firstName, lastName].filter(Boolean).join(" ");
+
+  return {
+    id: apple.id,
+    email: apple.email,
+    name: name || undefined,
+    isPrivateEmail: apple.isPrivateEmail,
+    email_verified: apple.emailVerified,
+  };
+}
@@ -1,7 +1,7 @@
 const BuilderPage = require('../models/builderPage.model');
 const Widget = require('../models/widget.model');
-const BusinessProfile = require('../models/businessProfile.model');
 const { uploadToCloudinary, deleteImage } = require('../utils/cloudinary');
+const { getBusinessRole, getTeamAccess, hasTeamPermission } = require('../utils/teamAccess');
 
 // Create a new builder page
 exports.createPage = async (req, res, next) => {
@@ -33,10 +33,10 @@ exports.createPage = async (req, res, next) => {
       });
     }
 
-    // If businessId is provided, verify ownership
+    // If businessId is provided, verify the user may add content to it
     if (businessId) {
-      const business = await BusinessProfile.findOne({ _id: businessId, userId });
-      if (!business) {
+      const role = await getBusinessRole(businessId, userId);
+      if (!hasTeamPermission(role, 'content:write')) {
         return res.status(403).json({
           success: false,
           message: 'Business profile not found or access denied'
@@ -121,8 +121,9 @@ exports.getPages = async (req, res, next) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Build query
-    const query = { userId };
+    // Build query over the user's own pages and their team businesses
+    const access = await getTeamAccess(userId);
+    const query = access.filter();
     if (businessId) query.businessId = businessId;
     if (pageType) query.pageType = pageType;
     if (status === 'published') query['settings.isPublished'] = true;
@@ -171,7 +172,8 @@ exports.getPageById = async (req, res, next) => {
     const userId = req.user.id;
     const { pageId } = req.params;
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId })
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() })
       .populate('businessId', 'businessName username themeColor')
       .populate('userId', 'email username');
 
@@ -191,7 +193,8 @@ exports.getPageById = async (req, res, next) => {
       data: {
         page,
         widgets,
-        currentVersion: page.currentVersion
+        currentVersion: page.currentVersion,
+        role: access.roleFor(page)
       }
     });
   } catch (error) {
@@ -256,9 +259,13 @@ exports.updatePage = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { pageId } = req.params;
-    const updateData = req.body;
+    const updateData = { ...req.body };
+
+    // The author of a page never changes
+    delete updateData.userId;
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!page) {
       return res.status(404).json({
         success: false,
@@ -266,6 +273,24 @@ exports.updatePage = async (req, res, next) => {
       });
     }
 
+    if (!access.can(page, 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this page'
+      });
+    }
+
+    // Moving the page to another business needs write access there too
+    if (updateData.businessId && String(updateData.businessId) !== String(page.businessId)) {
+      const role = await getBusinessRole(updateData.businessId, userId);
+      if (!hasTeamPermission(role, 'content:write')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Business profile not found or access denied'
+        });
+      }
+    }
+
     // If slug is being updated, check uniqueness
     if (updateData.slug && updateData.slug !== page.slug) {
       const existingPage = await BuilderPage.findOne({
@@ -306,7 +331,8 @@ exports.deletePage = async (req, res, next) => {
     const userId = req.user.id;
     const { pageId } = req.params;
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!page) {
       return res.status(404).json({
         success: false,
@@ -314,6 +340,13 @@ exports.deletePage = async (req, res, next) => {
       });
     }
 
+    if (!access.can(page, 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this page'
+      });
+    }
+
     // Delete associated widgets
     await Widget.deleteMany({ pageId: pageId });
 
@@ -335,7 +368,8 @@ exports.publishPage = async (req, res, next) => {
     const userId = req.user.id;
     const { pageId } = req.params;
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!page) {
       return res.status(404).json({
         success: false,
@@ -343,6 +377,13 @@ exports.publishPage = async (req, res, next) => {
       });
     }
 
+    if (!access.can(page, 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this page'
+      });
+    }
+
     await page.publish();
 
     res.status(200).json({
@@ -361,7 +402,8 @@ exports.unpublishPage = async (req, res, next) => {
     const userId = req.user.id;
     const { pageId } = req.params;
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!page) {
       return res.status(404).json({
         success: false,
@@ -369,6 +411,13 @@ exports.unpublishPage = async (req, res, next) => {
       });
     }
 
+    if (!access.can(page, 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this page'
+      });
+    }
+
     await page.unpublish();
 
     res.status(200).json({
@@ -388,7 +437,8 @@ exports.clonePage = async (req, res, next) => {
     const { pageId } = req.params;
     const { title, slug } = req.body;
 
-    const originalPage = await BuilderPage.findOne({ _id: pageId, userId });
+    const access = await getTeamAccess(userId);
+    const originalPage = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!originalPage) {
       return res.status(404).json({
         success: false,
@@ -396,6 +446,13 @@ exports.clonePage = async (req, res, next) => {
       });
     }
 
+    if (!access.can(originalPage, 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this page'
+      });
+    }
+
     // Check if new slug is unique
     const existingPage = await BuilderPage.findOne({ userId, slug });
     if (existingPage) {
@@ -415,6 +472,7 @@ exports.clonePage = async (req, res, next) => {
     delete clonedData.analytics;
     delete clonedData.publishedAt;
 
+    clonedData.userId = userId;
     clonedData.title = title || `${originalPage.title} (Copy)`;
     clonedData.slug = slug;
     clonedData.settings.isPublished = false;
@@ -446,7 +504,8 @@ exports.getPageVersions = async (req, res, next) => {
     const userId = req.user.id;
     const { pageId } = req.params;
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId })
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() })
       .select('versions title slug');
 
     if (!page) {
@@ -475,7 +534,8 @@ exports.revertToVersion = async (req, res, next) => {
     const { pageId } = req.params;
     const { versionNumber } = req.body;
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!page) {
       return res.status(404).json({
         success: false,
@@ -483,6 +543,13 @@ exports.revertToVersion = async (req, res, next) => {
       });
     }
 
+    if (!access.can(page, 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this page'
+      });
+    }
+
     try {
       page.revertToVersion(versionNumber);
       await page.save();
@@ -510,7 +577,8 @@ exports.getPageAnalytics = async (req, res, next) => {
     const { pageId } = req.params;
     const { period = '30d' } = req.query;
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId })
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() })
       .select('analytics title slug');
 
     if (!page) {
@@ -673,7 +741,8 @@ exports.updateSocialLinks = async (req, res, next) => {
       }
     }
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!page) {
       return res.status(404).json({
         success: false,
@@ -681,6 +750,13 @@ exports.updateSocialLinks = async (req, res, next) => {
       });
     }
 
+    if (!access.can(page, 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this page'
+      });
+    }
+
     // Update social links
     page.socialLinks = socialLinks;
     await page.save();
@@ -710,7 +786,8 @@ exports.updateCallToAction = async (req, res, next) => {
       });
     }
 
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!page) {
       return res.status(404).json({
         success: false,
@@ -718,6 +795,13 @@ exports.updateCallToAction = async (req, res, next) => {
       });
     }
 
+    if (!access.can(page, 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this page'
+      });
+    }
+
     // Update call-to-action configuration
     page.callToAction = { ...page.callToAction, ...callToAction };
     await page.save();
@@ -1,5 +1,8 @@
+const mongoose = require('mongoose');
 const BusinessProfile = require('../models/businessProfile.model');
 const User = require('../models/user.model');
+const TeamMember = require('../models/teamMember.model');
+const { getBusinessRole, hasTeamPermission } = require('../utils/teamAccess');
 const { uploadToCloudinary, deleteImage, extractPublicId } = require('../utils/cloudinary');
 const {
   validateCreateBusinessProfile,
@@ -79,10 +82,7 @@ exports.createProfile = async (req, res, next) => {
 // Get business profile by user ID
 exports.getProfile = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-
-    const profile = await BusinessProfile.findOne({ userId })
-      .populate('userId', 'email firstName lastName');
+    const { profile, role } = await findProfileWithRole(req);
 
     if (!profile) {
       return res.status(404).json({
@@ -91,6 +91,8 @@ exports.getProfile = async (req, res, next) => {
       });
     }
 
+    await profile.populate('userId', 'email firstName lastName');
+
     // Calculate completion percentage
     const completionPercentage = profile.calculateCompletionPercentage();
 
@@ -98,6 +100,7 @@ exports.getProfile = async (req, res, next) => {
       success: true,
       data: {
         profile,
+        role,
         completionPercentage,
         todayHours: profile.todayHours,
         isCurrentlyOpen: profile.isCurrentlyOpen
@@ -143,8 +146,6 @@ exports.getPublicProfile = async (req, res, next) => {
 // Update business profile
 exports.updateProfile = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-
     // Validate input data
     const { error, value } = validateUpdateBusinessProfile(req.body);
     if (error) {
@@ -156,7 +157,7 @@ exports.updateProfile = async (req, res, next) => {
     }
 
     // Find profile
-    const profile = await BusinessProfile.findOne({ userId });
+    const { profile, role } = await findProfileWithRole(req);
     if (!profile) {
       return res.status(404).json({
         success: false,
@@ -164,6 +165,13 @@ exports.updateProfile = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(role, 'business:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow this action',
+      });
+    }
+
     // Check username availability if username is being updated
     if (value.username && value.username !== profile.username) {
       const existingUsername = await BusinessProfile.findOne({
@@ -213,7 +221,7 @@ exports.uploadLogo = async (req, res, next) => {
     }
 
     // Find profile
-    const profile = await BusinessProfile.findOne({ userId });
+    const { profile, role } = await findProfileWithRole(req);
     if (!profile) {
       return res.status(404).json({
         success: false,
@@ -221,6 +229,13 @@ exports.uploadLogo = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(role, 'business:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow this action',
+      });
+    }
+
     // Delete old logo if exists
     if (profile.logo) {
       const oldPublicId = extractPublicId(profile.logo);
@@ -274,7 +289,7 @@ exports.uploadCoverImages = async (req, res, next) => {
     }
 
     // Find profile
-    const profile = await BusinessProfile.findOne({ userId });
+    const { profile, role } = await findProfileWithRole(req);
     if (!profile) {
       return res.status(404).json({
         success: false,
@@ -282,6 +297,13 @@ exports.uploadCoverImages = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(role, 'business:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow this action',
+      });
+    }
+
     // Delete old cover images if they exist
     if (profile.coverImages && profile.coverImages.length > 0) {
       for (const imageUrl of profile.coverImages) {
@@ -330,9 +352,7 @@ exports.uploadCoverImages = async (req, res, next) => {
 // Delete logo
 exports.deleteLogo = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-
-    const profile = await BusinessProfile.findOne({ userId });
+    const { profile, role } = await findProfileWithRole(req);
     if (!profile) {
       return res.status(404).json({
         success: false,
@@ -340,6 +360,13 @@ exports.deleteLogo = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(role, 'business:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow this action',
+      });
+    }
+
     if (!profile.logo) {
       return res.status(400).json({
         success: false,
@@ -373,9 +400,7 @@ exports.deleteLogo = async (req, res, next) => {
 // Delete cover images
 exports.deleteCoverImages = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-
-    const profile = await BusinessProfile.findOne({ userId });
+    const { profile, role } = await findProfileWithRole(req);
     if (!profile) {
       return res.status(404).json({
         success: false,
@@ -383,6 +408,13 @@ exports.deleteCoverImages = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(role, 'business:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow this action',
+      });
+    }
+
     if (!profile.coverImages || profile.coverImages.length === 0) {
       return res.status(400).json({
         success: false,
@@ -661,8 +693,6 @@ exports.checkUsernameAvailability = async (req, res, next) => {
 // Update business hours
 exports.updateBusinessHours = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-
     // Validate business hours
     const { error, value } = validateBusinessHours(req.body);
     if (error) {
@@ -674,7 +704,7 @@ exports.updateBusinessHours = async (req, res, next) => {
     }
 
     // Find profile
-    const profile = await BusinessProfile.findOne({ userId });
+    const { profile, role } = await findProfileWithRole(req);
     if (!profile) {
       return res.status(404).json({
         success: false,
@@ -682,6 +712,13 @@ exports.updateBusinessHours = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(role, 'business:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow this action',
+      });
+    }
+
     // Update business hours
     profile.businessHours = value;
     await profile.save();
@@ -703,9 +740,7 @@ exports.updateBusinessHours = async (req, res, next) => {
 // Get business analytics/metrics
 exports.getAnalytics = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-
-    const profile = await BusinessProfile.findOne({ userId });
+    const { profile } = await findProfileWithRole(req);
     if (!profile) {
       return res.status(404).json({
         success: false,
@@ -738,9 +773,7 @@ exports.getAnalytics = async (req, res, next) => {
 // Delete business profile
 exports.deleteProfile = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-
-    const profile = await BusinessProfile.findOne({ userId });
+    const { profile, role } = await findProfileWithRole(req);
     if (!profile) {
       return res.status(404).json({
         success: false,
@@ -748,6 +781,13 @@ exports.deleteProfile = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(role, 'business:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow this action',
+      });
+    }
+
     // Delete logo from Cloudinary if exists
     if (profile.logo) {
       const publicId = extractPublicId(profile.logo);
@@ -786,8 +826,9 @@ exports.deleteProfile = async (req, res, next) => {
       }
     }
 
-    // Delete profile
+    // Delete profile and its team
     await BusinessProfile.findByIdAndDelete(profile._id);
+    await TeamMember.deleteMany({ businessId: profile._id });
 
     res.status(200).json({
       success: true,
@@ -810,4 +851,23 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
   const distance = R * c; // Distance in kilometers
   return Math.round(distance * 100) / 100; // Round to 2 decimal places
-} 
\ No newline at end of file
+} 
+
+// Helper function to load the caller's own business profile, or a team business chosen with ?businessId=
+async function findProfileWithRole(req) {
+  const userId = req.user.id;
+  const { businessId } = req.query;
+
+  if (!businessId) {
+    const profile = await BusinessProfile.findOne({ userId });
+    return { profile, role: profile ? 'owner' : null };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(businessId)) {
+    return { profile: null, role: null };
+  }
+
+  const role = await getBusinessRole(businessId, userId);
+  const profile = role ? await BusinessProfile.findById(businessId) : null;
+  return { profile, role };
+}
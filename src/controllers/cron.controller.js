@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { getJob } = require('../jobs');
+
+// Run one background job on request from a scheduler (Vercel Cron on serverless deployments)
+exports.runJob = async (req, res, next) => {
+  try {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized'
+      });
+    }
+
+    const job = getJob(req.params.job);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const startedAt = Date.now();
+    const result = await job.run();
+
+    res.status(200).json({
+      success: true,
+      message: `Job ${job.name} completed`,
+      data: {
+        job: job.name,
+        result: result === undefined ? null : result,
+        durationMs: Date.now() - startedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to check the "Authorization: Bearer <CRON_SECRET>" header Vercel Cron sends;
+// without a secret the endpoint stays closed
+function isAuthorizedCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(String(req.headers.authorization || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
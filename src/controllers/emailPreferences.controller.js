@@ -0,0 +1,85 @@
+const {
+  verifyEmailPreferencesToken,
+  getEmailPreferences,
+  updateEmailPreferences
+} = require('../utils/emailSuppression');
+const { validateEmailPreferencesUpdate } = require('../utils/validation');
+
+// Show the per-category subscriptions behind an unsubscribe link
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const link = verifyLink(req, res);
+    if (!link) return;
+
+    const preferences = await getEmailPreferences(link.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email preferences retrieved successfully',
+      data: {
+        ...preferences,
+        // The category of the email the link came from, for the page to highlight
+        linkCategory: link.category
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change per-category subscriptions from an unsubscribe link
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const link = verifyLink(req, res);
+    if (!link) return;
+
+    const { error, value } = validateEmailPreferencesUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const preferences = await updateEmailPreferences(link.email, value);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email preferences updated successfully',
+      data: preferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// One-click unsubscribe from the link's category (List-Unsubscribe-Post, RFC 8058)
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const link = verifyLink(req, res);
+    if (!link) return;
+
+    const preferences = await updateEmailPreferences(link.email, { [link.category]: false });
+
+    res.status(200).json({
+      success: true,
+      message: `Unsubscribed from ${link.category} emails`,
+      data: preferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to check the link token, responding when it is not valid
+function verifyLink(req, res) {
+  const link = verifyEmailPreferencesToken(req.params.token);
+  if (!link) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid unsubscribe link'
+    });
+    return null;
+  }
+  return link;
+}
@@ -1,5 +1,7 @@
 const BusinessProfile = require('../models/businessProfile.model');
 const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const UserSearch = require('../models/userSearch.model');
 const {
   validateExploreBusinesses,
   validateNearbyBusinesses,
@@ -7,6 +9,7 @@ const {
   validateOnTheRise,
   validateRecentSearches
 } = require('../utils/exploreValidation');
+const { isSearchHistoryAllowed } = require('../utils/trackingConsent');
 
 // Get nearby businesses with geo-queries (KON-31)
 exports.getNearbyBusinesses = async (req, res, next) => {
@@ -558,34 +561,31 @@ exports.exploreBusinesses = async (req, res, next) => {
 exports.getRecentSearches = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { limit = 10 } = req.query;
-
-    // This would typically come from a user searches collection
-    // For now, we'll return a mock response
-    const recentSearches = [
-      {
-        id: '1',
-        searchTerm: 'coffee shops',
-        category: 'Food & Beverage',
-        location: 'Downtown',
-        timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
-        resultCount: 15
-      },
-      {
-        id: '2',
-        searchTerm: 'restaurants',
-        category: 'Food & Beverage',
-        priceRange: '$$',
-        timestamp: new Date(Date.now() - 24 * 60 * 60 * 1000), // 1 day ago
-        resultCount: 32
-      }
-    ];
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const settings = await UserSettings.findOne({ userId }).select('dataSettings').lean();
+    if (!isSearchHistoryAllowed(settings && settings.dataSettings)) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          recentSearches: [],
+          totalCount: 0,
+          searchHistoryEnabled: false
+        },
+      });
+    }
+
+    const [searches, totalCount] = await Promise.all([
+      UserSearch.find({ userId }).sort({ createdAt: -1 }).limit(limit),
+      UserSearch.countDocuments({ userId })
+    ]);
 
     res.status(200).json({
       success: true,
       data: {
-        recentSearches: recentSearches.slice(0, limit),
-        totalCount: recentSearches.length
+        recentSearches: searches.map(search => search.getSummary()),
+        totalCount,
+        searchHistoryEnabled: true
       },
     });
   } catch (error) {
@@ -607,16 +607,38 @@ exports.saveRecentSearch = async (req, res, next) => {
       });
     }
 
-    // This would typically save to a user searches collection
-    // For now, we'll return a success response
+    // Users who opted out of personalization or data collection keep no search history
+    const settings = await UserSettings.findOne({ userId }).select('dataSettings').lean();
+    if (!isSearchHistoryAllowed(settings && settings.dataSettings)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Search history is turned off in your data settings',
+        data: { saved: false }
+      });
+    }
+
+    const toArray = (item) => (item === undefined || Array.isArray(item) ? item : [item]);
+    const search = await UserSearch.create({
+      userId,
+      searchTerm: value.searchTerm,
+      category: value.category,
+      location: value.location,
+      coordinates: value.coordinates,
+      filters: {
+        priceRange: toArray(value.priceRange),
+        businessType: value.businessType,
+        features: toArray(value.features),
+        rating: value.rating
+      },
+      resultCount: value.resultCount
+    });
+
     res.status(201).json({
       success: true,
       message: 'Search saved to recent searches',
       data: {
-        searchId: Date.now().toString(),
-        ...value,
-        userId,
-        timestamp: new Date()
+        saved: true,
+        search: search.getSummary()
       }
     });
   } catch (error) {
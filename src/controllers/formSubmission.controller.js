@@ -1,7 +1,8 @@
 const FormSubmission = require('../models/formSubmission.model');
 const BuilderPage = require('../models/builderPage.model');
 const Widget = require('../models/widget.model');
-const BusinessProfile = require('../models/businessProfile.model');
+const { getBusinessRole, getTeamAccess, hasTeamPermission } = require('../utils/teamAccess');
+const { notifyUser } = require('../utils/notifications');
 
 // Submit form data from a user-built page
 exports.submitForm = async (req, res, next) => {
@@ -119,6 +120,14 @@ exports.submitForm = async (req, res, next) => {
     // Update widget analytics
     await widget.updateAnalytics('conversions', 1);
 
+    // Tell the page owner; notifyUser never throws, so the visitor does not wait on delivery
+    notifyUser(page.userId, 'form_submission_received', {
+      title: `New submission on ${page.title}`,
+      body: `Someone submitted a ${submissionType} form on your page.`,
+      link: `/form-submissions/${submission._id}`,
+      data: { submissionId: String(submission._id), pageId: String(page._id), widgetId: String(widgetId) }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Form submitted successfully',
@@ -151,10 +160,10 @@ exports.getSubmissions = async (req, res, next) => {
       period
     } = req.query;
 
-    // Verify business ownership
+    // Verify the user's team role allows reading the business's submissions
     if (businessId) {
-      const business = await BusinessProfile.findOne({ _id: businessId, userId });
-      if (!business) {
+      const role = await getBusinessRole(businessId, userId);
+      if (!hasTeamPermission(role, 'submissions:read')) {
         return res.status(403).json({
           success: false,
           message: 'Business profile not found or access denied'
@@ -162,8 +171,9 @@ exports.getSubmissions = async (req, res, next) => {
       }
     }
 
-    // Build query
-    const query = { businessId: businessId || { $exists: true } };
+    // Build query, limited to businesses the user can read submissions for
+    const access = businessId ? null : await getTeamAccess(userId);
+    const query = { businessId: businessId || { $in: access.businessIds('submissions:read') } };
     if (pageId) query.pageId = pageId;
     if (widgetId) query.widgetId = widgetId;
     if (status) query.status = status;
@@ -225,15 +235,12 @@ exports.getSubmissionById = async (req, res, next) => {
       });
     }
 
-    // Verify access (business owner or page owner)
-    if (submission.businessId) {
-      const business = await BusinessProfile.findOne({ _id: submission.businessId, userId });
-      if (!business) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
+    // Verify access (business team member or page owner)
+    if (!hasTeamPermission(await getSubmissionRole(submission, userId), 'submissions:read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
 
     res.status(200).json({
@@ -261,14 +268,11 @@ exports.updateSubmissionStatus = async (req, res, next) => {
     }
 
     // Verify access
-    if (submission.businessId) {
-      const business = await BusinessProfile.findOne({ _id: submission.businessId, userId });
-      if (!business) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
+    if (!hasTeamPermission(await getSubmissionRole(submission, userId), 'submissions:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
 
     // Update status based on action
@@ -308,10 +312,10 @@ exports.getSubmissionStats = async (req, res, next) => {
     const userId = req.user.id;
     const { businessId, period = '30d' } = req.query;
 
-    // Verify business ownership
+    // Verify the user's team role allows reading the business's submissions
     if (businessId) {
-      const business = await BusinessProfile.findOne({ _id: businessId, userId });
-      if (!business) {
+      const role = await getBusinessRole(businessId, userId);
+      if (!hasTeamPermission(role, 'submissions:read')) {
         return res.status(403).json({
           success: false,
           message: 'Business profile not found or access denied'
@@ -362,14 +366,11 @@ exports.deleteSubmission = async (req, res, next) => {
     }
 
     // Verify access
-    if (submission.businessId) {
-      const business = await BusinessProfile.findOne({ _id: submission.businessId, userId });
-      if (!business) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
+    if (!hasTeamPermission(await getSubmissionRole(submission, userId), 'submissions:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
 
     await FormSubmission.findByIdAndDelete(id);
@@ -407,14 +408,11 @@ exports.bulkUpdateSubmissions = async (req, res, next) => {
     const submissions = await FormSubmission.find({ _id: { $in: submissionIds } });
     
     for (const submission of submissions) {
-      if (submission.businessId) {
-        const business = await BusinessProfile.findOne({ _id: submission.businessId, userId });
-        if (!business) {
-          return res.status(403).json({
-            success: false,
-            message: 'Access denied to one or more submissions'
-          });
-        }
+      if (!hasTeamPermission(await getSubmissionRole(submission, userId), 'submissions:write')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to one or more submissions'
+        });
       }
     }
 
@@ -458,3 +456,15 @@ exports.bulkUpdateSubmissions = async (req, res, next) => {
     next(error);
   }
 };
+
+// Helper function to resolve the user's role for a submission: by its business, else by page ownership
+async function getSubmissionRole(submission, userId) {
+  const businessId = submission.businessId && (submission.businessId._id || submission.businessId);
+  if (businessId) {
+    return getBusinessRole(businessId, userId);
+  }
+
+  const pageId = submission.pageId && (submission.pageId._id || submission.pageId);
+  const page = await BuilderPage.findById(pageId).select('userId');
+  return page && page.userId.toString() === userId.toString() ? 'owner' : null;
+}
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/notification.model');
+const PushDevice = require('../models/pushDevice.model');
+const {
+  validateNotificationQuery,
+  validateMarkAllNotificationsRead,
+  validatePushDevice
+} = require('../utils/validation');
+
+// Get the current user's notification feed, newest first
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { error, value } = validateNotificationQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { category, unreadOnly, page, limit } = value;
+    const query = { userId: req.user._id };
+    if (category) {
+      query.category = category;
+    }
+    if (unreadOnly) {
+      query.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.getUnreadCount(req.user._id, category)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications retrieved successfully',
+      data: {
+        notifications: notifications.map(formatNotification),
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get unread counts, in total and per category
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const counts = await Notification.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(req.user._id)), readAt: null } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    const byCategory = Object.fromEntries(Notification.CATEGORIES.map(category => [category, 0]));
+    counts.forEach(({ _id, count }) => {
+      byCategory[_id] = count;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Unread count retrieved successfully',
+      data: {
+        unreadCount: counts.reduce((sum, { count }) => sum + count, 0),
+        byCategory
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark one notification as read
+exports.markNotificationRead = async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: notificationId, userId: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification: formatNotification(notification),
+        unreadCount: await Notification.getUnreadCount(req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark all notifications as read, optionally only one category
+exports.markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const { error, value } = validateMarkAllNotificationsRead(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const result = await Notification.markAllRead(req.user._id, value.category);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: {
+        updated: result.modifiedCount,
+        unreadCount: await Notification.getUnreadCount(req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the current user's push devices
+exports.getPushDevices = async (req, res, next) => {
+  try {
+    const devices = await PushDevice.find({ userId: req.user._id }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Push devices retrieved successfully',
+      data: {
+        devices: devices.map(formatPushDevice)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Register a device token for push notifications
+exports.registerPushDevice = async (req, res, next) => {
+  try {
+    const { error, value } = validatePushDevice(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const device = await PushDevice.register(req.user._id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Push device registered successfully',
+      data: {
+        device: formatPushDevice(device)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop sending push notifications to a device
+exports.removePushDevice = async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID'
+      });
+    }
+
+    const device = await PushDevice.findOneAndDelete({ _id: deviceId, userId: req.user._id });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Push device not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Push device removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to shape a notification for responses
+function formatNotification(notification) {
+  return {
+    id: notification._id,
+    category: notification.category,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    link: notification.link,
+    data: notification.data,
+    isRead: !!notification.readAt,
+    readAt: notification.readAt,
+    createdAt: notification.createdAt
+  };
+}
+
+// Helper function to shape a push device for responses; the token itself is not echoed back
+function formatPushDevice(device) {
+  return {
+    id: device._id,
+    platform: device.platform,
+    deviceName: device.deviceName,
+    lastSeenAt: device.lastSeenAt,
+    createdAt: device.createdAt
+  };
+}
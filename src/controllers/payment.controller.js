@@ -12,6 +12,7 @@ const {
   subscriptionValidation,
   paymentIntentValidation
 } = require('../utils/paymentValidation');
+const { recordAuditEvent, snapshot } = require('../utils/audit');
 
 // Payment Settings Controllers
 const paymentSettingsController = {
@@ -57,6 +58,7 @@ const paymentSettingsController = {
       const userId = req.user.id;
       
       let paymentSettings = await PaymentSettings.findOne({ userId });
+      const before = snapshot(paymentSettings, Object.keys(req.body));
       if (!paymentSettings) {
         paymentSettings = new PaymentSettings({ userId, ...req.body });
       } else {
@@ -64,6 +66,13 @@ const paymentSettingsController = {
       }
       
       await paymentSettings.save();
+
+      await recordAuditEvent(req, 'payment_settings_updated', {
+        resourceType: 'paymentSettings',
+        resourceId: paymentSettings._id,
+        before,
+        after: snapshot(paymentSettings, Object.keys(req.body))
+      });
       
       res.status(200).json({
         success: true,
@@ -194,6 +203,12 @@ const paymentMethodController = {
         await paymentMethod.setAsDefault();
       }
 
+      await recordAuditEvent(req, 'payment_method_added', {
+        resourceType: 'paymentMethod',
+        resourceId: paymentMethod._id,
+        after: snapshot(paymentMethod, ['type', 'card.brand', 'card.last4', 'isDefault'])
+      });
+
       res.status(201).json({
         success: true,
         message: 'Payment method added successfully',
@@ -231,6 +246,8 @@ const paymentMethodController = {
         });
       }
 
+      const before = snapshot(paymentMethod, Object.keys(req.body));
+
       Object.assign(paymentMethod, req.body);
       await paymentMethod.save();
 
@@ -238,6 +255,13 @@ const paymentMethodController = {
         await paymentMethod.setAsDefault();
       }
 
+      await recordAuditEvent(req, 'payment_method_updated', {
+        resourceType: 'paymentMethod',
+        resourceId: paymentMethod._id,
+        before,
+        after: snapshot(paymentMethod, Object.keys(req.body))
+      });
+
       res.status(200).json({
         success: true,
         message: 'Payment method updated successfully',
@@ -275,6 +299,12 @@ const paymentMethodController = {
 
       await PaymentMethod.findByIdAndDelete(id);
 
+      await recordAuditEvent(req, 'payment_method_removed', {
+        resourceType: 'paymentMethod',
+        resourceId: paymentMethod._id,
+        before: snapshot(paymentMethod, ['type', 'card.brand', 'card.last4', 'isDefault'])
+      });
+
       res.status(200).json({
         success: true,
         message: 'Payment method deleted successfully'
@@ -304,6 +334,11 @@ const paymentMethodController = {
 
       await paymentMethod.setAsDefault();
 
+      await recordAuditEvent(req, 'payment_method_default_changed', {
+        resourceType: 'paymentMethod',
+        resourceId: paymentMethod._id
+      });
+
       res.status(200).json({
         success: true,
         message: 'Default payment method updated successfully',
@@ -467,6 +502,17 @@ const transactionController = {
 
         await transaction.processRefund(refundAmount, refundReason, userId);
 
+        await recordAuditEvent(req, 'transaction_refunded', {
+          resourceType: 'transaction',
+          resourceId: transaction._id,
+          metadata: {
+            refundId: refund.id,
+            amount: refundAmount || transaction.amount,
+            currency: transaction.currency,
+            reason: refundReason
+          }
+        });
+
         res.status(200).json({
           success: true,
           message: 'Refund processed successfully',
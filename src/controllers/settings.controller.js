@@ -1,20 +1,36 @@
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
+const Token = require('../models/token.model');
 const UserSettings = require('../models/userSettings.model');
 const PaymentSettings = require('../models/paymentSettings.model');
 const PaymentMethod = require('../models/paymentMethod.model');
 const Subscription = require('../models/subscription.model');
 const Transaction = require('../models/transaction.model');
+const DataExport = require('../models/dataExport.model');
+const UserSearch = require('../models/userSearch.model');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
-const { sendPasswordChangeNotification } = require('../utils/email');
+const {
+  sendPasswordChangeNotification,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  getEmailDeliveryError
+} = require('../utils/email');
 const { 
   validateAccountDetails, 
   validatePasswordChange, 
+  validateEmailChange,
   validateUserSettings, 
   validateBillingSettings, 
   validateAccountDeletion,
   sanitizeUserInput 
 } = require('../utils/settingsValidation');
+const { recordAuditEvent, snapshot } = require('../utils/audit');
+const { validatePassword, formatPasswordPolicyError } = require('../utils/passwordPolicy');
+const { processDataExport, getExportBucket, hashDownloadToken } = require('../utils/dataExport');
+const { scheduleAccountDeletion, ACCOUNT_DELETION_GRACE_DAYS } = require('../utils/accountDeletion');
+const { isSearchHistoryAllowed } = require('../utils/trackingConsent');
+const { notifyUser } = require('../utils/notifications');
 
 // KON-47: Fetch/Update My Account details
 exports.getAccountDetails = async (req, res, next) => {
@@ -83,6 +99,8 @@ exports.updateAccountDetails = async (req, res, next) => {
       });
     }
 
+    const before = snapshot(req.user, Object.keys(value));
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       { $set: value },
@@ -96,6 +114,11 @@ exports.updateAccountDetails = async (req, res, next) => {
       });
     }
 
+    await recordAuditEvent(req, 'account_updated', {
+      before,
+      after: snapshot(updatedUser, Object.keys(value))
+    });
+
     res.status(200).json({
       success: true,
       message: 'Account details updated successfully',
@@ -108,6 +131,239 @@ exports.updateAccountDetails = async (req, res, next) => {
   }
 };
 
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    // Validate input
+    const { error, value } = validateEmailChange(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { newEmail, password } = value;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from the current email'
+      });
+    }
+
+    // Accounts with a password must confirm it
+    if (user.password) {
+      const isPasswordValid = password && await user.comparePassword(password);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Incorrect password'
+        });
+      }
+    }
+
+    const emailTaken = await User.exists({ email: newEmail });
+    if (emailTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already in use'
+      });
+    }
+
+    // Only one pending change at a time
+    await Token.updateMany(
+      { userId, type: 'emailChange', isUsed: false },
+      { $set: { isUsed: true } }
+    );
+
+    const changeToken = crypto.randomBytes(32).toString('hex');
+    const revertToken = crypto.randomBytes(32).toString('hex');
+    const metadata = { oldEmail: user.email, newEmail };
+
+    await Token.create({
+      userId,
+      token: changeToken,
+      type: 'emailChange',
+      metadata,
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+    });
+
+    await Token.create({
+      userId,
+      token: revertToken,
+      type: 'emailRevert',
+      metadata,
+      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+    });
+
+    // The change needs both the confirmation and the revert link to have gone out
+    const deliveryError = getEmailDeliveryError(
+      await sendEmailChangeConfirmation(newEmail, changeToken, user.firstName)
+    ) || getEmailDeliveryError(
+      await sendEmailChangeNotice(user.email, newEmail, revertToken, user.firstName)
+    );
+    if (deliveryError) {
+      await Token.updateMany(
+        { token: { $in: [changeToken, revertToken] } },
+        { $set: { isUsed: true } }
+      );
+      return res.status(deliveryError.status).json({
+        success: false,
+        message: deliveryError.message
+      });
+    }
+
+    await recordAuditEvent(req, 'email_change_requested', { metadata });
+
+    res.status(200).json({
+      success: true,
+      message: 'Confirmation link sent to the new email address. Your email will change once it is confirmed.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const tokenDoc = await Token.findOneAndUpdate(
+      {
+        token,
+        type: 'emailChange',
+        isUsed: false,
+        expiresAt: { $gt: Date.now() }
+      },
+      { $set: { isUsed: true } },
+      { new: true }
+    );
+
+    if (!tokenDoc) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired email change token'
+      });
+    }
+
+    const { oldEmail, newEmail } = tokenDoc.metadata || {};
+
+    const user = await User.findById(tokenDoc.userId);
+    if (!user || user.email !== oldEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email change is no longer valid'
+      });
+    }
+
+    const emailTaken = await User.exists({ email: newEmail, _id: { $ne: user._id } });
+    if (emailTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already in use'
+      });
+    }
+
+    applyEmailChange(user, newEmail);
+    await user.save();
+
+    // Sign out everywhere; the old address may have been compromised
+    await Token.revokeSessions(user._id);
+
+    await recordAuditEvent(req, 'email_changed', {
+      actor: user,
+      before: { email: oldEmail },
+      after: { email: newEmail }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email changed successfully. Please log in again with your new email.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.revertEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const tokenDoc = await Token.findOneAndUpdate(
+      {
+        token,
+        type: 'emailRevert',
+        isUsed: false,
+        expiresAt: { $gt: Date.now() }
+      },
+      { $set: { isUsed: true } },
+      { new: true }
+    );
+
+    if (!tokenDoc) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired revert token'
+      });
+    }
+
+    const { oldEmail, newEmail } = tokenDoc.metadata || {};
+
+    // Cancel the change if it is still pending
+    await Token.updateMany(
+      { userId: tokenDoc.userId, type: 'emailChange', isUsed: false },
+      { $set: { isUsed: true } }
+    );
+
+    const user = await User.findById(tokenDoc.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.email === newEmail) {
+      const emailTaken = await User.exists({ email: oldEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        return res.status(409).json({
+          success: false,
+          message: 'The previous email address is now used by another account. Please contact support.'
+        });
+      }
+
+      applyEmailChange(user, oldEmail);
+      await user.save();
+    }
+
+    await Token.revokeSessions(user._id);
+
+    await recordAuditEvent(req, 'email_change_reverted', {
+      actor: user,
+      before: { email: newEmail },
+      after: { email: user.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email change reverted. All sessions have been signed out; we recommend resetting your password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.changePassword = async (req, res, next) => {
   try {
     const userId = req.user.id;
@@ -124,7 +380,7 @@ exports.changePassword = async (req, res, next) => {
 
     const { currentPassword, newPassword } = value;
 
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select('+passwordHistory');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -132,6 +388,15 @@ exports.changePassword = async (req, res, next) => {
       });
     }
 
+    // After a forced reset the current password proves nothing; only the emailed link can change it
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'A password reset is required. Use the reset link we emailed you.'
+      });
+    }
+
     // Verify current password
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
     if (!isCurrentPasswordValid) {
@@ -141,6 +406,11 @@ exports.changePassword = async (req, res, next) => {
       });
     }
 
+    const policy = await validatePassword(newPassword, { user });
+    if (!policy.valid) {
+      return res.status(400).json(formatPasswordPolicyError(policy));
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
@@ -157,8 +427,15 @@ exports.changePassword = async (req, res, next) => {
       { upsert: true }
     );
 
+    await recordAuditEvent(req, 'password_changed');
+
     // Send notification email
     await sendPasswordChangeNotification(user.email, user.firstName);
+    await notifyUser(user._id, 'password_changed', {
+      title: 'Your password was changed',
+      body: 'If you did not make this change, reset your password right away.',
+      link: '/settings/security'
+    });
 
     res.status(200).json({
       success: true,
@@ -190,6 +467,9 @@ exports.updateUserSettings = async (req, res, next) => {
       userSettings = await UserSettings.createDefaultSettings(userId);
     }
 
+    const auditedSections = Object.keys(value);
+    const before = snapshot(userSettings, auditedSections);
+
     // Update preferences
     if (preferences) {
       Object.keys(preferences).forEach(key => {
@@ -241,6 +521,18 @@ exports.updateUserSettings = async (req, res, next) => {
 
     await userSettings.save();
 
+    // Opting out of personalization or data collection also clears the stored search history
+    if (dataSettings && !isSearchHistoryAllowed(userSettings.dataSettings)) {
+      await UserSearch.deleteMany({ userId });
+    }
+
+    await recordAuditEvent(req, 'settings_updated', {
+      resourceType: 'userSettings',
+      resourceId: userSettings._id,
+      before,
+      after: snapshot(userSettings, auditedSections)
+    });
+
     res.status(200).json({
       success: true,
       message: 'User settings updated successfully',
@@ -308,6 +600,7 @@ exports.updateBillingSettings = async (req, res, next) => {
     }
 
     let paymentSettings = await PaymentSettings.findOne({ userId });
+    const before = snapshot(paymentSettings, Object.keys(value));
     
     if (!paymentSettings) {
       paymentSettings = new PaymentSettings({ userId, ...value });
@@ -317,6 +610,13 @@ exports.updateBillingSettings = async (req, res, next) => {
 
     await paymentSettings.save();
 
+    await recordAuditEvent(req, 'billing_settings_updated', {
+      resourceType: 'paymentSettings',
+      resourceId: paymentSettings._id,
+      before,
+      after: snapshot(paymentSettings, Object.keys(value))
+    });
+
     res.status(200).json({
       success: true,
       message: 'Billing settings updated successfully',
@@ -650,38 +950,124 @@ exports.getTermsAndPolicies = async (req, res, next) => {
 };
 
 // Export account data (GDPR compliance)
+// The archive is built in the background and the download link is emailed when it is ready
 exports.exportAccountData = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
-    // Get all user data
-    const user = await User.findById(userId).select('-password');
-    const userSettings = await UserSettings.findOne({ userId });
-    const paymentSettings = await PaymentSettings.findOne({ userId });
-    const subscriptions = await Subscription.find({ userId }).populate('planId');
-    const transactions = await Transaction.find({ userId });
-    const paymentMethods = await PaymentMethod.find({ userId });
-
-    const exportData = {
-      exportDate: new Date(),
-      user,
-      userSettings,
-      paymentSettings,
-      subscriptions,
-      transactions,
-      paymentMethods
-    };
+    // One export at a time; asking again returns the one in progress
+    const inProgress = await DataExport.findOne({ userId, status: { $in: ['pending', 'processing'] } });
+    if (inProgress) {
+      return res.status(202).json({
+        success: true,
+        message: 'Your data export is already being prepared',
+        data: formatDataExport(inProgress)
+      });
+    }
+
+    const dataExport = await DataExport.create({ userId });
+
+    await recordAuditEvent(req, 'account_data_export_requested', {
+      resourceType: 'dataExport',
+      resourceId: dataExport._id
+    });
+
+    // Start right away; the scheduled job picks it up if this process stops first
+    setImmediate(() => {
+      processDataExport(dataExport._id).catch((error) => console.error('Data export error:', error));
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared. We will email you a download link when it is ready.',
+      data: formatDataExport(dataExport)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Old export endpoint; a GET must not start an export, so point callers at the new one
+exports.exportAccountDataGone = async (req, res) => {
+  res.status(410).json({
+    success: false,
+    message: 'This endpoint has been removed. Request a data export with POST /api/settings/data-exports.',
+    data: {
+      method: 'POST',
+      url: '/api/settings/data-exports'
+    }
+  });
+};
+
+// List the user's data exports
+exports.getDataExports = async (req, res, next) => {
+  try {
+    const dataExports = await DataExport.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(20);
 
     res.status(200).json({
       success: true,
-      message: 'Account data exported successfully',
-      data: exportData
+      message: 'Data exports retrieved successfully',
+      data: dataExports.map(formatDataExport)
     });
   } catch (error) {
     next(error);
   }
 };
 
+// Download a finished export with the token from the emailed link
+exports.downloadDataExport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { token } = req.query;
+
+    if (!token || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    const dataExport = await DataExport.findOne({ _id: id, downloadTokenHash: hashDownloadToken(token) });
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    if (!dataExport.isDownloadable()) {
+      return res.status(410).json({
+        success: false,
+        message: 'This download link has expired. Please request a new export.'
+      });
+    }
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    await recordAuditEvent(req, 'account_data_downloaded', {
+      actor: { _id: dataExport.userId, role: 'user' },
+      resourceType: 'dataExport',
+      resourceId: dataExport._id
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${dataExport.fileName}"`,
+      'Content-Length': dataExport.size
+    });
+
+    getExportBucket()
+      .openDownloadStream(dataExport.fileId)
+      .on('error', next)
+      .pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Delete account
 exports.deleteAccount = async (req, res, next) => {
   try {
@@ -716,29 +1102,46 @@ exports.deleteAccount = async (req, res, next) => {
       });
     }
 
-    // Mark account as deleted instead of hard delete
-    await UserSettings.findOneAndUpdate(
-      { userId },
-      { 
-        $set: { 
-          'accountStatus.isDeleted': true,
-          'accountStatus.deletedAt': new Date(),
-          'accountStatus.deleteReason': reason || 'User requested deletion',
-          'accountStatus.isActive': false
-        }
-      },
-      { upsert: true }
-    );
-
-    // Deactivate user account
-    user.isVerified = false;
-    await user.save();
+    // The account is purged once the grace period ends; logging back in before then cancels it
+    const scheduledFor = await scheduleAccountDeletion(req, user, { reason });
 
     res.status(200).json({
       success: true,
-      message: 'Account deletion initiated successfully'
+      message: 'Account deletion scheduled. Log in again before the scheduled date to cancel it.',
+      data: {
+        scheduledFor,
+        gracePeriodDays: ACCOUNT_DELETION_GRACE_DAYS
+      }
     });
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
+
+// Helper function to describe a data export without its file or token
+function formatDataExport(dataExport) {
+  return {
+    id: dataExport._id,
+    status: dataExport.status,
+    requestedAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    size: dataExport.size,
+    counts: dataExport.counts,
+    expiresAt: dataExport.expiresAt,
+    downloadCount: dataExport.downloadCount
+  };
+}
+
+// Helper function to swap the login email while keeping linked identities consistent
+function applyEmailChange(user, email) {
+  user.email = email;
+  user.isVerified = true;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+
+  // A linked Google account is found by its ID once the emails no longer match
+  const google = user.oauthProfiles && user.oauthProfiles.google;
+  if (google && google.id && !user.googleId) {
+    user.googleId = google.id;
+  }
+}
@@ -7,6 +7,10 @@ const {
   subscriptionPlanValidation,
   subscriptionValidation
 } = require('../utils/paymentValidation');
+const { recordAuditEvent, snapshot } = require('../utils/audit');
+
+// Subscription fields captured in audit snapshots
+const AUDITED_SUBSCRIPTION_FIELDS = ['planId', 'status', 'cancelAtPeriodEnd', 'canceledAt', 'currentPeriodEnd'];
 
 // Subscription Plan Controllers
 const subscriptionPlanController = {
@@ -136,6 +140,13 @@ const subscriptionPlanController = {
       });
       
       await plan.save();
+
+      await recordAuditEvent(req, 'plan_created', {
+        targetUserId: null,
+        resourceType: 'subscriptionPlan',
+        resourceId: plan._id,
+        after: { name: plan.name, type: plan.type, price: plan.price }
+      });
       
       res.status(201).json({
         success: true,
@@ -173,8 +184,18 @@ const subscriptionPlanController = {
         });
       }
 
+      const before = snapshot(plan, Object.keys(req.body));
+
       Object.assign(plan, req.body);
       await plan.save();
+
+      await recordAuditEvent(req, 'plan_updated', {
+        targetUserId: null,
+        resourceType: 'subscriptionPlan',
+        resourceId: plan._id,
+        before,
+        after: snapshot(plan, Object.keys(req.body))
+      });
       
       res.status(200).json({
         success: true,
@@ -228,6 +249,13 @@ const subscriptionPlanController = {
       }
 
       await SubscriptionPlan.findByIdAndDelete(id);
+
+      await recordAuditEvent(req, 'plan_deleted', {
+        targetUserId: null,
+        resourceType: 'subscriptionPlan',
+        resourceId: plan._id,
+        before: { name: plan.name, type: plan.type, price: plan.price }
+      });
       
       res.status(200).json({
         success: true,
@@ -515,6 +543,13 @@ const subscriptionController = {
         await transaction.save();
       }
 
+      await recordAuditEvent(req, 'subscription_created', {
+        resourceType: 'subscription',
+        resourceId: subscription._id,
+        after: snapshot(subscription, AUDITED_SUBSCRIPTION_FIELDS),
+        metadata: { planName: plan.name }
+      });
+
       await subscription.populate('planId paymentMethodId');
 
       res.status(201).json({
@@ -554,9 +589,18 @@ const subscriptionController = {
         });
       }
 
+      const before = snapshot(subscription, Object.keys(req.body));
+
       Object.assign(subscription, req.body);
       await subscription.save();
 
+      await recordAuditEvent(req, 'subscription_updated', {
+        resourceType: 'subscription',
+        resourceId: subscription._id,
+        before,
+        after: snapshot(subscription, Object.keys(req.body))
+      });
+
       res.status(200).json({
         success: true,
         message: 'Subscription updated successfully',
@@ -617,8 +661,18 @@ const subscriptionController = {
         }
       }
 
+      const before = snapshot(subscription, AUDITED_SUBSCRIPTION_FIELDS);
+
       await subscription.cancel(reason, immediately);
 
+      await recordAuditEvent(req, 'subscription_canceled', {
+        resourceType: 'subscription',
+        resourceId: subscription._id,
+        before,
+        after: snapshot(subscription, AUDITED_SUBSCRIPTION_FIELDS),
+        metadata: { reason, immediately: !!immediately }
+      });
+
       res.status(200).json({
         success: true,
         message: 'Subscription canceled successfully',
@@ -647,8 +701,17 @@ const subscriptionController = {
         });
       }
 
+      const before = snapshot(subscription, AUDITED_SUBSCRIPTION_FIELDS);
+
       await subscription.reactivate();
 
+      await recordAuditEvent(req, 'subscription_reactivated', {
+        resourceType: 'subscription',
+        resourceId: subscription._id,
+        before,
+        after: snapshot(subscription, AUDITED_SUBSCRIPTION_FIELDS)
+      });
+
       res.status(200).json({
         success: true,
         message: 'Subscription reactivated successfully',
@@ -716,8 +779,18 @@ const subscriptionController = {
         }
       }
 
+      const before = snapshot(subscription, AUDITED_SUBSCRIPTION_FIELDS);
+
       await subscription.changePlan(planId, prorationBehavior);
 
+      await recordAuditEvent(req, 'subscription_plan_changed', {
+        resourceType: 'subscription',
+        resourceId: subscription._id,
+        before,
+        after: snapshot(subscription, AUDITED_SUBSCRIPTION_FIELDS),
+        metadata: { prorationBehavior }
+      });
+
       res.status(200).json({
         success: true,
         message: 'Subscription plan changed successfully',
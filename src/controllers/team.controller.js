@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BusinessProfile = require('../models/businessProfile.model');
+const TeamMember = require('../models/teamMember.model');
+const { sendTeamInvitationEmail, getEmailDeliveryError } = require('../utils/email');
+const { validateTeamInvitation, validateTeamRoleUpdate } = require('../utils/validation');
+const {
+  getBusinessRole,
+  getSeatUsage,
+  reserveTeamSeat,
+  syncSeatUsage,
+  hasTeamPermission
+} = require('../utils/teamAccess');
+
+// How long an invitation stays open
+const INVITATION_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Get the workspaces the current user owns or belongs to
+exports.getMyTeams = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const ownedBusinesses = await BusinessProfile.find({ userId })
+      .select('businessName username logo');
+
+    const memberships = await TeamMember.getMemberships(userId)
+      .populate('businessId', 'businessName username logo');
+
+    const teams = [
+      ...ownedBusinesses.map(business => ({ business, role: 'owner' })),
+      ...memberships
+        .filter(membership => membership.businessId)
+        .map(membership => ({ business: membership.businessId, role: membership.role, memberId: membership._id }))
+    ];
+
+    res.status(200).json({
+      success: true,
+      message: 'Teams retrieved successfully',
+      data: { teams }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List members, open invitations and seat usage for a business
+exports.getMembers = async (req, res, next) => {
+  try {
+    const { businessId } = req.params;
+
+    const { business, role } = await loadBusiness(businessId, req.user.id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business profile not found'
+      });
+    }
+
+    await business.populate('userId', 'email firstName lastName');
+
+    const members = await TeamMember.find({
+      businessId,
+      status: { $in: ['active', 'pending'] }
+    })
+      .populate('userId', 'email firstName lastName profilePicture')
+      .populate('invitedBy', 'email firstName lastName')
+      .sort({ createdAt: 1 });
+
+    const { used, limit } = await getSeatUsage(business);
+
+    res.status(200).json({
+      success: true,
+      message: 'Team members retrieved successfully',
+      data: {
+        owner: business.userId,
+        role,
+        members: members.map(member => ({
+          ...member.toObject(),
+          isExpired: member.status === 'pending' && !member.isInvitationOpen()
+        })),
+        seats: { used, limit }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite someone to a business team by email
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const { businessId } = req.params;
+
+    const { error, value } = validateTeamInvitation(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { business, role } = await loadBusiness(businessId, req.user.id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business profile not found'
+      });
+    }
+
+    if (!hasTeamPermission(role, 'team:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow managing members'
+      });
+    }
+
+    // Only the owner can hand out admin rights
+    if (value.role === 'admin' && role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the business owner can invite admins'
+      });
+    }
+
+    await business.populate('userId', 'email');
+    if (business.userId.email === value.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The business owner is already part of the team'
+      });
+    }
+
+    const existing = await TeamMember.findOne({
+      businessId,
+      email: value.email,
+      $or: [
+        { status: 'active' },
+        { status: 'pending', inviteExpiresAt: { $gt: new Date() } }
+      ]
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: existing.status === 'active'
+          ? 'This person is already a team member'
+          : 'An invitation is already pending for this email'
+      });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+
+    // Every active member and open invitation takes a seat
+    const reservation = await reserveTeamSeat(business, () => TeamMember.create({
+      businessId,
+      email: value.email,
+      role: value.role,
+      invitedBy: req.user.id,
+      inviteToken,
+      inviteExpiresAt: new Date(Date.now() + INVITATION_EXPIRY_MS)
+    }));
+
+    if (reservation.busy) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another invitation for this business is being sent. Please try again.'
+      });
+    }
+
+    const { used, limit } = reservation;
+    if (reservation.full) {
+      return res.status(403).json({
+        success: false,
+        code: 'TEAM_SEAT_LIMIT_REACHED',
+        message: `Your plan allows ${limit} team seat${limit === 1 ? '' : 's'}. Upgrade your plan to invite more members.`,
+        seats: { used, limit }
+      });
+    }
+
+    const member = reservation.result;
+
+    const email = await sendTeamInvitationEmail(value.email, inviteToken, {
+      business,
+      inviterName: [req.user.firstName, req.user.lastName].filter(Boolean).join(' '),
+      role: value.role
+    });
+
+    // An invitation nobody will receive should not hold a seat
+    const deliveryError = getEmailDeliveryError(email);
+    if (deliveryError) {
+      await TeamMember.deleteOne({ _id: member._id });
+      return res.status(deliveryError.status).json({
+        success: false,
+        message: `The invitation could not be sent. ${deliveryError.message}`
+      });
+    }
+
+    await syncSeatUsage(business);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        member: {
+          id: member._id,
+          email: member.email,
+          role: member.role,
+          status: member.status,
+          inviteExpiresAt: member.inviteExpiresAt
+        },
+        seats: { used: used + 1, limit }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a member's role
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const { businessId, memberId } = req.params;
+
+    const { error, value } = validateTeamRoleUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { business, role } = await loadBusiness(businessId, req.user.id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business profile not found'
+      });
+    }
+
+    if (!hasTeamPermission(role, 'team:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow managing members'
+      });
+    }
+
+    const member = await findMember(businessId, memberId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    // Admin rights are granted and withdrawn by the owner only
+    if ((member.role === 'admin' || value.role === 'admin') && role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the business owner can change admin roles'
+      });
+    }
+
+    member.role = value.role;
+    await member.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Team member role updated successfully',
+      data: { member }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a member or cancel an invitation; members may also remove themselves
+exports.removeMember = async (req, res, next) => {
+  try {
+    const { businessId, memberId } = req.params;
+
+    const { business, role } = await loadBusiness(businessId, req.user.id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business profile not found'
+      });
+    }
+
+    const member = await findMember(businessId, memberId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    const isSelf = member.userId && member.userId.toString() === req.user.id.toString();
+
+    if (!isSelf) {
+      if (!hasTeamPermission(role, 'team:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your team role does not allow managing members'
+        });
+      }
+
+      if (member.role === 'admin' && role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the business owner can remove admins'
+        });
+      }
+    }
+
+    member.status = 'revoked';
+    member.inviteToken = undefined;
+    member.respondedAt = member.respondedAt || new Date();
+    await member.save();
+
+    await syncSeatUsage(business);
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You have left the team' : 'Team member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get pending invitations addressed to the current user's email
+exports.getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await TeamMember.find({
+      email: req.user.email,
+      status: 'pending',
+      inviteExpiresAt: { $gt: new Date() }
+    })
+      .select('+inviteToken')
+      .populate('businessId', 'businessName username logo')
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitations retrieved successfully',
+      data: {
+        invitations: invitations.map(invitation => ({
+          id: invitation._id,
+          token: invitation.inviteToken,
+          business: invitation.businessId,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          inviteExpiresAt: invitation.inviteExpiresAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept an invitation; it must be addressed to the signed-in user's email
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const invitation = await TeamMember.findOne({ inviteToken: token });
+    if (!invitation || !invitation.isInvitationOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const business = await BusinessProfile.findById(invitation.businessId);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business profile not found'
+      });
+    }
+
+    // Single use: only one request can move the invitation out of pending
+    const member = await TeamMember.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      {
+        $set: { status: 'active', userId: req.user.id, respondedAt: new Date() },
+        $unset: { inviteToken: 1 }
+      },
+      { new: true }
+    );
+
+    if (!member) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    await syncSeatUsage(business);
+
+    res.status(200).json({
+      success: true,
+      message: `You have joined ${business.businessName}`,
+      data: {
+        business: {
+          id: business._id,
+          businessName: business.businessName,
+          username: business.username
+        },
+        role: member.role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decline an invitation; the token from the email is enough
+exports.declineInvitation = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const invitation = await TeamMember.findOneAndUpdate(
+      { inviteToken: token, status: 'pending' },
+      {
+        $set: { status: 'declined', respondedAt: new Date() },
+        $unset: { inviteToken: 1 }
+      },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const business = await BusinessProfile.findById(invitation.businessId);
+    if (business) {
+      await syncSeatUsage(business);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to load a business the user has any role in
+async function loadBusiness(businessId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(businessId)) {
+    return { business: null, role: null };
+  }
+
+  const role = await getBusinessRole(businessId, userId);
+  const business = role ? await BusinessProfile.findById(businessId) : null;
+  return { business, role };
+}
+
+// Helper function to find an active member or pending invitation of a business
+function findMember(businessId, memberId) {
+  if (!mongoose.Types.ObjectId.isValid(memberId)) {
+    return null;
+  }
+
+  return TeamMember.findOne({
+    _id: memberId,
+    businessId,
+    status: { $in: ['active', 'pending'] }
+  });
+}
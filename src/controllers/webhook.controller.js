@@ -3,6 +3,9 @@ const Subscription = require('../models/subscription.model');
 const Transaction = require('../models/transaction.model');
 const PaymentMethod = require('../models/paymentMethod.model');
 const User = require('../models/user.model');
+const { notifyUser } = require('../utils/notifications');
+const { recordEmailEvent, verifyEmailWebhookSignature } = require('../utils/emailSuppression');
+const { validateEmailEventPayload } = require('../utils/validation');
 
 const webhookController = {
   // Handle Stripe webhooks
@@ -82,6 +85,60 @@ const webhookController = {
         error: error.message
       });
     }
+  },
+
+  // Handle bounce, complaint and unsubscribe events from the email provider
+  handleEmailEvents: async (req, res) => {
+    // express.raw only fills the body for application/json requests
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expected an application/json body'
+      });
+    }
+
+    if (!verifyEmailWebhookSignature(req.body, req.headers['x-email-signature'])) {
+      console.error('Email webhook signature verification failed');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString('utf8'));
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Malformed JSON payload'
+      });
+    }
+
+    const { error, value } = validateEmailEventPayload(payload);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    try {
+      const results = {};
+      for (const event of value.events) {
+        const outcome = await recordEmailEvent(event, value.provider);
+        results[outcome] = (results[outcome] || 0) + 1;
+      }
+
+      res.status(200).json({ received: true, processed: value.events.length, results });
+    } catch (error) {
+      console.error('Error processing email webhook:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error processing webhook',
+        error: error.message
+      });
+    }
   }
 };
 
@@ -145,12 +202,19 @@ async function handleSubscriptionDeleted(stripeSubscription) {
   try {
     const subscription = await Subscription.findOne({
       'stripeData.subscriptionId': stripeSubscription.id
-    });
+    }).populate('planId');
 
     if (subscription) {
       subscription.status = 'canceled';
       subscription.canceledAt = new Date();
       await subscription.save();
+
+      await notifyUser(subscription.userId, 'subscription_canceled', {
+        title: 'Your subscription has ended',
+        body: `Your ${subscription.planId?.name || 'subscription'} plan is no longer active.`,
+        link: '/settings/billing',
+        data: { subscriptionId: String(subscription._id) }
+      });
     }
   } catch (error) {
     console.error('Error handling subscription deleted:', error);
@@ -197,6 +261,13 @@ async function handleInvoicePaymentSucceeded(invoice) {
 
       await transaction.save();
 
+      await notifyUser(subscription.userId, 'payment_succeeded', {
+        title: 'Payment received',
+        body: `We received your payment of ${formatInvoiceAmount(invoice.amount_paid, invoice.currency)} for ${subscription.planId?.name || 'your subscription'}.`,
+        link: '/settings/billing',
+        data: { invoiceId: invoice.id, transactionId: String(transaction._id) }
+      });
+
       // Reset usage for new billing period if needed
       if (subscription.status === 'active') {
         await subscription.resetUsage();
@@ -245,6 +316,13 @@ async function handleInvoicePaymentFailed(invoice) {
       });
 
       await transaction.save();
+
+      await notifyUser(subscription.userId, 'payment_failed', {
+        title: 'Payment failed',
+        body: `We could not collect your payment of ${formatInvoiceAmount(invoice.amount_due, invoice.currency)}. Please update your payment method.`,
+        link: '/settings/billing',
+        data: { invoiceId: invoice.id, transactionId: String(transaction._id) }
+      });
     }
   } catch (error) {
     console.error('Error handling invoice payment failed:', error);
@@ -439,4 +517,9 @@ function mapStripeStatus(stripeStatus) {
   return statusMap[stripeStatus] || stripeStatus;
 }
 
+// Helper function to format a Stripe amount in the smallest currency unit, e.g. "19.99 USD"
+function formatInvoiceAmount(amount, currency) {
+  return `${((amount || 0) / 100).toFixed(2)} ${(currency || '').toUpperCase()}`;
+}
+
 module.exports = webhookController; 
\ No newline at end of file
@@ -1,7 +1,7 @@
 const Widget = require('../models/widget.model');
 const BuilderPage = require('../models/builderPage.model');
-const BusinessProfile = require('../models/businessProfile.model');
 const { uploadToCloudinary, deleteImage } = require('../utils/cloudinary');
+const { getTeamAccess, hasTeamPermission } = require('../utils/teamAccess');
 
 // Create a new widget
 exports.createWidget = async (req, res, next) => {
@@ -25,10 +25,12 @@ exports.createWidget = async (req, res, next) => {
       });
     }
 
-    // If pageId is provided, verify page ownership
+    // If pageId is provided, verify the user may edit the page
+    let page;
     if (pageId) {
-      const page = await BuilderPage.findOne({ _id: pageId, userId });
-      if (!page) {
+      const access = await getTeamAccess(userId);
+      page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
+      if (!page || !access.can(page, 'content:write')) {
         return res.status(403).json({
           success: false,
           message: 'Page not found or access denied'
@@ -39,6 +41,7 @@ exports.createWidget = async (req, res, next) => {
     // Create widget data
     const widgetData = {
       userId,
+      businessId: page ? page.businessId : undefined,
       pageId,
       name,
       type,
@@ -77,8 +80,9 @@ exports.getWidgets = async (req, res, next) => {
       sortOrder = 'asc'
     } = req.query;
 
-    // Build query
-    const query = { userId };
+    // Build query over the user's own widgets and their team businesses
+    const access = await getTeamAccess(userId);
+    const query = await buildWidgetFilter(access);
     if (pageId) query.pageId = pageId;
     if (type) query.type = type;
     if (category) query.category = category;
@@ -126,7 +130,8 @@ exports.getWidgetById = async (req, res, next) => {
     const userId = req.user.id;
     const { id } = req.params;
 
-    const widget = await Widget.findOne({ _id: id, userId })
+    const access = await getTeamAccess(userId);
+    const widget = await Widget.findOne({ _id: id, ...(await buildWidgetFilter(access)) })
       .populate('pageId', 'title slug')
       .populate('metadata.author', 'username email');
 
@@ -151,9 +156,14 @@ exports.updateWidget = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { id } = req.params;
-    const updateData = req.body;
+    const updateData = { ...req.body };
 
-    const widget = await Widget.findOne({ _id: id, userId });
+    // Ownership follows the page, so it cannot be set directly
+    delete updateData.userId;
+    delete updateData.businessId;
+
+    const access = await getTeamAccess(userId);
+    const widget = await Widget.findOne({ _id: id, ...(await buildWidgetFilter(access)) });
     if (!widget) {
       return res.status(404).json({
         success: false,
@@ -161,6 +171,25 @@ exports.updateWidget = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(await getWidgetRole(access, widget), 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this widget'
+      });
+    }
+
+    // Moving the widget to another page needs write access to that page
+    if (updateData.pageId && String(updateData.pageId) !== String(widget.pageId)) {
+      const page = await BuilderPage.findOne({ _id: updateData.pageId, ...access.filter() });
+      if (!page || !access.can(page, 'content:write')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Page not found or access denied'
+        });
+      }
+      widget.businessId = page.businessId;
+    }
+
     // Update widget
     Object.assign(widget, updateData);
     await widget.save();
@@ -181,7 +210,8 @@ exports.deleteWidget = async (req, res, next) => {
     const userId = req.user.id;
     const { id } = req.params;
 
-    const widget = await Widget.findOne({ _id: id, userId });
+    const access = await getTeamAccess(userId);
+    const widget = await Widget.findOne({ _id: id, ...(await buildWidgetFilter(access)) });
     if (!widget) {
       return res.status(404).json({
         success: false,
@@ -189,6 +219,13 @@ exports.deleteWidget = async (req, res, next) => {
       });
     }
 
+    if (!hasTeamPermission(await getWidgetRole(access, widget), 'content:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow editing this widget'
+      });
+    }
+
     await Widget.findByIdAndDelete(id);
 
     res.status(200).json({
@@ -207,7 +244,8 @@ exports.cloneWidget = async (req, res, next) => {
     const { id } = req.params;
     const { pageId, name } = req.body;
 
-    const originalWidget = await Widget.findOne({ _id: id, userId });
+    const access = await getTeamAccess(userId);
+    const originalWidget = await Widget.findOne({ _id: id, ...(await buildWidgetFilter(access)) });
     if (!originalWidget) {
       return res.status(404).json({
         success: false,
@@ -215,10 +253,11 @@ exports.cloneWidget = async (req, res, next) => {
       });
     }
 
-    // Verify page ownership if pageId is provided
+    // Verify the user may edit the target page if pageId is provided
+    let page;
     if (pageId) {
-      const page = await BuilderPage.findOne({ _id: pageId, userId });
-      if (!page) {
+      page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
+      if (!page || !access.can(page, 'content:write')) {
         return res.status(403).json({
           success: false,
           message: 'Page not found or access denied'
@@ -228,6 +267,9 @@ exports.cloneWidget = async (req, res, next) => {
 
     // Clone widget
     const clonedWidget = originalWidget.clone(userId, pageId);
+    if (page) {
+      clonedWidget.businessId = page.businessId;
+    }
     if (name) {
       clonedWidget.name = name;
     }
@@ -258,10 +300,14 @@ exports.updateWidgetOrder = async (req, res, next) => {
       });
     }
 
+    // Only reorder widgets the user is allowed to edit
+    const access = await getTeamAccess(userId);
+    const editableFilter = await buildWidgetFilter(access, 'content:write');
+
     // Update widget orders
     const updatePromises = widgets.map(({ id, order }) =>
       Widget.findOneAndUpdate(
-        { _id: id, userId },
+        { _id: id, ...editableFilter },
         { order },
         { new: true }
       )
@@ -294,9 +340,10 @@ exports.updatePageWidgetOrder = async (req, res, next) => {
       });
     }
 
-    // Verify page ownership
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
-    if (!page) {
+    // Verify the user may edit the page
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
+    if (!page || !access.can(page, 'content:write')) {
       return res.status(403).json({
         success: false,
         message: 'Page not found or access denied'
@@ -349,8 +396,9 @@ exports.getWidgetsByPage = async (req, res, next) => {
     const { pageId } = req.params;
     const { includeHidden = false } = req.query;
 
-    // Verify page ownership
-    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    // Verify the user can see the page
+    const access = await getTeamAccess(userId);
+    const page = await BuilderPage.findOne({ _id: pageId, ...access.filter() });
     if (!page) {
       return res.status(403).json({
         success: false,
@@ -376,7 +424,8 @@ exports.getWidgetsByType = async (req, res, next) => {
     const { type } = req.params;
     const { businessId, limit = 20 } = req.query;
 
-    const filters = { userId };
+    const access = await getTeamAccess(userId);
+    const filters = await buildWidgetFilter(access);
     if (businessId) filters.businessId = businessId;
 
     const widgets = await Widget.getByType(type, filters)
@@ -404,7 +453,8 @@ exports.searchWidgets = async (req, res, next) => {
       });
     }
 
-    const filters = { userId };
+    const access = await getTeamAccess(userId);
+    const filters = await buildWidgetFilter(access);
     if (type) filters.type = type;
     if (category) filters.category = category;
     if (pageId) filters.pageId = pageId;
@@ -428,7 +478,8 @@ exports.getWidgetPreview = async (req, res, next) => {
     const userId = req.user.id;
     const { id } = req.params;
 
-    const widget = await Widget.findOne({ _id: id, userId });
+    const access = await getTeamAccess(userId);
+    const widget = await Widget.findOne({ _id: id, ...(await buildWidgetFilter(access)) });
     if (!widget) {
       return res.status(404).json({
         success: false,
@@ -484,7 +535,8 @@ exports.getWidgetAnalytics = async (req, res, next) => {
     const userId = req.user.id;
     const { id } = req.params;
 
-    const widget = await Widget.findOne({ _id: id, userId })
+    const access = await getTeamAccess(userId);
+    const widget = await Widget.findOne({ _id: id, ...(await buildWidgetFilter(access)) })
       .select('name type analytics');
 
     if (!widget) {
@@ -688,4 +740,27 @@ exports.uploadWidgetAsset = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+
+// Helper function to build a query for widgets the user can reach, directly or through a team page
+async function buildWidgetFilter(access, permission = 'content:read') {
+  const filter = access.filter(permission);
+
+  // Widgets created before team workspaces carry no businessId, so match them by page as well
+  const teamPageIds = await BuilderPage.find({
+    businessId: { $in: access.businessIds(permission) }
+  }).distinct('_id');
+  filter.$or.push({ pageId: { $in: teamPageIds } });
+
+  return filter;
+}
+
+// Helper function to resolve the user's role for a widget, using its page when it has no businessId
+async function getWidgetRole(access, widget) {
+  if (widget.businessId || !widget.pageId) {
+    return access.roleFor(widget);
+  }
+
+  const page = await BuilderPage.findById(widget.pageId).select('userId businessId');
+  return access.roleFor(page || widget);
+}
@@ -71,6 +71,18 @@ const options = {
       {
         name: 'Form Submissions',
         description: 'Form submission management endpoints for handling form data from user-built pages'
+      },
+      {
+        name: 'Admin',
+        description: 'Administrative user and security management endpoints'
+      },
+      {
+        name: 'API Keys',
+        description: 'Personal API key management endpoints for scripts and integrations'
+      },
+      {
+        name: 'Teams',
+        description: 'Business team workspace, invitation and role endpoints'
       }
     ],
     components: {
@@ -80,6 +92,11 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
       },
     },
   },
@@ -0,0 +1,32 @@
+// Shared frame for every email. {{{content}}} is the rendered template body, brand.* comes from
+// the default branding or the business the email is sent for, and t.* from the locale's layout strings.
+// unsubscribeUrl is set for every email outside the security category.
+module.exports = `<!DOCTYPE html>
+<html lang="{{locale}}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>{{subject}}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f5f7;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden;">
+<tr><td style="background:{{brand.color}};padding:20px 32px;">
+{{#brand.logoUrl}}<img src="{{brand.logoUrl}}" alt="{{brand.name}}" height="40" style="display:block;height:40px;border:0;">{{/brand.logoUrl}}
+{{^brand.logoUrl}}<span style="color:#ffffff;font-size:20px;font-weight:bold;">{{brand.name}}</span>{{/brand.logoUrl}}
+</td></tr>
+<tr><td style="padding:32px;font-size:15px;line-height:1.6;">
+{{{content}}}
+</td></tr>
+<tr><td style="padding:20px 32px;border-top:1px solid #e4e7eb;font-size:12px;line-height:1.5;color:#7b8794;">
+<p>{{t.footer}}</p>
+{{#brand.supportEmail}}<p>{{t.support}} <a href="mailto:{{brand.supportEmail}}" style="color:#7b8794;">{{brand.supportEmail}}</a></p>{{/brand.supportEmail}}
+{{#unsubscribeUrl}}<p>{{t.unsubscribeNotice}} <a href="{{unsubscribeUrl}}" style="color:#7b8794;">{{t.unsubscribe}}</a></p>{{/unsubscribeUrl}}
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
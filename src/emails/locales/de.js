@@ -0,0 +1,159 @@
+// German email strings
+module.exports = {
+  layout: {
+    footer: 'Diese E-Mail wurde von {{brand.name}} gesendet.',
+    support: 'Fragen? Schreib uns an',
+    unsubscribeNotice: 'Du möchtest solche E-Mails nicht mehr erhalten?',
+    unsubscribe: 'Abmelden oder E-Mail-Einstellungen verwalten',
+  },
+  partials: {
+    signature: '<p>Viele Grüße<br>Dein Sicherheitsteam von {{brand.name}}</p>',
+  },
+  templates: {
+    verify_email: {
+      subject: 'Bestätige deine E-Mail-Adresse',
+      html: `<h1>E-Mail-Bestätigung</h1>
+<p>Danke für deine Registrierung. Bitte bestätige deine E-Mail-Adresse über den folgenden Link:</p>
+<p><a href="{{verificationUrl}}" style="{{{buttonStyle}}}">E-Mail bestätigen</a></p>
+<p>Wenn du das nicht angefordert hast, ignoriere diese E-Mail.</p>`,
+    },
+    password_reset: {
+      subject: 'Setze dein Passwort zurück',
+      html: `<h1>Passwort zurücksetzen</h1>
+<p>Du hast das Zurücksetzen deines Passworts angefordert. Klicke auf den folgenden Link, um es zurückzusetzen:</p>
+<p><a href="{{resetUrl}}" style="{{{buttonStyle}}}">Passwort zurücksetzen</a></p>
+<p>Wenn du das nicht angefordert hast, ignoriere diese E-Mail. Dein Passwort bleibt unverändert.</p>`,
+    },
+    password_reset_otp: {
+      subject: 'Dein Code zum Zurücksetzen des Passworts',
+      html: `<h1>Code zum Zurücksetzen: {{otp}}</h1>
+<p>Du hast das Zurücksetzen deines Passworts angefordert. Verwende diesen Code dafür.</p>
+<p>Wenn du das nicht angefordert hast, ignoriere diese E-Mail. Dein Passwort bleibt unverändert.</p>`,
+    },
+    password_changed: {
+      subject: 'Dein Passwort wurde geändert',
+      html: `<h1>Passwort geändert</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Das Passwort deines Kontos wurde am {{changedAt}} geändert.</p>
+<p>Wenn du das nicht warst, wende dich bitte sofort an unseren Support.</p>
+<p>Zu deiner Sicherheit empfehlen wir:</p>
+<ul>
+<li>ein starkes, einzigartiges Passwort zu verwenden</li>
+<li>die Zwei-Faktor-Authentifizierung zu aktivieren</li>
+<li>die Aktivität deines Kontos regelmäßig zu prüfen</li>
+</ul>
+{{> signature}}`,
+    },
+    account_unlock: {
+      subject: 'Dein Konto wurde gesperrt',
+      html: `<h1>Konto gesperrt</h1>
+<p>Wir haben dein Konto nach mehreren fehlgeschlagenen Anmeldeversuchen gesperrt.</p>
+<p>Es wird am {{lockUntil}} automatisch entsperrt, oder du entsperrst es jetzt über den folgenden Link:</p>
+<p><a href="{{unlockUrl}}" style="{{{buttonStyle}}}">Konto entsperren</a></p>
+<p>Wenn diese Versuche nicht von dir stammen, ändere nach dem Entsperren am besten dein Passwort.</p>`,
+    },
+    refresh_token_reuse: {
+      subject: 'Verdächtige Anmeldeaktivität erkannt',
+      html: `<h1>Verdächtige Aktivität</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Am {{occurredAt}} hat jemand versucht, ein altes Anmelde-Token deines Kontos erneut zu verwenden{{#sessionName}} (Sitzung: {{sessionName}}){{/sessionName}}.</p>
+<p>Details der Anfrage:</p>
+<ul>
+<li>IP-Adresse: {{ipAddress}}{{^ipAddress}}Unbekannt{{/ipAddress}}</li>
+<li>Gerät: {{userAgent}}{{^userAgent}}Unbekannt{{/userAgent}}</li>
+</ul>
+<p>Vorsichtshalber haben wir diese Sitzung abgemeldet. Eventuell musst du dich auf dem betroffenen Gerät neu anmelden.</p>
+<p>Wenn du diese Aktivität nicht erkennst, ändere dein Passwort und aktiviere die Zwei-Faktor-Authentifizierung.</p>
+{{> signature}}`,
+    },
+    new_login_alert: {
+      subject: 'Neue Anmeldung bei deinem Konto',
+      html: `<h1>Neue Anmeldung</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Am {{occurredAt}} wurde dein Konto von {{#newDevice}}einem Gerät, das du noch nicht verwendet hast{{/newDevice}}{{#newDevice}}{{#newCountry}} und {{/newCountry}}{{/newDevice}}{{#newCountry}}einem Land, aus dem du dich noch nicht angemeldet hast{{/newCountry}}, angemeldet.</p>
+<ul>
+<li>Gerät: {{deviceName}}{{^deviceName}}Unbekannt{{/deviceName}}</li>
+<li>Ort: {{location}}{{^location}}Unbekannt{{/location}}</li>
+<li>IP-Adresse: {{ipAddress}}{{^ipAddress}}Unbekannt{{/ipAddress}}</li>
+</ul>
+<p>Wenn du das warst, kannst du diese E-Mail ignorieren.</p>
+<p>Falls nicht, klicke innerhalb von 7 Tagen auf den folgenden Link, um alle Sitzungen abzumelden und dein Passwort zurückzusetzen:</p>
+<p><a href="{{denyUrl}}" style="{{{buttonStyle}}}">Das war ich nicht</a></p>
+{{> signature}}`,
+    },
+    two_factor_code: {
+      subject: 'Dein Bestätigungscode',
+      html: `<h1>Bestätigungscode: {{code}}</h1>
+<p>Verwende diesen Code, um deine Anmeldung abzuschließen. Er läuft in 5 Minuten ab.</p>
+<p>Wenn du nicht versucht hast, dich anzumelden, ändere sofort dein Passwort.</p>`,
+    },
+    magic_link: {
+      subject: 'Dein Anmeldelink',
+      html: `<h1>Anmelden</h1>
+<p>Klicke auf den folgenden Link, um dich anzumelden. Er läuft in 15 Minuten ab und kann nur einmal verwendet werden.</p>
+<p><a href="{{magicLinkUrl}}" style="{{{buttonStyle}}}">Anmelden</a></p>
+<p>Wenn du das nicht angefordert hast, ignoriere diese E-Mail.</p>`,
+    },
+    email_change_confirmation: {
+      subject: 'Bestätige deine neue E-Mail-Adresse',
+      html: `<h1>E-Mail-Änderung bestätigen</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Bitte bestätige über den folgenden Link, dass du dich mit dieser Adresse anmelden möchtest:</p>
+<p><a href="{{confirmUrl}}" style="{{{buttonStyle}}}">E-Mail bestätigen</a></p>
+<p>Dieser Link läuft in 24 Stunden ab. Wenn du das nicht angefordert hast, ignoriere diese E-Mail.</p>`,
+    },
+    email_change_notice: {
+      subject: 'Deine E-Mail-Adresse wird geändert',
+      html: `<h1>E-Mail-Änderung angefordert</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Es wurde angefordert, die E-Mail-Adresse deines Kontos in {{newEmail}} zu ändern.</p>
+<p>Wenn du das nicht warst, klicke innerhalb von 7 Tagen auf den folgenden Link, um die Änderung abzubrechen oder rückgängig zu machen und alle Sitzungen abzumelden:</p>
+<p><a href="{{revertUrl}}" style="{{{buttonStyle}}}">Das war ich nicht</a></p>
+{{> signature}}`,
+    },
+    data_export_ready: {
+      subject: 'Dein Datenexport ist fertig',
+      html: `<h1>Dein Datenexport ist fertig</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Die angeforderte Kopie deiner Kontodaten ist fertig. Es ist ein ZIP-Archiv mit JSON- und CSV-Dateien.</p>
+<p><a href="{{downloadUrl}}" style="{{{buttonStyle}}}">Daten herunterladen</a></p>
+<p>Dieser Link läuft am {{expiresAt}} ab. Danach kannst du in deinen Kontoeinstellungen einen neuen Export anfordern.</p>
+<p>Wenn du diesen Export nicht angefordert hast, ändere sofort dein Passwort.</p>
+{{> signature}}`,
+    },
+    account_deletion_scheduled: {
+      subject: 'Dein Konto wird gelöscht',
+      html: `<h1>Dein Konto wird gelöscht</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Wir haben eine Anfrage zur Löschung deines Kontos erhalten. Das Konto und alle seine Daten werden am {{scheduledFor}} endgültig gelöscht.</p>
+<p>Du hast es dir anders überlegt? Melde dich vorher einfach an, dann wird die Löschung abgebrochen.</p>
+<p>Wenn du das nicht angefordert hast, melde dich jetzt an und ändere sofort dein Passwort.</p>
+{{> signature}}`,
+    },
+    account_deletion_cancelled: {
+      subject: 'Die Löschung deines Kontos wurde abgebrochen',
+      html: `<h1>Die Löschung deines Kontos wurde abgebrochen</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Du hast dich während der Karenzzeit angemeldet, daher wird dein Konto nicht gelöscht.</p>
+<p>Wenn du es trotzdem löschen möchtest, kannst du die Löschung in deinen Kontoeinstellungen erneut anfordern.</p>
+{{> signature}}`,
+    },
+    team_invitation: {
+      subject: 'Du wurdest zu {{businessName}} eingeladen',
+      html: `<h1>Team-Einladung</h1>
+<p>Hallo,</p>
+<p>{{inviterName}}{{^inviterName}}Ein Team-Admin{{/inviterName}} hat dich eingeladen, <strong>{{businessName}}</strong> mit der Rolle {{role}} beizutreten.</p>
+<p>Klicke auf den folgenden Link, um die Einladung anzunehmen oder abzulehnen:</p>
+<p><a href="{{invitationUrl}}" style="{{{buttonStyle}}}">Einladung ansehen</a></p>
+<p>Die Einladung läuft in 7 Tagen ab. Melde dich mit dieser E-Mail-Adresse an oder erstelle ein Konto, um sie anzunehmen.</p>`,
+    },
+    notification: {
+      subject: '{{title}}',
+      html: `<h1>{{title}}</h1>
+<p>Hallo{{#firstName}} {{firstName}}{{/firstName}},</p>
+{{#body}}<p>{{body}}</p>{{/body}}
+{{#linkUrl}}<p><a href="{{linkUrl}}" style="{{{buttonStyle}}}">In der App öffnen</a></p>{{/linkUrl}}
+<p>In deinen Benachrichtigungseinstellungen kannst du festlegen, welche E-Mails du erhältst.</p>`,
+    },
+  },
+};
@@ -0,0 +1,159 @@
+// English email strings. This is the fallback for any template a locale does not translate.
+module.exports = {
+  layout: {
+    footer: 'This email was sent by {{brand.name}}.',
+    support: 'Questions? Contact us at',
+    unsubscribeNotice: "Don't want emails like this?",
+    unsubscribe: 'Unsubscribe or manage your email preferences',
+  },
+  partials: {
+    signature: '<p>Best regards,<br>The {{brand.name}} Security Team</p>',
+  },
+  templates: {
+    verify_email: {
+      subject: 'Verify your email address',
+      html: `<h1>Email Verification</h1>
+<p>Thank you for registering. Please verify your email by clicking the link below:</p>
+<p><a href="{{verificationUrl}}" style="{{{buttonStyle}}}">Verify Email</a></p>
+<p>If you did not request this, please ignore this email.</p>`,
+    },
+    password_reset: {
+      subject: 'Reset your password',
+      html: `<h1>Password Reset</h1>
+<p>You requested a password reset. Please click the link below to reset your password:</p>
+<p><a href="{{resetUrl}}" style="{{{buttonStyle}}}">Reset Password</a></p>
+<p>If you did not request this, please ignore this email and your password will remain unchanged.</p>`,
+    },
+    password_reset_otp: {
+      subject: 'Your password reset code',
+      html: `<h1>Password Reset Code: {{otp}}</h1>
+<p>You requested a password reset. Use this code to reset your password.</p>
+<p>If you did not request this, please ignore this email and your password will remain unchanged.</p>`,
+    },
+    password_changed: {
+      subject: 'Your password was changed',
+      html: `<h1>Password Changed</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Your account password was changed on {{changedAt}}.</p>
+<p>If you did not make this change, please contact our support team immediately.</p>
+<p>For your security, we recommend:</p>
+<ul>
+<li>Using a strong, unique password</li>
+<li>Enabling two-factor authentication</li>
+<li>Regularly reviewing your account activity</li>
+</ul>
+{{> signature}}`,
+    },
+    account_unlock: {
+      subject: 'Your account has been locked',
+      html: `<h1>Account Locked</h1>
+<p>We locked your account after several failed login attempts.</p>
+<p>It will unlock automatically at {{lockUntil}}, or you can unlock it now by clicking the link below:</p>
+<p><a href="{{unlockUrl}}" style="{{{buttonStyle}}}">Unlock Account</a></p>
+<p>If these attempts were not made by you, we recommend changing your password after unlocking your account.</p>`,
+    },
+    refresh_token_reuse: {
+      subject: 'Suspicious sign-in activity detected',
+      html: `<h1>Suspicious Activity</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>On {{occurredAt}} someone tried to reuse an old sign-in token for your account{{#sessionName}} (session: {{sessionName}}){{/sessionName}}.</p>
+<p>Request details:</p>
+<ul>
+<li>IP address: {{ipAddress}}{{^ipAddress}}Unknown{{/ipAddress}}</li>
+<li>Device: {{userAgent}}{{^userAgent}}Unknown{{/userAgent}}</li>
+</ul>
+<p>As a precaution we signed out that session. You may need to log in again on the affected device.</p>
+<p>If you do not recognize this activity, please change your password and enable two-factor authentication.</p>
+{{> signature}}`,
+    },
+    new_login_alert: {
+      subject: 'New sign-in to your account',
+      html: `<h1>New Sign-in</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Your account was signed in to from {{#newDevice}}a device you have not used before{{/newDevice}}{{#newDevice}}{{#newCountry}} and {{/newCountry}}{{/newDevice}}{{#newCountry}}a country you have not signed in from before{{/newCountry}} on {{occurredAt}}.</p>
+<ul>
+<li>Device: {{deviceName}}{{^deviceName}}Unknown{{/deviceName}}</li>
+<li>Location: {{location}}{{^location}}Unknown{{/location}}</li>
+<li>IP address: {{ipAddress}}{{^ipAddress}}Unknown{{/ipAddress}}</li>
+</ul>
+<p>If this was you, you can ignore this email.</p>
+<p>If it wasn't, click the link below within 7 days to sign out all sessions and reset your password:</p>
+<p><a href="{{denyUrl}}" style="{{{buttonStyle}}}">This Wasn't Me</a></p>
+{{> signature}}`,
+    },
+    two_factor_code: {
+      subject: 'Your verification code',
+      html: `<h1>Verification Code: {{code}}</h1>
+<p>Use this code to complete your sign-in. It expires in 5 minutes.</p>
+<p>If you did not try to sign in, please change your password immediately.</p>`,
+    },
+    magic_link: {
+      subject: 'Your sign-in link',
+      html: `<h1>Sign In</h1>
+<p>Click the link below to sign in. It expires in 15 minutes and can only be used once.</p>
+<p><a href="{{magicLinkUrl}}" style="{{{buttonStyle}}}">Sign In</a></p>
+<p>If you did not request this, please ignore this email.</p>`,
+    },
+    email_change_confirmation: {
+      subject: 'Confirm your new email address',
+      html: `<h1>Confirm Email Change</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Please confirm that you want to use this address to sign in by clicking the link below:</p>
+<p><a href="{{confirmUrl}}" style="{{{buttonStyle}}}">Confirm Email</a></p>
+<p>This link expires in 24 hours. If you did not request this, please ignore this email.</p>`,
+    },
+    email_change_notice: {
+      subject: 'Your email address is being changed',
+      html: `<h1>Email Change Requested</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>A request was made to change the email address on your account to {{newEmail}}.</p>
+<p>If you did not make this request, click the link below within 7 days to cancel or undo the change and sign out all sessions:</p>
+<p><a href="{{revertUrl}}" style="{{{buttonStyle}}}">This Wasn't Me</a></p>
+{{> signature}}`,
+    },
+    data_export_ready: {
+      subject: 'Your data export is ready',
+      html: `<h1>Your Data Export Is Ready</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>The copy of your account data you requested is ready. It is a ZIP archive of JSON and CSV files.</p>
+<p><a href="{{downloadUrl}}" style="{{{buttonStyle}}}">Download Your Data</a></p>
+<p>This link expires on {{expiresAt}}. After that you can request a new export from your account settings.</p>
+<p>If you did not request this export, please change your password immediately.</p>
+{{> signature}}`,
+    },
+    account_deletion_scheduled: {
+      subject: 'Your account is scheduled for deletion',
+      html: `<h1>Your Account Is Scheduled for Deletion</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>We received a request to delete your account. It and all of its data will be permanently deleted on {{scheduledFor}}.</p>
+<p>Changed your mind? Simply log in before then and the deletion will be cancelled.</p>
+<p>If you did not request this, log in now and change your password immediately.</p>
+{{> signature}}`,
+    },
+    account_deletion_cancelled: {
+      subject: 'Your account deletion was cancelled',
+      html: `<h1>Your Account Deletion Was Cancelled</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>You logged in during the grace period, so your account will not be deleted.</p>
+<p>If you still want to delete it, you can request deletion again from your account settings.</p>
+{{> signature}}`,
+    },
+    team_invitation: {
+      subject: "You're invited to join {{businessName}}",
+      html: `<h1>Team Invitation</h1>
+<p>Hello,</p>
+<p>{{inviterName}}{{^inviterName}}A team admin{{/inviterName}} has invited you to join <strong>{{businessName}}</strong> with the {{role}} role.</p>
+<p>Click the link below to accept or decline the invitation:</p>
+<p><a href="{{invitationUrl}}" style="{{{buttonStyle}}}">View Invitation</a></p>
+<p>This invitation expires in 7 days. Sign in or create an account with this email address to accept it.</p>`,
+    },
+    notification: {
+      subject: '{{title}}',
+      html: `<h1>{{title}}</h1>
+<p>Hello{{#firstName}} {{firstName}}{{/firstName}},</p>
+{{#body}}<p>{{body}}</p>{{/body}}
+{{#linkUrl}}<p><a href="{{linkUrl}}" style="{{{buttonStyle}}}">Open in the app</a></p>{{/linkUrl}}
+<p>You can choose which emails you receive in your notification settings.</p>`,
+    },
+  },
+};
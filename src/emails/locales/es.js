@@ -0,0 +1,159 @@
+// Spanish email strings
+module.exports = {
+  layout: {
+    footer: 'Este correo te lo ha enviado {{brand.name}}.',
+    support: '¿Preguntas? Escríbenos a',
+    unsubscribeNotice: '¿No quieres recibir correos como este?',
+    unsubscribe: 'Darte de baja o gestionar tus preferencias de correo',
+  },
+  partials: {
+    signature: '<p>Saludos,<br>El equipo de seguridad de {{brand.name}}</p>',
+  },
+  templates: {
+    verify_email: {
+      subject: 'Verifica tu dirección de correo',
+      html: `<h1>Verificación de correo</h1>
+<p>Gracias por registrarte. Verifica tu correo haciendo clic en el siguiente enlace:</p>
+<p><a href="{{verificationUrl}}" style="{{{buttonStyle}}}">Verificar correo</a></p>
+<p>Si no lo has solicitado, ignora este correo.</p>`,
+    },
+    password_reset: {
+      subject: 'Restablece tu contraseña',
+      html: `<h1>Restablecer contraseña</h1>
+<p>Has solicitado restablecer tu contraseña. Haz clic en el siguiente enlace para hacerlo:</p>
+<p><a href="{{resetUrl}}" style="{{{buttonStyle}}}">Restablecer contraseña</a></p>
+<p>Si no lo has solicitado, ignora este correo y tu contraseña no cambiará.</p>`,
+    },
+    password_reset_otp: {
+      subject: 'Tu código para restablecer la contraseña',
+      html: `<h1>Código de restablecimiento: {{otp}}</h1>
+<p>Has solicitado restablecer tu contraseña. Usa este código para hacerlo.</p>
+<p>Si no lo has solicitado, ignora este correo y tu contraseña no cambiará.</p>`,
+    },
+    password_changed: {
+      subject: 'Tu contraseña ha cambiado',
+      html: `<h1>Contraseña cambiada</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+<p>La contraseña de tu cuenta se cambió el {{changedAt}}.</p>
+<p>Si no has hecho este cambio, contacta con nuestro equipo de soporte de inmediato.</p>
+<p>Para tu seguridad, te recomendamos:</p>
+<ul>
+<li>Usar una contraseña segura y única</li>
+<li>Activar la autenticación en dos pasos</li>
+<li>Revisar con regularidad la actividad de tu cuenta</li>
+</ul>
+{{> signature}}`,
+    },
+    account_unlock: {
+      subject: 'Tu cuenta ha sido bloqueada',
+      html: `<h1>Cuenta bloqueada</h1>
+<p>Hemos bloqueado tu cuenta tras varios intentos de inicio de sesión fallidos.</p>
+<p>Se desbloqueará automáticamente el {{lockUntil}}, o puedes desbloquearla ahora con el siguiente enlace:</p>
+<p><a href="{{unlockUrl}}" style="{{{buttonStyle}}}">Desbloquear cuenta</a></p>
+<p>Si no has hecho tú estos intentos, te recomendamos cambiar la contraseña después de desbloquear la cuenta.</p>`,
+    },
+    refresh_token_reuse: {
+      subject: 'Actividad de inicio de sesión sospechosa',
+      html: `<h1>Actividad sospechosa</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+<p>El {{occurredAt}} alguien intentó reutilizar un token de sesión antiguo de tu cuenta{{#sessionName}} (sesión: {{sessionName}}){{/sessionName}}.</p>
+<p>Detalles de la solicitud:</p>
+<ul>
+<li>Dirección IP: {{ipAddress}}{{^ipAddress}}Desconocida{{/ipAddress}}</li>
+<li>Dispositivo: {{userAgent}}{{^userAgent}}Desconocido{{/userAgent}}</li>
+</ul>
+<p>Por precaución hemos cerrado esa sesión. Puede que tengas que volver a iniciar sesión en ese dispositivo.</p>
+<p>Si no reconoces esta actividad, cambia tu contraseña y activa la autenticación en dos pasos.</p>
+{{> signature}}`,
+    },
+    new_login_alert: {
+      subject: 'Nuevo inicio de sesión en tu cuenta',
+      html: `<h1>Nuevo inicio de sesión</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+<p>Se ha iniciado sesión en tu cuenta desde {{#newDevice}}un dispositivo que no habías usado{{/newDevice}}{{#newDevice}}{{#newCountry}} y {{/newCountry}}{{/newDevice}}{{#newCountry}}un país desde el que no habías iniciado sesión{{/newCountry}} el {{occurredAt}}.</p>
+<ul>
+<li>Dispositivo: {{deviceName}}{{^deviceName}}Desconocido{{/deviceName}}</li>
+<li>Ubicación: {{location}}{{^location}}Desconocida{{/location}}</li>
+<li>Dirección IP: {{ipAddress}}{{^ipAddress}}Desconocida{{/ipAddress}}</li>
+</ul>
+<p>Si has sido tú, puedes ignorar este correo.</p>
+<p>Si no, haz clic en el siguiente enlace en un plazo de 7 días para cerrar todas las sesiones y restablecer tu contraseña:</p>
+<p><a href="{{denyUrl}}" style="{{{buttonStyle}}}">No he sido yo</a></p>
+{{> signature}}`,
+    },
+    two_factor_code: {
+      subject: 'Tu código de verificación',
+      html: `<h1>Código de verificación: {{code}}</h1>
+<p>Usa este código para completar el inicio de sesión. Caduca en 5 minutos.</p>
+<p>Si no has intentado iniciar sesión, cambia tu contraseña de inmediato.</p>`,
+    },
+    magic_link: {
+      subject: 'Tu enlace de inicio de sesión',
+      html: `<h1>Iniciar sesión</h1>
+<p>Haz clic en el siguiente enlace para iniciar sesión. Caduca en 15 minutos y solo se puede usar una vez.</p>
+<p><a href="{{magicLinkUrl}}" style="{{{buttonStyle}}}">Iniciar sesión</a></p>
+<p>Si no lo has solicitado, ignora este correo.</p>`,
+    },
+    email_change_confirmation: {
+      subject: 'Confirma tu nueva dirección de correo',
+      html: `<h1>Confirmar cambio de correo</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+<p>Confirma que quieres usar esta dirección para iniciar sesión haciendo clic en el siguiente enlace:</p>
+<p><a href="{{confirmUrl}}" style="{{{buttonStyle}}}">Confirmar correo</a></p>
+<p>Este enlace caduca en 24 horas. Si no lo has solicitado, ignora este correo.</p>`,
+    },
+    email_change_notice: {
+      subject: 'Se está cambiando tu dirección de correo',
+      html: `<h1>Cambio de correo solicitado</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+<p>Se ha solicitado cambiar la dirección de correo de tu cuenta a {{newEmail}}.</p>
+<p>Si no lo has solicitado tú, haz clic en el siguiente enlace en un plazo de 7 días para cancelar o deshacer el cambio y cerrar todas las sesiones:</p>
+<p><a href="{{revertUrl}}" style="{{{buttonStyle}}}">No he sido yo</a></p>
+{{> signature}}`,
+    },
+    data_export_ready: {
+      subject: 'Tu exportación de datos está lista',
+      html: `<h1>Tu exportación de datos está lista</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+<p>La copia de los datos de tu cuenta que solicitaste está lista. Es un archivo ZIP con ficheros JSON y CSV.</p>
+<p><a href="{{downloadUrl}}" style="{{{buttonStyle}}}">Descargar tus datos</a></p>
+<p>Este enlace caduca el {{expiresAt}}. Después podrás solicitar una nueva exportación desde la configuración de tu cuenta.</p>
+<p>Si no has solicitado esta exportación, cambia tu contraseña de inmediato.</p>
+{{> signature}}`,
+    },
+    account_deletion_scheduled: {
+      subject: 'Tu cuenta se eliminará próximamente',
+      html: `<h1>Tu cuenta se eliminará próximamente</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+<p>Hemos recibido una solicitud para eliminar tu cuenta. La cuenta y todos sus datos se eliminarán definitivamente el {{scheduledFor}}.</p>
+<p>¿Has cambiado de opinión? Inicia sesión antes de esa fecha y la eliminación se cancelará.</p>
+<p>Si no lo has solicitado, inicia sesión ahora y cambia tu contraseña de inmediato.</p>
+{{> signature}}`,
+    },
+    account_deletion_cancelled: {
+      subject: 'Se ha cancelado la eliminación de tu cuenta',
+      html: `<h1>Se ha cancelado la eliminación de tu cuenta</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+<p>Has iniciado sesión durante el periodo de gracia, así que tu cuenta no se eliminará.</p>
+<p>Si aún quieres eliminarla, puedes volver a solicitarlo desde la configuración de tu cuenta.</p>
+{{> signature}}`,
+    },
+    team_invitation: {
+      subject: 'Te han invitado a unirte a {{businessName}}',
+      html: `<h1>Invitación al equipo</h1>
+<p>Hola:</p>
+<p>{{inviterName}}{{^inviterName}}Un administrador del equipo{{/inviterName}} te ha invitado a unirte a <strong>{{businessName}}</strong> con el rol {{role}}.</p>
+<p>Haz clic en el siguiente enlace para aceptar o rechazar la invitación:</p>
+<p><a href="{{invitationUrl}}" style="{{{buttonStyle}}}">Ver invitación</a></p>
+<p>La invitación caduca en 7 días. Inicia sesión o crea una cuenta con esta dirección de correo para aceptarla.</p>`,
+    },
+    notification: {
+      subject: '{{title}}',
+      html: `<h1>{{title}}</h1>
+<p>Hola{{#firstName}} {{firstName}}{{/firstName}}:</p>
+{{#body}}<p>{{body}}</p>{{/body}}
+{{#linkUrl}}<p><a href="{{linkUrl}}" style="{{{buttonStyle}}}">Abrir en la aplicación</a></p>{{/linkUrl}}
+<p>Puedes elegir qué correos recibes en la configuración de notificaciones.</p>`,
+    },
+  },
+};
@@ -0,0 +1,159 @@
+// French email strings
+module.exports = {
+  layout: {
+    footer: 'Cet e-mail vous a été envoyé par {{brand.name}}.',
+    support: 'Des questions ? Écrivez-nous à',
+    unsubscribeNotice: "Vous ne souhaitez plus recevoir ce type d'e-mails ?",
+    unsubscribe: 'Se désabonner ou gérer vos préférences e-mail',
+  },
+  partials: {
+    signature: "<p>Cordialement,<br>L'équipe sécurité de {{brand.name}}</p>",
+  },
+  templates: {
+    verify_email: {
+      subject: 'Vérifiez votre adresse e-mail',
+      html: `<h1>Vérification de l'e-mail</h1>
+<p>Merci pour votre inscription. Veuillez vérifier votre adresse en cliquant sur le lien ci-dessous :</p>
+<p><a href="{{verificationUrl}}" style="{{{buttonStyle}}}">Vérifier l'e-mail</a></p>
+<p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail.</p>`,
+    },
+    password_reset: {
+      subject: 'Réinitialisez votre mot de passe',
+      html: `<h1>Réinitialisation du mot de passe</h1>
+<p>Vous avez demandé à réinitialiser votre mot de passe. Cliquez sur le lien ci-dessous pour le faire :</p>
+<p><a href="{{resetUrl}}" style="{{{buttonStyle}}}">Réinitialiser le mot de passe</a></p>
+<p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail : votre mot de passe restera inchangé.</p>`,
+    },
+    password_reset_otp: {
+      subject: 'Votre code de réinitialisation',
+      html: `<h1>Code de réinitialisation : {{otp}}</h1>
+<p>Vous avez demandé à réinitialiser votre mot de passe. Utilisez ce code pour le faire.</p>
+<p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail : votre mot de passe restera inchangé.</p>`,
+    },
+    password_changed: {
+      subject: 'Votre mot de passe a été modifié',
+      html: `<h1>Mot de passe modifié</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Le mot de passe de votre compte a été modifié le {{changedAt}}.</p>
+<p>Si vous n'êtes pas à l'origine de ce changement, contactez immédiatement notre support.</p>
+<p>Pour votre sécurité, nous vous recommandons :</p>
+<ul>
+<li>d'utiliser un mot de passe robuste et unique</li>
+<li>d'activer l'authentification à deux facteurs</li>
+<li>de vérifier régulièrement l'activité de votre compte</li>
+</ul>
+{{> signature}}`,
+    },
+    account_unlock: {
+      subject: 'Votre compte a été verrouillé',
+      html: `<h1>Compte verrouillé</h1>
+<p>Nous avons verrouillé votre compte après plusieurs tentatives de connexion échouées.</p>
+<p>Il sera déverrouillé automatiquement le {{lockUntil}}, ou vous pouvez le déverrouiller dès maintenant avec le lien ci-dessous :</p>
+<p><a href="{{unlockUrl}}" style="{{{buttonStyle}}}">Déverrouiller le compte</a></p>
+<p>Si ces tentatives ne viennent pas de vous, nous vous conseillons de changer votre mot de passe après le déverrouillage.</p>`,
+    },
+    refresh_token_reuse: {
+      subject: 'Activité de connexion suspecte détectée',
+      html: `<h1>Activité suspecte</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Le {{occurredAt}}, quelqu'un a tenté de réutiliser un ancien jeton de connexion de votre compte{{#sessionName}} (session : {{sessionName}}){{/sessionName}}.</p>
+<p>Détails de la requête :</p>
+<ul>
+<li>Adresse IP : {{ipAddress}}{{^ipAddress}}Inconnue{{/ipAddress}}</li>
+<li>Appareil : {{userAgent}}{{^userAgent}}Inconnu{{/userAgent}}</li>
+</ul>
+<p>Par précaution, nous avons fermé cette session. Vous devrez peut-être vous reconnecter sur l'appareil concerné.</p>
+<p>Si vous ne reconnaissez pas cette activité, changez votre mot de passe et activez l'authentification à deux facteurs.</p>
+{{> signature}}`,
+    },
+    new_login_alert: {
+      subject: 'Nouvelle connexion à votre compte',
+      html: `<h1>Nouvelle connexion</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Une connexion à votre compte a eu lieu depuis {{#newDevice}}un appareil que vous n'aviez jamais utilisé{{/newDevice}}{{#newDevice}}{{#newCountry}} et {{/newCountry}}{{/newDevice}}{{#newCountry}}un pays depuis lequel vous ne vous étiez jamais connecté{{/newCountry}} le {{occurredAt}}.</p>
+<ul>
+<li>Appareil : {{deviceName}}{{^deviceName}}Inconnu{{/deviceName}}</li>
+<li>Lieu : {{location}}{{^location}}Inconnu{{/location}}</li>
+<li>Adresse IP : {{ipAddress}}{{^ipAddress}}Inconnue{{/ipAddress}}</li>
+</ul>
+<p>Si c'était vous, vous pouvez ignorer cet e-mail.</p>
+<p>Sinon, cliquez sur le lien ci-dessous dans les 7 jours pour fermer toutes les sessions et réinitialiser votre mot de passe :</p>
+<p><a href="{{denyUrl}}" style="{{{buttonStyle}}}">Ce n'était pas moi</a></p>
+{{> signature}}`,
+    },
+    two_factor_code: {
+      subject: 'Votre code de vérification',
+      html: `<h1>Code de vérification : {{code}}</h1>
+<p>Utilisez ce code pour terminer votre connexion. Il expire dans 5 minutes.</p>
+<p>Si vous n'avez pas essayé de vous connecter, changez immédiatement votre mot de passe.</p>`,
+    },
+    magic_link: {
+      subject: 'Votre lien de connexion',
+      html: `<h1>Connexion</h1>
+<p>Cliquez sur le lien ci-dessous pour vous connecter. Il expire dans 15 minutes et ne peut être utilisé qu'une fois.</p>
+<p><a href="{{magicLinkUrl}}" style="{{{buttonStyle}}}">Se connecter</a></p>
+<p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail.</p>`,
+    },
+    email_change_confirmation: {
+      subject: 'Confirmez votre nouvelle adresse e-mail',
+      html: `<h1>Confirmer le changement d'e-mail</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Confirmez que vous souhaitez utiliser cette adresse pour vous connecter en cliquant sur le lien ci-dessous :</p>
+<p><a href="{{confirmUrl}}" style="{{{buttonStyle}}}">Confirmer l'e-mail</a></p>
+<p>Ce lien expire dans 24 heures. Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail.</p>`,
+    },
+    email_change_notice: {
+      subject: 'Votre adresse e-mail est en cours de modification',
+      html: `<h1>Changement d'e-mail demandé</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Une demande a été faite pour remplacer l'adresse e-mail de votre compte par {{newEmail}}.</p>
+<p>Si vous n'êtes pas à l'origine de cette demande, cliquez sur le lien ci-dessous dans les 7 jours pour annuler le changement et fermer toutes les sessions :</p>
+<p><a href="{{revertUrl}}" style="{{{buttonStyle}}}">Ce n'était pas moi</a></p>
+{{> signature}}`,
+    },
+    data_export_ready: {
+      subject: 'Votre export de données est prêt',
+      html: `<h1>Votre export de données est prêt</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>La copie des données de votre compte que vous avez demandée est prête. Il s'agit d'une archive ZIP de fichiers JSON et CSV.</p>
+<p><a href="{{downloadUrl}}" style="{{{buttonStyle}}}">Télécharger vos données</a></p>
+<p>Ce lien expire le {{expiresAt}}. Vous pourrez ensuite demander un nouvel export depuis les paramètres de votre compte.</p>
+<p>Si vous n'avez pas demandé cet export, changez immédiatement votre mot de passe.</p>
+{{> signature}}`,
+    },
+    account_deletion_scheduled: {
+      subject: 'La suppression de votre compte est programmée',
+      html: `<h1>La suppression de votre compte est programmée</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Nous avons reçu une demande de suppression de votre compte. Le compte et toutes ses données seront définitivement supprimés le {{scheduledFor}}.</p>
+<p>Vous avez changé d'avis ? Connectez-vous avant cette date et la suppression sera annulée.</p>
+<p>Si vous n'êtes pas à l'origine de cette demande, connectez-vous maintenant et changez immédiatement votre mot de passe.</p>
+{{> signature}}`,
+    },
+    account_deletion_cancelled: {
+      subject: 'La suppression de votre compte a été annulée',
+      html: `<h1>La suppression de votre compte a été annulée</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+<p>Vous vous êtes connecté pendant le délai de grâce : votre compte ne sera donc pas supprimé.</p>
+<p>Si vous souhaitez toujours le supprimer, vous pouvez refaire la demande depuis les paramètres de votre compte.</p>
+{{> signature}}`,
+    },
+    team_invitation: {
+      subject: 'Vous êtes invité à rejoindre {{businessName}}',
+      html: `<h1>Invitation à rejoindre une équipe</h1>
+<p>Bonjour,</p>
+<p>{{inviterName}}{{^inviterName}}Un administrateur de l'équipe{{/inviterName}} vous invite à rejoindre <strong>{{businessName}}</strong> avec le rôle {{role}}.</p>
+<p>Cliquez sur le lien ci-dessous pour accepter ou refuser l'invitation :</p>
+<p><a href="{{invitationUrl}}" style="{{{buttonStyle}}}">Voir l'invitation</a></p>
+<p>Cette invitation expire dans 7 jours. Connectez-vous ou créez un compte avec cette adresse e-mail pour l'accepter.</p>`,
+    },
+    notification: {
+      subject: '{{title}}',
+      html: `<h1>{{title}}</h1>
+<p>Bonjour{{#firstName}} {{firstName}}{{/firstName}},</p>
+{{#body}}<p>{{body}}</p>{{/body}}
+{{#linkUrl}}<p><a href="{{linkUrl}}" style="{{{buttonStyle}}}">Ouvrir dans l'application</a></p>{{/linkUrl}}
+<p>Vous pouvez choisir les e-mails que vous recevez dans vos paramètres de notification.</p>`,
+    },
+  },
+};
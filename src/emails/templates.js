@@ -0,0 +1,115 @@
+// Registry of transactional email templates. The wording lives in ./locales; this file lists what
+// each template needs so senders, the admin preview and the locale files stay in step.
+//
+// category   - Email category from userSettings.notifications.email
+// variables  - Data the template expects (firstName is optional)
+// sample     - Data used by the admin preview and test send
+
+const SAMPLE_DATE = new Date('2030-01-15T09:30:00Z');
+const SAMPLE_URL = 'https://example.com/action';
+
+const EMAIL_TEMPLATES = {
+  verify_email: {
+    category: 'security',
+    variables: ['verificationUrl'],
+    sample: { verificationUrl: SAMPLE_URL },
+  },
+  password_reset: {
+    category: 'security',
+    variables: ['resetUrl'],
+    sample: { resetUrl: SAMPLE_URL },
+  },
+  password_reset_otp: {
+    category: 'security',
+    variables: ['otp'],
+    sample: { otp: '482913' },
+  },
+  password_changed: {
+    category: 'security',
+    variables: ['firstName', 'changedAt'],
+    sample: { firstName: 'Alex', changedAt: SAMPLE_DATE },
+  },
+  account_unlock: {
+    category: 'security',
+    variables: ['unlockUrl', 'lockUntil'],
+    sample: { unlockUrl: SAMPLE_URL, lockUntil: SAMPLE_DATE },
+  },
+  refresh_token_reuse: {
+    category: 'security',
+    variables: ['firstName', 'occurredAt', 'sessionName', 'ipAddress', 'userAgent'],
+    sample: {
+      firstName: 'Alex',
+      occurredAt: SAMPLE_DATE,
+      sessionName: 'Chrome on macOS',
+      ipAddress: '203.0.113.7',
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0)',
+    },
+  },
+  new_login_alert: {
+    category: 'security',
+    variables: ['firstName', 'occurredAt', 'newDevice', 'newCountry', 'deviceName', 'location', 'ipAddress', 'denyUrl'],
+    sample: {
+      firstName: 'Alex',
+      occurredAt: SAMPLE_DATE,
+      newDevice: true,
+      newCountry: true,
+      deviceName: 'Firefox on Windows',
+      location: 'Lisbon, Portugal',
+      ipAddress: '198.51.100.23',
+      denyUrl: SAMPLE_URL,
+    },
+  },
+  two_factor_code: {
+    category: 'security',
+    variables: ['code'],
+    sample: { code: '730215' },
+  },
+  magic_link: {
+    category: 'security',
+    variables: ['magicLinkUrl'],
+    sample: { magicLinkUrl: SAMPLE_URL },
+  },
+  email_change_confirmation: {
+    category: 'security',
+    variables: ['firstName', 'confirmUrl'],
+    sample: { firstName: 'Alex', confirmUrl: SAMPLE_URL },
+  },
+  email_change_notice: {
+    category: 'security',
+    variables: ['firstName', 'newEmail', 'revertUrl'],
+    sample: { firstName: 'Alex', newEmail: 'alex.new@example.com', revertUrl: SAMPLE_URL },
+  },
+  data_export_ready: {
+    category: 'security',
+    variables: ['firstName', 'downloadUrl', 'expiresAt'],
+    sample: { firstName: 'Alex', downloadUrl: SAMPLE_URL, expiresAt: SAMPLE_DATE },
+  },
+  account_deletion_scheduled: {
+    category: 'security',
+    variables: ['firstName', 'scheduledFor'],
+    sample: { firstName: 'Alex', scheduledFor: SAMPLE_DATE },
+  },
+  account_deletion_cancelled: {
+    category: 'security',
+    variables: ['firstName'],
+    sample: { firstName: 'Alex' },
+  },
+  team_invitation: {
+    category: 'updates',
+    variables: ['businessName', 'inviterName', 'role', 'invitationUrl'],
+    sample: { businessName: 'Sunrise Bakery', inviterName: 'Jordan Lee', role: 'editor', invitationUrl: SAMPLE_URL },
+  },
+  // Category is taken from the notification being sent
+  notification: {
+    category: 'updates',
+    variables: ['firstName', 'title', 'body', 'linkUrl'],
+    sample: {
+      firstName: 'Alex',
+      title: 'New submission on Spring Menu',
+      body: 'Someone submitted a contact form on your page.',
+      linkUrl: SAMPLE_URL,
+    },
+  },
+};
+
+module.exports = EMAIL_TEMPLATES;
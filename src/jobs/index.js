@@ -0,0 +1,70 @@
+const { processDataExportQueue } = require('../utils/dataExport');
+const { processAccountDeletions } = require('../utils/accountDeletion');
+const { runDataRetention } = require('../utils/dataRetention');
+const { processFavoriteReminders } = require('../utils/notifications');
+const { processEmailOutbox } = require('../utils/email');
+
+// Recurring background work. The long-running server runs it on timers; serverless deployments
+// have no timers, so a scheduler calls GET /api/cron/:job instead. Keep the crons in vercel.json
+// in step with this list.
+const JOBS = [
+  { name: 'email-outbox', intervalMs: 60 * 1000, run: processEmailOutbox },
+  { name: 'data-exports', intervalMs: 60 * 1000, run: processDataExportQueue },
+  { name: 'account-deletions', intervalMs: 60 * 60 * 1000, run: processAccountDeletions },
+  { name: 'data-retention', intervalMs: 6 * 60 * 60 * 1000, run: () => runDataRetention() },
+  { name: 'favorite-reminders', intervalMs: 5 * 60 * 1000, run: processFavoriteReminders },
+];
+
+/**
+ * Run a job on its interval, skipping a tick while the previous run is still going
+ * @param {object} job - { name, intervalMs, run }
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const scheduleJob = (job) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`Background job ${job.name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, job.intervalMs);
+
+  // Jobs must not keep the process alive on shutdown
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Look up a job by name
+ * @param {string} name - Job name, e.g. "data-exports"
+ * @returns {object|undefined} { name, intervalMs, run }
+ */
+const getJob = (name) => JOBS.find((job) => job.name === name);
+
+/**
+ * Start every background job unless DISABLE_BACKGROUND_JOBS is set
+ * @returns {Array<NodeJS.Timeout>} Interval handles
+ */
+const startJobs = () => {
+  if (process.env.DISABLE_BACKGROUND_JOBS === 'true') {
+    return [];
+  }
+
+  console.log(`Starting background jobs: ${JOBS.map((job) => job.name).join(', ')}`);
+  return JOBS.map(scheduleJob);
+};
+
+module.exports = {
+  JOBS,
+  getJob,
+  startJobs,
+};
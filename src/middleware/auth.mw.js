@@ -1,26 +1,129 @@
 const passport = require('passport');
+const ApiKey = require('../models/apiKey.model');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const Subscription = require('../models/subscription.model');
+const { isApiKey, getRequiredAccess } = require('../utils/apiKey');
+const { STEP_UP_MAX_AGE_MINUTES, isRecentAuth } = require('../utils/session');
+const { auditImpersonatedWrites } = require('../utils/impersonation');
 
 // Middleware to authenticate JWT token
 exports.authenticate = (req, res, next) => {
-  passport.authenticate('jwt', { session: false }, (err, user, info) => {
-    if (err) {
-      return next(err);
+  authenticateJwt(req, res, next, { allowRestricted: false });
+};
+
+// Middleware to authenticate JWT token, also accepting tokens restricted to a pending password change
+exports.authenticateForPasswordChange = (req, res, next) => {
+  authenticateJwt(req, res, next, { allowRestricted: true });
+};
+
+// Alias for authenticate (commonly used as protect in routes)
+exports.protect = exports.authenticate;
+
+// Middleware to authenticate a JWT or an API key scoped to the given resource
+exports.authenticateOrApiKey = (resource) => async (req, res, next) => {
+  const key = getApiKeyFromRequest(req);
+  if (!key) {
+    return exports.authenticate(req, res, next);
+  }
+
+  try {
+    const apiKey = await ApiKey.findActiveByKey(key);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized - Invalid or expired API key',
+      });
     }
-    
+
+    const access = getRequiredAccess(req.method);
+    if (!apiKey.hasScope(resource, access)) {
+      return res.status(403).json({
+        success: false,
+        code: 'INSUFFICIENT_SCOPE',
+        message: `Forbidden - API key is missing the ${resource}:${access} scope`,
+      });
+    }
+
+    const user = await User.findById(apiKey.userId);
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Unauthorized - Invalid or expired token',
+        message: 'Unauthorized - Invalid or expired API key',
       });
     }
-    
+
+    if (await UserSettings.getSuspension(user._id)) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'Your account has been suspended',
+      });
+    }
+
+    if (await UserSettings.getPendingDeletion(user._id)) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_PENDING_DELETION',
+        message: 'This account is scheduled for deletion. Log in to cancel the deletion.',
+      });
+    }
+
+    const usage = await Subscription.recordApiCall(user._id);
+    if (!usage.allowed) {
+      return res.status(429).json({
+        success: false,
+        code: 'API_CALL_LIMIT_EXCEEDED',
+        message: 'API call limit for your plan has been reached',
+        usage: { current: usage.current, limit: usage.limit },
+      });
+    }
+
+    await apiKey.recordUsage(req.ip);
+
     req.user = user;
+    req.authInfo = { apiKeyId: apiKey._id, scopes: apiKey.scopes };
     next();
-  })(req, res, next);
+  } catch (error) {
+    next(error);
+  }
 };
 
-// Alias for authenticate (commonly used as protect in routes)
-exports.protect = exports.authenticate;
+// Middleware to require a password or 2FA confirmation within the last few minutes (use after authenticate)
+exports.requireRecentAuth = (req, res, next) => {
+  if (req.authInfo && isRecentAuth(req.authInfo.authTime)) {
+    return next();
+  }
+
+  const methods = [];
+  if (req.user && req.user.password) {
+    methods.push('password');
+  }
+  if (req.user && req.user.isTwoFactorEnabled) {
+    methods.push('two_factor');
+  }
+
+  res.status(403).json({
+    success: false,
+    code: 'STEP_UP_REQUIRED',
+    message: 'Please confirm your identity to continue',
+    maxAgeMinutes: STEP_UP_MAX_AGE_MINUTES,
+    methods,
+  });
+};
+
+// Middleware to refuse an action while an admin is impersonating the user (use after authenticate)
+exports.denyImpersonation = (req, res, next) => {
+  if (!req.impersonation) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    code: 'IMPERSONATION_NOT_ALLOWED',
+    message: 'This action is not available while impersonating a user',
+  });
+};
 
 // Middleware to check if user has admin role
 exports.isAdmin = (req, res, next) => {
@@ -44,4 +147,69 @@ exports.isVerified = (req, res, next) => {
       message: 'Forbidden - Email verification required',
     });
   }
-};
\ No newline at end of file
+};
+
+// Helper function to run the JWT strategy and translate its outcome into a response
+function authenticateJwt(req, res, next, { allowRestricted }) {
+  passport.authenticate('jwt', { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+    
+    if (!user) {
+      if (info && (info.code === 'ACCOUNT_SUSPENDED' || info.code === 'ACCOUNT_PENDING_DELETION')) {
+        return res.status(403).json({
+          success: false,
+          code: info.code,
+          message: info.message,
+        });
+      }
+
+      if (info && info.code === 'SESSION_IDLE_TIMEOUT') {
+        return res.status(401).json({
+          success: false,
+          code: info.code,
+          message: info.message,
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized - Invalid or expired token',
+      });
+    }
+
+    if (info && info.restricted && !allowRestricted) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'You must change your password before continuing',
+      });
+    }
+    
+    req.user = user;
+    req.authInfo = info || {};
+
+    if (info && info.impersonation) {
+      req.impersonation = info.impersonation;
+      auditImpersonatedWrites(req, res);
+    }
+
+    next();
+  })(req, res, next);
+}
+
+// Helper function to read an API key from X-API-Key or a Bearer header
+function getApiKeyFromRequest(req) {
+  const headerKey = req.headers['x-api-key'];
+  if (isApiKey(headerKey)) {
+    return headerKey;
+  }
+
+  const [scheme, credential] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Bearer' && isApiKey(credential)) {
+    return credential;
+  }
+
+  return null;
+}
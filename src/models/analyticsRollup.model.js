@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Daily totals kept after raw view logs and searches pass their retention window
+const analyticsRollupSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ['view_log', 'user_search'],
+      required: true,
+    },
+    // Start of the day (server time, matching ViewLog timing fields)
+    date: {
+      type: Date,
+      required: true,
+    },
+    // View log target; empty for search rollups
+    targetId: mongoose.Schema.Types.ObjectId,
+    targetType: String,
+
+    count: {
+      type: Number,
+      default: 0,
+    },
+    interactions: {
+      type: Number,
+      default: 0,
+    },
+    bounces: {
+      type: Number,
+      default: 0,
+    },
+    engagementScoreTotal: {
+      type: Number,
+      default: 0,
+    },
+    engagementScoreCount: {
+      type: Number,
+      default: 0,
+    },
+    timeOnPageTotal: {
+      type: Number,
+      default: 0,
+    },
+    timeOnPageCount: {
+      type: Number,
+      default: 0,
+    },
+    // Distinct within the day only; summing days overcounts returning viewers
+    uniqueViewers: {
+      type: Number,
+      default: 0,
+    },
+    uniqueSessions: {
+      type: Number,
+      default: 0,
+    },
+
+    // Counts per value, e.g. breakdowns.country.Germany or breakdowns.hour.14
+    breakdowns: {
+      type: Map,
+      of: {
+        type: Map,
+        of: Number,
+      },
+      default: {},
+    },
+
+    // Batches of view logs or searches already added in, so a retried run does not count
+    // records again when it failed before deleting them
+    rollupBatches: {
+      type: [mongoose.Schema.Types.ObjectId],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+analyticsRollupSchema.index({ source: 1, targetId: 1, targetType: 1, date: 1 }, { unique: true });
+analyticsRollupSchema.index({ source: 1, date: 1 });
+
+// Static method to get a target's rollups within an optional date range
+analyticsRollupSchema.statics.findForTarget = function (targetId, targetType, { startDate, endDate } = {}) {
+  const query = {
+    source: 'view_log',
+    targetId: new mongoose.Types.ObjectId(targetId),
+    targetType,
+  };
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      // A rollup covers its whole day, so include the day the range starts in
+      query.date.$gte = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    }
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  return this.find(query).sort({ date: 1 }).lean();
+};
+
+const AnalyticsRollup = mongoose.model('AnalyticsRollup', analyticsRollupSchema);
+
+module.exports = AnalyticsRollup;
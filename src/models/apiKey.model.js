@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES, hashApiKey } = require('../utils/apiKey');
+
+// User-created API keys for scripts and integrations; only the hash is stored
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: API_KEY_SCOPES,
+      },
+    ],
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// Instance method to check if the key can still be used
+apiKeySchema.methods.isActive = function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > Date.now();
+};
+
+// Instance method to check a scope; write access implies read access
+apiKeySchema.methods.hasScope = function (resource, access) {
+  if (this.scopes.includes(`${resource}:${access}`)) return true;
+  return access === 'read' && this.scopes.includes(`${resource}:write`);
+};
+
+// Instance method to record a successful use
+apiKeySchema.methods.recordUsage = function (ipAddress) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+      $inc: { usageCount: 1 },
+    }
+  );
+};
+
+// Static method to find an active key from its plain value
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({
+    keyHash: hashApiKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+// Static method to get a user's keys that have not been revoked
+apiKeySchema.statics.getActiveKeys = function (userId) {
+  return this.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
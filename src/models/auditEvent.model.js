@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'register',
+  'password_reset',
+  'password_changed',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'two_factor_reenrolled',
+  'recovery_codes_regenerated',
+  'login_alert_denied',
+  'google_linked',
+  'google_unlinked',
+  'apple_linked',
+  'apple_unlinked',
+  'account_updated',
+  'email_change_requested',
+  'email_changed',
+  'email_change_reverted',
+  'settings_updated',
+  'billing_settings_updated',
+  'account_data_export_requested',
+  'account_data_exported',
+  'account_data_downloaded',
+  'account_deletion_requested',
+  'account_deletion_cancelled',
+  'account_purged',
+  'subscription_created',
+  'subscription_updated',
+  'subscription_canceled',
+  'subscription_reactivated',
+  'subscription_plan_changed',
+  'plan_created',
+  'plan_updated',
+  'plan_deleted',
+  'payment_settings_updated',
+  'payment_method_added',
+  'payment_method_updated',
+  'payment_method_removed',
+  'payment_method_default_changed',
+  'transaction_refunded',
+  'admin_lockout_cleared',
+  'admin_ip_lockout_cleared',
+  'admin_user_suspended',
+  'admin_user_unsuspended',
+  'admin_password_reset_forced',
+  'admin_two_factor_disabled',
+  'impersonation_started',
+  'impersonation_ended',
+  'admin_email_test_sent',
+  'admin_email_retried',
+  'admin_email_suppression_added',
+  'admin_email_suppression_removed',
+  'impersonated_request',
+];
+
+// Append-only record of security and account changes
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Who performed the action; empty for system actions
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorRole: {
+      type: String,
+      enum: ['user', 'admin', 'system'],
+      default: 'user',
+    },
+    // Whose account the action affected
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    resourceType: String,
+    resourceId: String,
+    ipAddress: String,
+    userAgent: String,
+    changes: {
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ targetUserId: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+// Retention is enforced by MongoDB, which bypasses the append-only guards below
+auditEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Reject any attempt to change or remove recorded events
+const rejectMutation = function (next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+auditEventSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are append-only'));
+  }
+  next();
+});
+
+// Static method to page through events matching a filter
+auditEventSchema.statics.search = async function (filter, { page = 1, limit = 20 } = {}) {
+  const [events, totalCount] = await Promise.all([
+    this.find(filter)
+      .populate('actorId', 'email firstName lastName role')
+      .populate('targetUserId', 'email firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(filter),
+  ]);
+
+  return { events, totalCount };
+};
+
+auditEventSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
@@ -310,6 +310,15 @@ const businessProfileSchema = new mongoose.Schema(
         default: 0,
         min: 0
       }
+    },
+    // Held while an invitation checks the seat limit and takes a seat, so two invitations
+    // cannot both take the last one
+    teamSeatLock: {
+      type: {
+        token: String,
+        expiresAt: Date
+      },
+      select: false
     }
   },
   {
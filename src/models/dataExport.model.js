@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Background job assembling a user's personal data into a downloadable archive
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+      default: 'pending',
+    },
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+
+    // The archive lives in the dataExports GridFS bucket
+    fileId: mongoose.Schema.Types.ObjectId,
+    fileName: String,
+    size: Number,
+    // Number of records written per file, for the export list and the manifest
+    counts: {
+      type: Map,
+      of: Number,
+    },
+
+    // Hash of the token in the emailed download link
+    downloadTokenHash: {
+      type: String,
+      select: false,
+    },
+    expiresAt: Date,
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    lastDownloadedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, updatedAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to check whether the archive can still be downloaded
+dataExportSchema.methods.isDownloadable = function () {
+  return this.status === 'ready' && !!this.fileId && !!this.expiresAt && this.expiresAt > new Date();
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const EMAIL_OUTBOX_RETENTION_DAYS = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS || '30');
+const EMAIL_SECURITY_OUTBOX_RETENTION_HOURS = parseInt(process.env.EMAIL_SECURITY_OUTBOX_RETENTION_HOURS || '24');
+
+// Outgoing email in the outbox; failed deliveries are retried by the email-outbox job
+const emailMessageSchema = new mongoose.Schema(
+  {
+    // Recipient account when the address belongs to a user
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    locale: {
+      type: String,
+      default: 'en',
+    },
+    // Matches the email categories in userSettings.notifications
+    category: {
+      type: String,
+      enum: ['security', 'billing', 'updates', 'marketing', 'newsletter'],
+      default: 'security',
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    // Bodies are dropped once sent because they can carry sign-in links and codes. Security
+    // email is never stored with its body, so it gets one attempt and is not retried.
+    html: String,
+    text: String,
+
+    status: {
+      type: String,
+      // suppressed: never sent because the address bounced, complained or unsubscribed
+      enum: ['queued', 'sending', 'sent', 'failed', 'suppressed'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: Date,
+    lastError: String,
+    sentAt: Date,
+    transport: String,
+    providerMessageId: String,
+
+    // Reported after sending by the email provider webhook
+    bounceType: {
+      type: String,
+      enum: ['hard', 'soft'],
+    },
+    bouncedAt: Date,
+    complainedAt: Date,
+
+    // Set once the message is sent, suppressed or has failed for good
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ userId: 1, createdAt: -1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ providerMessageId: 1 }, { sparse: true });
+emailMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically claim the next message that is due for delivery
+emailMessageSchema.statics.claimNextDue = function () {
+  return this.findOneAndUpdate(
+    { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'sending', lastAttemptAt: new Date() } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+emailMessageSchema.statics.RETENTION_DAYS = EMAIL_OUTBOX_RETENTION_DAYS;
+emailMessageSchema.statics.SECURITY_RETENTION_HOURS = EMAIL_SECURITY_OUTBOX_RETENTION_HOURS;
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+module.exports = EmailMessage;
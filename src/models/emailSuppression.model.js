@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Address that must not receive some or all email. Hard bounces, complaints and admin
+// entries apply to the whole address; unsubscribes apply to one category. Account holders
+// unsubscribe through userSettings.notifications.email instead, so most unsubscribe entries
+// belong to addresses without an account (team invitations and the like).
+const emailSuppressionSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      enum: ['hard_bounce', 'soft_bounce', 'complaint', 'unsubscribe', 'manual'],
+      required: true,
+    },
+    // Null covers every category
+    category: {
+      type: String,
+      enum: ['security', 'billing', 'updates', 'marketing', 'newsletter'],
+      default: null,
+    },
+    // Events seen for this entry; soft bounces only suppress once they reach the limit
+    count: {
+      type: Number,
+      default: 1,
+    },
+    source: {
+      type: String,
+      enum: ['webhook', 'link', 'admin'],
+      required: true,
+    },
+    provider: String,
+    // Bounce diagnostic or complaint feedback type reported by the provider
+    diagnostic: String,
+    note: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastEventAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Soft bounces are forgotten after a quiet period; other entries stay until removed
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailSuppressionSchema.index({ email: 1, reason: 1, category: 1 }, { unique: true });
+emailSuppressionSchema.index({ reason: 1, createdAt: -1 });
+emailSuppressionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailSuppression = mongoose.model('EmailSuppression', emailSuppressionSchema);
+
+module.exports = EmailSuppression;
@@ -64,7 +64,9 @@ const favoriteSchema = new mongoose.Schema(
         address: String
       },
       reminderDate: Date,
-      reminderNote: String
+      reminderNote: String,
+      // Reminder date that has already been notified
+      reminderSentFor: Date
     },
     analytics: {
       viewCount: {
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Time-limited session in which an admin acts as a user for support
+const impersonationSessionSchema = new mongoose.Schema(
+  {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: Date,
+    endedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+impersonationSessionSchema.index({ userId: 1, createdAt: -1 });
+impersonationSessionSchema.index({ adminId: 1, createdAt: -1 });
+impersonationSessionSchema.index({ endedAt: 1, expiresAt: 1 });
+
+// Method to check whether the session can still be used
+impersonationSessionSchema.methods.isActive = function () {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+// Static method to find a session that has neither ended nor expired
+impersonationSessionSchema.statics.findActive = function (id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: id, endedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to end a session; returns null when it had already ended
+impersonationSessionSchema.statics.end = function (id, endedBy) {
+  return this.findOneAndUpdate(
+    { _id: id, endedAt: null },
+    { $set: { endedAt: new Date(), endedBy } },
+    { new: true }
+  );
+};
+
+const ImpersonationSession = mongoose.model('ImpersonationSession', impersonationSessionSchema);
+
+module.exports = ImpersonationSession;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Tracks failed login attempts per client IP, independently of the account
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    ipAddress: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: Date,
+    blockedUntil: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Forget idle IPs automatically
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ blockedUntil: 1 }, { sparse: true });
+
+// Instance method to check if the IP is currently blocked
+loginThrottleSchema.methods.isBlocked = function () {
+  return !!(this.blockedUntil && this.blockedUntil > Date.now());
+};
+
+// Static method to get currently blocked IPs
+loginThrottleSchema.statics.getBlocked = function () {
+  return this.find({ blockedUntil: { $gt: new Date() } }).sort({ blockedUntil: -1 });
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Categories match the per-channel preferences in userSettings.notifications
+const NOTIFICATION_CATEGORIES = ['security', 'billing', 'updates', 'marketing', 'newsletter'];
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'push', 'sms'];
+
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '90');
+
+// Entry in a user's in-app notification feed
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: NOTIFICATION_CATEGORIES,
+      required: true,
+    },
+    // Producer-specific kind, e.g. form_submission_received
+    type: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    body: {
+      type: String,
+      maxlength: 1000,
+    },
+    // Path in the app the notification opens
+    link: String,
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: Date,
+
+    // Outcome per channel; in_app is always delivered
+    deliveries: [
+      {
+        _id: false,
+        channel: {
+          type: String,
+          enum: NOTIFICATION_CHANNELS,
+        },
+        status: {
+          type: String,
+          enum: ['sent', 'skipped', 'failed'],
+        },
+        reason: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a user's unread notifications, optionally per category
+notificationSchema.statics.getUnreadCount = function (userId, category) {
+  const query = { userId, readAt: null };
+  if (category) {
+    query.category = category;
+  }
+  return this.countDocuments(query);
+};
+
+// Static method to mark some of a user's notifications as read
+notificationSchema.statics.markRead = function (userId, ids) {
+  return this.updateMany({ _id: { $in: ids }, userId, readAt: null }, { $set: { readAt: new Date() } });
+};
+
+// Static method to mark all of a user's notifications as read, optionally per category
+notificationSchema.statics.markAllRead = function (userId, category) {
+  const query = { userId, readAt: null };
+  if (category) {
+    query.category = category;
+  }
+  return this.updateMany(query, { $set: { readAt: new Date() } });
+};
+
+notificationSchema.statics.CATEGORIES = NOTIFICATION_CATEGORIES;
+notificationSchema.statics.CHANNELS = NOTIFICATION_CHANNELS;
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
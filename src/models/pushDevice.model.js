@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Mobile or browser registration that can receive push notifications
+const pushDeviceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Token issued by the platform push service (APNs, FCM, Web Push)
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 4096,
+    },
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web'],
+      required: true,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pushDeviceSchema.index({ userId: 1 });
+
+// Static method to register a device token; a token moves with whoever signed in last
+pushDeviceSchema.statics.register = function (userId, { token, platform, deviceName }) {
+  return this.findOneAndUpdate(
+    { token },
+    { $set: { userId, platform, deviceName, lastSeenAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const PushDevice = mongoose.model('PushDevice', pushDeviceSchema);
+
+module.exports = PushDevice;
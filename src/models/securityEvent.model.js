@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['refresh_token_reuse', 'unfamiliar_login', 'login_alert_denied'],
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium',
+    },
+    ipAddress: String,
+    userAgent: String,
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+// Static method to record a security event
+securityEventSchema.statics.record = function (userId, type, { req, severity, metadata } = {}) {
+  return this.create({
+    userId,
+    type,
+    severity,
+    ipAddress: req ? req.ip : undefined,
+    userAgent: req ? req.headers['user-agent'] : undefined,
+    metadata,
+  });
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
@@ -317,6 +317,36 @@ subscriptionSchema.statics.getExpiringSubscriptions = function(days = 7) {
   }).populate('userId planId');
 };
 
+// Static method to count an API call against the user's active subscription
+subscriptionSchema.statics.recordApiCall = async function(userId) {
+  const subscription = await this.findOne({
+    userId,
+    status: { $in: ['active', 'trialing'] }
+  }).sort({ createdAt: -1 });
+
+  if (!subscription) return { allowed: true };
+
+  // Increment only while under the limit so concurrent calls cannot overshoot it
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: subscription._id,
+      $or: [
+        { 'usage.apiCalls.limit': null },
+        { $expr: { $lt: ['$usage.apiCalls.current', '$usage.apiCalls.limit'] } }
+      ]
+    },
+    { $inc: { 'usage.apiCalls.current': 1 } },
+    { new: true }
+  );
+
+  const usage = (updated || subscription).usage.apiCalls || {};
+  return {
+    allowed: !!updated,
+    current: usage.current,
+    limit: usage.limit
+  };
+};
+
 // Virtual for formatted billing amount
 subscriptionSchema.virtual('formattedBillingAmount').get(function() {
   const formatter = new Intl.NumberFormat('en-US', {
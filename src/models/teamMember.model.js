@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Membership of a user in a business workspace; the business owner is implicit
+const teamMemberSchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusinessProfile',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'editor', 'viewer', 'guest'],
+      default: 'viewer',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'declined', 'revoked'],
+      default: 'pending',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    inviteToken: {
+      type: String,
+      select: false,
+    },
+    inviteExpiresAt: Date,
+    respondedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+teamMemberSchema.index({ businessId: 1, status: 1 });
+teamMemberSchema.index({ businessId: 1, email: 1 });
+teamMemberSchema.index({ userId: 1, status: 1 });
+teamMemberSchema.index({ inviteToken: 1 }, { sparse: true });
+
+// Instance method to check if a pending invitation can still be answered
+teamMemberSchema.methods.isInvitationOpen = function () {
+  return this.status === 'pending' && (!this.inviteExpiresAt || this.inviteExpiresAt > Date.now());
+};
+
+// Static method to count the seats a business uses, including the owner and open invitations
+teamMemberSchema.statics.countSeats = async function (businessId) {
+  const members = await this.countDocuments({
+    businessId,
+    $or: [
+      { status: 'active' },
+      { status: 'pending', inviteExpiresAt: { $gt: new Date() } },
+    ],
+  });
+
+  return members + 1;
+};
+
+// Static method to get a user's active memberships
+teamMemberSchema.statics.getMemberships = function (userId) {
+  return this.find({ userId, status: 'active' });
+};
+
+const TeamMember = mongoose.model('TeamMember', teamMemberSchema);
+
+module.exports = TeamMember;
@@ -13,7 +13,7 @@ const tokenSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['refresh', 'verification', 'passwordReset'],
+      enum: ['refresh', 'verification', 'passwordReset', 'accountUnlock', 'magicLink', 'emailChange', 'emailRevert', 'loginAlert'],
       required: true,
     },
     expiresAt: {
@@ -24,6 +24,41 @@ const tokenSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Extra data for flows that need it (e.g. old/new address for email changes)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    // Device session (refresh tokens only); carried over on every rotation
+    sessionId: {
+      type: String,
+    },
+    sessionName: String,
+    sessionStartedAt: Date,
+    // Last time the user proved who they are in this session (login or step-up)
+    authenticatedAt: Date,
+    lastUsedAt: Date,
+    ipAddress: String,
+    device: {
+      type: { type: String },
+      os: String,
+      browser: String,
+      userAgent: String,
+    },
+    location: {
+      country: String,
+      region: String,
+      city: String,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+
+    // Rotation lineage: the token this one replaced, and when it was itself replaced
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Token',
+    },
+    rotatedAt: Date,
   },
   {
     timestamps: true,
@@ -32,7 +67,104 @@ const tokenSchema = new mongoose.Schema(
 
 // Index to automatically expire tokens
 tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+tokenSchema.index({ userId: 1, type: 1, sessionId: 1 });
+tokenSchema.index({ parentId: 1 }, { sparse: true });
+
+// Static method to get the active device sessions of a user
+tokenSchema.statics.getActiveSessions = function (userId) {
+  return this.find({
+    userId,
+    type: 'refresh',
+    isUsed: false,
+    sessionId: { $exists: true },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Sessions only write activity this often, to keep authenticated requests cheap
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+// Method to check whether a session has been idle longer than the timeout
+tokenSchema.methods.isIdle = function (idleTimeoutMs) {
+  const lastActivity = this.lastUsedAt || this.createdAt;
+  return !!(idleTimeoutMs && lastActivity && Date.now() - lastActivity.getTime() > idleTimeoutMs);
+};
+
+// Static method to validate a device session on each request, recording activity
+// Returns 'active', 'idle' (now revoked) or 'inactive'
+tokenSchema.statics.touchSession = async function (userId, sessionId, { idleTimeoutMs } = {}) {
+  const session = await this.findOne({
+    userId,
+    sessionId,
+    type: 'refresh',
+    isUsed: false,
+    expiresAt: { $gt: new Date() },
+  }).select('lastUsedAt createdAt');
+
+  if (!session) {
+    return 'inactive';
+  }
+
+  if (session.isIdle(idleTimeoutMs)) {
+    await this.updateOne(
+      { _id: session._id, isUsed: false },
+      { $set: { isUsed: true, revokedAt: new Date(), revokedReason: 'idle_timeout' } }
+    );
+    return 'idle';
+  }
+
+  const lastActivity = session.lastUsedAt || session.createdAt;
+  if (Date.now() - lastActivity.getTime() > ACTIVITY_WRITE_INTERVAL_MS) {
+    await this.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+  }
+
+  return 'active';
+};
+
+// Static method to mark a device session as freshly re-authenticated
+// Returns whether an active session was found
+tokenSchema.statics.recordStepUp = async function (userId, sessionId, authenticatedAt = new Date()) {
+  const result = await this.updateMany(
+    { userId, sessionId, type: 'refresh', isUsed: false, expiresAt: { $gt: new Date() } },
+    { $set: { authenticatedAt } }
+  );
+  return result.matchedCount > 0;
+};
+
+// Static method to revoke device sessions of a user (optionally all but one)
+tokenSchema.statics.revokeSessions = function (userId, { sessionId, exceptSessionId } = {}) {
+  const query = { userId, type: 'refresh', isUsed: false };
+
+  if (sessionId) {
+    query.sessionId = sessionId;
+  } else if (exceptSessionId) {
+    query.sessionId = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { $set: { isUsed: true, revokedAt: new Date(), revokedReason: 'revoked' } });
+};
+
+// Static method to revoke every token descended from a refresh token
+tokenSchema.statics.revokeDescendants = async function (tokenDoc, reason) {
+  const descendantIds = [];
+  let parentIds = [tokenDoc._id];
+
+  while (parentIds.length > 0) {
+    const children = await this.find({ parentId: { $in: parentIds } }).select('_id');
+    parentIds = children.map((child) => child._id);
+    descendantIds.push(...parentIds);
+  }
+
+  if (descendantIds.length === 0) {
+    return { modifiedCount: 0 };
+  }
+
+  return this.updateMany(
+    { _id: { $in: descendantIds }, isUsed: false },
+    { $set: { isUsed: true, revokedAt: new Date(), revokedReason: reason } }
+  );
+};
 
 const Token = mongoose.model('Token', tokenSchema);
 
-module.exports = Token;
\ No newline at end of file
+module.exports = Token;
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { hashRecoveryCode } = require('../utils/twoFactor');
+const { OTP_EXPIRY_MS } = require('../utils/otp');
+const { PASSWORD_POLICY } = require('../utils/passwordPolicy');
+
+// Wrong guesses allowed on an emailed or texted 2FA code before it stops working
+const MAX_TWO_FACTOR_CODE_ATTEMPTS = 5;
 
 const userSchema = new mongoose.Schema(
   {
@@ -13,10 +19,22 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: function () {
-        return !this.googleId && !this.facebookId; // Password is required only if not using Google OAuth
+        return !this.googleId && !this.facebookId && !this.appleId; // Password is required only if not using OAuth
       },
       minlength: 8,
     },
+    passwordChangedAt: Date,
+    // Hashes of previous passwords, newest last, for the reuse check
+    passwordHistory: {
+      type: [
+        {
+          _id: false,
+          hash: String,
+          changedAt: Date,
+        },
+      ],
+      select: false,
+    },
     firstName: {
       type: String,
       trim: true,
@@ -39,11 +57,54 @@ const userSchema = new mongoose.Schema(
     verificationTokenExpires: Date,
     resetPasswordToken: String,
     resetPasswordExpires: Date,
+    // Set by a forced reset: the current password stops working until the emailed link is redeemed
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
     twoFactorSecret: String,
     isTwoFactorEnabled: {
       type: Boolean,
       default: false,
     },
+    twoFactorMethod: {
+      type: String,
+      enum: ['authenticator', 'email', 'sms'],
+      default: 'authenticator',
+    },
+    phoneNumber: {
+      type: String,
+      trim: true,
+    },
+    isPhoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Email/SMS 2FA one-time code
+    twoFactorCode: {
+      type: String,
+      select: false,
+    },
+    twoFactorCodeValidation: {
+      type: Number,
+      select: false,
+    },
+    twoFactorCodeAttempts: {
+      type: Number,
+      select: false,
+    },
+    // Secret awaiting confirmation during authenticator re-enrollment
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // One-time backup codes, stored hashed
+    twoFactorRecoveryCodes: [
+      {
+        codeHash: String,
+        usedAt: Date,
+      },
+    ],
     // OAuth providers
     googleId: {
       type: String,
@@ -51,6 +112,9 @@ const userSchema = new mongoose.Schema(
     facebookId: {
       type: String,
     },
+    appleId: {
+      type: String,
+    },
 
     // OAuth profile data
     oauthProfiles: {
@@ -66,6 +130,13 @@ const userSchema = new mongoose.Schema(
         email: String,
         name: String,
         picture: String,
+      },
+      apple: {
+        id: String,
+        email: String,
+        name: String,
+        isPrivateEmail: Boolean, // @privaterelay.appleid.com address
+        email_verified: Boolean,
       }
     },
     role: {
@@ -84,6 +155,20 @@ const userSchema = new mongoose.Schema(
         success: Boolean,
       },
     ],
+    // Devices and countries of successful sign-ins, kept apart from loginHistory so failed
+    // attempts cannot push them out
+    knownSignIns: {
+      devices: [String],
+      countries: [String],
+    },
+
+    // Brute-force protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
 
     // mobile OTP code
     forgotPasswordCode: {
@@ -112,7 +197,9 @@ const userSchema = new mongoose.Schema(
 // Create indexes using schema.index() to avoid duplicates
 userSchema.index({ googleId: 1 }, { sparse: true });
 userSchema.index({ facebookId: 1 }, { sparse: true });
+userSchema.index({ appleId: 1 }, { sparse: true });
 userSchema.index({ email: 1, googleId: 1 });
+userSchema.index({ lockUntil: 1 }, { sparse: true });
 
 // Pre-save hook to hash password
 userSchema.pre('save', async function (next) {
@@ -124,16 +211,38 @@ userSchema.pre('save', async function (next) {
     const salt = await bcrypt.genSalt(10);
     // Hash the password along with the new salt
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
+    // History is appended after the save, so it works even when the field was not selected
+    this.$locals.passwordChanged = true;
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Post-save hook to remember the new password hash for the reuse check
+userSchema.post('save', async function () {
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $push: {
+        passwordHistory: {
+          $each: [{ hash: this.password, changedAt: this.passwordChangedAt }],
+          $slice: -Math.max(PASSWORD_POLICY.historyCount, 1),
+        },
+      },
+    }
+  );
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   // return bcrypt.compare(candidatePassword, this.password);
   if (!this.password) return false; // OAuth users might not have password
+  if (this.passwordResetRequired) return false; // The password may be known to someone else
   return bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -154,6 +263,70 @@ userSchema.methods.recordLoginAttempt = function (ipAddress, userAgent, success)
   return this.save();
 };
 
+// Method to consume a 2FA recovery code. The code is marked used in the database only if it
+// is still unused there, so two requests with the same code cannot both succeed.
+userSchema.methods.useRecoveryCode = async function (code) {
+  const codeHash = hashRecoveryCode(code);
+  const usedAt = new Date();
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: { $elemMatch: { codeHash, usedAt: null } } },
+    { $set: { 'twoFactorRecoveryCodes.$.usedAt': usedAt } }
+  );
+  if (!result.modifiedCount) return false;
+
+  // Keep this document in step for getRemainingRecoveryCodes
+  const entry = (this.twoFactorRecoveryCodes || []).find((recoveryCode) => recoveryCode.codeHash === codeHash);
+  if (entry) entry.usedAt = usedAt;
+  return true;
+};
+
+// Method to count unused 2FA recovery codes
+userSchema.methods.getRemainingRecoveryCodes = function () {
+  return (this.twoFactorRecoveryCodes || []).filter((recoveryCode) => !recoveryCode.usedAt).length;
+};
+
+// Static method to consume an email/SMS 2FA code; returns the user or null
+userSchema.statics.consumeTwoFactorCode = function (userId, code) {
+  return this.findOneAndUpdate(
+    {
+      _id: userId,
+      twoFactorCode: String(code),
+      twoFactorCodeValidation: { $gt: Date.now() - OTP_EXPIRY_MS },
+      twoFactorCodeAttempts: { $not: { $gte: MAX_TWO_FACTOR_CODE_ATTEMPTS } },
+    },
+    { $unset: { twoFactorCode: 1, twoFactorCodeValidation: 1, twoFactorCodeAttempts: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to count a wrong guess on the pending email/SMS 2FA code, dropping the code
+// once MAX_TWO_FACTOR_CODE_ATTEMPTS is reached; returns the attempts so far
+userSchema.statics.registerTwoFactorCodeFailure = async function (userId) {
+  const user = await this.findOneAndUpdate(
+    { _id: userId, twoFactorCode: { $exists: true } },
+    { $inc: { twoFactorCodeAttempts: 1 } },
+    { new: true }
+  ).select('+twoFactorCodeAttempts');
+
+  if (!user) {
+    return 0;
+  }
+
+  if (user.twoFactorCodeAttempts >= MAX_TWO_FACTOR_CODE_ATTEMPTS) {
+    await this.updateOne(
+      { _id: userId, twoFactorCodeAttempts: { $gte: MAX_TWO_FACTOR_CODE_ATTEMPTS } },
+      { $unset: { twoFactorCode: 1, twoFactorCodeValidation: 1, twoFactorCodeAttempts: 1 } }
+    );
+  }
+  return user.twoFactorCodeAttempts;
+};
+
+// Method to check if the account is temporarily locked
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
 // Post-save hook to create default favorites folder for new users
 userSchema.post('save', async function(doc) {
   if (this.isNew) {
@@ -100,7 +100,10 @@ const userSearchSchema = new mongoose.Schema(
       userAgent: String,
       ipAddress: String,
       sessionId: String
-    }
+    },
+
+    // Set by the data retention job just before it rolls the search up (see AnalyticsRollup)
+    rollupBatch: mongoose.Schema.Types.ObjectId
   },
   {
     timestamps: true
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const DEFAULT_SESSION_TIMEOUT_MINUTES = 60;
+
 const userSettingsSchema = new mongoose.Schema(
   {
     userId: {
@@ -103,6 +105,10 @@ const userSettingsSchema = new mongoose.Schema(
         security: {
           type: Boolean,
           default: true
+        },
+        billing: {
+          type: Boolean,
+          default: true
         }
       },
       sms: {
@@ -131,11 +137,12 @@ const userSettingsSchema = new mongoose.Schema(
         type: Boolean,
         default: true
       },
+      // Idle minutes before a device session is signed out
       sessionTimeout: {
         type: Number,
         min: 15,
         max: 1440,
-        default: 60 // minutes
+        default: DEFAULT_SESSION_TIMEOUT_MINUTES
       },
       passwordChangeRequired: {
         type: Boolean,
@@ -156,8 +163,14 @@ const userSettingsSchema = new mongoose.Schema(
       },
       deletedAt: Date,
       deleteReason: String,
+      // End of the grace period; the account is purged after this unless the user logs back in
+      deletionScheduledFor: Date,
       suspendedAt: Date,
-      suspensionReason: String
+      suspensionReason: String,
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
     },
 
     // Data and export preferences
@@ -188,6 +201,7 @@ const userSettingsSchema = new mongoose.Schema(
 // Create indexes for performance
 userSettingsSchema.index({ 'accountStatus.isActive': 1 });
 userSettingsSchema.index({ 'accountStatus.isDeleted': 1 });
+userSettingsSchema.index({ 'accountStatus.suspendedAt': 1 }, { sparse: true });
 
 // Method to get public settings (for profile visibility)
 userSettingsSchema.methods.getPublicSettings = function() {
@@ -231,6 +245,40 @@ userSettingsSchema.statics.createDefaultSettings = function(userId) {
   return this.create({ userId });
 };
 
+// Static method to get the account status if the user is suspended
+userSettingsSchema.statics.getSuspension = async function(userId) {
+  const settings = await this.findOne({
+    userId,
+    'accountStatus.suspendedAt': { $ne: null }
+  }).select('accountStatus');
+
+  return settings ? settings.accountStatus : null;
+};
+
+// Static method to get the account status if the user has asked for their account to be deleted
+userSettingsSchema.statics.getPendingDeletion = async function(userId) {
+  const settings = await this.findOne({
+    userId,
+    'accountStatus.isDeleted': true
+  }).select('accountStatus');
+
+  return settings ? settings.accountStatus : null;
+};
+
+// Static method to get everything token authentication needs to know in one query
+userSettingsSchema.statics.getAuthState = async function(userId) {
+  const settings = await this.findOne({ userId }).select('accountStatus security').lean();
+  const accountStatus = (settings && settings.accountStatus) || {};
+  const security = (settings && settings.security) || {};
+
+  return {
+    suspension: accountStatus.suspendedAt ? accountStatus : null,
+    pendingDeletion: accountStatus.isDeleted ? accountStatus : null,
+    sessionTimeout: security.sessionTimeout || DEFAULT_SESSION_TIMEOUT_MINUTES,
+    passwordChangeRequired: !!security.passwordChangeRequired
+  };
+};
+
 const UserSettings = mongoose.model('UserSettings', userSettingsSchema);
 
 module.exports = UserSettings; 
\ No newline at end of file
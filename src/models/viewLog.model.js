@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const AnalyticsRollup = require('./analyticsRollup.model');
+const { mergeRollupTimeSeries, mergeRollupOverview } = require('../utils/analyticsUtils');
 
 const viewLogSchema = new mongoose.Schema(
   {
@@ -175,7 +177,10 @@ const viewLogSchema = new mongoose.Schema(
         value: String
       }],
       tags: [String]
-    }
+    },
+
+    // Set by the data retention job just before it rolls the log up (see AnalyticsRollup)
+    rollupBatch: mongoose.Schema.Types.ObjectId
   },
   {
     timestamps: true
@@ -215,6 +220,7 @@ viewLogSchema.index({ targetId: 1, 'referral.source': 1 });
 viewLogSchema.index({ targetId: 1, 'deviceInfo.type': 1 });
 viewLogSchema.index({ sessionId: 1, createdAt: -1 });
 viewLogSchema.index({ viewerId: 1, createdAt: -1 }, { sparse: true });
+viewLogSchema.index({ createdAt: 1 }); // Data retention sweep
 
 // Pre-save middleware to populate timing information
 viewLogSchema.pre('save', function(next) {
@@ -547,7 +553,7 @@ viewLogSchema.statics.getTimeFilteredAnalytics = function(targetId, options = {}
       };
   }
 
-  return this.aggregate([
+  const rows = this.aggregate([
     { $match: matchStage },
     {
       $group: {
@@ -593,6 +599,15 @@ viewLogSchema.statics.getTimeFilteredAnalytics = function(targetId, options = {}
     },
     { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
   ]);
+
+  // Days past their retention window only survive as rollups
+  return Promise.all([
+    rows,
+    AnalyticsRollup.findForTarget(targetId, targetType, {
+      startDate: calculatedStartDate,
+      endDate: calculatedEndDate
+    })
+  ]).then(([series, rollups]) => mergeRollupTimeSeries(series, rollups, groupBy));
 };
 
 /**
@@ -619,7 +634,7 @@ viewLogSchema.statics.getAnalyticsOverview = function(targetId, options = {}) {
     if (endDate) matchStage.createdAt.$lte = new Date(endDate);
   }
 
-  return this.aggregate([
+  const overview = this.aggregate([
     { $match: matchStage },
     {
       $group: {
@@ -687,6 +702,11 @@ viewLogSchema.statics.getAnalyticsOverview = function(targetId, options = {}) {
     bounceRate: 0,
     interactionRate: 0
   });
+
+  return Promise.all([
+    overview,
+    AnalyticsRollup.findForTarget(targetId, targetType, { startDate, endDate })
+  ]).then(([totals, rollups]) => mergeRollupOverview(totals, rollups));
 };
 
 const ViewLog = mongoose.model('ViewLog', viewLogSchema);
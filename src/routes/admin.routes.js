@@ -0,0 +1,683 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const { authenticate, isAdmin, requireRecentAuth } = require('../middleware/auth.mw.js');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administrative user and security management
+ */
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: List locked accounts and blocked IP addresses
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lockouts retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/lockouts', authenticate, isAdmin, adminController.getLockouts);
+
+/**
+ * @swagger
+ * /api/admin/lockouts/users/{userId}:
+ *   delete:
+ *     summary: Clear the login lockout on a user account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User lockout cleared successfully
+ *       400:
+ *         description: Invalid user ID
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.delete('/lockouts/users/:userId', authenticate, isAdmin, adminController.clearUserLockout);
+
+/**
+ * @swagger
+ * /api/admin/lockouts/ips/{ipAddress}:
+ *   delete:
+ *     summary: Clear login throttling for an IP address
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ipAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: IP lockout cleared successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: No lockout found for this IP address
+ */
+router.delete('/lockouts/ips/:ipAddress', authenticate, isAdmin, adminController.clearIpLockout);
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Search and filter user accounts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches email, first name or last name
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [suspended, locked, unverified]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/users', authenticate, isAdmin, adminController.getUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}:
+ *   get:
+ *     summary: Get account, subscription, profile and session details for a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       400:
+ *         description: Invalid user ID
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId', authenticate, isAdmin, adminController.getUserDetails);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a user account and revoke its sessions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: User suspended successfully
+ *       400:
+ *         description: Invalid user ID or attempt to suspend yourself
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/suspend', authenticate, isAdmin, adminController.suspendUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unsuspend:
+ *   post:
+ *     summary: Lift a suspension on a user account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unsuspended successfully
+ *       400:
+ *         description: Invalid user ID or user is not suspended
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/unsuspend', authenticate, isAdmin, adminController.unsuspendUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/force-password-reset:
+ *   post:
+ *     summary: Send a password reset email, revoke sessions and require a new password
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password reset forced and email sent
+ *       400:
+ *         description: Invalid user ID
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/force-password-reset', authenticate, isAdmin, adminController.forcePasswordReset);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/disable-2fa:
+ *   post:
+ *     summary: Disable two-factor authentication for a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled successfully
+ *       400:
+ *         description: Invalid user ID or 2FA not enabled
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/disable-2fa', authenticate, isAdmin, adminController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/impersonate:
+ *   post:
+ *     summary: Start a time-limited impersonation session
+ *     description: Returns an access token acting as the user. Billing changes are blocked and every write is audited.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               durationMinutes:
+ *                 type: integer
+ *                 description: Defaults to IMPERSONATION_DEFAULT_MINUTES, capped at IMPERSONATION_MAX_MINUTES
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *       400:
+ *         description: Invalid user ID, missing reason, or user cannot be impersonated
+ *       403:
+ *         description: Admin access or recent authentication required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/impersonate', authenticate, isAdmin, requireRecentAuth, adminController.startImpersonation);
+
+/**
+ * @swagger
+ * /api/admin/impersonations:
+ *   get:
+ *     summary: List impersonation sessions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Impersonation sessions retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/impersonations', authenticate, isAdmin, adminController.getImpersonations);
+
+/**
+ * @swagger
+ * /api/admin/impersonations/{sessionId}:
+ *   delete:
+ *     summary: End an impersonation session
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Active impersonation session not found
+ */
+router.delete('/impersonations/:sessionId', authenticate, isAdmin, adminController.endImpersonation);
+
+/**
+ * @swagger
+ * /api/admin/audit-events:
+ *   get:
+ *     summary: Query the audit log across all users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of actions
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetUserId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorRole
+ *         schema:
+ *           type: string
+ *           enum: [user, admin, system]
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/audit-events', authenticate, isAdmin, adminController.getAuditEvents);
+
+/**
+ * @swagger
+ * /api/admin/data-retention/report:
+ *   get:
+ *     summary: Dry run of the data retention job
+ *     description: Counts the view logs, searches and login history entries past their owners' retention windows without changing anything. View logs are rolled up into daily totals before deletion.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report with viewLogs (targets, deleted, anonymized), searches.deleted and loginHistory.removed
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/data-retention/report', authenticate, isAdmin, adminController.getDataRetentionReport);
+
+/**
+ * @swagger
+ * /api/admin/email-templates:
+ *   get:
+ *     summary: List transactional email templates
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates with their category, variables and translated locales
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/email-templates', authenticate, isAdmin, adminController.getEmailTemplates);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{name}/preview:
+ *   get:
+ *     summary: Render an email template with sample data
+ *     description: Languages without a translation fall back to English; the response names the locale used.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: password_reset
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           example: es
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *         description: html returns the rendered page for viewing in a browser
+ *     responses:
+ *       200:
+ *         description: Subject, HTML and text bodies
+ *       404:
+ *         description: Email template not found
+ */
+router.get('/email-templates/:name/preview', authenticate, isAdmin, adminController.previewEmailTemplate);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{name}/test:
+ *   post:
+ *     summary: Send a test email from a template
+ *     description: Uses the template's sample data merged with any data given. Goes to your own address unless `to` is set.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 format: email
+ *               locale:
+ *                 type: string
+ *                 example: fr
+ *               data:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Outbox message after the first delivery attempt
+ *       404:
+ *         description: Email template not found
+ */
+router.post('/email-templates/:name/test', authenticate, isAdmin, adminController.sendTestEmail);
+
+/**
+ * @swagger
+ * /api/admin/email-outbox:
+ *   get:
+ *     summary: List outgoing emails and their delivery status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sending, sent, failed, suppressed]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Messages (without bodies) and counts per status
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/email-outbox', authenticate, isAdmin, adminController.getEmailOutbox);
+
+/**
+ * @swagger
+ * /api/admin/email-outbox/{messageId}/retry:
+ *   post:
+ *     summary: Retry a failed email now
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Result of the new delivery attempt
+ *       404:
+ *         description: Email message not found
+ *       409:
+ *         description: The message has not failed, or is security email stored without its body
+ */
+router.post('/email-outbox/:messageId/retry', authenticate, isAdmin, adminController.retryEmail);
+
+/**
+ * @swagger
+ * /api/admin/email-suppressions:
+ *   get:
+ *     summary: List addresses that are not sent some or all email
+ *     description: |
+ *       Entries come from bounces, complaints and unsubscribes reported by the email events
+ *       webhook, unsubscribe links used by addresses without an account, and admins. Soft
+ *       bounces are listed with active false until they reach EMAIL_SOFT_BOUNCE_LIMIT.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [hard_bounce, soft_bounce, complaint, unsubscribe, manual]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Email suppressions retrieved successfully
+ *       403:
+ *         description: Admin access required
+ *   post:
+ *     summary: Suppress an address
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               category:
+ *                 type: string
+ *                 enum: [security, billing, updates, marketing, newsletter]
+ *                 description: Leave out to stop every email, security included
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Email suppression added successfully
+ *       400:
+ *         description: Validation error
+ */
+router.get('/email-suppressions', authenticate, isAdmin, adminController.getEmailSuppressions);
+router.post('/email-suppressions', authenticate, isAdmin, adminController.addEmailSuppression);
+
+/**
+ * @swagger
+ * /api/admin/email-suppressions/{suppressionId}:
+ *   delete:
+ *     summary: Remove an address from the suppression list
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: suppressionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email suppression removed successfully
+ *       404:
+ *         description: Email suppression not found
+ */
+router.delete('/email-suppressions/:suppressionId', authenticate, isAdmin, adminController.removeEmailSuppression);
+
+module.exports = router;
@@ -12,6 +12,9 @@ const {
 } = require('../controllers/analytics.controller');
 const auth = require('../middleware/auth.mw');
 
+// Accepts a JWT or an API key with the analytics scope
+const analyticsAuth = auth.authenticateOrApiKey('analytics');
+
 /**
  * @swagger
  * components:
@@ -166,7 +169,19 @@ const auth = require('../middleware/auth.mw');
  *   post:
  *     summary: Track a view or interaction
  *     tags: [Analytics]
- *     description: Track user views and interactions for analytics (KON-37)
+ *     description: |
+ *       Track user views and interactions for analytics (KON-37).
+ *       How much is recorded depends on consent; the most restrictive signal wins:
+ *       the viewer's data settings, the X-Tracking-Consent header or tracking_consent cookie
+ *       (none, anonymous or full), and DNT / Sec-GPC. Anonymous visitors without a consent
+ *       signal are recorded anonymously.
+ *     parameters:
+ *       - in: header
+ *         name: X-Tracking-Consent
+ *         schema:
+ *           type: string
+ *           enum: [none, anonymous, full]
+ *         description: Visitor's tracking choice; the tracking_consent cookie is used when absent
  *     requestBody:
  *       required: true
  *       content:
@@ -255,6 +270,13 @@ const auth = require('../middleware/auth.mw');
  *                       type: string
  *                     engagementScore:
  *                       type: number
+ *                     tracked:
+ *                       type: boolean
+ *                     trackingLevel:
+ *                       type: string
+ *                       enum: [anonymous, full]
+ *       200:
+ *         description: Not recorded because tracking consent is none (data.tracked is false)
  *       400:
  *         description: Validation error
  */
@@ -343,7 +365,7 @@ router.post('/track', trackView);
  *       401:
  *         description: Unauthorized
  */
-router.get('/location', auth.authenticate, getLocationAnalytics);
+router.get('/location', analyticsAuth, getLocationAnalytics);
 
 /**
  * @swagger
@@ -436,7 +458,7 @@ router.get('/location', auth.authenticate, getLocationAnalytics);
  *       400:
  *         description: Validation error
  */
-router.get('/links', auth.authenticate, getLinkAnalytics);
+router.get('/links', analyticsAuth, getLinkAnalytics);
 
 /**
  * @swagger
@@ -526,7 +548,7 @@ router.get('/links', auth.authenticate, getLinkAnalytics);
  *       400:
  *         description: Validation error
  */
-router.get('/peak-hours', auth.authenticate, getPeakHourAnalytics);
+router.get('/peak-hours', analyticsAuth, getPeakHourAnalytics);
 
 /**
  * @swagger
@@ -628,7 +650,7 @@ router.get('/peak-hours', auth.authenticate, getPeakHourAnalytics);
  *       400:
  *         description: Validation error
  */
-router.get('/time-filtered', auth.authenticate, getTimeFilteredAnalytics);
+router.get('/time-filtered', analyticsAuth, getTimeFilteredAnalytics);
 
 /**
  * @swagger
@@ -736,7 +758,7 @@ router.get('/time-filtered', auth.authenticate, getTimeFilteredAnalytics);
  *       400:
  *         description: Validation error
  */
-router.get('/dashboard', auth.authenticate, getAnalyticsDashboard);
+router.get('/dashboard', analyticsAuth, getAnalyticsDashboard);
 
 /**
  * @swagger
@@ -833,7 +855,7 @@ router.get('/dashboard', auth.authenticate, getAnalyticsDashboard);
  *       400:
  *         description: Validation error
  */
-router.get('/real-time', auth.authenticate, getRealTimeAnalytics);
+router.get('/real-time', analyticsAuth, getRealTimeAnalytics);
 
 /**
  * @swagger
@@ -928,6 +950,6 @@ router.get('/real-time', auth.authenticate, getRealTimeAnalytics);
  *       400:
  *         description: Validation error
  */
-router.get('/export', auth.authenticate, exportAnalytics);
+router.get('/export', analyticsAuth, exportAnalytics);
 
 module.exports = router; 
\ No newline at end of file
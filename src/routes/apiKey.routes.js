@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKey.controller');
+const { authenticate, denyImpersonation } = require('../middleware/auth.mw.js');
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Personal API keys for scripts and integrations
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List your API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully, with the scopes that can be granted
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, apiKeyController.getApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The plain key is returned once and only its hash is stored.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Zapier
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [pages:read, pages:write, widgets:read, widgets:write, submissions:read, submissions:write, analytics:read, analytics:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error or key limit reached
+ */
+router.post('/', authenticate, denyImpersonation, apiKeyController.createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   patch:
+ *     summary: Rename an API key or change its scopes
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *       404:
+ *         description: API key not found
+ */
+router.patch('/:id', authenticate, apiKeyController.updateApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', authenticate, apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { authenticate } = require('../middleware/auth.mw.js');
+const { authenticate, requireRecentAuth, denyImpersonation } = require('../middleware/auth.mw.js');
 
 /**
  * @swagger
@@ -40,7 +40,9 @@ const { authenticate } = require('../middleware/auth.mw.js');
  *       201:
  *         description: User registered successfully
  *       400:
- *         description: Invalid input or user already exists
+ *         description: Invalid input, user already exists or the address does not receive email
+ *       503:
+ *         description: The verification email could not be sent
  */
 router.post('/register', authController.register);
 
@@ -64,6 +66,26 @@ router.post('/register', authController.register);
  */
 router.get('/verify-email/:token', authController.verifyEmail);
 
+/**
+ * @swagger
+ * /api/auth/unlock-account/{token}:
+ *   get:
+ *     summary: Unlock an account locked after repeated failed logins
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *       400:
+ *         description: Invalid or expired unlock token
+ */
+router.get('/unlock-account/:token', authController.unlockAccount);
+
 /**
  * @swagger
  * /api/auth/login:
@@ -90,9 +112,69 @@ router.get('/verify-email/:token', authController.verifyEmail);
  *         description: Login successful
  *       401:
  *         description: Authentication failed
+ *       423:
+ *         description: Account temporarily locked (see Retry-After header and retryAfter field)
+ *       429:
+ *         description: Too many failed attempts for this account or IP (see Retry-After header)
  */
 router.post('/login', authController.login);
 
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Request a passwordless sign-in link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Sign-in link sent if the account exists
+ *       400:
+ *         description: Invalid input
+ *       503:
+ *         description: The sign-in link could not be sent
+ */
+router.post('/magic-link', authController.requestMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/verify:
+ *   post:
+ *     summary: Sign in with a magic link token
+ *     description: Returns the same payload as login, or a 2FA challenge when 2FA is enabled.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful or 2FA required
+ *       400:
+ *         description: Invalid or expired sign-in link
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.post('/magic-link/verify', authController.redeemMagicLink);
+
 /**
  * @swagger
  * /api/auth/verify-2fa:
@@ -107,12 +189,14 @@ router.post('/login', authController.login);
  *             type: object
  *             required:
  *               - tempToken
- *               - code
  *             properties:
  *               tempToken:
  *                 type: string
  *               code:
  *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, used instead of code
  *     responses:
  *       200:
  *         description: 2FA verification successful
@@ -126,16 +210,32 @@ router.post('/verify-2fa', authController.verify2FA);
  * /api/auth/setup-2fa:
  *   post:
  *     summary: Setup 2FA
+ *     description: Authenticator returns a TOTP secret; email and SMS send a code to confirm with enable-2fa.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [authenticator, email, sms]
+ *                 default: authenticator
+ *               phoneNumber:
+ *                 type: string
+ *                 description: E.164 phone number, required for sms
  *     responses:
  *       200:
  *         description: 2FA setup initiated
+ *       400:
+ *         description: Invalid method or 2FA already enabled
  *       401:
  *         description: Unauthorized
  */
-router.post('/setup-2fa', authenticate, authController.setup2FA);
+router.post('/setup-2fa', authenticate, denyImpersonation, authController.setup2FA);
 
 /**
  * @swagger
@@ -162,7 +262,7 @@ router.post('/setup-2fa', authenticate, authController.setup2FA);
  *       401:
  *         description: Invalid code or unauthorized
  */
-router.post('/enable-2fa', authenticate, authController.enable2FA);
+router.post('/enable-2fa', authenticate, denyImpersonation, authController.enable2FA);
 
 /**
  * @swagger
@@ -178,6 +278,93 @@ router.post('/enable-2fa', authenticate, authController.enable2FA);
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, used instead of code
+ *     responses:
+ *       200:
+ *         description: 2FA disabled successfully
+ *       401:
+ *         description: Invalid code or unauthorized
+ *       403:
+ *         description: Recent password or 2FA confirmation required (STEP_UP_REQUIRED)
+ */
+router.post('/disable-2fa', authenticate, denyImpersonation, requireRecentAuth, authController.disable2FA);
+
+/**
+ * @swagger
+ * /api/auth/2fa/login-code:
+ *   post:
+ *     summary: Resend the email or SMS code during a 2FA login
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tempToken
+ *             properties:
+ *               tempToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       401:
+ *         description: Invalid or expired token
+ */
+router.post('/2fa/login-code', authController.sendLoginTwoFactorCode);
+
+/**
+ * @swagger
+ * /api/auth/2fa/code:
+ *   post:
+ *     summary: Send an email or SMS code to confirm a 2FA-protected action
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       400:
+ *         description: 2FA not enabled or authenticator method in use
+ */
+router.post('/2fa/code', authenticate, authController.sendTwoFactorCode);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   get:
+ *     summary: Get the number of unused 2FA recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Remaining recovery code count
+ *       400:
+ *         description: 2FA is not enabled
+ */
+router.get('/2fa/recovery-codes', authenticate, authController.getRecoveryCodesStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes/regenerate:
+ *   post:
+ *     summary: Regenerate 2FA recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *             required:
  *               - code
  *             properties:
@@ -185,11 +372,67 @@ router.post('/enable-2fa', authenticate, authController.enable2FA);
  *                 type: string
  *     responses:
  *       200:
- *         description: 2FA disabled successfully
+ *         description: New recovery codes (shown once)
  *       401:
  *         description: Invalid code or unauthorized
  */
-router.post('/disable-2fa', authenticate, authController.disable2FA);
+router.post('/2fa/recovery-codes/regenerate', authenticate, denyImpersonation, authController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/reenroll:
+ *   post:
+ *     summary: Start authenticator re-enrollment
+ *     description: Confirms the current authenticator code or a recovery code, then returns a new pending secret.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Pending secret and otpauth URL for the new authenticator
+ *       401:
+ *         description: Invalid code or unauthorized
+ */
+router.post('/2fa/reenroll', authenticate, denyImpersonation, authController.start2FAReenrollment);
+
+/**
+ * @swagger
+ * /api/auth/2fa/reenroll/confirm:
+ *   post:
+ *     summary: Confirm authenticator re-enrollment
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Code from the new authenticator
+ *     responses:
+ *       200:
+ *         description: Secret replaced; new recovery codes returned
+ *       401:
+ *         description: Invalid code or unauthorized
+ */
+router.post('/2fa/reenroll/confirm', authenticate, denyImpersonation, authController.confirm2FAReenrollment);
 
 /**
  * @swagger
@@ -245,10 +488,22 @@ router.post('/forgot-password', authController.forgotPassword);
  *       200:
  *         description: Password reset successful
  *       400:
- *         description: Invalid or expired token
+ *         description: Invalid or expired token, or the password violates the password policy (PASSWORD_POLICY_VIOLATION)
  */
 router.post('/reset-password/:token', authController.resetPassword);
 
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the password requirements
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Length, character class, blocklist, history and maximum age settings
+ */
+router.get('/password-policy', authController.getPasswordPolicy);
+
 /**
  * @swagger
  * /api/auth/refresh-token:
@@ -315,8 +570,78 @@ router.get('/google/callback', authController.googleCallback);
  *       302:
  *         description: Redirects to frontend with token
  */
-router.post('/link-google', authenticate, authController.linkGoogleAccount);
-router.delete('/unlink-google', authenticate, authController.unlinkGoogleAccount);
+router.post('/link-google', authenticate, denyImpersonation, authController.linkGoogleAccount);
+router.delete('/unlink-google', authenticate, denyImpersonation, authController.unlinkGoogleAccount);
+
+/**
+ * @swagger
+ * /api/auth/apple:
+ *   post:
+ *     summary: Sign in with Apple
+ *     description: Verifies the identity token returned to the native app and links or creates the user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identityToken
+ *             properties:
+ *               identityToken:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *                 description: Raw nonce passed to Apple when the token was requested
+ *               firstName:
+ *                 type: string
+ *                 description: Only provided by Apple on the first authorization
+ *               lastName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or 2FA required
+ *       400:
+ *         description: Validation error or no email shared by Apple
+ *       401:
+ *         description: Invalid Apple identity token
+ *       409:
+ *         description: Email already linked to a different Apple account
+ */
+router.post('/apple', authController.appleMobileLogin);
+
+/**
+ * @swagger
+ * /api/auth/link-apple:
+ *   post:
+ *     summary: Link Apple account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identityToken
+ *             properties:
+ *               identityToken:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Apple account linked
+ *       401:
+ *         description: Invalid Apple identity token
+ *       409:
+ *         description: Apple account linked to another user
+ */
+router.post('/link-apple', authenticate, denyImpersonation, authController.linkAppleAccount);
+router.delete('/unlink-apple', authenticate, denyImpersonation, authController.unlinkAppleAccount);
 
 
 
@@ -336,6 +661,165 @@ router.delete('/unlink-google', authenticate, authController.unlinkGoogleAccount
  */
 router.get('/login-history', authenticate, authController.getLoginHistory);
 
+/**
+ * @swagger
+ * /api/auth/audit-log:
+ *   get:
+ *     summary: Get security and account audit events for the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of actions (e.g. password_changed,two_factor_disabled)
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/audit-log', authenticate, authController.getAuditLog);
+
+/**
+ * @swagger
+ * /api/auth/login-alerts/{token}/deny:
+ *   get:
+ *     summary: Report a sign-in from a new-login alert as not yours
+ *     description: Signs out every session and emails a password reset link. A new password is required before the account can be used again.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked and password reset email sent
+ *       400:
+ *         description: Invalid or expired link
+ */
+router.get('/login-alerts/:token/deny', authController.denyLoginAlert);
+
+/**
+ * @swagger
+ * /api/auth/step-up:
+ *   post:
+ *     summary: Confirm your identity before a sensitive operation
+ *     description: Re-enter the password or a 2FA code to get an access token that counts as recently authenticated for a few minutes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator, email or SMS 2FA code, used instead of password
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, used instead of code
+ *     responses:
+ *       200:
+ *         description: Identity confirmed; returns a new access token and stepUpExpiresAt
+ *       400:
+ *         description: Missing credentials or method not available for this account
+ *       401:
+ *         description: Incorrect password or code, or no active session
+ *       423:
+ *         description: Account locked after too many incorrect passwords
+ */
+router.post('/step-up', authenticate, denyImpersonation, authController.stepUp);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active device sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with device, IP, location, created and last-used times
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/revoke-others:
+ *   post:
+ *     summary: Sign out of all other devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions except the current one revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/sessions/revoke-others', authenticate, denyImpersonation, authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a single device session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authenticate, denyImpersonation, authController.revokeSession);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -352,6 +836,22 @@ router.get('/login-history', authenticate, authController.getLoginHistory);
  */
 router.get('/me', authenticate, authController.getCurrentUser);
 
+/**
+ * @swagger
+ * /api/auth/impersonation/end:
+ *   post:
+ *     summary: End the impersonation session of the current token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The token is not an impersonation token
+ */
+router.post('/impersonation/end', authenticate, authController.endImpersonation);
+
 /**
  * @swagger
  * /api/auth/logout:
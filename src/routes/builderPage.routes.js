@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate: auth } = require('../middleware/auth.mw');
+const { authenticateOrApiKey } = require('../middleware/auth.mw');
 const builderPageController = require('../controllers/builderPage.controller');
 
 // Destructure functions from the controller
@@ -25,6 +25,9 @@ const {
   updateCallToAction
 } = builderPageController;
 
+// Accepts a JWT or an API key with the pages scope
+const auth = authenticateOrApiKey('pages');
+
 /**
  * @swagger
  * components:
@@ -466,9 +466,16 @@ router.post('/', authenticate, isVerified, businessProfileController.createProfi
  * /api/profile/business:
  *   get:
  *     summary: Get own business profile
+ *     description: Pass businessId to load a business you belong to as a team member.
  *     tags: [Business Profile]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: businessId
+ *         schema:
+ *           type: string
+ *         description: Team business to load instead of your own
  *     responses:
  *       200:
  *         description: Business profile retrieved successfully
@@ -484,6 +491,9 @@ router.post('/', authenticate, isVerified, businessProfileController.createProfi
  *                   properties:
  *                     profile:
  *                       $ref: '#/components/schemas/BusinessProfile'
+ *                     role:
+ *                       type: string
+ *                       enum: [owner, admin, editor, viewer, guest]
  *                     completionPercentage:
  *                       type: number
  *                     todayHours:
@@ -502,9 +512,15 @@ router.get('/', authenticate, isVerified, businessProfileController.getProfile);
  * /api/profile/business:
  *   put:
  *     summary: Update business profile
+ *     description: Owners and team admins can update; pass businessId to target a team business.
  *     tags: [Business Profile]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: businessId
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
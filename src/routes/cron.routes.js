@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const cronController = require('../controllers/cron.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cron
+ *   description: Background jobs triggered by a scheduler on serverless deployments
+ */
+
+/**
+ * @swagger
+ * /api/cron/{job}:
+ *   get:
+ *     summary: Run a background job
+ *     description: |
+ *       Runs one job from src/jobs/index.js and returns its result. Vercel Cron calls this on the
+ *       schedules in vercel.json and sends `Authorization: Bearer <CRON_SECRET>`. The endpoint
+ *       answers 401 to every request while CRON_SECRET is not set.
+ *     tags: [Cron]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: job
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email-outbox, data-exports, account-deletions, data-retention, favorite-reminders]
+ *     responses:
+ *       200:
+ *         description: Job completed; data.result holds its summary
+ *       401:
+ *         description: Missing or wrong CRON_SECRET
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:job', cronController.runJob);
+
+module.exports = router;
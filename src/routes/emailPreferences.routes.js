@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const emailPreferencesController = require('../controllers/emailPreferences.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Email Preferences
+ *   description: |
+ *     Manage email subscriptions from the signed link in the footer of every email outside the
+ *     security category, without signing in. Account holders' choices are saved to
+ *     notifications.email in their settings.
+ */
+
+/**
+ * @swagger
+ * /api/email-preferences/{token}:
+ *   get:
+ *     summary: Get the email subscriptions behind an unsubscribe link
+ *     tags: [Email Preferences]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscriptions per category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     categories:
+ *                       type: object
+ *                       example: { "marketing": true, "updates": true, "billing": true, "newsletter": false }
+ *                     suppressed:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Bounce or complaint that stops all email to the address
+ *                       example: null
+ *                     linkCategory:
+ *                       type: string
+ *                       example: "updates"
+ *       400:
+ *         description: Invalid unsubscribe link
+ */
+router.get('/:token', emailPreferencesController.getPreferences);
+
+/**
+ * @swagger
+ * /api/email-preferences/{token}:
+ *   put:
+ *     summary: Change email subscriptions from an unsubscribe link
+ *     tags: [Email Preferences]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               marketing:
+ *                 type: boolean
+ *               updates:
+ *                 type: boolean
+ *               billing:
+ *                 type: boolean
+ *               newsletter:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Email preferences updated successfully
+ *       400:
+ *         description: Invalid unsubscribe link or validation error
+ */
+router.put('/:token', emailPreferencesController.updatePreferences);
+
+/**
+ * @swagger
+ * /api/email-preferences/{token}/unsubscribe:
+ *   post:
+ *     summary: One-click unsubscribe
+ *     description: |
+ *       Unsubscribes from the category of the email the link came from. This is the target of the
+ *       List-Unsubscribe header, which mail clients post to with `List-Unsubscribe=One-Click`.
+ *     tags: [Email Preferences]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Invalid unsubscribe link
+ */
+router.post('/:token/unsubscribe', emailPreferencesController.unsubscribe);
+
+module.exports = router;
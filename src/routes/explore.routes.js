@@ -705,7 +705,7 @@ router.get('/recent-searches', auth.authenticate, exploreController.getRecentSea
  * /api/explore/recent-searches:
  *   post:
  *     summary: Save a search to recent searches
- *     description: Save the current search parameters to the user's recent searches
+ *     description: Save the current search parameters to the user's recent searches. Nothing is stored when the user has turned off allowPersonalization or allowDataCollection in their data settings.
  *     tags: [Explore]
  *     security:
  *       - bearerAuth: []
@@ -770,6 +770,8 @@ router.get('/recent-searches', auth.authenticate, exploreController.getRecentSea
  *                     example: 40.7128
  *                 description: Search coordinates
  *     responses:
+ *       200:
+ *         description: Search history is turned off for this user; nothing was saved (data.saved is false)
  *       201:
  *         description: Search saved successfully
  *         content:
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate: auth } = require('../middleware/auth.mw');
+const { authenticateOrApiKey } = require('../middleware/auth.mw');
 const formSubmissionController = require('../controllers/formSubmission.controller');
 
 // Destructure functions from the controller
@@ -14,6 +14,9 @@ const {
   bulkUpdateSubmissions
 } = formSubmissionController;
 
+// Accepts a JWT or an API key with the submissions scope
+const auth = authenticateOrApiKey('submissions');
+
 /**
  * @swagger
  * components:
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller');
+const { authenticate } = require('../middleware/auth.mw.js');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notification feed and push device registration
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get your notification feed
+ *     description: Newest first, with the unread count for the same category filter.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [security, billing, updates, marketing, newsletter]
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, notificationController.getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get unread notification counts
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Total unread count and a count per category
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/unread-count', authenticate, notificationController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [security, billing, updates, marketing, newsletter]
+ *                 description: Only mark this category as read
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *       400:
+ *         description: Validation error
+ */
+router.put('/read-all', authenticate, notificationController.markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/devices:
+ *   get:
+ *     summary: List your push devices
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Push devices retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/devices', authenticate, notificationController.getPushDevices);
+
+/**
+ * @swagger
+ * /api/notifications/devices:
+ *   post:
+ *     summary: Register a device for push notifications
+ *     description: Registering a token that is already known moves it to the current user.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - platform
+ *             properties:
+ *               token:
+ *                 type: string
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web]
+ *               deviceName:
+ *                 type: string
+ *                 example: Pixel 8
+ *     responses:
+ *       201:
+ *         description: Push device registered
+ *       400:
+ *         description: Validation error
+ */
+router.post('/devices', authenticate, notificationController.registerPushDevice);
+
+/**
+ * @swagger
+ * /api/notifications/devices/{deviceId}:
+ *   delete:
+ *     summary: Remove a push device
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Push device removed
+ *       404:
+ *         description: Push device not found
+ */
+router.delete('/devices/:deviceId', authenticate, notificationController.removePushDevice);
+
+/**
+ * @swagger
+ * /api/notifications/{notificationId}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.put('/:notificationId/read', authenticate, notificationController.markNotificationRead);
+
+module.exports = router;
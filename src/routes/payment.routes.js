@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth.mw.js');
+const { authenticate, requireRecentAuth, denyImpersonation } = require('../middleware/auth.mw.js');
 const {
   paymentSettingsController,
   paymentMethodController,
@@ -305,7 +305,7 @@ router.get('/settings', authenticate, paymentSettingsController.getPaymentSettin
  *       500:
  *         description: Server error
  */
-router.put('/settings', authenticate, paymentSettingsController.updatePaymentSettings);
+router.put('/settings', authenticate, denyImpersonation, paymentSettingsController.updatePaymentSettings);
 
 // Payment Methods Routes
 /**
@@ -407,7 +407,7 @@ router.get('/methods', authenticate, paymentMethodController.getPaymentMethods);
  *       500:
  *         description: Server error
  */
-router.post('/methods', authenticate, paymentMethodController.addPaymentMethod);
+router.post('/methods', authenticate, denyImpersonation, paymentMethodController.addPaymentMethod);
 
 /**
  * @swagger
@@ -460,7 +460,7 @@ router.post('/methods', authenticate, paymentMethodController.addPaymentMethod);
  *       500:
  *         description: Server error
  */
-router.put('/methods/:id', authenticate, paymentMethodController.updatePaymentMethod);
+router.put('/methods/:id', authenticate, denyImpersonation, paymentMethodController.updatePaymentMethod);
 
 /**
  * @swagger
@@ -496,7 +496,7 @@ router.put('/methods/:id', authenticate, paymentMethodController.updatePaymentMe
  *       500:
  *         description: Server error
  */
-router.delete('/methods/:id', authenticate, paymentMethodController.deletePaymentMethod);
+router.delete('/methods/:id', authenticate, denyImpersonation, paymentMethodController.deletePaymentMethod);
 
 /**
  * @swagger
@@ -534,7 +534,7 @@ router.delete('/methods/:id', authenticate, paymentMethodController.deletePaymen
  *       500:
  *         description: Server error
  */
-router.put('/methods/:id/default', authenticate, paymentMethodController.setDefaultPaymentMethod);
+router.put('/methods/:id/default', authenticate, denyImpersonation, paymentMethodController.setDefaultPaymentMethod);
 
 // Transaction Routes
 /**
@@ -724,12 +724,14 @@ router.get('/transactions/:id', authenticate, transactionController.getTransacti
  *         description: Validation error or refund not allowed
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Recent password or 2FA confirmation required (STEP_UP_REQUIRED)
  *       404:
  *         description: Transaction not found
  *       500:
  *         description: Server error
  */
-router.post('/transactions/:id/refund', authenticate, transactionController.refundTransaction);
+router.post('/transactions/:id/refund', authenticate, denyImpersonation, requireRecentAuth, transactionController.refundTransaction);
 
 /**
  * @swagger
@@ -843,7 +845,7 @@ router.get('/transactions/statistics', authenticate, transactionController.getTr
  *       500:
  *         description: Server error
  */
-router.post('/intents', authenticate, paymentIntentController.createPaymentIntent);
+router.post('/intents', authenticate, denyImpersonation, paymentIntentController.createPaymentIntent);
 
 /**
  * @swagger
@@ -894,6 +896,6 @@ router.post('/intents', authenticate, paymentIntentController.createPaymentInten
  *       500:
  *         description: Server error
  */
-router.post('/intents/:id/confirm', authenticate, paymentIntentController.confirmPaymentIntent);
+router.post('/intents/:id/confirm', authenticate, denyImpersonation, paymentIntentController.confirmPaymentIntent);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const settingsController = require('../controllers/settings.controller');
-const { authenticate } = require('../middleware/auth.mw.js');
+const { authenticate, authenticateForPasswordChange, requireRecentAuth, denyImpersonation } = require('../middleware/auth.mw.js');
 
 /**
  * @swagger
@@ -76,6 +76,8 @@ const { authenticate } = require('../middleware/auth.mw.js');
  *                   type: boolean
  *                 security:
  *                   type: boolean
+ *                 billing:
+ *                   type: boolean
  *             sms:
  *               type: object
  *               properties:
@@ -185,6 +187,7 @@ router.put('/account', authenticate, settingsController.updateAccountDetails);
  * /api/settings/change-password:
  *   post:
  *     summary: Change user password
+ *     description: Also accepts the restricted token issued at login while a password change is required.
  *     tags: [Settings]
  *     security:
  *       - bearerAuth: []
@@ -213,7 +216,85 @@ router.put('/account', authenticate, settingsController.updateAccountDetails);
  *       404:
  *         description: User not found
  */
-router.post('/change-password', authenticate, settingsController.changePassword);
+router.post('/change-password', authenticateForPasswordChange, denyImpersonation, settingsController.changePassword);
+
+/**
+ * @swagger
+ * /api/settings/change-email:
+ *   post:
+ *     summary: Request a login email change
+ *     description: Sends a confirmation link to the new address and a notice with a revert link to the current one. The email only changes after confirmation.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 description: Required for accounts that have a password
+ *     responses:
+ *       200:
+ *         description: Confirmation link sent
+ *       400:
+ *         description: Invalid input, incorrect password, email already in use or an address that does not receive email
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Recent password or 2FA confirmation required (STEP_UP_REQUIRED)
+ *       503:
+ *         description: The confirmation or notice email could not be sent
+ */
+router.post('/change-email', authenticate, requireRecentAuth, settingsController.requestEmailChange);
+
+/**
+ * @swagger
+ * /api/settings/change-email/confirm/{token}:
+ *   get:
+ *     summary: Confirm a login email change
+ *     tags: [Settings]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email changed and all sessions signed out
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.get('/change-email/confirm/:token', settingsController.confirmEmailChange);
+
+/**
+ * @swagger
+ * /api/settings/change-email/revert/{token}:
+ *   get:
+ *     summary: Cancel or undo a login email change from the previous address
+ *     tags: [Settings]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email change cancelled or reverted and all sessions signed out
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.get('/change-email/revert/:token', settingsController.revertEmailChange);
 
 /**
  * @swagger
@@ -338,7 +419,7 @@ router.get('/billing', authenticate, settingsController.getBillingInfo);
  *       401:
  *         description: Unauthorized
  */
-router.put('/billing', authenticate, settingsController.updateBillingSettings);
+router.put('/billing', authenticate, denyImpersonation, settingsController.updateBillingSettings);
 
 /**
  * @swagger
@@ -356,7 +437,7 @@ router.put('/billing', authenticate, settingsController.updateBillingSettings);
  *       404:
  *         description: No subscription found
  */
-router.post('/billing/renew', authenticate, settingsController.renewSubscription);
+router.post('/billing/renew', authenticate, denyImpersonation, settingsController.renewSubscription);
 
 // KON-49: Subscription history endpoints
 /**
@@ -660,58 +741,88 @@ router.get('/terms', settingsController.getTermsAndPolicies);
 // Additional endpoints for account management
 /**
  * @swagger
- * /api/settings/export-data:
+ * /api/settings/data-exports:
+ *   post:
+ *     summary: Request a full export of your account data (GDPR)
+ *     description: Builds a ZIP archive of JSON and CSV files in the background and emails an expiring download link when it is ready.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export queued, or the export already in progress
+ *       401:
+ *         description: Unauthorized
  *   get:
- *     summary: Export account data (GDPR compliance)
+ *     summary: List your data exports
  *     tags: [Settings]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Account data exported successfully
+ *         description: Data exports retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/data-exports', authenticate, settingsController.exportAccountData);
+router.get('/data-exports', authenticate, settingsController.getDataExports);
+
+/**
+ * @swagger
+ * /api/settings/data-exports/{id}/download:
+ *   get:
+ *     summary: Download a finished data export
+ *     tags: [Settings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the emailed download link
+ *     responses:
+ *       200:
+ *         description: ZIP archive
  *         content:
- *           application/json:
+ *           application/zip:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 data:
- *                   type: object
- *                   properties:
- *                     exportDate:
- *                       type: string
- *                       format: date-time
- *                     user:
- *                       type: object
- *                     userSettings:
- *                       type: object
- *                     paymentSettings:
- *                       type: object
- *                     subscriptions:
- *                       type: array
- *                       items:
- *                         type: object
- *                     transactions:
- *                       type: array
- *                       items:
- *                         type: object
- *                     paymentMethods:
- *                       type: array
- *                       items:
- *                         type: object
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Data export not found
+ *       410:
+ *         description: Download link expired
+ */
+router.get('/data-exports/:id/download', settingsController.downloadDataExport);
+
+/**
+ * @swagger
+ * /api/settings/export-data:
+ *   get:
+ *     summary: Removed, use POST /api/settings/data-exports
+ *     tags: [Settings]
+ *     deprecated: true
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
  *       401:
  *         description: Unauthorized
+ *       410:
+ *         description: Gone; the response names the endpoint that replaces it
  */
-router.get('/export-data', authenticate, settingsController.exportAccountData);
+router.get('/export-data', authenticate, settingsController.exportAccountDataGone);
 
 /**
  * @swagger
  * /api/settings/delete-account:
  *   post:
- *     summary: Delete user account
+ *     summary: Schedule account deletion
+ *     description: The account is purged after ACCOUNT_DELETION_GRACE_DAYS (30 by default). Logging in before then cancels the deletion.
  *     tags: [Settings]
  *     security:
  *       - bearerAuth: []
@@ -730,14 +841,16 @@ router.get('/export-data', authenticate, settingsController.exportAccountData);
  *                 type: string
  *     responses:
  *       200:
- *         description: Account deletion initiated successfully
+ *         description: Account deletion scheduled; returns scheduledFor
  *       400:
  *         description: Incorrect password
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Recent password or 2FA confirmation required (STEP_UP_REQUIRED)
  *       404:
  *         description: User not found
  */
-router.post('/delete-account', authenticate, settingsController.deleteAccount);
+router.post('/delete-account', authenticate, requireRecentAuth, settingsController.deleteAccount);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth.mw.js');
+const { authenticate, requireRecentAuth, denyImpersonation } = require('../middleware/auth.mw.js');
 const {
   subscriptionPlanController,
   subscriptionController
@@ -638,7 +638,7 @@ router.get('/current', authenticate, subscriptionController.getCurrentSubscripti
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, subscriptionController.createSubscription);
+router.post('/', authenticate, denyImpersonation, subscriptionController.createSubscription);
 
 /**
  * @swagger
@@ -691,7 +691,7 @@ router.post('/', authenticate, subscriptionController.createSubscription);
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, subscriptionController.updateSubscription);
+router.put('/:id', authenticate, denyImpersonation, subscriptionController.updateSubscription);
 
 /**
  * @swagger
@@ -747,7 +747,7 @@ router.put('/:id', authenticate, subscriptionController.updateSubscription);
  *       500:
  *         description: Server error
  */
-router.post('/:id/cancel', authenticate, subscriptionController.cancelSubscription);
+router.post('/:id/cancel', authenticate, denyImpersonation, subscriptionController.cancelSubscription);
 
 /**
  * @swagger
@@ -787,7 +787,7 @@ router.post('/:id/cancel', authenticate, subscriptionController.cancelSubscripti
  *       500:
  *         description: Server error
  */
-router.post('/:id/reactivate', authenticate, subscriptionController.reactivateSubscription);
+router.post('/:id/reactivate', authenticate, denyImpersonation, subscriptionController.reactivateSubscription);
 
 /**
  * @swagger
@@ -839,12 +839,14 @@ router.post('/:id/reactivate', authenticate, subscriptionController.reactivateSu
  *         description: Validation error, inactive subscription, or Stripe error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Recent password or 2FA confirmation required (STEP_UP_REQUIRED)
  *       404:
  *         description: Subscription not found
  *       500:
  *         description: Server error
  */
-router.post('/:id/change-plan', authenticate, subscriptionController.changeSubscriptionPlan);
+router.post('/:id/change-plan', authenticate, denyImpersonation, requireRecentAuth, subscriptionController.changeSubscriptionPlan);
 
 /**
  * @swagger
@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const teamController = require('../controllers/team.controller');
+const { authenticate } = require('../middleware/auth.mw.js');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Teams
+ *   description: Business team workspaces, invitations and roles
+ */
+
+/**
+ * @swagger
+ * /api/teams:
+ *   get:
+ *     summary: List the business workspaces you own or belong to
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Teams retrieved successfully
+ */
+router.get('/', authenticate, teamController.getMyTeams);
+
+/**
+ * @swagger
+ * /api/teams/invitations:
+ *   get:
+ *     summary: List pending invitations sent to your email
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ */
+router.get('/invitations', authenticate, teamController.getMyInvitations);
+
+/**
+ * @swagger
+ * /api/teams/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept a team invitation
+ *     description: The invitation must have been sent to the signed-in user's email address.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       400:
+ *         description: Invalid or expired invitation
+ *       403:
+ *         description: Invitation sent to a different email address
+ */
+router.post('/invitations/:token/accept', authenticate, teamController.acceptInvitation);
+
+/**
+ * @swagger
+ * /api/teams/invitations/{token}/decline:
+ *   post:
+ *     summary: Decline a team invitation
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invalid or expired invitation
+ */
+router.post('/invitations/:token/decline', teamController.declineInvitation);
+
+/**
+ * @swagger
+ * /api/teams/{businessId}/members:
+ *   get:
+ *     summary: List team members, open invitations and seat usage
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team members retrieved successfully
+ *       404:
+ *         description: Business profile not found
+ */
+router.get('/:businessId/members', authenticate, teamController.getMembers);
+
+/**
+ * @swagger
+ * /api/teams/{businessId}/invitations:
+ *   post:
+ *     summary: Invite someone to the team
+ *     description: Requires the owner or admin role. Only the owner can invite admins. Fails with TEAM_SEAT_LIMIT_REACHED when the plan's seats are used up.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, viewer, guest]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error, already invited or the address does not receive email
+ *       403:
+ *         description: Insufficient role or seat limit reached
+ *       409:
+ *         description: Another invitation for the business is being sent; try again
+ *       503:
+ *         description: The invitation email could not be sent
+ */
+router.post('/:businessId/invitations', authenticate, teamController.inviteMember);
+
+/**
+ * @swagger
+ * /api/teams/{businessId}/members/{memberId}:
+ *   patch:
+ *     summary: Change a team member's role
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, viewer, guest]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Team member not found
+ */
+router.patch('/:businessId/members/:memberId', authenticate, teamController.updateMemberRole);
+
+/**
+ * @swagger
+ * /api/teams/{businessId}/members/{memberId}:
+ *   delete:
+ *     summary: Remove a team member, cancel an invitation, or leave the team
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Team member not found
+ */
+router.delete('/:businessId/members/:memberId', authenticate, teamController.removeMember);
+
+module.exports = router;
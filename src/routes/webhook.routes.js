@@ -6,7 +6,7 @@ const webhookController = require('../controllers/webhook.controller');
  * @swagger
  * tags:
  *   - name: Webhooks
- *     description: Stripe webhook endpoints
+ *     description: Stripe and email provider webhook endpoints
  */
 
 /**
@@ -67,4 +67,93 @@ const webhookController = require('../controllers/webhook.controller');
 // Stripe webhook endpoint - requires raw body for signature verification
 router.post('/stripe', express.raw({ type: 'application/json' }), webhookController.handleStripeWebhook);
 
+/**
+ * @swagger
+ * /api/webhooks/email-events:
+ *   post:
+ *     summary: Handle email provider bounce and complaint events
+ *     tags: [Webhooks]
+ *     description: |
+ *       Provider-agnostic endpoint that feeds the email suppression list. Point the provider's
+ *       event webhook here through a small adapter, or post the fixtures in src/emails/fixtures.
+ *       - Hard bounces suppress every email to the address
+ *       - Soft bounces suppress the address once EMAIL_SOFT_BOUNCE_LIMIT arrive within
+ *         EMAIL_SOFT_BOUNCE_WINDOW_HOURS of each other; a delivery event resets the count
+ *       - Complaints suppress everything except security email
+ *       - Unsubscribes switch off one category, or all of them when no category is given
+ *
+ *       The raw body is signed with EMAIL_WEBHOOK_SECRET (HMAC-SHA256) and the signature sent as
+ *       `X-Email-Signature: sha256=<hex>`. Without a secret, unsigned payloads are accepted
+ *       outside production.
+ *     parameters:
+ *       - in: header
+ *         name: X-Email-Signature
+ *         schema:
+ *           type: string
+ *           example: "sha256=5d41402abc4b2a76b9719d911017c592..."
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [events]
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 example: "ses"
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [type, email]
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [bounce, complaint, unsubscribe, delivery]
+ *                     email:
+ *                       type: string
+ *                       format: email
+ *                     bounceType:
+ *                       type: string
+ *                       enum: [hard, soft]
+ *                       description: Required for bounces
+ *                     category:
+ *                       type: string
+ *                       enum: [marketing, updates, billing, newsletter]
+ *                       description: Unsubscribes only
+ *                     messageId:
+ *                       type: string
+ *                       description: Provider message ID returned when the email was sent
+ *                     diagnostic:
+ *                       type: string
+ *                       example: "550 5.1.1 The email account does not exist"
+ *                     occurredAt:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       200:
+ *         description: Events processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                   example: true
+ *                 processed:
+ *                   type: integer
+ *                   example: 2
+ *                 results:
+ *                   type: object
+ *                   description: Number of events per outcome (suppressed, counted, unsubscribed, cleared, ignored)
+ *                   example: { "suppressed": 1, "counted": 1 }
+ *       400:
+ *         description: Invalid signature or payload
+ *       500:
+ *         description: Server error processing webhook
+ */
+router.post('/email-events', express.raw({ type: 'application/json' }), webhookController.handleEmailEvents);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate: auth } = require('../middleware/auth.mw');
+const { authenticateOrApiKey } = require('../middleware/auth.mw');
 const { upload } = require('../utils/cloudinary');
 const {
   createWidget,
@@ -21,6 +21,9 @@ const {
   getWidgetTypes
 } = require('../controllers/widget.controller');
 
+// Accepts a JWT or an API key with the widgets scope
+const auth = authenticateOrApiKey('widgets');
+
 /**
  * @swagger
  * components:
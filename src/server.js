@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const app = require('./app');
+const { startJobs } = require('./jobs');
 
 // Load environment variables
 require('dotenv').config();
@@ -11,6 +12,7 @@ if (process.env.VERCEL !== '1') {
     .connect(process.env.MONGODB_URI)
     .then(() => {
       console.log('Connected to MongoDB');
+      startJobs();
       // Start server
       const PORT = process.env.PORT || 3000;
       const server = app.listen(PORT, () => {
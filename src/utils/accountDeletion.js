@@ -0,0 +1,342 @@
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const Token = require('../models/token.model');
+const ApiKey = require('../models/apiKey.model');
+const TeamMember = require('../models/teamMember.model');
+const SecurityEvent = require('../models/securityEvent.model');
+const ImpersonationSession = require('../models/impersonationSession.model');
+const DataExport = require('../models/dataExport.model');
+const PaymentSettings = require('../models/paymentSettings.model');
+const PaymentMethod = require('../models/paymentMethod.model');
+const Subscription = require('../models/subscription.model');
+const Transaction = require('../models/transaction.model');
+const PersonalProfile = require('../models/personalProfile.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+const SocialMediaLink = require('../models/socialMediaLink.model');
+const Favorite = require('../models/favorite.model');
+const Folder = require('../models/folder.model');
+const FormSubmission = require('../models/formSubmission.model');
+const UserSearch = require('../models/userSearch.model');
+const ViewLog = require('../models/viewLog.model');
+const Notification = require('../models/notification.model');
+const PushDevice = require('../models/pushDevice.model');
+const EmailMessage = require('../models/emailMessage.model');
+const EmailSuppression = require('../models/emailSuppression.model');
+const { stripe } = require('./stripe');
+const { deleteImage, extractPublicId } = require('./cloudinary');
+const { expireDataExport } = require('./dataExport');
+const { recordAuditEvent } = require('./audit');
+const { sendAccountDeletionScheduledEmail, sendAccountDeletionCancelledEmail } = require('./email');
+
+// Days between a deletion request and the purge, during which logging in cancels it
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start the grace period for an account deletion and sign the user out everywhere
+ * @param {object} req - Express request, for the audit trail
+ * @param {object} user - User document
+ * @param {object} [options]
+ * @param {string} [options.reason] - Reason given by the user
+ * @returns {Promise<Date>} When the account will be purged
+ */
+const scheduleAccountDeletion = async (req, user, { reason } = {}) => {
+  const existing = await UserSettings.getPendingDeletion(user._id);
+  if (existing && existing.deletionScheduledFor) {
+    return existing.deletionScheduledFor;
+  }
+
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+
+  await UserSettings.findOneAndUpdate(
+    { userId: user._id },
+    {
+      $set: {
+        'accountStatus.isDeleted': true,
+        'accountStatus.deletedAt': now,
+        'accountStatus.deleteReason': reason || 'User requested deletion',
+        'accountStatus.deletionScheduledFor': scheduledFor,
+        'accountStatus.isActive': false
+      }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  await Token.revokeSessions(user._id);
+
+  await recordAuditEvent(req, 'account_deletion_requested', {
+    metadata: { reason: reason || 'User requested deletion', scheduledFor }
+  });
+
+  try {
+    await sendAccountDeletionScheduledEmail(user.email, user.firstName, scheduledFor);
+  } catch (error) {
+    console.error('Failed to send account deletion email:', error);
+  }
+
+  return scheduledFor;
+};
+
+/**
+ * Cancel a pending deletion when the user logs back in during the grace period
+ * @param {object} req - Express request, for the audit trail
+ * @param {object} user - User document
+ * @returns {Promise<boolean>} Whether a pending deletion was cancelled
+ */
+const cancelAccountDeletion = async (req, user) => {
+  const settings = await UserSettings.findOneAndUpdate(
+    { userId: user._id, 'accountStatus.isDeleted': true },
+    {
+      $set: {
+        'accountStatus.isDeleted': false,
+        'accountStatus.isActive': true
+      },
+      $unset: {
+        'accountStatus.deletedAt': '',
+        'accountStatus.deleteReason': '',
+        'accountStatus.deletionScheduledFor': ''
+      }
+    }
+  );
+
+  if (!settings) {
+    return false;
+  }
+
+  await recordAuditEvent(req, 'account_deletion_cancelled', {
+    actor: user,
+    targetUserId: user._id,
+    before: { deletionScheduledFor: settings.accountStatus.deletionScheduledFor }
+  });
+
+  try {
+    await sendAccountDeletionCancelledEmail(user.email, user.firstName);
+  } catch (error) {
+    console.error('Failed to send account deletion cancelled email:', error);
+  }
+
+  return true;
+};
+
+/**
+ * Collect Cloudinary URLs from any nested value (widget content, page settings, ...)
+ * @param {*} value - Value to scan
+ * @param {Set<string>} urls - URLs found so far
+ * @returns {Set<string>} URLs found
+ */
+const collectCloudinaryUrls = (value, urls = new Set()) => {
+  if (typeof value === 'string') {
+    if (value.includes('res.cloudinary.com/')) {
+      urls.add(value);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectCloudinaryUrls(item, urls));
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.values(value).forEach((item) => collectCloudinaryUrls(item, urls));
+  }
+  return urls;
+};
+
+/**
+ * Delete uploaded assets, carrying on past individual failures
+ * @param {Set<string>} urls - Cloudinary URLs
+ * @returns {Promise<number>} Number of assets deleted
+ */
+const deleteAssets = async (urls) => {
+  let deleted = 0;
+
+  for (const url of urls) {
+    const publicId = extractPublicId(url);
+    if (!publicId) {
+      continue;
+    }
+
+    try {
+      await deleteImage(publicId);
+      deleted += 1;
+    } catch (error) {
+      console.error(`Failed to delete asset ${publicId}:`, error.message);
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Cancel the user's Stripe subscriptions immediately
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of subscriptions canceled
+ */
+const cancelStripeSubscriptions = async (userId) => {
+  const subscriptions = await Subscription.find({
+    userId,
+    status: { $nin: ['canceled', 'incomplete_expired'] }
+  });
+
+  let canceled = 0;
+  for (const subscription of subscriptions) {
+    const stripeSubscriptionId = subscription.stripeData && subscription.stripeData.subscriptionId;
+
+    if (stripeSubscriptionId) {
+      try {
+        await stripe.subscriptions.cancel(stripeSubscriptionId);
+      } catch (error) {
+        // Already canceled on Stripe's side
+        if (error.code !== 'resource_missing') {
+          throw error;
+        }
+      }
+    }
+    canceled += 1;
+  }
+
+  return canceled;
+};
+
+/**
+ * Permanently remove an account and everything tied to it.
+ * View logs and form submissions are anonymised rather than deleted so aggregate stats survive,
+ * transactions are kept for accounting without their billing address, and the audit log is left
+ * to its retention period. Bounce and complaint suppressions stay with the address so it is not
+ * mailed again if it is reused.
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Counts of what was removed
+ */
+const purgeAccount = async (userId) => {
+  const user = await User.findById(userId).lean();
+  const personalProfile = await PersonalProfile.findOne({ userId }).lean();
+  const businesses = await BusinessProfile.find({ userId }).lean();
+  const businessIds = businesses.map((business) => business._id);
+
+  const pages = await BuilderPage.find({ $or: [{ userId }, { businessId: { $in: businessIds } }] }).lean();
+  const pageIds = pages.map((page) => page._id);
+  const widgets = await Widget.find({
+    $or: [{ userId }, { businessId: { $in: businessIds } }, { pageId: { $in: pageIds } }]
+  }).lean();
+  const widgetIds = widgets.map((widget) => widget._id);
+
+  // Billing first: if Stripe fails the purge is retried on the next run with nothing lost
+  const subscriptionsCanceled = await cancelStripeSubscriptions(userId);
+
+  const assetUrls = collectCloudinaryUrls([pages, widgets]);
+  [
+    user && user.profilePicture,
+    personalProfile && personalProfile.profilePhoto,
+    ...businesses.flatMap((business) => [
+      business.logo,
+      ...(business.coverImages || []),
+      business.virtualContact && business.virtualContact.photo
+    ])
+  ].forEach((url) => collectCloudinaryUrls(url, assetUrls));
+  const assetsDeleted = await deleteAssets(assetUrls);
+
+  await ViewLog.updateMany(
+    { viewerId: userId },
+    {
+      $set: { viewerType: 'anonymous' },
+      $unset: { viewerId: '', 'location.ipAddress': '', 'deviceInfo.userAgent': '' }
+    }
+  );
+  await FormSubmission.updateMany(
+    { $or: [{ userId }, { businessId: { $in: businessIds } }, { pageId: { $in: pageIds } }] },
+    {
+      $set: { formData: {}, customFields: {} },
+      $unset: { userId: '', ipAddress: '', userAgent: '', responseMessage: '' }
+    }
+  );
+  await Transaction.updateMany({ userId }, { $unset: { billingAddress: '' } });
+
+  const dataExports = await DataExport.find({ userId });
+  for (const dataExport of dataExports) {
+    await expireDataExport(dataExport);
+  }
+
+  await Promise.all([
+    Favorite.deleteMany({ $or: [{ userId }, { widgetId: { $in: widgetIds } }] }),
+    Folder.deleteMany({ userId }),
+    SocialMediaLink.deleteMany({ $or: [{ userId }, { businessId: { $in: businessIds } }] }),
+    Widget.deleteMany({ _id: { $in: widgetIds } }),
+    BuilderPage.deleteMany({ _id: { $in: pageIds } }),
+    TeamMember.deleteMany({ $or: [{ userId }, { businessId: { $in: businessIds } }] }),
+    BusinessProfile.deleteMany({ _id: { $in: businessIds } }),
+    PersonalProfile.deleteMany({ userId }),
+    UserSearch.deleteMany({ userId }),
+    Notification.deleteMany({ userId }),
+    PushDevice.deleteMany({ userId }),
+    EmailMessage.deleteMany({ userId }),
+    user ? EmailSuppression.deleteMany({ email: user.email, reason: 'unsubscribe' }) : null,
+    Token.deleteMany({ userId }),
+    ApiKey.deleteMany({ userId }),
+    SecurityEvent.deleteMany({ userId }),
+    ImpersonationSession.deleteMany({ userId }),
+    DataExport.deleteMany({ userId }),
+    PaymentMethod.deleteMany({ userId }),
+    PaymentSettings.deleteMany({ userId }),
+    Subscription.deleteMany({ userId })
+  ]);
+
+  // The account itself goes last so a failed purge can be found and retried
+  await UserSettings.deleteOne({ userId });
+  await User.deleteOne({ _id: userId });
+
+  const summary = {
+    businesses: businessIds.length,
+    pages: pageIds.length,
+    widgets: widgetIds.length,
+    subscriptionsCanceled,
+    assetsDeleted
+  };
+
+  await recordAuditEvent(null, 'account_purged', {
+    targetUserId: userId,
+    metadata: summary
+  });
+
+  return summary;
+};
+
+/**
+ * Scheduled job: purge accounts whose grace period has ended
+ * @returns {Promise<object>} Counts of purged and failed accounts
+ */
+const processAccountDeletions = async () => {
+  const now = new Date();
+
+  // Requests made before the grace period existed only have deletedAt
+  const due = await UserSettings.find({
+    'accountStatus.isDeleted': true,
+    $or: [
+      { 'accountStatus.deletionScheduledFor': { $lte: now } },
+      {
+        'accountStatus.deletionScheduledFor': null,
+        'accountStatus.deletedAt': { $lte: new Date(now.getTime() - ACCOUNT_DELETION_GRACE_DAYS * DAY_MS) }
+      }
+    ]
+  }).select('userId').limit(20);
+
+  let purged = 0;
+  let failed = 0;
+  for (const settings of due) {
+    try {
+      await purgeAccount(settings.userId);
+      purged += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Failed to purge account ${settings.userId}:`, error);
+    }
+  }
+
+  return { purged, failed };
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  processAccountDeletions,
+};
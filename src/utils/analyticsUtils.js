@@ -486,6 +486,130 @@ const calculatePeakHours = (data) => {
   };
 };
 
+/**
+ * Turn a dashboard row back into totals so it can be added to rollups
+ * @param {object} row - Row from getTimeFilteredAnalytics or getAnalyticsOverview
+ * @returns {object} Totals in AnalyticsRollup form
+ */
+const rowToTotals = (row) => {
+  const views = row.totalViews || 0;
+  return {
+    count: views,
+    interactions: row.totalInteractions || 0,
+    bounces: ((row.bounceRate || 0) / 100) * views,
+    engagementScoreTotal: (row.avgEngagementScore || 0) * views,
+    engagementScoreCount: row.avgEngagementScore ? views : 0,
+    timeOnPageTotal: (row.avgTimeOnPage || 0) * views,
+    timeOnPageCount: row.avgTimeOnPage ? views : 0,
+    uniqueViewers: row.uniqueViewers || 0,
+    uniqueSessions: row.totalSessions || row.uniqueSessions || 0
+  };
+};
+
+/**
+ * Add a rollup's counts onto running totals
+ * @param {object} totals - Totals being built
+ * @param {object} rollup - AnalyticsRollup document
+ * @returns {object} The same totals
+ */
+const addRollup = (totals, rollup) => {
+  Object.keys(totals).forEach(field => {
+    totals[field] += rollup[field] || 0;
+  });
+  return totals;
+};
+
+/**
+ * Turn totals into the averages and rates the dashboards show
+ * @param {object} totals - Totals in AnalyticsRollup form
+ * @returns {object} Dashboard metrics
+ */
+const totalsToMetrics = (totals) => {
+  const rate = (part) => totals.count > 0 ? Math.round(part / totals.count * 10000) / 100 : 0;
+  return {
+    totalViews: totals.count,
+    uniqueViewers: totals.uniqueViewers,
+    totalInteractions: totals.interactions,
+    avgEngagementScore: totals.engagementScoreCount > 0 ? Math.round(totals.engagementScoreTotal / totals.engagementScoreCount * 100) / 100 : null,
+    avgTimeOnPage: totals.timeOnPageCount > 0 ? Math.round(totals.timeOnPageTotal / totals.timeOnPageCount * 10) / 10 : null,
+    bounceRate: rate(totals.bounces),
+    interactionRate: rate(totals.interactions),
+    uniqueSessions: totals.uniqueSessions
+  };
+};
+
+/**
+ * Get the time-series group a rollup day falls into, matching getTimeFilteredAnalytics
+ * @param {Date} date - Rollup day
+ * @param {string} groupBy - day, week or month
+ * @returns {object} Group key
+ */
+const getRollupGroup = (date, groupBy) => {
+  switch (groupBy) {
+    case 'week': {
+      // Same numbering as MongoDB $week: weeks start on Sunday, days before the first Sunday are week 0
+      const yearStart = new Date(date.getFullYear(), 0, 1);
+      const dayOfYear = Math.round((date - yearStart) / (24 * 60 * 60 * 1000));
+      return { year: date.getFullYear(), week: Math.floor((dayOfYear + yearStart.getDay()) / 7) };
+    }
+    case 'month':
+      return { year: date.getFullYear(), month: date.getMonth() + 1 };
+    default: // day
+      return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  }
+};
+
+/**
+ * Merge rolled-up history into a view log time series.
+ * Hourly series are left as they are because rollups are daily.
+ * @param {Array} rows - Output of ViewLog.getTimeFilteredAnalytics
+ * @param {Array} rollups - AnalyticsRollup documents for the same target and range
+ * @param {string} groupBy - hour, day, week or month
+ * @returns {Array} Time series including rolled-up days
+ */
+const mergeRollupTimeSeries = (rows, rollups, groupBy = 'day') => {
+  if (!rollups.length || groupBy === 'hour') {
+    return rows;
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    groups.set(JSON.stringify(row._id), { _id: row._id, totals: rowToTotals(row) });
+  });
+
+  rollups.forEach(rollup => {
+    const id = getRollupGroup(new Date(rollup.date), groupBy);
+    const key = JSON.stringify(id);
+    if (!groups.has(key)) {
+      groups.set(key, { _id: id, totals: rowToTotals({}) });
+    }
+    addRollup(groups.get(key).totals, rollup);
+  });
+
+  return Array.from(groups.values())
+    .map(({ _id, totals }) => {
+      const { uniqueSessions, interactionRate, ...metrics } = totalsToMetrics(totals);
+      return { _id, ...metrics, totalSessions: uniqueSessions };
+    })
+    .sort((a, b) => (a._id.year - b._id.year) || ((a._id.month || 0) - (b._id.month || 0)) ||
+      ((a._id.week || 0) - (b._id.week || 0)) || ((a._id.day || 0) - (b._id.day || 0)));
+};
+
+/**
+ * Merge rolled-up history into a view log overview
+ * @param {object} overview - Output of ViewLog.getAnalyticsOverview
+ * @param {Array} rollups - AnalyticsRollup documents for the same target and range
+ * @returns {object} Overview including rolled-up days
+ */
+const mergeRollupOverview = (overview, rollups) => {
+  if (!rollups.length) {
+    return overview;
+  }
+
+  const totals = rollups.reduce(addRollup, rowToTotals(overview));
+  return totalsToMetrics(totals);
+};
+
 module.exports = {
   getLocationFromIP,
   getDeviceInfo,
@@ -495,5 +619,7 @@ module.exports = {
   parseLinkData,
   aggregateByTimeframe,
   getEnhancedLocation,
-  calculatePeakHours
+  calculatePeakHours,
+  mergeRollupTimeSeries,
+  mergeRollupOverview
 }; 
\ No newline at end of file
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Every key starts with this so it can be told apart from a JWT
+const API_KEY_PREFIX = 'kx_';
+
+// Resources an API key can be scoped to, and the access levels for each
+const API_KEY_RESOURCES = ['pages', 'widgets', 'submissions', 'analytics'];
+const API_KEY_ACCESS_LEVELS = ['read', 'write'];
+const API_KEY_SCOPES = API_KEY_RESOURCES.flatMap((resource) =>
+  API_KEY_ACCESS_LEVELS.map((access) => `${resource}:${access}`)
+);
+
+const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER || '20');
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Generate a new API key
+ * @returns {object} Plain key (shown once), display prefix and hash to store
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+  };
+};
+
+/**
+ * Check whether a credential looks like one of our API keys
+ * @param {string} value - Credential from a request header
+ * @returns {boolean} True for API keys
+ */
+const isApiKey = (value) => {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+};
+
+/**
+ * Access level a request needs based on its HTTP method
+ * @param {string} method - HTTP method
+ * @returns {string} 'read' for safe methods, otherwise 'write'
+ */
+const getRequiredAccess = (method) => {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'read' : 'write';
+};
+
+module.exports = {
+  API_KEY_RESOURCES,
+  API_KEY_SCOPES,
+  MAX_API_KEYS_PER_USER,
+  hashApiKey,
+  generateApiKey,
+  isApiKey,
+  getRequiredAccess,
+};
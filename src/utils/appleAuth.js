@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+const APPLE_ISSUER = 'https://appleid.apple.com';
+const DEFAULT_JWKS_URL = 'https://appleid.apple.com/auth/keys';
+const KEY_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+// Unknown key IDs refetch the keys at most this often, so made-up kids cannot make every
+// sign-in request call Apple
+const KEY_REFRESH_MIN_INTERVAL_MS = 60 * 1000; // 1 minute
+
+let cachedKeySet = null;
+let cachedAt = 0;
+let lastFetchAt = 0;
+let pendingFetch = null;
+
+/**
+ * Fetch Apple's signing keys and cache them
+ * @returns {Promise<object>} JWKS ({ keys: [...] })
+ */
+const fetchKeySet = async () => {
+  const response = await fetch(process.env.APPLE_JWKS_URL || DEFAULT_JWKS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Apple signing keys: ${response.status}`);
+  }
+
+  cachedKeySet = await response.json();
+  cachedAt = Date.now();
+  return cachedKeySet;
+};
+
+/**
+ * Load Apple's signing keys. A local key set (APPLE_JWKS as JSON, or
+ * APPLE_JWKS_PATH to a file) takes precedence over the remote endpoint.
+ * @param {boolean} forceRefresh - Bypass the in-memory cache, unless it was fetched less than
+ *   KEY_REFRESH_MIN_INTERVAL_MS ago
+ * @returns {Promise<object>} JWKS ({ keys: [...] })
+ */
+const loadKeySet = async (forceRefresh = false) => {
+  if (process.env.APPLE_JWKS) {
+    return JSON.parse(process.env.APPLE_JWKS);
+  }
+
+  if (process.env.APPLE_JWKS_PATH) {
+    return JSON.parse(fs.readFileSync(process.env.APPLE_JWKS_PATH, 'utf8'));
+  }
+
+  const now = Date.now();
+  const fresh = now - cachedAt < KEY_CACHE_TTL_MS;
+  const mayRefresh = now - lastFetchAt >= KEY_REFRESH_MIN_INTERVAL_MS;
+  if (cachedKeySet && (!mayRefresh || (fresh && !forceRefresh))) {
+    return cachedKeySet;
+  }
+
+  // Requests arriving together share one fetch
+  if (!pendingFetch) {
+    lastFetchAt = now;
+    pendingFetch = fetchKeySet().finally(() => {
+      pendingFetch = null;
+    });
+  }
+  return pendingFetch;
+};
+
+/**
+ * Find the public key for a key ID, refreshing the cache if Apple rotated keys (at most once
+ * per KEY_REFRESH_MIN_INTERVAL_MS)
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject|null>} Public key
+ */
+const getSigningKey = async (kid) => {
+  let keySet = await loadKeySet();
+  let jwk = (keySet.keys || []).find((key) => key.kid === kid);
+
+  if (!jwk) {
+    keySet = await loadKeySet(true);
+    jwk = (keySet.keys || []).find((key) => key.kid === kid);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+/**
+ * Check whether an email is an Apple private relay address
+ * @param {string} email - Email address
+ * @returns {boolean} True for @privaterelay.appleid.com addresses
+ */
+const isPrivateRelayEmail = (email) => {
+  return /@privaterelay\.appleid\.com$/i.test(email || '');
+};
+
+/**
+ * Verify a Sign in with Apple identity token
+ * @param {string} identityToken - id_token returned to the app by Apple
+ * @param {object} [options]
+ * @param {string} [options.nonce] - Raw nonce the app sent to Apple, if any
+ * @returns {Promise<object>} Apple identity (id, email, emailVerified, isPrivateEmail)
+ */
+const verifyAppleIdentityToken = async (identityToken, { nonce } = {}) => {
+  const decoded = jwt.decode(identityToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw new Error('Malformed Apple identity token');
+  }
+
+  const publicKey = await getSigningKey(decoded.header.kid);
+  if (!publicKey) {
+    throw new Error('Unknown Apple signing key');
+  }
+
+  const audience = (process.env.APPLE_CLIENT_ID || '')
+    .split(',')
+    .map((clientId) => clientId.trim())
+    .filter(Boolean);
+
+  if (audience.length === 0) {
+    throw new Error('APPLE_CLIENT_ID is not configured');
+  }
+
+  const payload = jwt.verify(identityToken, publicKey, {
+    algorithms: ['RS256', 'ES256'],
+    issuer: APPLE_ISSUER,
+    audience,
+  });
+
+  // Apple embeds the SHA-256 of the nonce the app supplied
+  if (nonce) {
+    const hashedNonce = crypto.createHash('sha256').update(nonce).digest('hex');
+    if (payload.nonce !== hashedNonce && payload.nonce !== nonce) {
+      throw new Error('Apple identity token nonce mismatch');
+    }
+  }
+
+  const email = payload.email ? payload.email.toLowerCase() : undefined;
+
+  return {
+    id: payload.sub,
+    email,
+    emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+    isPrivateEmail:
+      payload.is_private_email === true ||
+      payload.is_private_email === 'true' ||
+      isPrivateRelayEmail(email),
+  };
+};
+
+module.exports = {
+  isPrivateRelayEmail,
+  verifyAppleIdentityToken,
+};
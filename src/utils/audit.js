@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/auditEvent.model');
+
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS || '365');
+
+// Values under these keys never reach the audit log
+const SENSITIVE_KEY_PATTERN = /password|secret|token|recoveryCode|twoFactorCode/i;
+
+/**
+ * Replace sensitive values in a plain object with a marker
+ * @param {object} values - Values to record
+ * @returns {object} Copy safe to persist
+ */
+const redact = (values) => {
+  if (!values || typeof values !== 'object') {
+    return values;
+  }
+
+  const safe = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (SENSITIVE_KEY_PATTERN.test(key)) {
+      safe[key] = '[REDACTED]';
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !mongoose.isValidObjectId(value)) {
+      safe[key] = redact(value);
+    } else {
+      safe[key] = value;
+    }
+  }
+  return safe;
+};
+
+/**
+ * Reduce before/after snapshots to the keys that actually changed
+ * @param {object} [before] - Values prior to the change
+ * @param {object} [after] - Values after the change
+ * @returns {object|undefined} { before, after } holding only changed keys
+ */
+const diffChanges = (before, after) => {
+  if (!before && !after) {
+    return undefined;
+  }
+
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = { before: {}, after: {} };
+
+  for (const key of keys) {
+    const previous = before ? before[key] : undefined;
+    const next = after ? after[key] : undefined;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.before[key] = previous;
+      changes.after[key] = next;
+    }
+  }
+
+  return {
+    before: redact(changes.before),
+    after: redact(changes.after),
+  };
+};
+
+/**
+ * Pick a subset of fields from a document or plain object for a snapshot
+ * @param {object} source - Mongoose document or plain object
+ * @param {string[]} fields - Dotted field paths to copy
+ * @returns {object} Snapshot keyed by field path
+ */
+const snapshot = (source, fields) => {
+  const plain = source && typeof source.toObject === 'function' ? source.toObject() : source || {};
+  const values = {};
+  for (const field of fields) {
+    values[field] = field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), plain);
+  }
+  return JSON.parse(JSON.stringify(values));
+};
+
+/**
+ * Append an event to the audit log. Failures are logged and never break the request.
+ * @param {object} req - Express request (supplies actor, IP and user agent)
+ * @param {string} action - One of AuditEvent.ACTIONS
+ * @param {object} [options]
+ * @param {object} [options.actor] - Acting user when req.user is not set (e.g. login flows)
+ * @param {string|null} [options.targetUserId] - Affected user; defaults to the actor
+ * @param {string} [options.resourceType] - Kind of resource changed (e.g. 'subscription')
+ * @param {string} [options.resourceId] - ID of the resource changed
+ * @param {object} [options.before] - Snapshot prior to the change
+ * @param {object} [options.after] - Snapshot after the change
+ * @param {object} [options.metadata] - Extra context
+ * @returns {Promise<object|null>} Created event, or null when recording failed
+ */
+const recordAuditEvent = async (req, action, options = {}) => {
+  const { resourceType, resourceId, before, after, metadata } = options;
+
+  try {
+    // While impersonating, changes are attributed to the admin and target the impersonated user
+    const impersonation = req && req.impersonation;
+    const actor = options.actor || (impersonation && impersonation.admin) || (req && req.user) || null;
+    const actorId = actor ? actor._id : undefined;
+    const defaultTargetId = impersonation ? req.user._id : actorId;
+    // Pass targetUserId: null for actions that affect no particular account (e.g. plans)
+    const targetUserId = options.targetUserId !== undefined ? options.targetUserId : defaultTargetId;
+
+    let actorRole = 'system';
+    if (actor) {
+      actorRole = actor.role === 'admin' && String(targetUserId) !== String(actorId) ? 'admin' : 'user';
+    }
+
+    return await AuditEvent.create({
+      actorId,
+      actorRole,
+      targetUserId: targetUserId || undefined,
+      action,
+      resourceType,
+      resourceId: resourceId ? String(resourceId) : undefined,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.headers['user-agent'] : undefined,
+      changes: diffChanges(before, after),
+      metadata: redact(impersonation ? { ...metadata, impersonationId: String(impersonation.id) } : metadata),
+      expiresAt: new Date(Date.now() + AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Build a MongoDB filter from audit log query parameters
+ * @param {object} query - Request query (action, from, to, actorId, targetUserId, resourceType)
+ * @param {object} [options]
+ * @param {boolean} [options.allowUserFilters] - Whether actorId/targetUserId may be filtered on
+ * @returns {object} MongoDB filter
+ */
+const buildAuditFilter = (query, { allowUserFilters = false } = {}) => {
+  const filter = {};
+
+  if (query.action) {
+    const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    filter.action = { $in: actions };
+  }
+
+  if (query.resourceType) {
+    filter.resourceType = String(query.resourceType);
+  }
+
+  // Unparseable dates are ignored like invalid IDs; an empty range would match nothing
+  const createdAt = {};
+  if (query.from && !isNaN(Date.parse(query.from))) createdAt.$gte = new Date(query.from);
+  if (query.to && !isNaN(Date.parse(query.to))) createdAt.$lte = new Date(query.to);
+  if (Object.keys(createdAt).length) {
+    filter.createdAt = createdAt;
+  }
+
+  if (allowUserFilters) {
+    for (const field of ['actorId', 'targetUserId']) {
+      if (query[field] && mongoose.Types.ObjectId.isValid(query[field])) {
+        filter[field] = query[field];
+      }
+    }
+    if (query.actorRole) {
+      filter.actorRole = String(query.actorRole);
+    }
+  }
+
+  return filter;
+};
+
+module.exports = {
+  AUDIT_LOG_RETENTION_DAYS,
+  diffChanges,
+  snapshot,
+  recordAuditEvent,
+  buildAuditFilter,
+};
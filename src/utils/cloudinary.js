@@ -78,6 +78,14 @@ const extractPublicId = (url) => {
     const folderPath = parts.slice(folderIndex, -1).join('/');
     return `${folderPath}/${publicId}`;
   }
+
+  // Other folders (e.g. widget-assets) follow the version segment of the delivery URL
+  const uploadIndex = parts.indexOf('upload');
+  const versionIndex = parts.findIndex((part, index) => index > uploadIndex && /^v\d+$/.test(part));
+  if (uploadIndex !== -1 && versionIndex !== -1) {
+    const folderPath = parts.slice(versionIndex + 1, -1).join('/');
+    return folderPath ? `${folderPath}/${publicId}` : publicId;
+  }
   
   return publicId;
 };
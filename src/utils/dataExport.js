@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { finished } = require('stream/promises');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const DataExport = require('../models/dataExport.model');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const Token = require('../models/token.model');
+const ApiKey = require('../models/apiKey.model');
+const TeamMember = require('../models/teamMember.model');
+const SecurityEvent = require('../models/securityEvent.model');
+const AuditEvent = require('../models/auditEvent.model');
+const PaymentSettings = require('../models/paymentSettings.model');
+const PaymentMethod = require('../models/paymentMethod.model');
+const Subscription = require('../models/subscription.model');
+const Transaction = require('../models/transaction.model');
+const PersonalProfile = require('../models/personalProfile.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+const SocialMediaLink = require('../models/socialMediaLink.model');
+const Favorite = require('../models/favorite.model');
+const Folder = require('../models/folder.model');
+const FormSubmission = require('../models/formSubmission.model');
+const UserSearch = require('../models/userSearch.model');
+const ViewLog = require('../models/viewLog.model');
+const Notification = require('../models/notification.model');
+const { sendDataExportReadyEmail } = require('./email');
+const { recordAuditEvent } = require('./audit');
+
+// Hours the download link stays valid once the archive is ready
+const DATA_EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS || '48');
+
+// Exports stuck in processing this long (e.g. after a restart) are queued again
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+const EXPORT_BUCKET = 'dataExports';
+
+// Credentials and one-time codes never leave the database
+const USER_SECRET_FIELDS = '-password -verificationToken -resetPasswordToken -twoFactorSecret -twoFactorRecoveryCodes';
+
+/**
+ * GridFS bucket holding the export archives
+ * @returns {mongoose.mongo.GridFSBucket} Bucket
+ */
+const getExportBucket = () => {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: EXPORT_BUCKET });
+};
+
+/**
+ * Hash a download token for storage and lookup
+ * @param {string} token - Token from the download link
+ * @returns {string} SHA-256 hex digest
+ */
+const hashDownloadToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Flatten a record into dotted column names for CSV output
+ * @param {object} record - Plain object
+ * @param {string} [prefix] - Column name prefix
+ * @param {object} [row] - Row being built
+ * @returns {object} Flat row
+ */
+const flattenRecord = (record, prefix = '', row = {}) => {
+  for (const [key, value] of Object.entries(record)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRecord(value, column, row);
+    } else {
+      row[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  }
+  return row;
+};
+
+/**
+ * Quote a CSV cell, neutralising values a spreadsheet would run as a formula
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert records to CSV, using the union of their columns
+ * @param {Array<object>} records - Plain JSON records
+ * @returns {string} CSV text
+ */
+const toCsv = (records) => {
+  const rows = records.map((record) => flattenRecord(record));
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+  const lines = [columns.map(escapeCsvCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvCell(row[column])).join(','));
+  }
+  return lines.join('\r\n');
+};
+
+/**
+ * Gather every collection tied to a user
+ * @param {object} user - Lean user document without secrets
+ * @returns {Promise<Array<object>>} Files as { name, data, csv }
+ */
+const collectUserData = async (user) => {
+  const userId = user._id;
+
+  const businessProfiles = await BusinessProfile.find({ userId }).lean();
+  const businessIds = businessProfiles.map((business) => business._id);
+  const builderPages = await BuilderPage.find({ userId }).lean();
+  const pageIds = builderPages.map((page) => page._id);
+
+  const [
+    settings,
+    paymentSettings,
+    subscriptions,
+    transactions,
+    paymentMethods,
+    personalProfile,
+    widgets,
+    socialMediaLinks,
+    favorites,
+    folders,
+    formSubmissionsReceived,
+    formSubmissionsSent,
+    searches,
+    viewLogs,
+    sessions,
+    apiKeys,
+    teamMemberships,
+    securityEvents,
+    auditEvents,
+    notifications,
+  ] = await Promise.all([
+    UserSettings.findOne({ userId }).lean(),
+    PaymentSettings.findOne({ userId }).lean(),
+    Subscription.find({ userId }).lean(),
+    Transaction.find({ userId }).lean(),
+    PaymentMethod.find({ userId }).lean(),
+    PersonalProfile.findOne({ userId }).lean(),
+    Widget.find({ userId }).lean(),
+    SocialMediaLink.find({ userId }).lean(),
+    Favorite.find({ userId }).lean(),
+    Folder.find({ userId }).lean(),
+    FormSubmission.find({ $or: [{ businessId: { $in: businessIds } }, { pageId: { $in: pageIds } }] }).lean(),
+    FormSubmission.find({ userId }).lean(),
+    UserSearch.find({ userId }).lean(),
+    ViewLog.find({ viewerId: userId }).lean(),
+    Token.find({ userId, type: 'refresh', sessionId: { $exists: true } })
+      .select('sessionId sessionName sessionStartedAt lastUsedAt ipAddress device location revokedAt revokedReason expiresAt createdAt')
+      .lean(),
+    ApiKey.find({ userId }).lean(),
+    TeamMember.find({ userId }).lean(),
+    SecurityEvent.find({ userId }).lean(),
+    AuditEvent.find({ targetUserId: userId }).lean(),
+    Notification.find({ userId }).lean(),
+  ]);
+
+  const { loginHistory = [], ...account } = user;
+
+  // Activity logs are also written as CSV so they open in a spreadsheet
+  return [
+    { name: 'account.json', data: account },
+    { name: 'login-history', data: loginHistory, csv: true },
+    { name: 'settings.json', data: settings },
+    { name: 'personal-profile.json', data: personalProfile },
+    { name: 'business-profiles.json', data: businessProfiles },
+    { name: 'builder-pages.json', data: builderPages },
+    { name: 'widgets.json', data: widgets },
+    { name: 'social-media-links.json', data: socialMediaLinks },
+    { name: 'favorites.json', data: favorites },
+    { name: 'folders.json', data: folders },
+    { name: 'form-submissions-received', data: formSubmissionsReceived, csv: true },
+    { name: 'form-submissions-sent', data: formSubmissionsSent, csv: true },
+    { name: 'searches', data: searches, csv: true },
+    { name: 'view-logs', data: viewLogs, csv: true },
+    { name: 'payment-settings.json', data: paymentSettings },
+    { name: 'payment-methods.json', data: paymentMethods },
+    { name: 'subscriptions.json', data: subscriptions },
+    { name: 'transactions', data: transactions, csv: true },
+    { name: 'sessions.json', data: sessions },
+    { name: 'api-keys.json', data: apiKeys },
+    { name: 'team-memberships.json', data: teamMemberships },
+    { name: 'security-events', data: securityEvents, csv: true },
+    { name: 'audit-log', data: auditEvents, csv: true },
+    { name: 'notifications.json', data: notifications },
+  ];
+};
+
+/**
+ * Write the collected files into a ZIP archive in GridFS
+ * @param {object} dataExport - DataExport document
+ * @param {Array<object>} files - Output of collectUserData
+ * @returns {Promise<object>} { fileId, fileName, size, counts }
+ */
+const writeArchive = async (dataExport, files) => {
+  const fileName = `account-data-${dataExport._id}.zip`;
+  const upload = getExportBucket().openUploadStream(fileName, {
+    metadata: { userId: dataExport.userId, exportId: dataExport._id },
+  });
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const counts = {};
+
+  const archiveFailed = new Promise((resolve, reject) => archive.on('error', reject));
+  archive.pipe(upload);
+
+  for (const file of files) {
+    // Round-trip through JSON so ObjectIds and dates serialise the same way in both formats
+    const data = JSON.parse(JSON.stringify(file.data === undefined ? null : file.data));
+    const baseName = file.name.replace(/\.json$/, '');
+    counts[baseName] = Array.isArray(data) ? data.length : data ? 1 : 0;
+
+    archive.append(JSON.stringify(data, null, 2), { name: `${baseName}.json` });
+    if (file.csv) {
+      archive.append(toCsv(data), { name: `${baseName}.csv` });
+    }
+  }
+
+  archive.append(
+    JSON.stringify({ exportId: dataExport._id, userId: dataExport.userId, generatedAt: new Date(), counts }, null, 2),
+    { name: 'manifest.json' }
+  );
+
+  await Promise.race([Promise.all([archive.finalize(), finished(upload)]), archiveFailed]);
+
+  return { fileId: upload.id, fileName, size: archive.pointer(), counts };
+};
+
+/**
+ * Build the archive for a pending export and email the download link
+ * @param {string} exportId - DataExport ID
+ * @returns {Promise<object|null>} The finished export, or null when it was not pending or failed
+ */
+const processDataExport = async (exportId) => {
+  // Claiming the job atomically keeps two workers from building the same archive
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!dataExport) {
+    return null;
+  }
+
+  try {
+    const user = await User.findById(dataExport.userId).select(USER_SECRET_FIELDS).lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const files = await collectUserData(user);
+    const { fileId, fileName, size, counts } = await writeArchive(dataExport, files);
+
+    const downloadToken = crypto.randomBytes(32).toString('hex');
+    dataExport.set({
+      status: 'ready',
+      completedAt: new Date(),
+      fileId,
+      fileName,
+      size,
+      counts,
+      downloadTokenHash: hashDownloadToken(downloadToken),
+      expiresAt: new Date(Date.now() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000),
+    });
+    await dataExport.save();
+
+    await recordAuditEvent(null, 'account_data_exported', {
+      actor: user,
+      resourceType: 'dataExport',
+      resourceId: dataExport._id,
+      metadata: { size, counts },
+    });
+
+    try {
+      await sendDataExportReadyEmail(user.email, user.firstName, dataExport._id, downloadToken, dataExport.expiresAt);
+    } catch (error) {
+      console.error('Failed to send data export email:', error);
+    }
+
+    return dataExport;
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed:`, error);
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+    );
+    return null;
+  }
+};
+
+/**
+ * Remove the archive of an export and mark it expired
+ * @param {object} dataExport - DataExport document
+ * @returns {Promise<void>}
+ */
+const expireDataExport = async (dataExport) => {
+  if (dataExport.fileId) {
+    try {
+      await getExportBucket().delete(dataExport.fileId);
+    } catch (error) {
+      // Already gone; the export still needs to be marked expired
+      console.error(`Failed to delete data export file ${dataExport.fileId}:`, error.message);
+    }
+  }
+
+  await DataExport.updateOne(
+    { _id: dataExport._id },
+    { $set: { status: 'expired' }, $unset: { fileId: '', downloadTokenHash: '' } }
+  );
+};
+
+/**
+ * Scheduled job: retry stalled exports, build pending ones and delete expired archives
+ * @returns {Promise<object>} Counts of processed and expired exports
+ */
+const processDataExportQueue = async () => {
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+    { $set: { status: 'pending' } }
+  );
+
+  const pending = await DataExport.find({ status: 'pending' }).sort({ createdAt: 1 }).limit(5).select('_id');
+  for (const dataExport of pending) {
+    await processDataExport(dataExport._id);
+  }
+
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+  for (const dataExport of expired) {
+    await expireDataExport(dataExport);
+  }
+
+  return { processed: pending.length, expired: expired.length };
+};
+
+module.exports = {
+  DATA_EXPORT_TTL_HOURS,
+  getExportBucket,
+  hashDownloadToken,
+  toCsv,
+  processDataExport,
+  expireDataExport,
+  processDataExportQueue,
+};
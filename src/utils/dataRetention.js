@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const UserSearch = require('../models/userSearch.model');
+const ViewLog = require('../models/viewLog.model');
+const AnalyticsRollup = require('../models/analyticsRollup.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const PersonalProfile = require('../models/personalProfile.model');
+const SocialMediaLink = require('../models/socialMediaLink.model');
+
+// Retention for users who never changed dataSettings.dataRetentionPeriod
+const DEFAULT_RETENTION_DAYS = UserSettings.schema.path('dataSettings.dataRetentionPeriod').defaultValue;
+
+// Models whose userId owns the view logs recorded against them, by ViewLog targetType
+const TARGET_OWNER_MODELS = {
+  business: BusinessProfile,
+  profile: PersonalProfile,
+  socialMedia: SocialMediaLink,
+};
+
+/**
+ * Get the start of the day a retention window ends on; whole days keep rollups aligned
+ * @param {number} days - Retention window
+ * @param {Date} now - Current time
+ * @returns {Date} Records created before this are expired
+ */
+const getRetentionCutoff = (days, now) => {
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+};
+
+/**
+ * Load the users whose retention window differs from the default
+ * @returns {Promise<Map<string, number>>} Retention days by user ID
+ */
+const getRetentionWindows = async () => {
+  const settings = await UserSettings.find({
+    'dataSettings.dataRetentionPeriod': { $exists: true, $ne: DEFAULT_RETENTION_DAYS },
+  })
+    .select('userId dataSettings.dataRetentionPeriod')
+    .lean();
+
+  return new Map(settings.map((setting) => [String(setting.userId), setting.dataSettings.dataRetentionPeriod]));
+};
+
+/**
+ * Run a retention step once per custom window and once for everyone on the default
+ * @param {Map<string, number>} windows - Output of getRetentionWindows
+ * @param {Date} now - Current time
+ * @param {Function} apply - (ownerMatch, cutoff) => Promise<number>
+ * @returns {Promise<number>} Sum of the step's counts
+ */
+const forEachRetentionWindow = async (windows, now, apply) => {
+  const customUserIds = [...windows.keys()].map((id) => new mongoose.Types.ObjectId(id));
+  let total = 0;
+
+  for (const [userId, days] of windows) {
+    total += await apply(new mongoose.Types.ObjectId(userId), getRetentionCutoff(days, now));
+  }
+  total += await apply({ $nin: customUserIds, $ne: null }, getRetentionCutoff(DEFAULT_RETENTION_DAYS, now));
+
+  return total;
+};
+
+/**
+ * Day a view log belongs to, from the same timing fields the dashboards group by
+ * @param {object} log - Lean ViewLog
+ * @returns {Date} Start of the day
+ */
+const getLogDay = (log) => {
+  const { timing } = log;
+  if (timing && timing.year && timing.month && timing.dayOfMonth) {
+    return new Date(timing.year, timing.month - 1, timing.dayOfMonth);
+  }
+  const createdAt = new Date(log.createdAt);
+  return new Date(createdAt.getFullYear(), createdAt.getMonth(), createdAt.getDate());
+};
+
+/**
+ * Count a value into a rollup breakdown
+ * @param {object} day - Rollup being built
+ * @param {string} name - Breakdown name
+ * @param {*} value - Value to count; skipped when empty
+ */
+const countBreakdown = (day, name, value) => {
+  if (value === undefined || value === null || value === '') {
+    return;
+  }
+
+  // Map keys cannot contain dots or start with $
+  const key = String(value).replace(/\./g, '_').replace(/^\$/, '_');
+  day.breakdowns[name] = day.breakdowns[name] || {};
+  day.breakdowns[name][key] = (day.breakdowns[name][key] || 0) + 1;
+};
+
+/**
+ * Tag expired records that are not part of a batch yet with a new rollup batch. Records keep
+ * their batch until they are deleted, so a run that fails between rolling up and deleting
+ * leaves them tagged with a batch the rollups already hold.
+ * @param {mongoose.Model} Model - ViewLog or UserSearch
+ * @param {object} filter - Expired records
+ */
+const claimRollupBatch = async (Model, filter) => {
+  await Model.updateMany(
+    { ...filter, rollupBatch: null },
+    { $set: { rollupBatch: new mongoose.Types.ObjectId() } }
+  );
+};
+
+/**
+ * Find or start the rollup for a record's day and batch
+ * @param {Map<string, object>} days - Rollups being built
+ * @param {Date} date - Start of the record's day
+ * @param {object} batch - Record's rollupBatch
+ * @param {object} initial - Counters for a new rollup
+ * @returns {object} Rollup being built
+ */
+const getRollupDay = (days, date, batch, initial) => {
+  const id = `${date.getTime()}:${batch}`;
+  if (!days.has(id)) {
+    days.set(id, { date, batch, ...initial, breakdowns: {} });
+  }
+  return days.get(id);
+};
+
+/**
+ * Add built rollups onto any already stored for the same days, once per batch
+ * @param {object} key - source plus targetId/targetType for view logs
+ * @param {Map<string, object>} days - Rollups by day and batch
+ */
+const saveRollups = async (key, days) => {
+  for (const day of days.values()) {
+    const { date, batch, breakdowns, viewers, sessions, ...counts } = day;
+    const increment = { ...counts };
+
+    if (viewers) increment.uniqueViewers = viewers.size;
+    if (sessions) increment.uniqueSessions = sessions.size;
+    for (const [name, values] of Object.entries(breakdowns)) {
+      for (const [value, count] of Object.entries(values)) {
+        increment[`breakdowns.${name}.${value}`] = count;
+      }
+    }
+
+    const filter = { ...key, date, rollupBatches: { $ne: batch } };
+    const update = { $inc: increment, $push: { rollupBatches: batch } };
+    try {
+      await AnalyticsRollup.updateOne(filter, update, { upsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // The day's rollup was created meanwhile or already holds this batch; only the first
+      // case still needs the increment
+      await AnalyticsRollup.updateOne(filter, update);
+    }
+  }
+};
+
+/**
+ * Roll a target's expired view logs up into daily totals
+ * @param {object} target - { targetId, targetType }
+ * @param {Date} cutoff - Logs created before this are rolled up
+ * @returns {Promise<number>} Number of days rolled up
+ */
+const rollUpViewLogs = async (target, cutoff) => {
+  const filter = { ...target, createdAt: { $lt: cutoff } };
+  await claimRollupBatch(ViewLog, filter);
+
+  const days = new Map();
+  const cursor = ViewLog.find(filter)
+    .select('viewerId sessionId interactionType location.country deviceInfo.type referral.source timing metrics rollupBatch createdAt')
+    .lean()
+    .cursor();
+
+  for await (const log of cursor) {
+    const day = getRollupDay(days, getLogDay(log), log.rollupBatch, {
+      count: 0,
+      interactions: 0,
+      bounces: 0,
+      engagementScoreTotal: 0,
+      engagementScoreCount: 0,
+      timeOnPageTotal: 0,
+      timeOnPageCount: 0,
+      viewers: new Set(),
+      sessions: new Set(),
+    });
+
+    const metrics = log.metrics || {};
+    day.count += 1;
+    if (log.interactionType !== 'view') day.interactions += 1;
+    if (metrics.bounceRate) day.bounces += 1;
+    if (typeof metrics.engagementScore === 'number') {
+      day.engagementScoreTotal += metrics.engagementScore;
+      day.engagementScoreCount += 1;
+    }
+    if (typeof metrics.timeOnPage === 'number') {
+      day.timeOnPageTotal += metrics.timeOnPage;
+      day.timeOnPageCount += 1;
+    }
+    if (log.viewerId) day.viewers.add(String(log.viewerId));
+    day.sessions.add(log.sessionId);
+
+    countBreakdown(day, 'interactionType', log.interactionType);
+    countBreakdown(day, 'country', log.location && log.location.country);
+    countBreakdown(day, 'device', log.deviceInfo && log.deviceInfo.type);
+    countBreakdown(day, 'source', log.referral && log.referral.source);
+    countBreakdown(day, 'hour', log.timing && log.timing.hour);
+  }
+
+  await saveRollups({ source: 'view_log', ...target }, days);
+  return new Set([...days.values()].map((day) => day.date.getTime())).size;
+};
+
+/**
+ * Roll expired searches up into daily totals by search type and category
+ * @param {object} filter - UserSearch filter for the expired searches
+ */
+const rollUpSearches = async (filter) => {
+  await claimRollupBatch(UserSearch, filter);
+
+  const days = new Map();
+  const cursor = UserSearch.find(filter).select('searchType category rollupBatch createdAt').lean().cursor();
+
+  for await (const search of cursor) {
+    const createdAt = new Date(search.createdAt);
+    const date = new Date(createdAt.getFullYear(), createdAt.getMonth(), createdAt.getDate());
+    const day = getRollupDay(days, date, search.rollupBatch, { count: 0 });
+
+    day.count += 1;
+    countBreakdown(day, 'searchType', search.searchType);
+    countBreakdown(day, 'category', search.category);
+  }
+
+  await saveRollups({ source: 'user_search' }, days);
+};
+
+/**
+ * Find the user whose analytics a view log target belongs to
+ * @param {object} target - { targetId, targetType }
+ * @returns {Promise<string|null>} Owner's user ID, or null when unknown
+ */
+const resolveTargetOwner = async ({ targetId, targetType }) => {
+  const Model = TARGET_OWNER_MODELS[targetType];
+  if (!Model) {
+    return null;
+  }
+
+  const record = await Model.findById(targetId).select('userId').lean();
+  return record ? String(record.userId) : null;
+};
+
+/**
+ * Roll up and delete view logs older than the target owner's retention window
+ * @param {Map<string, number>} windows - Output of getRetentionWindows
+ * @param {Date} now - Current time
+ * @param {boolean} dryRun - Only count what would be removed
+ * @returns {Promise<object>} { targets, deleted, rollupDays }
+ */
+const applyViewLogRetention = async (windows, now, dryRun) => {
+  // Nothing newer than the shortest window can be expired for anyone
+  const shortestDays = Math.min(DEFAULT_RETENTION_DAYS, ...windows.values());
+  const candidates = await ViewLog.aggregate([
+    { $match: { createdAt: { $lt: getRetentionCutoff(shortestDays, now) } } },
+    {
+      $group: {
+        _id: { targetId: '$targetId', targetType: '$targetType' },
+        oldest: { $min: '$createdAt' },
+      },
+    },
+  ]);
+
+  const summary = { targets: 0, deleted: 0, rollupDays: 0 };
+  for (const candidate of candidates) {
+    const target = candidate._id;
+    const ownerId = await resolveTargetOwner(target);
+    const cutoff = getRetentionCutoff(windows.get(ownerId) || DEFAULT_RETENTION_DAYS, now);
+    if (candidate.oldest >= cutoff) {
+      continue;
+    }
+
+    const filter = { ...target, createdAt: { $lt: cutoff } };
+    summary.targets += 1;
+
+    if (dryRun) {
+      summary.deleted += await ViewLog.countDocuments(filter);
+      continue;
+    }
+
+    // Roll up first so the dashboards keep their history if the delete fails; a retry skips
+    // the batches already rolled up
+    summary.rollupDays += await rollUpViewLogs(target, cutoff);
+    const result = await ViewLog.deleteMany(filter);
+    summary.deleted += result.deletedCount;
+  }
+
+  return summary;
+};
+
+/**
+ * Strip the viewer from view logs older than the viewer's own retention window
+ * @param {object|string} owner - Viewer ID or match expression
+ * @param {Date} cutoff - Logs created before this are anonymised
+ * @param {boolean} dryRun - Only count what would be anonymised
+ * @returns {Promise<number>} Number of logs anonymised
+ */
+const anonymizeViewerLogs = async (owner, cutoff, dryRun) => {
+  const filter = { viewerId: owner, createdAt: { $lt: cutoff } };
+  if (dryRun) {
+    return ViewLog.countDocuments(filter);
+  }
+
+  const result = await ViewLog.updateMany(filter, {
+    $set: { viewerType: 'anonymous' },
+    $unset: { viewerId: '', 'location.ipAddress': '', 'deviceInfo.userAgent': '' },
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Roll up and delete searches older than the searcher's retention window
+ * @param {object|string} owner - User ID or match expression
+ * @param {Date} cutoff - Searches created before this are deleted
+ * @param {boolean} dryRun - Only count what would be deleted
+ * @returns {Promise<number>} Number of searches deleted
+ */
+const deleteExpiredSearches = async (owner, cutoff, dryRun) => {
+  const filter = { userId: owner, createdAt: { $lt: cutoff } };
+  if (dryRun) {
+    return UserSearch.countDocuments(filter);
+  }
+
+  await rollUpSearches(filter);
+  const result = await UserSearch.deleteMany(filter);
+  return result.deletedCount;
+};
+
+/**
+ * Remove login history entries older than the user's retention window
+ * @param {object|string} owner - User ID or match expression
+ * @param {Date} cutoff - Entries before this are removed
+ * @param {boolean} dryRun - Only count what would be removed
+ * @returns {Promise<number>} Number of entries removed
+ */
+const pruneLoginHistory = async (owner, cutoff, dryRun) => {
+  const match = { _id: owner, 'loginHistory.timestamp': { $lt: cutoff } };
+  const [result] = await User.aggregate([
+    { $match: match },
+    { $unwind: '$loginHistory' },
+    { $match: { 'loginHistory.timestamp': { $lt: cutoff } } },
+    { $count: 'count' },
+  ]);
+
+  const count = result ? result.count : 0;
+  if (count && !dryRun) {
+    await User.updateMany(match, { $pull: { loginHistory: { timestamp: { $lt: cutoff } } } });
+  }
+  return count;
+};
+
+/**
+ * Apply every user's data retention window to view logs, searches and login history
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Report what would be removed without changing anything
+ * @returns {Promise<object>} Retention report
+ */
+const runDataRetention = async ({ dryRun = false } = {}) => {
+  const now = new Date();
+  const windows = await getRetentionWindows();
+
+  const viewLogs = await applyViewLogRetention(windows, now, dryRun);
+  viewLogs.anonymized = await forEachRetentionWindow(windows, now, (owner, cutoff) =>
+    anonymizeViewerLogs(owner, cutoff, dryRun)
+  );
+  const searchesDeleted = await forEachRetentionWindow(windows, now, (owner, cutoff) =>
+    deleteExpiredSearches(owner, cutoff, dryRun)
+  );
+  const loginHistoryRemoved = await forEachRetentionWindow(windows, now, (owner, cutoff) =>
+    pruneLoginHistory(owner, cutoff, dryRun)
+  );
+
+  return {
+    dryRun,
+    generatedAt: now,
+    defaultRetentionDays: DEFAULT_RETENTION_DAYS,
+    customRetentionUsers: windows.size,
+    viewLogs,
+    searches: { deleted: searchesDeleted },
+    loginHistory: { removed: loginHistoryRemoved },
+  };
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  getRetentionCutoff,
+  runDataRetention,
+};
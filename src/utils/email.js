@@ -1,7 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const EmailMessage = require('../models/emailMessage.model');
+const { EMAIL_TEMPLATES, renderEmailTemplate, getBusinessBranding } = require('./emailTemplates');
+const { findEmailSuppression, getEmailPreferenceLinks } = require('./emailSuppression');
+
+// Failed deliveries are retried after these delays; the last one repeats
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 360];
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '6');
+
+// Messages stuck in sending this long (e.g. after a restart) are queued again
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Development transport that prints each message as JSON instead of sending it
+const createJsonTransport = () => ({
+  name: 'json',
+  version: '1.0.0',
+  send: (mail, callback) => {
+    const { from, to, subject, text } = mail.data;
+    console.log(`📧 Email ${JSON.stringify({ from, to, subject, text }, null, 2)}`);
+    callback(null, { messageId: `<${crypto.randomUUID()}@json>`, accepted: [to] });
+  },
+});
+
+// Development transport that writes each message to EMAIL_FILE_DIR as JSON
+const createFileTransport = () => ({
+  name: 'file',
+  version: '1.0.0',
+  send: (mail, callback) => {
+    const directory = path.resolve(process.env.EMAIL_FILE_DIR || 'tmp/emails');
+    const messageId = crypto.randomUUID();
+    const { from, to, subject, html, text } = mail.data;
+
+    fs.promises.mkdir(directory, { recursive: true })
+      .then(() => fs.promises.writeFile(
+        path.join(directory, `${Date.now()}-${messageId}.json`),
+        JSON.stringify({ from, to, subject, text, html }, null, 2)
+      ))
+      .then(() => callback(null, { messageId: `<${messageId}@file>`, accepted: [to] }))
+      .catch(callback);
+  },
+});
 
 // Create transporter
 const createTransporter = () => {
+  // EMAIL_TRANSPORT=json or file keeps mail on this machine during development
+  const transport = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+  if (transport === 'json') {
+    return nodemailer.createTransport(createJsonTransport());
+  }
+  if (transport === 'file') {
+    return nodemailer.createTransport(createFileTransport());
+  }
+
   // Check which email service is being used
   if (process.env.EMAIL_SERVICE && process.env.EMAIL_SERVICE.toLowerCase() === 'gmail') {
     // For Gmail, use OAuth2 or app password approach
@@ -40,114 +94,367 @@ const createTransporter = () => {
   }
 };
 
-// Send verification email
-exports.sendVerificationEmail = async (email, token) => {
-  const transporter = createTransporter();
+// Find the account behind an address and the language it prefers
+const resolveRecipient = async (email, userId) => {
+  const user = userId
+    ? await User.findById(userId).select('_id')
+    : await User.findOne({ email: String(email).toLowerCase() }).select('_id');
+  if (!user) {
+    return {};
+  }
 
-  // in mobile app we don't have frontend url, so I use it directly
-  const verificationUrl = `${process.env.FRONTEND_URL}/api/auth/verify-email/${token}`;
+  const settings = await UserSettings.findOne({ userId: user._id }).select('preferences.language');
+  return {
+    userId: user._id,
+    language: settings && settings.preferences && settings.preferences.language,
+  };
+};
 
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-    to: email,
-    subject: 'Email Verification',
-    html: `
-      <h1>Email Verification</h1>
-      <p>Thank you for registering. Please verify your email by clicking the link below:</p>
-      <a href="${verificationUrl}">Verify Email</a>
-      <p>If you did not request this, please ignore this email.</p>
-    `,
+// One-click unsubscribe headers (RFC 8058) for email outside the security category
+const getListUnsubscribeHeaders = (message) => {
+  if (message.category === 'security') {
+    return {};
+  }
+
+  const { oneClickUrl } = getEmailPreferenceLinks(message.to, message.category);
+  return {
+    'List-Unsubscribe': `<${oneClickUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
   };
+};
+
+/**
+ * When an outbox message that is done with should be removed. Security email goes sooner
+ * because its subject and recipient show what was requested.
+ * @param {object} message - EmailMessage document
+ * @param {Date} now - Current time
+ * @returns {Date} expiresAt for the message
+ */
+const getOutboxExpiry = (message, now) => {
+  const hours = message.category === 'security'
+    ? EmailMessage.SECURITY_RETENTION_HOURS
+    : EmailMessage.RETENTION_DAYS * 24;
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Try to deliver an outbox message once, scheduling a retry when it fails.
+ * The suppression list is checked on every attempt, so a bounce or unsubscribe that
+ * arrives while a message waits for a retry still stops it. A message stored without
+ * its body fails for good after the attempt, since there is nothing to retry with.
+ * @param {object} message - EmailMessage document
+ * @param {object} [body] - { html, text } when they are not stored on the message
+ * @returns {Promise<object>} The updated message
+ */
+const deliverEmailMessage = async (message, body = message) => {
+  const now = new Date();
+
+  const suppression = await findEmailSuppression(message.to, message.category, message.userId);
+  if (suppression) {
+    message.status = 'suppressed';
+    message.lastError = `Suppressed: ${suppression.reason}`;
+    message.html = undefined;
+    message.text = undefined;
+    message.expiresAt = getOutboxExpiry(message, now);
+    await message.save();
+    return message;
+  }
+
+  message.attempts += 1;
+  message.lastAttemptAt = now;
 
   try {
-    const result = await transporter.sendMail(mailOptions);
-    return result;
+    const info = await createTransporter().sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: message.to,
+      subject: message.subject,
+      html: body.html,
+      text: body.text,
+      headers: getListUnsubscribeHeaders(message),
+    });
+
+    message.status = 'sent';
+    message.sentAt = now;
+    message.transport = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+    message.providerMessageId = info && info.messageId;
+    message.lastError = undefined;
+    message.html = undefined;
+    message.text = undefined;
+    message.expiresAt = getOutboxExpiry(message, now);
   } catch (error) {
     console.error('Email sending error:', error);
-    throw new Error(`Failed to send verification email: ${error.message}`);
+    message.lastError = error.message;
+
+    if (message.attempts >= EMAIL_MAX_ATTEMPTS || (!message.html && !message.text)) {
+      message.status = 'failed';
+      message.expiresAt = getOutboxExpiry(message, now);
+    } else {
+      const delay = RETRY_DELAYS_MINUTES[Math.min(message.attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+      message.status = 'queued';
+      message.nextAttemptAt = new Date(now.getTime() + delay * 60 * 1000);
+    }
   }
+
+  await message.save();
+  return message;
 };
 
-// Send password reset email
-exports.sendPasswordResetEmail = async (email, token) => {
-  const transporter = createTransporter();
+/**
+ * Render a template in the recipient's language and send it through the outbox.
+ * Resolves once the message is stored; if the first attempt fails, the email-outbox
+ * job retries it, so transport errors are not thrown. Security email carries codes and
+ * sign-in links that go stale, so its body is not stored and a failed attempt is not
+ * retried; the user asks for a new one instead. Email outside the security category
+ * carries an unsubscribe link, and suppressed addresses are skipped.
+ * @param {string} template - Template name from src/emails/templates.js
+ * @param {object} options
+ * @param {string} options.to - Recipient address
+ * @param {object} [options.data] - Template variables
+ * @param {string} [options.userId] - Recipient account, looked up by address when omitted
+ * @param {string} [options.locale] - Language override; defaults to the user's preferences.language
+ * @param {object} [options.branding] - Branding overrides, e.g. from getBusinessBranding
+ * @param {string} [options.category] - Category override for the message
+ * @returns {Promise<object>} EmailMessage after the first delivery attempt (status suppressed
+ *   when the address must not receive it)
+ */
+const sendTemplatedEmail = async (template, { to, data = {}, userId, locale, branding, category } = {}) => {
+  const recipient = await resolveRecipient(to, userId);
+  const messageCategory = category || (EMAIL_TEMPLATES[template] && EMAIL_TEMPLATES[template].category);
+  const links = messageCategory && messageCategory !== 'security'
+    ? getEmailPreferenceLinks(to, messageCategory)
+    : null;
 
-  const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
+  const rendered = renderEmailTemplate(template, {
+    locale: locale || recipient.language,
+    data,
+    branding,
+    layoutData: links ? { unsubscribeUrl: links.preferencesUrl } : {},
+  });
 
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-    to: email,
-    subject: 'Password Reset',
-    html: `
-      <h1>Password Reset</h1>
-      <p>You requested a password reset. Please click the link below to reset your password:</p>
-      <a href="${resetUrl}">Reset Password</a>
-      <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
-    `,
-  };
+  const finalCategory = messageCategory || rendered.category;
+  const storeBody = finalCategory !== 'security';
 
-  try {
-    const result = await transporter.sendMail(mailOptions);
-    return result;
-  } catch (error) {
-    console.error('Email sending error:', error);
-    throw new Error(`Failed to send password reset email: ${error.message}`);
+  const message = await EmailMessage.create({
+    userId: recipient.userId,
+    to,
+    template,
+    locale: rendered.locale,
+    category: finalCategory,
+    subject: rendered.subject,
+    html: storeBody ? rendered.html : undefined,
+    text: storeBody ? rendered.text : undefined,
+  });
+
+  return deliverEmailMessage(message, { html: rendered.html, text: rendered.text });
+};
+
+/**
+ * Why an outbox message will not reach the recipient, for handlers that must not report
+ * success when it does not. Messages waiting for a retry count as on their way.
+ * @param {object} message - EmailMessage returned by sendTemplatedEmail
+ * @returns {object|null} { status, message } for the response, or null when the message was
+ *   sent or will be retried
+ */
+const getEmailDeliveryError = (message) => {
+  if (message.status === 'suppressed') {
+    return { status: 400, message: 'We cannot send email to this address. Please check it or use another one.' };
   }
+  if (message.status === 'failed') {
+    return { status: 503, message: 'We could not send the email. Please try again later.' };
+  }
+  return null;
+};
+
+/**
+ * Scheduled job: send outbox messages whose retry time has come
+ * @returns {Promise<object>} { sent, retrying, failed, suppressed }
+ */
+const processEmailOutbox = async () => {
+  await EmailMessage.updateMany(
+    { status: 'sending', lastAttemptAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { $set: { status: 'queued', nextAttemptAt: new Date() } }
+  );
+
+  const summary = { sent: 0, retrying: 0, failed: 0, suppressed: 0 };
+  for (let i = 0; i < 50; i += 1) {
+    const message = await EmailMessage.claimNextDue();
+    if (!message) {
+      break;
+    }
+
+    const result = await deliverEmailMessage(message);
+    if (result.status === 'sent') {
+      summary.sent += 1;
+    } else if (result.status === 'failed') {
+      summary.failed += 1;
+    } else if (result.status === 'suppressed') {
+      summary.suppressed += 1;
+    } else {
+      summary.retrying += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Give a failed message one more delivery attempt now (admin action)
+ * @param {object} message - EmailMessage document with status failed
+ * @returns {Promise<object>} The updated message
+ */
+const retryEmailMessage = async (message) => {
+  message.status = 'sending';
+  message.expiresAt = undefined;
+  return deliverEmailMessage(message);
+};
+
+// Send verification email
+exports.sendVerificationEmail = async (email, token) => {
+  // in mobile app we don't have frontend url, so I use it directly
+  const verificationUrl = `${process.env.FRONTEND_URL}/api/auth/verify-email/${token}`;
+
+  return sendTemplatedEmail('verify_email', { to: email, data: { verificationUrl } });
+};
+
+// Send password reset email
+exports.sendPasswordResetEmail = async (email, token) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
+
+  return sendTemplatedEmail('password_reset', { to: email, data: { resetUrl } });
 };
 
 // Send password change notification email
 exports.sendPasswordChangeNotification = async (email, firstName) => {
-  const transporter = createTransporter();
+  return sendTemplatedEmail('password_changed', { to: email, data: { firstName, changedAt: new Date() } });
+};
+
+exports.sendOtpToResetPassword = async (email, otp) => {
+  return sendTemplatedEmail('password_reset_otp', { to: email, data: { otp } });
+};
+
+// Send account unlock email after a lockout
+exports.sendAccountUnlockEmail = async (email, token, lockUntil) => {
+  const unlockUrl = `${process.env.FRONTEND_URL}/api/auth/unlock-account/${token}`;
 
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+  return sendTemplatedEmail('account_unlock', { to: email, data: { unlockUrl, lockUntil: new Date(lockUntil) } });
+};
+
+// Send alert when a used refresh token is replayed
+exports.sendRefreshTokenReuseAlert = async (email, firstName, details = {}) => {
+  return sendTemplatedEmail('refresh_token_reuse', {
     to: email,
-    subject: 'Password Changed Successfully',
-    html: `
-      <h1>Password Changed</h1>
-      <p>Hello ${firstName || 'User'},</p>
-      <p>Your account password has been successfully changed on ${new Date().toLocaleDateString()}.</p>
-      <p>If you did not make this change, please contact our support team immediately.</p>
-      <p>For your security, we recommend:</p>
-      <ul>
-        <li>Using a strong, unique password</li>
-        <li>Enabling two-factor authentication</li>
-        <li>Regularly reviewing your account activity</li>
-      </ul>
-      <p>If you have any concerns, please contact our support team.</p>
-      <p>Best regards,<br>Your Security Team</p>
-    `,
-  };
+    data: {
+      firstName,
+      occurredAt: new Date(),
+      sessionName: details.sessionName,
+      ipAddress: details.ipAddress,
+      userAgent: details.userAgent,
+    },
+  });
+};
 
-  try {
-    const result = await transporter.sendMail(mailOptions);
-    return result;
-  } catch (error) {
-    console.error('Email sending error:', error);
-    throw new Error(`Failed to send password change notification: ${error.message}`);
-  }
+// Send an alert for a sign-in from an unfamiliar device or country
+exports.sendNewLoginAlert = async (email, firstName, token, details = {}) => {
+  const denyUrl = `${process.env.FRONTEND_URL}/api/auth/login-alerts/${token}/deny`;
+
+  return sendTemplatedEmail('new_login_alert', {
+    to: email,
+    data: {
+      firstName,
+      occurredAt: new Date(),
+      newDevice: details.newDevice,
+      newCountry: details.newCountry,
+      deviceName: details.deviceName,
+      location: details.location,
+      ipAddress: details.ipAddress,
+      denyUrl,
+    },
+  });
 };
 
-exports.sendOtpToResetPassword = async (email, otp) => {
-  const transporter = createTransporter();
+// Send the download link for a finished account data export
+exports.sendDataExportReadyEmail = async (email, firstName, exportId, token, expiresAt) => {
+  const downloadUrl = `${process.env.FRONTEND_URL}/api/settings/data-exports/${exportId}/download?token=${token}`;
 
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+  return sendTemplatedEmail('data_export_ready', {
     to: email,
-    subject: 'Password Reset',
-    html: `
-      <h1>Password Reset OTP: ${otp}</h1>
-      <p>You requested a password reset. Use this OTP to reset password</p>
-     
-      <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
-    `,
-  };
+    data: { firstName, downloadUrl, expiresAt: new Date(expiresAt) },
+  });
+};
 
-  try {
-    const result = await transporter.sendMail(mailOptions);
-    return result;
-  } catch (error) {
-    console.error('Email sending error:', error);
-    throw new Error(`Failed to send password reset email: ${error.message}`);
-  }
+// Send account deletion scheduled email
+exports.sendAccountDeletionScheduledEmail = async (email, firstName, scheduledFor) => {
+  return sendTemplatedEmail('account_deletion_scheduled', {
+    to: email,
+    data: { firstName, scheduledFor: new Date(scheduledFor) },
+  });
+};
+
+// Send account deletion cancelled email
+exports.sendAccountDeletionCancelledEmail = async (email, firstName) => {
+  return sendTemplatedEmail('account_deletion_cancelled', { to: email, data: { firstName } });
+};
+
+// Send a notification from the notification center by email
+exports.sendNotificationEmail = async (email, firstName, { title, body, link, category }) => {
+  return sendTemplatedEmail('notification', {
+    to: email,
+    category,
+    data: {
+      firstName,
+      title,
+      body,
+      linkUrl: link ? `${process.env.FRONTEND_URL}${link}` : null,
+    },
+  });
+};
+
+// Send two-factor verification code
+exports.sendTwoFactorCodeEmail = async (email, code) => {
+  return sendTemplatedEmail('two_factor_code', { to: email, data: { code } });
+};
+
+// Send passwordless sign-in link
+exports.sendMagicLinkEmail = async (email, token) => {
+  const baseUrl = process.env.MAGIC_LINK_URL || `${process.env.FRONTEND_URL}/magic-link`;
+  const magicLinkUrl = `${baseUrl}?token=${token}`;
+
+  return sendTemplatedEmail('magic_link', { to: email, data: { magicLinkUrl } });
 };
+
+// Send confirmation link to a new email address
+exports.sendEmailChangeConfirmation = async (email, token, firstName) => {
+  const confirmUrl = `${process.env.FRONTEND_URL}/api/settings/change-email/confirm/${token}`;
+
+  return sendTemplatedEmail('email_change_confirmation', { to: email, data: { firstName, confirmUrl } });
+};
+
+// Send notice with a revert link to the previous email address
+exports.sendEmailChangeNotice = async (email, newEmail, token, firstName) => {
+  const revertUrl = `${process.env.FRONTEND_URL}/api/settings/change-email/revert/${token}`;
+
+  return sendTemplatedEmail('email_change_notice', { to: email, data: { firstName, newEmail, revertUrl } });
+};
+
+// Send an invitation to join a business team, branded with the business
+exports.sendTeamInvitationEmail = async (email, token, { business, businessName, inviterName, role }) => {
+  const invitationUrl = `${process.env.FRONTEND_URL}/team-invitations/${token}`;
+
+  return sendTemplatedEmail('team_invitation', {
+    to: email,
+    branding: getBusinessBranding(business),
+    data: {
+      businessName: businessName || (business && business.businessName),
+      inviterName,
+      role,
+      invitationUrl,
+    },
+  });
+};
+
+exports.EMAIL_MAX_ATTEMPTS = EMAIL_MAX_ATTEMPTS;
+exports.sendTemplatedEmail = sendTemplatedEmail;
+exports.getEmailDeliveryError = getEmailDeliveryError;
+exports.deliverEmailMessage = deliverEmailMessage;
+exports.processEmailOutbox = processEmailOutbox;
+exports.retryEmailMessage = retryEmailMessage;
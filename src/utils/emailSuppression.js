@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const EmailMessage = require('../models/emailMessage.model');
+const EmailSuppression = require('../models/emailSuppression.model');
+
+// Categories recipients can unsubscribe from; security email always goes out
+const MANAGEABLE_EMAIL_CATEGORIES = ['marketing', 'updates', 'billing', 'newsletter'];
+
+// Soft bounces suppress an address once this many arrive without a quiet period in between
+const EMAIL_SOFT_BOUNCE_LIMIT = parseInt(process.env.EMAIL_SOFT_BOUNCE_LIMIT || '3');
+const EMAIL_SOFT_BOUNCE_WINDOW_HOURS = parseInt(process.env.EMAIL_SOFT_BOUNCE_WINDOW_HOURS || '72');
+
+/**
+ * Key used to sign email preference links
+ * @returns {string} Secret
+ */
+const getPreferencesSecret = () => process.env.EMAIL_PREFERENCES_SECRET || process.env.JWT_SECRET;
+
+/**
+ * HMAC of a token payload
+ * @param {string} payload - Encoded payload
+ * @returns {string} base64url signature
+ */
+const signPayload = (payload) => crypto
+  .createHmac('sha256', getPreferencesSecret())
+  .update(payload)
+  .digest('base64url');
+
+/**
+ * Create the token behind an unsubscribe link. It names the address and the category of the
+ * email it was sent with and does not expire, so links in old emails keep working.
+ * @param {string} email - Recipient address
+ * @param {string} category - Email category
+ * @returns {string} Signed token
+ */
+const createEmailPreferencesToken = (email, category) => {
+  const payload = Buffer.from(JSON.stringify({ e: String(email).toLowerCase(), c: category })).toString('base64url');
+  return `${payload}.${signPayload(payload)}`;
+};
+
+/**
+ * Check an unsubscribe link token
+ * @param {string} token - Token from createEmailPreferencesToken
+ * @returns {object|null} { email, category }, or null when the token is not valid
+ */
+const verifyEmailPreferencesToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { e: email, c: category } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return MANAGEABLE_EMAIL_CATEGORIES.includes(category) && email ? { email, category } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Links that let a recipient unsubscribe without signing in
+ * @param {string} email - Recipient address
+ * @param {string} category - Category of the email being sent
+ * @returns {object} { preferencesUrl, oneClickUrl } - the page for the footer link and the
+ *   RFC 8058 endpoint for the List-Unsubscribe header
+ */
+const getEmailPreferenceLinks = (email, category) => {
+  const token = createEmailPreferencesToken(email, category);
+  const baseUrl = process.env.EMAIL_PREFERENCES_URL || `${process.env.FRONTEND_URL}/email-preferences`;
+
+  return {
+    preferencesUrl: `${baseUrl}/${token}`,
+    oneClickUrl: `${process.env.FRONTEND_URL}/api/email-preferences/${token}/unsubscribe`,
+  };
+};
+
+/**
+ * Whether a suppression entry stops an email of the given category
+ * @param {object} entry - EmailSuppression document
+ * @param {string} category - Email category
+ * @returns {boolean} True when the email must not be sent
+ */
+const blocksCategory = (entry, category) => {
+  switch (entry.reason) {
+    case 'hard_bounce':
+      return true;
+    case 'soft_bounce':
+      return entry.count >= EMAIL_SOFT_BOUNCE_LIMIT && (!entry.expiresAt || entry.expiresAt > new Date());
+    case 'complaint':
+      // Someone who reported us as spam still needs password resets and sign-in alerts
+      return category !== 'security';
+    case 'unsubscribe':
+      return category !== 'security' && entry.category === category;
+    default:
+      return !entry.category || entry.category === category;
+  }
+};
+
+/**
+ * Find why an email must not be sent: a suppression entry for the address, or an account
+ * holder's notifications.email setting for the category
+ * @param {string} email - Recipient address
+ * @param {string} category - Email category
+ * @param {string} [userId] - Recipient account
+ * @returns {Promise<object|null>} { reason, category }, or null when the email may be sent
+ */
+const findEmailSuppression = async (email, category, userId) => {
+  const entries = await EmailSuppression.find({
+    email: String(email).toLowerCase(),
+    category: { $in: [null, category] },
+  }).lean();
+
+  const entry = entries.find((candidate) => blocksCategory(candidate, category));
+  if (entry) {
+    return { reason: entry.reason, category: entry.category };
+  }
+
+  if (userId && category !== 'security') {
+    const settings = await UserSettings.findOne({ userId }).select('notifications.email');
+    const preferences = (settings || new UserSettings({ userId })).notifications.email;
+    if (preferences[category] === false) {
+      return { reason: 'unsubscribe', category };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Subscribe or unsubscribe an address per category. Account holders' choices are stored in
+ * notifications.email; other addresses get unsubscribe entries in the suppression list.
+ * @param {string} email - Recipient address
+ * @param {object} changes - e.g. { marketing: false, updates: true }
+ * @param {object} [options]
+ * @param {string} [options.source] - webhook or link
+ * @param {string} [options.provider] - Provider that reported the unsubscribe
+ * @returns {Promise<object>} The address's preferences after the change
+ */
+const updateEmailPreferences = async (email, changes, { source = 'link', provider } = {}) => {
+  const address = String(email).toLowerCase();
+  const user = await User.findOne({ email: address }).select('_id');
+  const categories = Object.keys(changes).filter((category) => MANAGEABLE_EMAIL_CATEGORIES.includes(category));
+
+  if (user && categories.length) {
+    await UserSettings.findOneAndUpdate(
+      { userId: user._id },
+      { $set: Object.fromEntries(categories.map((category) => [`notifications.email.${category}`, !!changes[category]])) },
+      { upsert: true }
+    );
+  }
+
+  for (const category of categories) {
+    if (changes[category]) {
+      // Covers addresses that unsubscribed before creating an account
+      await EmailSuppression.deleteMany({ email: address, reason: 'unsubscribe', category });
+    } else if (!user) {
+      await EmailSuppression.findOneAndUpdate(
+        { email: address, reason: 'unsubscribe', category },
+        { $set: { source, provider, lastEventAt: new Date() } },
+        { upsert: true }
+      );
+    }
+  }
+
+  return getEmailPreferences(address);
+};
+
+/**
+ * Per-category subscriptions of an address, for the unsubscribe page
+ * @param {string} email - Recipient address
+ * @returns {Promise<object>} { email, categories, suppressed } - suppressed names a bounce or
+ *   complaint that stops email to the address regardless of its categories
+ */
+const getEmailPreferences = async (email) => {
+  const address = String(email).toLowerCase();
+  const [user, entries] = await Promise.all([
+    User.findOne({ email: address }).select('_id'),
+    EmailSuppression.find({ email: address }).lean(),
+  ]);
+
+  let preferences = {};
+  if (user) {
+    const settings = await UserSettings.findOne({ userId: user._id }).select('notifications.email');
+    preferences = (settings || new UserSettings({ userId: user._id })).notifications.email;
+  }
+
+  const categories = Object.fromEntries(MANAGEABLE_EMAIL_CATEGORIES.map((category) => [
+    category,
+    preferences[category] !== false &&
+      !entries.some((entry) => entry.reason === 'unsubscribe' && entry.category === category),
+  ]));
+  const addressWide = entries.find((entry) => !entry.category && blocksCategory(entry, 'updates'));
+
+  return {
+    email: address,
+    categories,
+    suppressed: addressWide ? addressWide.reason : null,
+  };
+};
+
+/**
+ * Apply one event from the email provider webhook
+ * @param {object} event - { type, email, bounceType, category, messageId, diagnostic, occurredAt }
+ * @param {string} [provider] - Provider name from the payload
+ * @returns {Promise<string>} suppressed, counted, unsubscribed, cleared or ignored
+ */
+const recordEmailEvent = async (event, provider) => {
+  const email = event.email.toLowerCase();
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+  const details = { source: 'webhook', provider, diagnostic: event.diagnostic, lastEventAt: occurredAt };
+
+  // Providers report message IDs with or without the angle brackets nodemailer returns
+  const messageFilter = event.messageId
+    ? { providerMessageId: { $in: [event.messageId, `<${event.messageId.replace(/^<|>$/g, '')}>`] } }
+    : null;
+
+  switch (event.type) {
+    case 'bounce': {
+      if (messageFilter) {
+        await EmailMessage.updateOne(messageFilter, { $set: { bounceType: event.bounceType, bouncedAt: occurredAt } });
+      }
+
+      if (event.bounceType === 'hard') {
+        await EmailSuppression.findOneAndUpdate(
+          { email, reason: 'hard_bounce', category: null },
+          { $set: details, $inc: { count: 1 } },
+          { upsert: true }
+        );
+        return 'suppressed';
+      }
+
+      const entry = await EmailSuppression.findOneAndUpdate(
+        { email, reason: 'soft_bounce', category: null },
+        {
+          $set: { ...details, expiresAt: new Date(occurredAt.getTime() + EMAIL_SOFT_BOUNCE_WINDOW_HOURS * 60 * 60 * 1000) },
+          $inc: { count: 1 },
+        },
+        { upsert: true, new: true }
+      );
+      return entry.count >= EMAIL_SOFT_BOUNCE_LIMIT ? 'suppressed' : 'counted';
+    }
+
+    case 'complaint':
+      if (messageFilter) {
+        await EmailMessage.updateOne(messageFilter, { $set: { complainedAt: occurredAt } });
+      }
+      await EmailSuppression.findOneAndUpdate(
+        { email, reason: 'complaint', category: null },
+        { $set: details, $inc: { count: 1 } },
+        { upsert: true }
+      );
+      return 'suppressed';
+
+    case 'unsubscribe': {
+      const categories = event.category ? [event.category] : MANAGEABLE_EMAIL_CATEGORIES;
+      await updateEmailPreferences(
+        email,
+        Object.fromEntries(categories.map((category) => [category, false])),
+        { source: 'webhook', provider }
+      );
+      return 'unsubscribed';
+    }
+
+    case 'delivery': {
+      // A successful delivery ends a run of soft bounces
+      const { deletedCount } = await EmailSuppression.deleteMany({ email, reason: 'soft_bounce' });
+      return deletedCount ? 'cleared' : 'ignored';
+    }
+
+    default:
+      return 'ignored';
+  }
+};
+
+/**
+ * Check the signature of an email provider webhook. Providers sign the raw body with
+ * EMAIL_WEBHOOK_SECRET and send "sha256=<hex>" in X-Email-Signature. Without a secret,
+ * unsigned payloads are accepted outside production so local fixtures can be posted.
+ * @param {Buffer|string} rawBody - Request body as received
+ * @param {string} [signatureHeader] - X-Email-Signature header
+ * @returns {boolean} True when the payload may be processed
+ */
+const verifyEmailWebhookSignature = (rawBody, signatureHeader) => {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  if (!secret) {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const actual = Buffer.from(String(signatureHeader || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  MANAGEABLE_EMAIL_CATEGORIES,
+  EMAIL_SOFT_BOUNCE_LIMIT,
+  createEmailPreferencesToken,
+  verifyEmailPreferencesToken,
+  getEmailPreferenceLinks,
+  findEmailSuppression,
+  getEmailPreferences,
+  updateEmailPreferences,
+  recordEmailEvent,
+  verifyEmailWebhookSignature,
+};
@@ -0,0 +1,236 @@
+const EMAIL_TEMPLATES = require('../emails/templates');
+const layout = require('../emails/layout');
+
+const DEFAULT_LOCALE = 'en';
+
+// Translated string catalogs; other languages fall back to English template by template
+const LOCALES = {
+  en: require('../emails/locales/en'),
+  es: require('../emails/locales/es'),
+  fr: require('../emails/locales/fr'),
+  de: require('../emails/locales/de'),
+};
+
+const SECTION_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Brand colors end up in style attributes, so only plain hex colors are accepted
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Escape text before putting it in HTML
+ * @param {*} text - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Platform branding from the environment, used unless a business brands the email
+ * @returns {object} { name, color, logoUrl, url, supportEmail }
+ */
+const getDefaultBranding = () => ({
+  name: process.env.EMAIL_BRAND_NAME || 'Kunex',
+  color: process.env.EMAIL_BRAND_COLOR || '#3B82F6',
+  logoUrl: process.env.EMAIL_BRAND_LOGO_URL || '',
+  url: process.env.FRONTEND_URL || '',
+  supportEmail: process.env.EMAIL_SUPPORT_ADDRESS || '',
+});
+
+/**
+ * Branding for emails sent on behalf of a business (team invitations and the like)
+ * @param {object} business - BusinessProfile with businessName, logo and themeColor.primary
+ * @returns {object} Branding overrides
+ */
+const getBusinessBranding = (business) => {
+  if (!business) {
+    return {};
+  }
+
+  const branding = { name: business.businessName };
+  if (business.logo) {
+    branding.logoUrl = business.logo;
+  }
+  const color = business.themeColor && business.themeColor.primary;
+  if (HEX_COLOR_PATTERN.test(color || '')) {
+    branding.color = color;
+  }
+  return branding;
+};
+
+/**
+ * Pick the best supported locale for a language such as "es" or "pt-BR"
+ * @param {string} [language] - Preferred language
+ * @returns {string} Supported locale code
+ */
+const resolveLocale = (language) => {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[code] ? code : DEFAULT_LOCALE;
+};
+
+/**
+ * Look up a dotted path such as "brand.name" in the render context
+ * @param {object} context - Render context
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined
+ */
+const lookup = (context, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  context
+);
+
+/**
+ * Turn a value into display text; dates use the email's locale, in UTC
+ * @param {*} value - Value to format
+ * @param {string} locale - Locale code
+ * @returns {string} Display text
+ */
+const formatValue = (value, locale) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeStyle: 'long', timeZone: 'UTC' }).format(value);
+  }
+  return String(value);
+};
+
+/**
+ * Render a template string. Supports {{value}} (escaped), {{{value}}} (raw),
+ * {{#value}}...{{/value}} (shown when truthy), {{^value}}...{{/value}} (shown when falsy)
+ * and {{> partial}} from the locale's partials.
+ * @param {string} source - Template source
+ * @param {object} context - Values, dotted paths allowed
+ * @param {object} options
+ * @param {string} options.locale - Locale code for formatting
+ * @param {object} [options.partials] - Named partial sources
+ * @param {boolean} [options.escape] - Escape {{value}} for HTML (off for subjects)
+ * @returns {string} Rendered text
+ */
+const renderString = (source, context, { locale, partials = {}, escape = true }) => {
+  let output = source.replace(/\{\{>\s*([\w-]+)\s*\}\}/g, (match, name) => partials[name] || '');
+
+  // Sections may nest as long as they use different names, so repeat until none are left
+  let previous;
+  do {
+    previous = output;
+    output = output.replace(SECTION_PATTERN, (match, kind, path, inner) => {
+      const value = lookup(context, path);
+      const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+      return truthy === (kind === '#') ? inner : '';
+    });
+  } while (output !== previous);
+
+  // One pass, so inserted values are never scanned for placeholders themselves
+  return output.replace(VARIABLE_PATTERN, (match, rawPath, path) => {
+    const text = formatValue(lookup(context, rawPath || path), locale);
+    return rawPath || !escape ? text : escapeHtml(text);
+  });
+};
+
+/**
+ * Plain-text alternative of an HTML email
+ * @param {string} html - Rendered HTML
+ * @returns {string} Text body
+ */
+const htmlToText = (html) => html
+  .replace(/<head[\s\S]*?<\/head>/gi, '')
+  .replace(/<img[^>]*alt="([^"]*)"[^>]*>/gi, '$1')
+  .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+    const text = label.replace(/<[^>]+>/g, '').trim();
+    const url = href.replace(/^mailto:/, '');
+    return text && text !== url ? `${text}: ${url}` : url;
+  })
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|h[1-6]|tr|ul|ol|table)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .split('\n')
+  .map((line) => line.trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Render a named template in the shared layout
+ * @param {string} name - Key of EMAIL_TEMPLATES
+ * @param {object} [options]
+ * @param {string} [options.locale] - Preferred language; unsupported ones fall back to English
+ * @param {object} [options.data] - Template variables
+ * @param {object} [options.branding] - Overrides for the default branding
+ * @param {object} [options.layoutData] - Extra values for the layout
+ * @returns {object} { subject, html, text, locale, category }
+ */
+const renderEmailTemplate = (name, { locale, data = {}, branding = {}, layoutData = {} } = {}) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const requested = resolveLocale(locale);
+  const catalog = LOCALES[requested].templates[name] ? LOCALES[requested] : LOCALES[DEFAULT_LOCALE];
+  const resolvedLocale = catalog === LOCALES[requested] ? requested : DEFAULT_LOCALE;
+  const strings = catalog.templates[name];
+
+  const defaults = getDefaultBranding();
+  const brand = { ...defaults, ...branding };
+  if (!HEX_COLOR_PATTERN.test(brand.color)) {
+    brand.color = HEX_COLOR_PATTERN.test(defaults.color) ? defaults.color : '#3B82F6';
+  }
+  const context = {
+    ...data,
+    brand,
+    buttonStyle: `display:inline-block;padding:12px 24px;background:${brand.color};color:#ffffff;text-decoration:none;border-radius:6px;font-weight:bold;`,
+  };
+  const options = { locale: resolvedLocale, partials: catalog.partials };
+
+  // Subjects are plain text, so they are rendered without HTML escaping
+  const subject = renderString(strings.subject, context, { ...options, escape: false });
+  const content = renderString(strings.html, context, options);
+  const t = Object.fromEntries(
+    Object.entries(catalog.layout).map(([key, value]) => [key, renderString(value, context, { ...options, escape: false })])
+  );
+  const html = renderString(layout, { ...layoutData, brand, t, subject, content, locale: resolvedLocale }, options);
+
+  return {
+    subject,
+    html,
+    text: htmlToText(html),
+    locale: resolvedLocale,
+    category: template.category,
+  };
+};
+
+/**
+ * Describe the available templates for the admin tools
+ * @returns {Array<object>} { name, category, variables, locales }
+ */
+const listEmailTemplates = () => Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+  name,
+  category: template.category,
+  variables: template.variables,
+  locales: Object.keys(LOCALES).filter((code) => LOCALES[code].templates[name]),
+}));
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES: Object.keys(LOCALES),
+  escapeHtml,
+  getDefaultBranding,
+  getBusinessBranding,
+  resolveLocale,
+  renderString,
+  htmlToText,
+  renderEmailTemplate,
+  listEmailTemplates,
+};
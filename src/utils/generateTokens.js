@@ -1,27 +1,29 @@
-const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const Token = require('../models/token.model'); // Correct path to token.model.js
+const { getSessionContext } = require('./session');
+const { TOKEN_USE, signToken, signRefreshToken } = require('./jwtKeys');
 
-const generateTokens = async (user) => {
+// options.req describes the device; options.session is the refresh token being rotated
+const generateTokens = async (user, options = {}) => {
   try {
     console.log('🔑 Generating tokens for user:', user.email);
+
+    const { req, session } = options;
+
+    // Rotation keeps the session ID so the device stays one entry
+    const sessionId = session ? session.sessionId || uuidv4() : uuidv4();
+    const context = req ? getSessionContext(req) : {};
+
+    // Logging in starts the authentication clock; refreshing a session does not restart it
+    const authenticatedAt = session
+      ? session.authenticatedAt || session.sessionStartedAt || session.createdAt
+      : new Date();
     
     // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
-    );
-
-    // Generate refresh token
-    const refreshToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d" }
-    );
+    const token = generateAccessToken(user, { sessionId, authenticatedAt });
+
+    // Generate refresh token (jti keeps tokens unique when rotated within the same second)
+    const refreshToken = signRefreshToken({ id: user._id, sid: sessionId, jti: uuidv4() });
 
     console.log('🔑 Tokens generated, saving refresh token...');
 
@@ -31,11 +33,20 @@ const generateTokens = async (user) => {
       token: refreshToken,
       type: "refresh",
       expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+      sessionId,
+      sessionName: context.sessionName || (session && session.sessionName),
+      sessionStartedAt: (session && (session.sessionStartedAt || session.createdAt)) || new Date(),
+      authenticatedAt,
+      lastUsedAt: new Date(),
+      ipAddress: context.ipAddress || (session && session.ipAddress),
+      device: context.device || (session && session.device),
+      location: context.location || (session && session.location),
+      parentId: session ? session._id : undefined,
     });
     await newToken.save();
 
     console.log('✅ Tokens generated and saved successfully');
-    return { token, refreshToken };
+    return { token, refreshToken, sessionId };
     
   } catch (error) {
     console.error('❌ Error generating tokens:', error);
@@ -43,4 +54,60 @@ const generateTokens = async (user) => {
   }
 };
 
-module.exports = { generateTokens };
+// Access token for a device session; auth_time lets sensitive routes demand a recent login or step-up
+const generateAccessToken = (user, { sessionId, authenticatedAt }) => {
+  return signToken(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+      auth_time: Math.floor(new Date(authenticatedAt).getTime() / 1000)
+    },
+    TOKEN_USE.ACCESS,
+    process.env.JWT_EXPIRES_IN || "7d"
+  );
+};
+
+// Short-lived access token with no device session, issued while a password change is pending
+const generatePasswordChangeToken = (user) => {
+  return signToken(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role
+    },
+    TOKEN_USE.PASSWORD_CHANGE,
+    '15m'
+  );
+};
+
+// Token carried between the password step and the second factor of a login
+const generateTwoFactorToken = (user) => {
+  return signToken({ id: user._id }, TOKEN_USE.TWO_FACTOR, '5m');
+};
+
+// Access token for an admin acting as a user; the act claim names the admin, imp the impersonation session
+const generateImpersonationToken = (user, impersonation) => {
+  const secondsLeft = Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000);
+
+  return signToken(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      act: { sub: String(impersonation.adminId) },
+      imp: String(impersonation._id)
+    },
+    TOKEN_USE.ACCESS,
+    Math.max(secondsLeft, 1)
+  );
+};
+
+module.exports = {
+  generateTokens,
+  generateAccessToken,
+  generatePasswordChangeToken,
+  generateTwoFactorToken,
+  generateImpersonationToken
+};
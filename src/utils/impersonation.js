@@ -0,0 +1,66 @@
+const { recordAuditEvent } = require('./audit');
+
+const IMPERSONATION_DEFAULT_MINUTES = parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES || '30');
+const IMPERSONATION_MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES || '60');
+
+// Requests that only read data are not written to the audit trail
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Clamp a requested impersonation length to the allowed range
+ * @param {number|string} [minutes] - Requested duration
+ * @returns {number} Duration in minutes
+ */
+const getImpersonationMinutes = (minutes) => {
+  const requested = parseInt(minutes);
+  if (!requested || requested < 1) {
+    return Math.min(IMPERSONATION_DEFAULT_MINUTES, IMPERSONATION_MAX_MINUTES);
+  }
+  return Math.min(requested, IMPERSONATION_MAX_MINUTES);
+};
+
+/**
+ * Describe an impersonation session for API responses
+ * @param {object} session - ImpersonationSession document
+ * @param {object} [admin] - Impersonating admin
+ * @returns {object} Impersonation summary
+ */
+const formatImpersonation = (session, admin) => ({
+  id: session._id,
+  impersonator: admin
+    ? { id: admin._id, email: admin.email, firstName: admin.firstName, lastName: admin.lastName }
+    : { id: session.adminId },
+  reason: session.reason,
+  startedAt: session.createdAt,
+  expiresAt: session.expiresAt,
+});
+
+/**
+ * Write every state-changing request made while impersonating to the audit trail once it completes
+ * @param {object} req - Express request with req.impersonation set
+ * @param {object} res - Express response
+ */
+const auditImpersonatedWrites = (req, res) => {
+  if (READ_METHODS.includes(req.method)) {
+    return;
+  }
+
+  res.on('finish', () => {
+    recordAuditEvent(req, 'impersonated_request', {
+      resourceType: 'request',
+      metadata: {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+      },
+    });
+  });
+};
+
+module.exports = {
+  IMPERSONATION_DEFAULT_MINUTES,
+  IMPERSONATION_MAX_MINUTES,
+  getImpersonationMinutes,
+  formatImpersonation,
+  auditImpersonatedWrites,
+};
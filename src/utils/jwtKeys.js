@@ -0,0 +1,294 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Algorithms accepted for keyring entries; HS256 is only used for the JWT_SECRET fallback
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+const SUPPORTED_ALGORITHMS = ['HS256', ...ASYMMETRIC_ALGORITHMS];
+
+// Claim telling access tokens apart from the other short-lived JWTs signed with the same keys
+const TOKEN_USE = {
+  ACCESS: 'access',
+  TWO_FACTOR: 'two_factor',
+  PASSWORD_CHANGE: 'password_change',
+};
+
+let keyring = null;
+
+/**
+ * PEM keys stored in environment variables usually have their newlines escaped
+ * @param {string} value - PEM string
+ * @returns {string} PEM string with real newlines
+ */
+const normalizePem = (value) => value.replace(/\\n/g, '\n');
+
+/**
+ * Read the keyring configuration from JWT_KEYS_FILE or JWT_KEYS
+ * @returns {Array<object>|null} Key entries, or null when no keyring is configured
+ */
+const readKeyConfig = () => {
+  if (process.env.JWT_KEYS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.JWT_KEYS_FILE, 'utf8'));
+  }
+  if (process.env.JWT_KEYS) {
+    return JSON.parse(process.env.JWT_KEYS);
+  }
+  return null;
+};
+
+/**
+ * Turn a configured key entry into key objects, checking the key matches its algorithm
+ * @param {object} entry - { kid, alg, privateKey?, publicKey?, expiresAt? }
+ * @returns {object} Keyring entry
+ */
+const buildKey = (entry) => {
+  const { kid } = entry;
+  const alg = entry.alg || process.env.JWT_ALGORITHM || 'RS256';
+
+  if (!kid) {
+    throw new Error('Every JWT key needs a "kid"');
+  }
+  if (!ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported algorithm "${alg}" for JWT key ${kid}`);
+  }
+
+  const privateKey = entry.privateKey ? crypto.createPrivateKey(normalizePem(entry.privateKey)) : null;
+  const publicKey = entry.publicKey
+    ? crypto.createPublicKey(normalizePem(entry.publicKey))
+    : privateKey && crypto.createPublicKey(privateKey);
+
+  if (!publicKey) {
+    throw new Error(`JWT key ${kid} needs a privateKey or publicKey`);
+  }
+
+  const expectedType = alg === 'RS256' ? 'rsa' : 'ec';
+  if (publicKey.asymmetricKeyType !== expectedType) {
+    throw new Error(`JWT key ${kid} is not a valid ${alg} key`);
+  }
+  if (alg === 'ES256' && publicKey.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    throw new Error(`JWT key ${kid} must use the P-256 curve for ES256`);
+  }
+
+  return {
+    kid,
+    alg,
+    signingKey: privateKey,
+    verificationKey: publicKey,
+    expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null,
+  };
+};
+
+/**
+ * Key used when no keyring is configured, so existing HS256 deployments keep working
+ * @returns {object} Keyring entry
+ */
+const buildSecretKey = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('Configure JWT_KEYS, JWT_KEYS_FILE or JWT_SECRET to sign tokens');
+  }
+
+  // Derived from the secret so the kid changes whenever the secret does
+  const kid = 'hs-' + crypto.createHash('sha256').update(process.env.JWT_SECRET).digest('hex').slice(0, 16);
+
+  return {
+    kid,
+    alg: 'HS256',
+    signingKey: process.env.JWT_SECRET,
+    verificationKey: process.env.JWT_SECRET,
+    expiresAt: null,
+  };
+};
+
+/**
+ * Load the keyring once and pick the active signing key
+ * @returns {object} { keys: Map<kid, key>, active }
+ */
+const getKeyring = () => {
+  if (keyring) {
+    return keyring;
+  }
+
+  const config = readKeyConfig();
+  const entries = config && config.length ? config.map(buildKey) : [buildSecretKey()];
+  const keys = new Map(entries.map((key) => [key.kid, key]));
+
+  const activeKid = process.env.JWT_ACTIVE_KID || (entries.find((key) => key.signingKey) || {}).kid;
+  const active = keys.get(activeKid);
+
+  if (!active || !active.signingKey) {
+    throw new Error(`Active JWT key ${activeKid || '(none)'} is missing or has no private key`);
+  }
+
+  keyring = { keys, active };
+  return keyring;
+};
+
+/**
+ * Check whether a retired key may still verify tokens
+ * @param {object} key - Keyring entry
+ * @returns {boolean} Whether the key is past its expiry date
+ */
+const isKeyExpired = (key) => Boolean(key.expiresAt && key.expiresAt.getTime() <= Date.now());
+
+/**
+ * Tokens issued before the keyring have no kid; they verify against JWT_SECRET until they expire
+ * @returns {object|null} Legacy keyring entry
+ */
+const getLegacyKey = () => {
+  if (!process.env.JWT_SECRET) {
+    return null;
+  }
+  return { kid: null, alg: 'HS256', verificationKey: process.env.JWT_SECRET };
+};
+
+/**
+ * Find the key a token claims to be signed with
+ * @param {string} token - Encoded JWT
+ * @returns {object|null} Keyring entry, or null when the key is unknown or expired
+ */
+const findVerificationKey = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    return null;
+  }
+
+  const { kid, alg } = decoded.header;
+  const key = kid ? getKeyring().keys.get(kid) : getLegacyKey();
+
+  if (!key || isKeyExpired(key) || key.alg !== alg) {
+    return null;
+  }
+  return key;
+};
+
+/**
+ * Work out the use of a token, including tokens issued before the token_use claim existed
+ * @param {object} payload - Decoded JWT payload
+ * @returns {string} One of TOKEN_USE
+ */
+const getTokenUse = (payload) => {
+  if (payload.token_use) {
+    return payload.token_use;
+  }
+  if (payload.require2FA) {
+    return TOKEN_USE.TWO_FACTOR;
+  }
+  if (payload.purpose === TOKEN_USE.PASSWORD_CHANGE) {
+    return TOKEN_USE.PASSWORD_CHANGE;
+  }
+  return TOKEN_USE.ACCESS;
+};
+
+/**
+ * Sign a token with the active key
+ * @param {object} payload - Claims
+ * @param {string} use - One of TOKEN_USE
+ * @param {string|number} expiresIn - Lifetime, e.g. "15m"
+ * @returns {string} Encoded JWT
+ */
+const signToken = (payload, use, expiresIn) => {
+  const { active } = getKeyring();
+
+  return jwt.sign({ ...payload, token_use: use }, active.signingKey, {
+    algorithm: active.alg,
+    keyid: active.kid,
+    expiresIn,
+  });
+};
+
+/**
+ * Verify a token against the keyring and check it was issued for the expected use
+ * @param {string} token - Encoded JWT
+ * @param {string} use - One of TOKEN_USE
+ * @returns {object} Decoded payload
+ * @throws {jwt.JsonWebTokenError} When the token is invalid, expired or of another use
+ */
+const verifyToken = (token, use) => {
+  const key = findVerificationKey(token);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown or expired signing key');
+  }
+
+  const payload = jwt.verify(token, key.verificationKey, { algorithms: [key.alg] });
+
+  if (getTokenUse(payload) !== use) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+};
+
+/**
+ * passport-jwt key provider that resolves the key from the token's kid header
+ * @param {object} req - Express request
+ * @param {string} rawToken - Encoded JWT
+ * @param {Function} done - Callback receiving the verification key
+ */
+const passportKeyProvider = (req, rawToken, done) => {
+  try {
+    const key = findVerificationKey(rawToken);
+    if (!key) {
+      return done(new Error('Unknown or expired signing key'));
+    }
+    return done(null, key.verificationKey);
+  } catch (error) {
+    return done(error);
+  }
+};
+
+/**
+ * Refresh tokens stay on their own HS256 secret; they are only ever verified by this service
+ * @param {object} payload - Claims
+ * @returns {string} Encoded refresh token
+ */
+const signRefreshToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
+    algorithm: 'HS256',
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
+  });
+};
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Encoded refresh token
+ * @returns {object} Decoded payload
+ */
+const verifyRefreshToken = (token) => {
+  return jwt.verify(token, process.env.JWT_REFRESH_SECRET, { algorithms: ['HS256'] });
+};
+
+/**
+ * Public keys other services can use to verify access tokens
+ * @returns {object} JSON Web Key Set
+ */
+const getJwks = () => {
+  const keys = [];
+
+  for (const key of getKeyring().keys.values()) {
+    // Shared secrets must never be published
+    if (key.alg === 'HS256' || isKeyExpired(key)) {
+      continue;
+    }
+
+    keys.push({
+      ...key.verificationKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig',
+    });
+  }
+
+  return { keys };
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  TOKEN_USE,
+  getKeyring,
+  getTokenUse,
+  signToken,
+  verifyToken,
+  passportKeyProvider,
+  signRefreshToken,
+  verifyRefreshToken,
+  getJwks,
+};
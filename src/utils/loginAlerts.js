@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const Token = require('../models/token.model');
+const UserSettings = require('../models/userSettings.model');
+const SecurityEvent = require('../models/securityEvent.model');
+const { getLocationFromIP, getDeviceInfo } = require('./analyticsUtils');
+const { sendNewLoginAlert } = require('./email');
+const { notifyUser } = require('./notifications');
+
+const LOGIN_ALERT_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_KNOWN_SIGN_INS = 20; // Per list; the least recently used entries drop off
+
+/**
+ * Summarize where a sign-in came from for comparison with earlier ones
+ * @param {string} ipAddress - Client IP address
+ * @param {string} userAgent - Client user agent
+ * @returns {object} Country, device key and display names
+ */
+const describeLogin = (ipAddress, userAgent) => {
+  const geo = getLocationFromIP(ipAddress);
+  const device = getDeviceInfo(userAgent || '');
+
+  const location = [geo.city, geo.region, geo.country]
+    .filter((part) => part && part !== 'Unknown')
+    .join(', ');
+
+  return {
+    countryCode: geo.countryCode,
+    location: location || 'Unknown',
+    // Versions change with every browser update, so only the family counts
+    deviceKey: `${device.browser}|${device.os}|${device.type}`,
+    deviceName: `${device.browser} on ${device.os}`,
+  };
+};
+
+/**
+ * Compare a sign-in with the devices and countries the user has signed in from before
+ * @param {object} user - User document (not yet updated with this sign-in)
+ * @param {object} context
+ * @param {string} context.ipAddress - Client IP address
+ * @param {string} context.userAgent - Client user agent
+ * @returns {object|null} Details of what is new, or null when the sign-in looks familiar
+ */
+const detectUnfamiliarLogin = (user, { ipAddress, userAgent }) => {
+  const known = user.knownSignIns || {};
+  const devices = new Set(known.devices || []);
+  const countries = new Set(known.countries || []);
+
+  // Accounts that signed in before knownSignIns existed only have their recent history
+  (user.loginHistory || [])
+    .filter((entry) => entry.success)
+    .forEach((entry) => {
+      const login = describeLogin(entry.ipAddress, entry.userAgent);
+      devices.add(login.deviceKey);
+      countries.add(login.countryCode);
+    });
+
+  // Nothing to compare the very first sign-in against. Any earlier attempt, even a failed one,
+  // means this is not it, so an empty baseline counts as unfamiliar from then on.
+  if (!devices.size && !(user.loginHistory || []).length) {
+    return null;
+  }
+
+  const current = describeLogin(ipAddress, userAgent);
+
+  const newDevice = !devices.has(current.deviceKey);
+  // Private and unresolvable addresses carry no country to compare
+  const newCountry = current.countryCode !== 'XX' && !countries.has(current.countryCode);
+
+  if (!newDevice && !newCountry) {
+    return null;
+  }
+
+  return { ...current, ipAddress, newDevice, newCountry };
+};
+
+/**
+ * Add a successful sign-in's device and country to the user's known sign-ins (caller saves)
+ * @param {object} user - User document
+ * @param {object} context
+ * @param {string} context.ipAddress - Client IP address
+ * @param {string} context.userAgent - Client user agent
+ */
+const rememberLogin = (user, { ipAddress, userAgent }) => {
+  const current = describeLogin(ipAddress, userAgent);
+  const known = user.knownSignIns || {};
+
+  const remember = (list, value) => [...(list || []).filter((item) => item !== value), value]
+    .slice(-MAX_KNOWN_SIGN_INS);
+
+  user.knownSignIns = {
+    devices: remember(known.devices, current.deviceKey),
+    countries: current.countryCode !== 'XX' ? remember(known.countries, current.countryCode) : known.countries || [],
+  };
+};
+
+/**
+ * Email the user about an unfamiliar sign-in, honouring their notification settings
+ * @param {object} req - Express request for the sign-in
+ * @param {object} user - User document
+ * @param {object} unfamiliar - Result of detectUnfamiliarLogin
+ * @returns {Promise<boolean>} Whether an alert was sent
+ */
+const sendUnfamiliarLoginAlert = async (req, user, unfamiliar) => {
+  const settings = await UserSettings.findOne({ userId: user._id }).select('security');
+  const security = (settings && settings.security) || {};
+
+  const alertDevice = unfamiliar.newDevice && security.loginNotifications !== false;
+  const alertCountry = unfamiliar.newCountry && security.unusualActivityNotifications !== false;
+
+  await SecurityEvent.record(user._id, 'unfamiliar_login', {
+    req,
+    severity: unfamiliar.newCountry ? 'high' : 'medium',
+    metadata: {
+      newDevice: unfamiliar.newDevice,
+      newCountry: unfamiliar.newCountry,
+      countryCode: unfamiliar.countryCode,
+      device: unfamiliar.deviceName,
+      notified: alertDevice || alertCountry,
+    },
+  });
+
+  if (!alertDevice && !alertCountry) {
+    return false;
+  }
+
+  const alertToken = crypto.randomBytes(32).toString('hex');
+
+  await Token.create({
+    userId: user._id,
+    token: alertToken,
+    type: 'loginAlert',
+    metadata: {
+      ipAddress: unfamiliar.ipAddress,
+      countryCode: unfamiliar.countryCode,
+      device: unfamiliar.deviceName,
+    },
+    expiresAt: new Date(Date.now() + LOGIN_ALERT_EXPIRY_MS),
+  });
+
+  await sendNewLoginAlert(user.email, user.firstName, alertToken, {
+    newDevice: alertDevice,
+    newCountry: alertCountry,
+    deviceName: unfamiliar.deviceName,
+    location: unfamiliar.location,
+    ipAddress: unfamiliar.ipAddress,
+  });
+
+  await notifyUser(user._id, 'unfamiliar_login', {
+    title: 'New sign-in to your account',
+    body: `${unfamiliar.deviceName} from ${unfamiliar.location}`,
+    link: '/settings/security',
+    data: { newDevice: alertDevice, newCountry: alertCountry },
+  });
+
+  return true;
+};
+
+module.exports = {
+  describeLogin,
+  detectUnfamiliarLogin,
+  rememberLogin,
+  sendUnfamiliarLoginAlert,
+};
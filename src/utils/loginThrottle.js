@@ -0,0 +1,180 @@
+const User = require('../models/user.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5');
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || '20');
+const IP_BLOCK_MINUTES = parseInt(process.env.LOGIN_IP_BLOCK_MINUTES || '15');
+
+// Attempts allowed back-to-back before delays kick in, and the delay bounds
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+// How long an idle IP record is kept around
+const IP_RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute the delay required before the next attempt
+ * @param {number} failedAttempts - Consecutive failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+const getProgressiveDelay = (failedAttempts) => {
+  if (!failedAttempts || failedAttempts <= FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  const delay = BASE_DELAY_MS * Math.pow(2, failedAttempts - FREE_ATTEMPTS - 1);
+  return Math.min(delay, MAX_DELAY_MS);
+};
+
+/**
+ * Convert a future date to a whole number of seconds from now
+ * @param {Date|number} until - Date the restriction ends
+ * @returns {number} Seconds to wait (at least 1)
+ */
+const secondsUntil = (until) => {
+  return Math.max(1, Math.ceil((new Date(until).getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Check whether a login attempt may proceed for the given account and IP
+ * @param {object} params
+ * @param {object} [params.user] - User document matching the submitted email
+ * @param {string} params.ipAddress - Client IP address
+ * @returns {Promise<object|null>} Block details, or null when the attempt is allowed
+ */
+const checkLoginAllowed = async ({ user, ipAddress }) => {
+  const now = Date.now();
+
+  if (user && user.isLocked()) {
+    return {
+      status: 423,
+      code: 'ACCOUNT_LOCKED',
+      message: 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.',
+      retryAfter: secondsUntil(user.lockUntil),
+    };
+  }
+
+  const ipRecord = ipAddress ? await LoginThrottle.findOne({ ipAddress }) : null;
+
+  if (ipRecord && ipRecord.isBlocked()) {
+    return {
+      status: 429,
+      code: 'IP_BLOCKED',
+      message: 'Too many failed login attempts from this IP address. Please try again later.',
+      retryAfter: secondsUntil(ipRecord.blockedUntil),
+    };
+  }
+
+  // Progressive delay: the later of the account and IP back-off windows wins
+  const candidates = [];
+  if (user && user.lastFailedLoginAt) {
+    candidates.push(user.lastFailedLoginAt.getTime() + getProgressiveDelay(user.failedLoginAttempts));
+  }
+  if (ipRecord && ipRecord.lastFailedAt) {
+    candidates.push(ipRecord.lastFailedAt.getTime() + getProgressiveDelay(ipRecord.failedAttempts));
+  }
+
+  const nextAllowedAt = candidates.length ? Math.max(...candidates) : 0;
+  if (nextAllowedAt > now) {
+    return {
+      status: 429,
+      code: 'LOGIN_THROTTLED',
+      message: 'Too many failed login attempts. Please wait before trying again.',
+      retryAfter: secondsUntil(nextAllowedAt),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Register a failed login attempt against the account and IP
+ * @param {object} params
+ * @param {object} [params.user] - User document, when the email matched an account
+ * @param {string} params.ipAddress - Client IP address
+ * @returns {Promise<object>} Whether this failure locked the account, and until when
+ */
+const registerFailedLogin = async ({ user, ipAddress }) => {
+  const now = new Date();
+
+  if (ipAddress) {
+    const ipRecord = await LoginThrottle.findOneAndUpdate(
+      { ipAddress },
+      {
+        $inc: { failedAttempts: 1 },
+        $set: {
+          lastFailedAt: now,
+          expiresAt: new Date(now.getTime() + IP_RECORD_TTL_MS),
+        },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    if (ipRecord.failedAttempts >= IP_MAX_FAILED_ATTEMPTS && !ipRecord.isBlocked()) {
+      ipRecord.blockedUntil = new Date(now.getTime() + IP_BLOCK_MINUTES * 60 * 1000);
+      ipRecord.failedAttempts = 0;
+      await ipRecord.save();
+    }
+  }
+
+  if (!user) {
+    return { locked: false };
+  }
+
+  // Counted in the database so parallel guesses cannot all read the same count. The
+  // document passed in is left alone so a later save() on it cannot write a stale count back.
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  ).select('failedLoginAttempts lockUntil');
+
+  if (!counted || counted.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+    return { locked: false, lockUntil: counted && counted.lockUntil, retryAfter: 0 };
+  }
+
+  const lockUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+    { $set: { lockUntil, failedLoginAttempts: 0 } }
+  );
+
+  return {
+    locked: true,
+    lockUntil,
+    retryAfter: secondsUntil(lockUntil),
+  };
+};
+
+/**
+ * Clear the failed-attempt counters on an account
+ * @param {object} user - User document
+ * @returns {Promise<object>} Saved user document
+ */
+const clearAccountLockout = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+  return user.save();
+};
+
+/**
+ * Remove any throttling recorded for an IP address
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<object>} Delete result
+ */
+const clearIpLockout = (ipAddress) => {
+  return LoginThrottle.deleteOne({ ipAddress });
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  getProgressiveDelay,
+  checkLoginAllowed,
+  registerFailedLogin,
+  clearAccountLockout,
+  clearIpLockout,
+};
@@ -0,0 +1,200 @@
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const Notification = require('../models/notification.model');
+const PushDevice = require('../models/pushDevice.model');
+const Favorite = require('../models/favorite.model');
+const { sendNotificationEmail } = require('./email');
+const { sendSms } = require('./sms');
+const { sendPush } = require('./push');
+
+// Category and out-of-app channels per notification type. Every notification also lands in the
+// in-app feed. Security emails are left out because their flows send dedicated templates.
+const NOTIFICATION_TYPES = {
+  form_submission_received: { category: 'updates', channels: ['email', 'push'] },
+  favorite_reminder: { category: 'updates', channels: ['email', 'push'] },
+  payment_succeeded: { category: 'billing', channels: ['email'] },
+  payment_failed: { category: 'billing', channels: ['email', 'push', 'sms'] },
+  subscription_canceled: { category: 'billing', channels: ['email', 'push'] },
+  unfamiliar_login: { category: 'security', channels: ['push', 'sms'] },
+  refresh_token_reuse: { category: 'security', channels: ['push', 'sms'] },
+  password_changed: { category: 'security', channels: ['push', 'sms'] },
+};
+
+// Reminders older than this when the job first sees them are not sent late
+const FAVORITE_REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a user's channel preferences, falling back to the schema defaults
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} userSettings.notifications
+ */
+const getNotificationPreferences = async (userId) => {
+  const settings = await UserSettings.findOne({ userId }).select('notifications');
+  return (settings || new UserSettings({ userId })).notifications;
+};
+
+/**
+ * Whether the user wants a category on a channel (push and SMS also need the channel enabled)
+ * @param {object} preferences - userSettings.notifications
+ * @param {string} channel - email, push or sms
+ * @param {string} category - Notification category
+ * @returns {boolean}
+ */
+const isChannelEnabled = (preferences, channel, category) => {
+  const channelPreferences = preferences[channel] || {};
+  if (channelPreferences.enabled === false) {
+    return false;
+  }
+  return channelPreferences[category] === true;
+};
+
+/**
+ * Send a notification on one out-of-app channel
+ * @param {string} channel - email, push or sms
+ * @param {object} user - User with email, firstName, phoneNumber and isPhoneVerified
+ * @param {object} notification - Notification document
+ * @returns {Promise<string|null>} Reason the channel was skipped, or null when sent
+ */
+const deliverToChannel = async (channel, user, notification) => {
+  const { title, body, link, category } = notification;
+
+  switch (channel) {
+    case 'email':
+      await sendNotificationEmail(user.email, user.firstName, { title, body, link, category });
+      return null;
+
+    case 'push': {
+      const devices = await PushDevice.find({ userId: user._id }).select('token');
+      if (!devices.length) {
+        return 'no_devices';
+      }
+
+      const result = await sendPush(devices.map((device) => device.token), {
+        title,
+        body,
+        data: { notificationId: String(notification._id), type: notification.type, link },
+      });
+      if (result.invalidTokens.length) {
+        await PushDevice.deleteMany({ token: { $in: result.invalidTokens } });
+      }
+      return null;
+    }
+
+    case 'sms':
+      if (!user.phoneNumber || !user.isPhoneVerified) {
+        return 'no_verified_phone';
+      }
+      await sendSms(user.phoneNumber, body ? `${title}: ${body}` : title);
+      return null;
+
+    default:
+      return 'unknown_channel';
+  }
+};
+
+/**
+ * Add a notification to a user's feed and deliver it on the channels they allow.
+ * Delivery problems are recorded on the notification and never thrown.
+ * @param {string} userId - Recipient
+ * @param {string} type - Key of NOTIFICATION_TYPES
+ * @param {object} content
+ * @param {string} content.title - Short headline
+ * @param {string} [content.body] - Detail text
+ * @param {string} [content.link] - Path in the app to open
+ * @param {object} [content.data] - Extra values for the clients
+ * @returns {Promise<object|null>} Notification, or null when it could not be created
+ */
+const notifyUser = async (userId, type, { title, body, link, data } = {}) => {
+  try {
+    const config = NOTIFICATION_TYPES[type];
+    if (!config) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const user = await User.findById(userId).select('email firstName phoneNumber isPhoneVerified');
+    if (!user) {
+      return null;
+    }
+
+    const notification = await Notification.create({
+      userId,
+      type,
+      category: config.category,
+      title,
+      body,
+      link,
+      data,
+      deliveries: [{ channel: 'in_app', status: 'sent' }],
+    });
+
+    const preferences = await getNotificationPreferences(userId);
+    for (const channel of config.channels) {
+      if (!isChannelEnabled(preferences, channel, config.category)) {
+        notification.deliveries.push({ channel, status: 'skipped', reason: 'disabled_in_settings' });
+        continue;
+      }
+
+      try {
+        const skipped = await deliverToChannel(channel, user, notification);
+        notification.deliveries.push(skipped ? { channel, status: 'skipped', reason: skipped } : { channel, status: 'sent' });
+      } catch (error) {
+        console.error(`Failed to deliver notification ${type} by ${channel}:`, error.message);
+        notification.deliveries.push({ channel, status: 'failed', reason: error.message });
+      }
+    }
+
+    await notification.save();
+    return notification;
+  } catch (error) {
+    console.error(`Failed to send notification ${type}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Scheduled job: notify users about favorites whose reminder date has arrived
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const processFavoriteReminders = async () => {
+  const now = new Date();
+
+  // reminderSentFor remembers which reminder date was sent, so moving the date re-arms it
+  const due = await Favorite.find({
+    'metadata.reminderDate': { $lte: now, $gte: new Date(now.getTime() - FAVORITE_REMINDER_WINDOW_MS) },
+    $expr: { $ne: ['$metadata.reminderSentFor', '$metadata.reminderDate'] },
+  })
+    .populate({ path: 'widgetId', select: 'name' })
+    .limit(100);
+
+  let sent = 0;
+  for (const favorite of due) {
+    const { reminderDate, reminderNote } = favorite.metadata;
+
+    // Claim the reminder so another instance does not send it too
+    const claimed = await Favorite.findOneAndUpdate(
+      { _id: favorite._id, 'metadata.reminderSentFor': { $ne: reminderDate } },
+      { $set: { 'metadata.reminderSentFor': reminderDate } }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    const name = (favorite.widgetId && favorite.widgetId.name) || 'one of your favorites';
+    await notifyUser(favorite.userId, 'favorite_reminder', {
+      title: `Reminder: ${name}`,
+      body: reminderNote || `You asked to be reminded about ${name}.`,
+      data: { favoriteId: String(favorite._id), widgetId: String(favorite.widgetId && favorite.widgetId._id) },
+    });
+    sent += 1;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  getNotificationPreferences,
+  isChannelEnabled,
+  notifyUser,
+  processFavoriteReminders,
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// One-time codes (password reset, email/SMS 2FA) are valid for 5 minutes
+const OTP_EXPIRY_MS = 5 * 60 * 1000;
+
+/**
+ * Generate a numeric one-time code
+ * @returns {string} Six-digit code
+ */
+const generateOtpCode = () => {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+};
+
+/**
+ * Check whether a one-time code issued at the given time has expired
+ * @param {number} issuedAt - Timestamp (ms) the code was issued
+ * @returns {boolean} True when the code is missing or too old
+ */
+const isOtpExpired = (issuedAt) => {
+  return !issuedAt || Date.now() - issuedAt > OTP_EXPIRY_MS;
+};
+
+/**
+ * Mask an email address or phone number for display
+ * @param {string} destination - Email or phone number
+ * @returns {string} Masked destination, e.g. j***@example.com or ******4567
+ */
+const maskDestination = (destination) => {
+  if (!destination) return '';
+
+  if (destination.includes('@')) {
+    const [name, domain] = destination.split('@');
+    return `${name.charAt(0)}***@${domain}`;
+  }
+
+  return `${'*'.repeat(Math.max(0, destination.length - 4))}${destination.slice(-4)}`;
+};
+
+module.exports = {
+  OTP_EXPIRY_MS,
+  generateOtpCode,
+  isOtpExpired,
+  maskDestination,
+};
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// Read a boolean setting from the environment, falling back when unset
+const envFlag = (name, defaultValue) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? defaultValue : value === 'true';
+};
+
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8'),
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH || '128'),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', true),
+  blockCommon: envFlag('PASSWORD_BLOCK_COMMON', true),
+  // Number of previous passwords that may not be reused (0 disables the check)
+  historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || '5'),
+  // Days before a password must be changed (0 disables expiry)
+  maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0'),
+};
+
+const BLOCKLIST_PATH = process.env.PASSWORD_BLOCKLIST_PATH ||
+  path.join(__dirname, '..', 'data', 'commonPasswords.txt');
+
+// Leetspeak substitutions undone before the blocklist lookup
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+let commonPasswords = null;
+
+/**
+ * Load the bundled (or configured) list of common passwords once
+ * @returns {Set<string>} Lowercase blocked passwords
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    try {
+      commonPasswords = new Set(
+        fs.readFileSync(BLOCKLIST_PATH, 'utf8')
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error('Failed to load password blocklist:', error.message);
+      commonPasswords = new Set();
+    }
+  }
+  return commonPasswords;
+};
+
+/**
+ * Check a password against the blocklist, including simple variations like "P@ssw0rd123!"
+ * @param {string} password - Candidate password
+ * @returns {boolean} Whether the password is too common
+ */
+const isCommonPassword = (password) => {
+  const blocklist = getCommonPasswords();
+  const lower = password.toLowerCase();
+
+  const unleet = (value) => value.replace(/[013457@$!]/g, (char) => LEET_MAP[char]);
+
+  // Trailing digits and symbols are the most common way of dressing up a weak password
+  const base = lower.replace(/[^a-z]+$/, '');
+
+  return [lower, unleet(lower), base, unleet(base)].some((candidate) => candidate && blocklist.has(candidate));
+};
+
+/**
+ * Check whether a password contains the user's name or email
+ * @param {string} password - Candidate password
+ * @param {object} [profile] - email, firstName and lastName
+ * @returns {boolean} Whether personal information was found
+ */
+const containsPersonalInfo = (password, { email, firstName, lastName } = {}) => {
+  const lower = password.toLowerCase();
+  const parts = [
+    email ? email.split('@')[0] : null,
+    firstName,
+    lastName,
+  ];
+
+  // Very short names would reject too many unrelated passwords
+  return parts.some((part) => part && part.length >= 3 && lower.includes(part.toLowerCase()));
+};
+
+/**
+ * Check whether a password matches the current or a recent previous password
+ * @param {string} password - Candidate password
+ * @param {object} user - User document with password and passwordHistory selected
+ * @returns {Promise<boolean>} Whether the password was used recently
+ */
+const isReusedPassword = async (password, user) => {
+  if (!PASSWORD_POLICY.historyCount || !user) {
+    return false;
+  }
+
+  const hashes = [
+    user.password,
+    ...(user.passwordHistory || []).slice(-PASSWORD_POLICY.historyCount).map((entry) => entry.hash),
+  ].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Validate a password against the configured policy
+ * @param {string} password - Candidate password
+ * @param {object} [options]
+ * @param {object} [options.user] - Existing user (select password and passwordHistory) for the reuse check
+ * @param {object} [options.profile] - email, firstName and lastName to keep out of the password
+ * @returns {Promise<object>} { valid, errors: [{ code, message }] }
+ */
+const validatePassword = async (password, { user, profile } = {}) => {
+  const errors = [];
+  const addError = (code, message) => errors.push({ code, message });
+
+  if (typeof password !== 'string' || !password) {
+    addError('PASSWORD_REQUIRED', 'Password is required');
+    return { valid: false, errors };
+  }
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    addError('PASSWORD_TOO_SHORT', `Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (password.length > PASSWORD_POLICY.maxLength) {
+    addError('PASSWORD_TOO_LONG', `Password must be at most ${PASSWORD_POLICY.maxLength} characters long`);
+  }
+  if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(password)) {
+    addError('PASSWORD_MISSING_LOWERCASE', 'Password must contain a lowercase letter');
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    addError('PASSWORD_MISSING_UPPERCASE', 'Password must contain an uppercase letter');
+  }
+  if (PASSWORD_POLICY.requireNumber && !/[0-9]/.test(password)) {
+    addError('PASSWORD_MISSING_NUMBER', 'Password must contain a number');
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    addError('PASSWORD_MISSING_SYMBOL', 'Password must contain a special character');
+  }
+  if (PASSWORD_POLICY.blockCommon && isCommonPassword(password)) {
+    addError('PASSWORD_TOO_COMMON', 'This password is too common or has appeared in a data breach');
+  }
+
+  const personal = profile || user;
+  if (personal && containsPersonalInfo(password, personal)) {
+    addError('PASSWORD_CONTAINS_PERSONAL_INFO', 'Password must not contain your name or email address');
+  }
+
+  // Only pay for bcrypt comparisons once everything else passes
+  if (!errors.length && await isReusedPassword(password, user)) {
+    addError('PASSWORD_REUSED', `Password must not match any of your last ${PASSWORD_POLICY.historyCount} passwords`);
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Check whether a user's password is older than the maximum age
+ * @param {object} user - User document
+ * @returns {boolean} Whether the password has expired
+ */
+const isPasswordExpired = (user) => {
+  if (!PASSWORD_POLICY.maxAgeDays || !user || !user.password) {
+    return false;
+  }
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!changedAt) {
+    return false;
+  }
+
+  return Date.now() - new Date(changedAt).getTime() > PASSWORD_POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Shape a failed validation into the API error response body
+ * @param {object} result - Result of validatePassword
+ * @returns {object} Response body
+ */
+const formatPasswordPolicyError = (result) => ({
+  success: false,
+  code: 'PASSWORD_POLICY_VIOLATION',
+  message: result.errors[0].message,
+  reasons: result.errors,
+});
+
+/**
+ * Public description of the policy so apps can show the requirements up front
+ * @returns {object} Policy requirements
+ */
+const getPasswordPolicy = () => ({
+  minLength: PASSWORD_POLICY.minLength,
+  maxLength: PASSWORD_POLICY.maxLength,
+  requireLowercase: PASSWORD_POLICY.requireLowercase,
+  requireUppercase: PASSWORD_POLICY.requireUppercase,
+  requireNumber: PASSWORD_POLICY.requireNumber,
+  requireSymbol: PASSWORD_POLICY.requireSymbol,
+  blockCommon: PASSWORD_POLICY.blockCommon,
+  historyCount: PASSWORD_POLICY.historyCount,
+  maxAgeDays: PASSWORD_POLICY.maxAgeDays,
+});
+
+module.exports = {
+  PASSWORD_POLICY,
+  isCommonPassword,
+  validatePassword,
+  isPasswordExpired,
+  formatPasswordPolicyError,
+  getPasswordPolicy,
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const Token = require('../models/token.model');
+const UserSettings = require('../models/userSettings.model');
+const { sendPasswordResetEmail } = require('./email');
+
+const PASSWORD_RESET_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Create a password reset token for a user and store it on the account
+ * @param {object} user - User document
+ * @returns {Promise<string>} Reset token to include in the email link
+ */
+const issuePasswordResetToken = async (user) => {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const resetTokenExpires = Date.now() + PASSWORD_RESET_EXPIRY_MS;
+
+  await Token.create({
+    userId: user._id,
+    token: resetToken,
+    type: 'passwordReset',
+    expiresAt: new Date(resetTokenExpires),
+  });
+
+  user.resetPasswordToken = resetToken;
+  user.resetPasswordExpires = resetTokenExpires;
+  await user.save();
+
+  return resetToken;
+};
+
+/**
+ * Sign a user out everywhere and require a new password before they continue.
+ * The current password stops working for sign-in and password changes, because whoever
+ * triggered this may know it; only the emailed reset link can set a new one.
+ * @param {object} user - User document
+ * @returns {Promise<void>}
+ */
+const enforcePasswordReset = async (user) => {
+  user.passwordResetRequired = true;
+  const resetToken = await issuePasswordResetToken(user);
+
+  await UserSettings.findOneAndUpdate(
+    { userId: user._id },
+    { $set: { 'security.passwordChangeRequired': true } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  // Existing sessions stop working immediately
+  await Token.revokeSessions(user._id);
+
+  await sendPasswordResetEmail(user.email, resetToken);
+};
+
+module.exports = {
+  issuePasswordResetToken,
+  enforcePasswordReset,
+};
@@ -0,0 +1,81 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Messages captured by the in-memory driver (development and tests)
+const sentMessages = [];
+
+const DEVELOPMENT_PROVIDERS = ['console', 'memory'];
+
+// Built-in drivers. Real providers (FCM, APNs, ...) register themselves with registerPushProvider.
+// console and memory only print or keep messages, so they are refused in production.
+const providers = {
+  console: {
+    send: async (tokens, message) => {
+      console.log(`🔔 Push to ${tokens.length} device(s): ${message.title} - ${message.body || ''}`);
+      return { provider: 'console', messageId: uuidv4(), invalidTokens: [] };
+    },
+  },
+  memory: {
+    send: async (tokens, message) => {
+      const sent = { tokens, ...message, sentAt: new Date(), messageId: uuidv4() };
+      sentMessages.push(sent);
+      return { provider: 'memory', messageId: sent.messageId, invalidTokens: [] };
+    },
+  },
+};
+
+/**
+ * Register a push provider driver
+ * @param {string} name - Driver name, selected with PUSH_PROVIDER
+ * @param {object} provider - Object exposing async send(tokens, message) resolving to { invalidTokens }
+ */
+const registerPushProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('Push provider must implement send(tokens, message)');
+  }
+  providers[name.toLowerCase()] = provider;
+};
+
+/**
+ * Resolve the configured push provider (defaults to the console driver)
+ * @returns {object} Push provider driver
+ */
+const getPushProvider = () => {
+  const name = (process.env.PUSH_PROVIDER || 'console').toLowerCase();
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown push provider: ${name}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_PROVIDERS.includes(name)) {
+    throw new Error(`Push provider ${name} is for development only; set PUSH_PROVIDER to a registered provider`);
+  }
+
+  return provider;
+};
+
+/**
+ * Send a push notification through the configured provider
+ * @param {string[]} tokens - Device tokens
+ * @param {object} message - { title, body, data }
+ * @returns {Promise<object>} Provider result; invalidTokens lists tokens the service rejected
+ */
+const sendPush = async (tokens, message) => {
+  try {
+    const result = await getPushProvider().send(tokens, message);
+    return { invalidTokens: [], ...result };
+  } catch (error) {
+    console.error('Push sending error:', error);
+    throw new Error(`Failed to send push notification: ${error.message}`);
+  }
+};
+
+module.exports = {
+  registerPushProvider,
+  getPushProvider,
+  sendPush,
+  getSentMessages: () => sentMessages.slice(),
+  clearSentMessages: () => {
+    sentMessages.length = 0;
+  },
+};
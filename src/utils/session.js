@@ -0,0 +1,86 @@
+const { getLocationFromIP, getDeviceInfo } = require('./analyticsUtils');
+
+// Minutes a password or 2FA confirmation counts as recent for sensitive operations
+const STEP_UP_MAX_AGE_MINUTES = parseInt(process.env.STEP_UP_MAX_AGE_MINUTES || '5');
+
+/**
+ * Describe the device and network a request comes from, for device sessions
+ * @param {object} req - Express request object
+ * @returns {object} Session context (name, IP, device, location)
+ */
+const getSessionContext = (req) => {
+  const ipAddress = req.ip || (req.connection && req.connection.remoteAddress);
+  const userAgent = req.headers['user-agent'] || '';
+
+  const device = getDeviceInfo(userAgent);
+  const geo = getLocationFromIP(ipAddress);
+
+  const browser = device.browser !== 'Unknown' ? device.browser : null;
+  const os = device.os !== 'Unknown' ? device.os : null;
+
+  let sessionName = 'Unknown device';
+  if (browser && os) {
+    sessionName = `${browser} on ${os}`;
+  } else if (browser || os) {
+    sessionName = browser || os;
+  }
+
+  return {
+    sessionName,
+    ipAddress,
+    device,
+    location: {
+      country: geo.country,
+      region: geo.region,
+      city: geo.city,
+    },
+  };
+};
+
+/**
+ * Shape a refresh token document into a session entry for API responses
+ * @param {object} tokenDoc - Refresh token document
+ * @param {string} [currentSessionId] - Session ID of the calling access token
+ * @returns {object} Session summary
+ */
+const formatSession = (tokenDoc, currentSessionId) => ({
+  id: tokenDoc.sessionId,
+  name: tokenDoc.sessionName,
+  device: tokenDoc.device,
+  ipAddress: tokenDoc.ipAddress,
+  location: tokenDoc.location,
+  createdAt: tokenDoc.sessionStartedAt || tokenDoc.createdAt,
+  lastUsedAt: tokenDoc.lastUsedAt || tokenDoc.createdAt,
+  expiresAt: tokenDoc.expiresAt,
+  isCurrent: !!currentSessionId && tokenDoc.sessionId === currentSessionId,
+});
+
+/**
+ * Work out until when an access token counts as recently authenticated
+ * @param {number} [authTime] - auth_time claim of the access token, in seconds
+ * @returns {Date|null} End of the step-up window, or null without an auth time
+ */
+const getStepUpExpiry = (authTime) => {
+  if (!authTime) {
+    return null;
+  }
+  return new Date(authTime * 1000 + STEP_UP_MAX_AGE_MINUTES * 60 * 1000);
+};
+
+/**
+ * Check whether an access token's authentication is recent enough for a sensitive operation
+ * @param {number} [authTime] - auth_time claim of the access token, in seconds
+ * @returns {boolean} Whether the step-up window is still open
+ */
+const isRecentAuth = (authTime) => {
+  const expiresAt = getStepUpExpiry(authTime);
+  return !!expiresAt && expiresAt.getTime() > Date.now();
+};
+
+module.exports = {
+  STEP_UP_MAX_AGE_MINUTES,
+  getSessionContext,
+  formatSession,
+  getStepUpExpiry,
+  isRecentAuth,
+};
@@ -31,7 +31,8 @@ const notificationSchema = Joi.object({
     enabled: Joi.boolean(),
     marketing: Joi.boolean(),
     updates: Joi.boolean(),
-    security: Joi.boolean()
+    security: Joi.boolean(),
+    billing: Joi.boolean()
   }),
   sms: Joi.object({
     enabled: Joi.boolean(),
@@ -63,13 +64,16 @@ const accountDetailsSchema = Joi.object({
   profilePicture: Joi.string().uri().max(500)
 });
 
-// Validation schema for password change
+// Validation schema for password change (strength rules live in the password policy)
 const passwordChangeSchema = Joi.object({
   currentPassword: Joi.string().required(),
-  newPassword: Joi.string().min(8).max(128).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\$%\^&\*])')).required()
-    .messages({
-      'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
-    })
+  newPassword: Joi.string().required()
+});
+
+// Validation schema for email change
+const emailChangeSchema = Joi.object({
+  newEmail: Joi.string().trim().lowercase().email().max(255).required(),
+  password: Joi.string()
 });
 
 // Validation schema for billing address
@@ -131,6 +135,10 @@ exports.validateUserSettings = (data) => {
   return userSettingsSchema.validate(data, { allowUnknown: false, stripUnknown: true });
 };
 
+exports.validateEmailChange = (data) => {
+  return emailChangeSchema.validate(data, { allowUnknown: false });
+};
+
 exports.validateBillingSettings = (data) => {
   return billingSettingsSchema.validate(data, { allowUnknown: false, stripUnknown: true });
 };
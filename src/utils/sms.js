@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Messages captured by the in-memory driver (development and tests)
+const sentMessages = [];
+
+const DEVELOPMENT_PROVIDERS = ['console', 'memory'];
+
+// Built-in drivers. Real providers register themselves with registerSmsProvider.
+// console and memory only print or keep messages, so they are refused in production.
+const providers = {
+  console: {
+    send: async (to, body) => {
+      console.log(`📱 SMS to ${to}: ${body}`);
+      return { provider: 'console', to, messageId: uuidv4() };
+    },
+  },
+  memory: {
+    send: async (to, body) => {
+      const message = { to, body, sentAt: new Date(), messageId: uuidv4() };
+      sentMessages.push(message);
+      return { provider: 'memory', to, messageId: message.messageId };
+    },
+  },
+};
+
+/**
+ * Register an SMS provider driver
+ * @param {string} name - Driver name, selected with SMS_PROVIDER
+ * @param {object} provider - Object exposing async send(to, body)
+ */
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must implement send(to, body)');
+  }
+  providers[name.toLowerCase()] = provider;
+};
+
+/**
+ * Resolve the configured SMS provider (defaults to the console driver)
+ * @returns {object} SMS provider driver
+ */
+const getSmsProvider = () => {
+  const name = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_PROVIDERS.includes(name)) {
+    throw new Error(`SMS provider ${name} is for development only; set SMS_PROVIDER to a registered provider`);
+  }
+
+  return provider;
+};
+
+/**
+ * Whether SMS can be sent, so features that depend on it can be turned away up front
+ * @returns {boolean} True when the configured provider may be used
+ */
+const isSmsAvailable = () => {
+  try {
+    getSmsProvider();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Phone number in E.164 format
+ * @param {string} body - Message text
+ * @returns {Promise<object>} Provider result
+ */
+const sendSms = async (to, body) => {
+  try {
+    return await getSmsProvider().send(to, body);
+  } catch (error) {
+    console.error('SMS sending error:', error);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+};
+
+/**
+ * Send a two-factor verification code by SMS
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @param {string} code - One-time code
+ * @returns {Promise<object>} Provider result
+ */
+const sendTwoFactorCodeSms = (phoneNumber, code) => {
+  return sendSms(phoneNumber, `Your verification code is ${code}. It expires in 5 minutes.`);
+};
+
+module.exports = {
+  registerSmsProvider,
+  getSmsProvider,
+  isSmsAvailable,
+  sendSms,
+  sendTwoFactorCodeSms,
+  getSentMessages: () => sentMessages.slice(),
+  clearSentMessages: () => {
+    sentMessages.length = 0;
+  },
+};
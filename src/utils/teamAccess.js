@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const BusinessProfile = require('../models/businessProfile.model');
+const TeamMember = require('../models/teamMember.model');
+const Subscription = require('../models/subscription.model');
+
+// How long an invitation may hold a business's seat lock
+const TEAM_SEAT_LOCK_MS = 30 * 1000;
+
+// Roles that can be granted to invited members; 'owner' is reserved for the business owner
+const TEAM_ROLES = ['admin', 'editor', 'viewer', 'guest'];
+
+// What each role may do inside a business workspace
+const ROLE_PERMISSIONS = {
+  owner: [
+    'business:read', 'business:write', 'business:delete', 'team:manage',
+    'content:read', 'content:write', 'submissions:read', 'submissions:write',
+  ],
+  admin: [
+    'business:read', 'business:write', 'team:manage',
+    'content:read', 'content:write', 'submissions:read', 'submissions:write',
+  ],
+  editor: ['business:read', 'content:read', 'content:write', 'submissions:read', 'submissions:write'],
+  viewer: ['business:read', 'content:read', 'submissions:read'],
+  guest: ['business:read', 'content:read'],
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Team role
+ * @param {string} permission - Permission such as 'content:write'
+ * @returns {boolean} True when allowed
+ */
+const hasTeamPermission = (role, permission) => {
+  return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Resolve a user's role in a business
+ * @param {string|object} businessId - Business profile ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} 'owner', a member role, or null without access
+ */
+const getBusinessRole = async (businessId, userId) => {
+  const business = await BusinessProfile.findById(businessId).select('userId');
+  if (!business) return null;
+
+  if (business.userId.toString() === userId.toString()) {
+    return 'owner';
+  }
+
+  const membership = await TeamMember.findOne({ businessId, userId, status: 'active' });
+  return membership ? membership.role : null;
+};
+
+/**
+ * Load every business a user owns or belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Access helpers for checking documents and building queries
+ */
+const getTeamAccess = async (userId) => {
+  const [ownedBusinesses, memberships] = await Promise.all([
+    BusinessProfile.find({ userId }).select('_id'),
+    TeamMember.getMemberships(userId),
+  ]);
+
+  const roles = new Map();
+  memberships.forEach((membership) => roles.set(membership.businessId.toString(), membership.role));
+  ownedBusinesses.forEach((business) => roles.set(business._id.toString(), 'owner'));
+
+  const idOf = (value) => (value && value._id ? value._id : value);
+
+  return {
+    roles,
+
+    // Role for a page, widget or submission: by its business, else by who created it
+    roleFor(doc) {
+      const businessId = idOf(doc.businessId);
+      if (businessId) {
+        return roles.get(businessId.toString()) || null;
+      }
+      const ownerId = idOf(doc.userId);
+      return ownerId && ownerId.toString() === userId.toString() ? 'owner' : null;
+    },
+
+    can(doc, permission) {
+      return hasTeamPermission(this.roleFor(doc), permission);
+    },
+
+    businessIds(permission) {
+      return [...roles.entries()]
+        .filter(([, role]) => hasTeamPermission(role, permission))
+        .map(([businessId]) => businessId);
+    },
+
+    // Query condition matching the user's own documents and their team businesses
+    filter(permission = 'content:read') {
+      return {
+        $or: [
+          { userId, businessId: null },
+          { businessId: { $in: this.businessIds(permission) } },
+        ],
+      };
+    },
+  };
+};
+
+/**
+ * Get the seat limit and usage for a business from its owner's subscription
+ * @param {object} business - Business profile document
+ * @returns {Promise<object>} Seats used, seat limit and the subscription, if any
+ */
+const getSeatUsage = async (business) => {
+  const subscription = await Subscription.findOne({
+    userId: business.userId,
+    status: { $in: ['active', 'trialing'] },
+  })
+    .sort({ createdAt: -1 })
+    .populate('planId', 'limits');
+
+  const limit =
+    subscription?.usage?.teamMembers?.limit ??
+    subscription?.planId?.limits?.teamMembers ??
+    1;
+
+  const used = await TeamMember.countSeats(business._id);
+
+  return { used, limit, subscription };
+};
+
+/**
+ * Check the seat limit and take a seat with no other seat change for the business in between.
+ * The lock expires on its own if this process stops before releasing it.
+ * @param {object} business - Business profile document
+ * @param {Function} takeSeat - ({ used, limit }) => Promise; creates the record that holds the seat
+ * @returns {Promise<object>} { busy } when another request holds the lock, { full, used, limit }
+ *   when no seat is left, otherwise { used, limit, result } with the result of takeSeat
+ */
+const reserveTeamSeat = async (business, takeSeat) => {
+  const now = new Date();
+  const token = crypto.randomBytes(16).toString('hex');
+
+  const locked = await BusinessProfile.updateOne(
+    {
+      _id: business._id,
+      $or: [{ teamSeatLock: null }, { 'teamSeatLock.expiresAt': { $lte: now } }],
+    },
+    { $set: { teamSeatLock: { token, expiresAt: new Date(now.getTime() + TEAM_SEAT_LOCK_MS) } } }
+  );
+  if (!locked.modifiedCount) {
+    return { busy: true };
+  }
+
+  try {
+    const { used, limit } = await getSeatUsage(business);
+    if (used >= limit) {
+      return { full: true, used, limit };
+    }
+
+    const result = await takeSeat({ used, limit });
+    return { used, limit, result };
+  } finally {
+    await BusinessProfile.updateOne(
+      { _id: business._id, 'teamSeatLock.token': token },
+      { $unset: { teamSeatLock: 1 } }
+    );
+  }
+};
+
+/**
+ * Write the current seat count back to the owner's subscription usage
+ * @param {object} business - Business profile document
+ * @returns {Promise<void>}
+ */
+const syncSeatUsage = async (business) => {
+  const { used, subscription } = await getSeatUsage(business);
+  if (subscription) {
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $set: { 'usage.teamMembers.current': used } }
+    );
+  }
+};
+
+module.exports = {
+  TEAM_ROLES,
+  ROLE_PERMISSIONS,
+  hasTeamPermission,
+  getBusinessRole,
+  getTeamAccess,
+  getSeatUsage,
+  reserveTeamSeat,
+  syncSeatUsage,
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const UserSettings = require('../models/userSettings.model');
+
+// How much of a visit may be recorded, from least to most
+const TRACKING_LEVELS = ['none', 'anonymous', 'full'];
+
+// Visitors can state their choice with this header or cookie (none, anonymous or full)
+const CONSENT_HEADER = 'x-tracking-consent';
+const CONSENT_COOKIE = 'tracking_consent';
+
+// Level for anonymous visitors who have not said anything
+const DEFAULT_VISITOR_LEVEL = 'anonymous';
+
+/**
+ * Pick the more restrictive of two tracking levels
+ * @param {string} a - Tracking level
+ * @param {string} b - Tracking level
+ * @returns {string} Tracking level
+ */
+const minLevel = (a, b) => (TRACKING_LEVELS.indexOf(a) <= TRACKING_LEVELS.indexOf(b) ? a : b);
+
+/**
+ * Read a cookie from the raw Cookie header
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Cookie value
+ */
+const getCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) {
+    return undefined;
+  }
+
+  const cookie = header
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : undefined;
+};
+
+/**
+ * Get the tracking level the visitor asked for with the consent header or cookie
+ * @param {object} req - Express request
+ * @returns {string|null} Tracking level, or null when none was given
+ */
+const getRequestedConsent = (req) => {
+  const value = (req.get(CONSENT_HEADER) || getCookie(req, CONSENT_COOKIE) || '').trim().toLowerCase();
+  return TRACKING_LEVELS.includes(value) ? value : null;
+};
+
+/**
+ * Whether the browser sends Do Not Track or Global Privacy Control
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const hasDoNotTrack = (req) => req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+
+/**
+ * Map a user's data settings to a tracking level
+ * @param {object} [dataSettings] - UserSettings dataSettings
+ * @returns {string} Tracking level
+ */
+const getSettingsTrackingLevel = (dataSettings = {}) => {
+  if (dataSettings.allowDataCollection === false) {
+    return 'none';
+  }
+  if (dataSettings.allowAnalytics === false) {
+    return 'anonymous';
+  }
+  return 'full';
+};
+
+/**
+ * Work out how much of a visit may be recorded.
+ * The most restrictive of the viewer's settings, the consent header or cookie and DNT wins.
+ * @param {object} req - Express request
+ * @param {string} [viewerId] - Logged-in viewer
+ * @returns {Promise<string>} none, anonymous or full
+ */
+const resolveTrackingLevel = async (req, viewerId) => {
+  const requested = getRequestedConsent(req);
+  let level = requested || 'full';
+
+  if (viewerId) {
+    const settings = await UserSettings.findOne({ userId: viewerId }).select('dataSettings').lean();
+    level = minLevel(level, getSettingsTrackingLevel(settings && settings.dataSettings));
+  } else if (!requested) {
+    level = DEFAULT_VISITOR_LEVEL;
+  }
+
+  if (hasDoNotTrack(req)) {
+    level = minLevel(level, 'anonymous');
+  }
+
+  return level;
+};
+
+/**
+ * Strip identifying fields from a view log before it is saved
+ * @param {object} log - ViewLog fields
+ * @returns {object} Anonymised fields
+ */
+const anonymizeViewLog = (log) => {
+  const { location = {}, deviceInfo = {}, referral = {} } = log;
+
+  return {
+    ...log,
+    viewerId: null,
+    viewerType: 'anonymous',
+    // Sessions still count towards totals but cannot be tied back to the client's ID
+    sessionId: crypto.createHash('sha256').update(String(log.sessionId)).digest('hex').slice(0, 32),
+    location: {
+      country: location.country,
+      countryCode: location.countryCode,
+      timezone: location.timezone,
+      accuracy: 'country',
+    },
+    deviceInfo: {
+      type: deviceInfo.type,
+      os: deviceInfo.os,
+      browser: deviceInfo.browser,
+    },
+    referral: { ...referral, referrerUrl: undefined },
+  };
+};
+
+/**
+ * Whether a user's searches may be kept as recent-search history
+ * @param {object} [dataSettings] - UserSettings dataSettings
+ * @returns {boolean}
+ */
+const isSearchHistoryAllowed = (dataSettings = {}) => {
+  return dataSettings.allowDataCollection !== false && dataSettings.allowPersonalization !== false;
+};
+
+module.exports = {
+  TRACKING_LEVELS,
+  CONSENT_HEADER,
+  CONSENT_COOKIE,
+  getRequestedConsent,
+  hasDoNotTrack,
+  resolveTrackingLevel,
+  anonymizeViewLog,
+  isSearchHistoryAllowed,
+};
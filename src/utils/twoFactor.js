@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize a recovery code as typed by the user (case, dashes, spaces)
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Hash a recovery code for storage. Codes are random and high-entropy,
+ * so a fast hash is sufficient (unlike user-chosen passwords).
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+/**
+ * Generate a fresh set of one-time recovery codes
+ * @param {number} count - Number of codes to generate
+ * @returns {object} Plain codes (shown once) and the hashed entries to store
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashedCodes: codes.map((code) => ({ codeHash: hashRecoveryCode(code) })),
+  };
+};
+
+/**
+ * Verify a TOTP code against a base32 secret
+ * @param {string} secret - Base32 TOTP secret
+ * @param {string} code - Code from the authenticator app
+ * @returns {boolean} Whether the code is valid
+ */
+const verifyTotpCode = (secret, code) => {
+  if (!secret || !code) {
+    return false;
+  }
+
+  return speakeasy.totp.verify({
+    secret,
+    encoding: 'base32',
+    token: String(code),
+  });
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  verifyTotpCode,
+};
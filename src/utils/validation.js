@@ -1,10 +1,13 @@
 const Joi = require('joi');
+const { API_KEY_SCOPES } = require('./apiKey');
+const { TEAM_ROLES } = require('./teamAccess');
+const Notification = require('../models/notification.model');
 
 // Validate user registration
 exports.validateRegistration = (data) => {
   const schema = Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().min(8).required(),
+    password: Joi.string().required(),
     firstName: Joi.string().allow(''),
     lastName: Joi.string().allow(''),
   });
@@ -22,10 +25,220 @@ exports.validateLogin = (data) => {
   return schema.validate(data);
 };
 
+// Validate magic link request
+exports.validateMagicLinkRequest = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate a request for a password reset code
+exports.validateForgotPasswordCodeRequest = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate a password reset with an emailed code; the password policy is checked separately
+exports.validateForgotPasswordCodeVerification = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    // Mobile clients send the code as a number
+    provideCode: Joi.alternatives().try(Joi.string().trim(), Joi.number().integer()).required(),
+    newPassword: Joi.string().required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate Sign in with Apple payload
+exports.validateAppleSignIn = (data) => {
+  const schema = Joi.object({
+    identityToken: Joi.string().required(),
+    nonce: Joi.string(),
+    firstName: Joi.string().trim().max(50).allow(''),
+    lastName: Joi.string().trim().max(50).allow(''),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate API key creation
+exports.validateApiKeyCreate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+    expiresAt: Joi.date().greater('now'),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate API key update
+exports.validateApiKeyUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().max(100),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique(),
+  }).min(1);
+
+  return schema.validate(data);
+};
+
+// Validate team invitation
+exports.validateTeamInvitation = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    role: Joi.string().valid(...TEAM_ROLES).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate team member role change
+exports.validateTeamRoleUpdate = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().valid(...TEAM_ROLES).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate notification feed filters
+exports.validateNotificationQuery = (data) => {
+  const schema = Joi.object({
+    category: Joi.string().valid(...Notification.CATEGORIES),
+    unreadOnly: Joi.boolean().default(false),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate mark-all-read
+exports.validateMarkAllNotificationsRead = (data) => {
+  const schema = Joi.object({
+    category: Joi.string().valid(...Notification.CATEGORIES),
+  });
+
+  return schema.validate(data || {});
+};
+
+// Validate push device registration
+exports.validatePushDevice = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().trim().max(4096).required(),
+    platform: Joi.string().valid('ios', 'android', 'web').required(),
+    deviceName: Joi.string().trim().max(100),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate email template preview options
+exports.validateEmailTemplatePreview = (data) => {
+  const schema = Joi.object({
+    locale: Joi.string().pattern(/^[a-zA-Z]{2}([-_][a-zA-Z]{2})?$/),
+    format: Joi.string().valid('json', 'html').default('json'),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate an email template test send
+exports.validateEmailTestSend = (data) => {
+  const schema = Joi.object({
+    to: Joi.string().email(),
+    locale: Joi.string().pattern(/^[a-zA-Z]{2}([-_][a-zA-Z]{2})?$/),
+    // Overrides for the template's sample data
+    data: Joi.object().default({}),
+  });
+
+  return schema.validate(data || {});
+};
+
+// Validate email outbox listing
+exports.validateEmailOutboxQuery = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('queued', 'sending', 'sent', 'failed', 'suppressed'),
+    template: Joi.string().max(100),
+    to: Joi.string().email(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate the provider-agnostic payload of the email events webhook
+exports.validateEmailEventPayload = (data) => {
+  const schema = Joi.object({
+    provider: Joi.string().max(50).default('unknown'),
+    events: Joi.array().min(1).max(500).required().items(
+      Joi.object({
+        type: Joi.string().valid('bounce', 'complaint', 'unsubscribe', 'delivery').required(),
+        email: Joi.string().email().required(),
+        bounceType: Joi.string().valid('hard', 'soft').when('type', {
+          is: 'bounce',
+          then: Joi.required(),
+          otherwise: Joi.forbidden(),
+        }),
+        // Unsubscribes without a category cover every category that can be unsubscribed from
+        category: Joi.string().valid('marketing', 'updates', 'billing', 'newsletter'),
+        messageId: Joi.string().max(300),
+        diagnostic: Joi.string().max(1000),
+        occurredAt: Joi.date().iso(),
+      }).unknown(true)
+    ),
+  }).unknown(true);
+
+  return schema.validate(data);
+};
+
+// Validate email preference changes made through an unsubscribe link
+exports.validateEmailPreferencesUpdate = (data) => {
+  const schema = Joi.object({
+    marketing: Joi.boolean(),
+    updates: Joi.boolean(),
+    billing: Joi.boolean(),
+    newsletter: Joi.boolean(),
+  }).min(1);
+
+  return schema.validate(data);
+};
+
+// Validate email suppression listing
+exports.validateEmailSuppressionQuery = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email(),
+    reason: Joi.string().valid('hard_bounce', 'soft_bounce', 'complaint', 'unsubscribe', 'manual'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+  });
+
+  return schema.validate(data);
+};
+
+// Validate a suppression added by an admin
+exports.validateEmailSuppressionCreate = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    // Leave out to stop every email, security included
+    category: Joi.string().valid('security', 'billing', 'updates', 'marketing', 'newsletter'),
+    note: Joi.string().max(500),
+  });
+
+  return schema.validate(data);
+};
+
 // Validate password reset
 exports.validatePasswordReset = (data) => {
   const schema = Joi.object({
-    password: Joi.string().min(8).required(),
+    password: Joi.string().required(),
   });
 
   return schema.validate(data);
@@ -41,6 +254,21 @@ exports.validate2FAVerification = (data) => {
   return schema.validate(data);
 };
 
+// Validate 2FA setup (method selection)
+exports.validateTwoFactorSetup = (data) => {
+  const schema = Joi.object({
+    method: Joi.string().valid('authenticator', 'email', 'sms').default('authenticator'),
+    phoneNumber: Joi.string()
+      .pattern(/^\+[1-9]\d{6,14}$/)
+      .when('method', { is: 'sms', then: Joi.required(), otherwise: Joi.forbidden() })
+      .messages({
+        'string.pattern.base': 'Phone number must be in international format, e.g. +14155550123',
+      }),
+  });
+
+  return schema.validate(data);
+};
+
 // Validate refresh token
 exports.validateRefreshToken = (data) => {
   const schema = Joi.object({